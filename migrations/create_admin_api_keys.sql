@@ -0,0 +1,26 @@
+-- Hashed operator API keys with scopes, plus a per-request usage log
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT
+);
+
+CREATE TABLE IF NOT EXISTS admin_api_key_usage (
+  id BIGSERIAL PRIMARY KEY,
+  key_id UUID NOT NULL REFERENCES admin_api_keys(id),
+  scope TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_api_key_usage_key ON admin_api_key_usage(key_id, created_at DESC);
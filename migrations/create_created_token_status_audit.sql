@@ -0,0 +1,14 @@
+-- Audit trail for automated status changes on created_tokens
+CREATE TABLE IF NOT EXISTS created_token_status_audit (
+  id BIGSERIAL PRIMARY KEY,
+  mint_address TEXT NOT NULL,
+  tx_signature TEXT,
+  previous_status TEXT,
+  new_status TEXT NOT NULL,
+  source TEXT NOT NULL,
+  reason TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_created_token_status_audit_mint ON created_token_status_audit(mint_address);
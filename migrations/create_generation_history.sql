@@ -0,0 +1,28 @@
+-- Per-wallet history of generation results, for /api/generation-history. One row per request from a
+-- signed-in wallet; candidates holds [{ name, ticker, description, suggestionId?, metadataVersionId? }].
+-- Whether a candidate was chosen or launched is worked out when reading, from token_suggestions,
+-- token_metadata_versions and the wallet's created_tokens.
+CREATE TABLE IF NOT EXISTS generation_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  public_key TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('single', 'candidates', 'regenerate')),
+  source TEXT NOT NULL,
+  source_url TEXT NOT NULL,
+  candidates JSONB NOT NULL DEFAULT '[]',
+  image TEXT,
+  links JSONB NOT NULL DEFAULT '{}',
+  language TEXT,
+  prompt_template_id UUID REFERENCES prompt_templates(id),
+  suggestion_batch_id UUID,
+  metadata_version_id UUID REFERENCES token_metadata_versions(id),
+  cached BOOLEAN NOT NULL DEFAULT false,
+  -- Lowercased names, tickers, descriptions and source URL, matched by the history search
+  search_text TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_history_wallet ON generation_history(public_key, created_at DESC);
+
+-- Substring search on search_text
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_generation_history_search ON generation_history USING gin (search_text gin_trgm_ops);
@@ -0,0 +1,14 @@
+-- Bulk token metadata generation jobs, polled through /api/generate-token-metadata/bulk/:id.
+-- items holds one entry per source in request order: { index, status, result | statusCode + error }.
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY,
+  state TEXT NOT NULL CHECK (state IN ('running', 'completed')),
+  target_language TEXT,
+  total INTEGER NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_created ON generation_jobs(created_at DESC);
@@ -0,0 +1,45 @@
+-- Per-wallet launch drafts for /api/drafts. share_id is the unguessable token in the public preview
+-- URL (/drafts/:shareId); a draft becomes 'launched' when a created_tokens row is saved for it.
+CREATE TABLE IF NOT EXISTS launch_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  public_key TEXT NOT NULL,
+  share_id TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'launched')),
+  name TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  twitter TEXT,
+  telegram TEXT,
+  website TEXT,
+  -- Normalized logo as a data URL
+  image TEXT,
+  dev_buy_amount NUMERIC NOT NULL DEFAULT 0 CHECK (dev_buy_amount >= 0),
+  slippage NUMERIC NOT NULL DEFAULT 10 CHECK (slippage BETWEEN 0 AND 100),
+  pool TEXT NOT NULL DEFAULT 'pump' CHECK (pool IN ('pump', 'bonk')),
+  metadata_version_id UUID REFERENCES token_metadata_versions(id),
+  prompt_template_id UUID REFERENCES prompt_templates(id),
+  mint_address TEXT,
+  launched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_launch_drafts_wallet ON launch_drafts(public_key, status, updated_at DESC);
+
+-- Which draft a token and its launch job came from. Launch jobs exist before the wallet signs, so
+-- abandoned, failed and cancelled attempts must not keep their draft from being deleted.
+ALTER TABLE created_tokens ADD COLUMN IF NOT EXISTS draft_id UUID REFERENCES launch_drafts(id) ON DELETE SET NULL;
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS draft_id UUID REFERENCES launch_drafts(id) ON DELETE SET NULL;
+-- Databases that ran this migration before the ON DELETE clauses were added
+ALTER TABLE created_tokens DROP CONSTRAINT IF EXISTS created_tokens_draft_id_fkey;
+ALTER TABLE created_tokens ADD CONSTRAINT created_tokens_draft_id_fkey
+  FOREIGN KEY (draft_id) REFERENCES launch_drafts(id) ON DELETE SET NULL;
+ALTER TABLE launch_jobs DROP CONSTRAINT IF EXISTS launch_jobs_draft_id_fkey;
+ALTER TABLE launch_jobs ADD CONSTRAINT launch_jobs_draft_id_fkey
+  FOREIGN KEY (draft_id) REFERENCES launch_drafts(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_created_tokens_draft ON created_tokens(draft_id) WHERE draft_id IS NOT NULL;
+
+-- Drafts are screened by moderation when saved
+ALTER TABLE moderation_decisions DROP CONSTRAINT IF EXISTS moderation_decisions_stage_check;
+ALTER TABLE moderation_decisions ADD CONSTRAINT moderation_decisions_stage_check
+  CHECK (stage IN ('generation', 'regeneration', 'suggestion', 'draft', 'launch'));
@@ -0,0 +1,25 @@
+-- Persistent state for token launches started through /api/trade-local
+CREATE TABLE IF NOT EXISTS launch_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  state TEXT NOT NULL DEFAULT 'draft'
+    CHECK (state IN ('draft', 'metadata_uploaded', 'tx_built', 'sent', 'confirmed', 'failed', 'expired')),
+  action TEXT NOT NULL DEFAULT 'create',
+  signing_mode TEXT NOT NULL DEFAULT 'server',
+  user_public_key TEXT NOT NULL,
+  mint_address TEXT,
+  token_metadata JSONB,
+  metadata_uri TEXT,
+  launch_session_id UUID,
+  tx_signature TEXT,
+  used_backup_rpc BOOLEAN DEFAULT false,
+  last_valid_block_height BIGINT,
+  timing JSONB NOT NULL DEFAULT '{}'::jsonb,
+  transitions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_state ON launch_jobs(state);
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_mint ON launch_jobs(mint_address);
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_user ON launch_jobs(user_public_key);
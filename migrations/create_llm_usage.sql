@@ -0,0 +1,39 @@
+-- One row per LLM completion: who it was for, what it cost and which source and operation it served.
+-- Tokens are the provider's counts, or estimated from the text (estimated = true) when it reports none.
+-- cost_usd is null for models without a known price (see src/config/usage.js).
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  usage_date DATE NOT NULL,
+  account_type TEXT NOT NULL CHECK (account_type IN ('wallet', 'api-key', 'anonymous', 'system')),
+  account_id TEXT NOT NULL,
+  source TEXT,
+  operation TEXT NOT NULL CHECK (operation IN ('generate', 'regenerate', 'candidates')),
+  provider TEXT NOT NULL,
+  model TEXT,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  estimated BOOLEAN NOT NULL DEFAULT false,
+  cost_usd NUMERIC(12, 6),
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_account_day ON llm_usage(account_type, account_id, usage_date);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_day ON llm_usage(usage_date);
+
+-- Daily sums per source and account: read for quota checks and the admin usage report
+CREATE OR REPLACE VIEW llm_usage_daily AS
+SELECT
+  usage_date,
+  source,
+  account_type,
+  account_id,
+  count(*) AS calls,
+  sum(prompt_tokens) AS prompt_tokens,
+  sum(completion_tokens) AS completion_tokens,
+  sum(total_tokens) AS total_tokens,
+  sum(cost_usd) AS cost_usd,
+  count(*) FILTER (WHERE cost_usd IS NULL) AS unpriced_calls
+FROM llm_usage
+GROUP BY usage_date, source, account_type, account_id;
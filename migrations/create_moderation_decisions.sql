@@ -0,0 +1,31 @@
+-- Every moderation decision on token metadata, plus admin overrides. An override applies to the
+-- decision it is set on and to later reviews of identical content (same fingerprint).
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stage TEXT NOT NULL CHECK (stage IN ('generation', 'regeneration', 'suggestion', 'launch')),
+  fingerprint TEXT NOT NULL,
+  source TEXT,
+  source_url TEXT,
+  public_key TEXT,
+  name TEXT,
+  ticker TEXT,
+  description TEXT,
+  -- Remote image URL; uploads are only identified by image_hash
+  image TEXT,
+  image_hash TEXT,
+  outcome TEXT NOT NULL CHECK (outcome IN ('allow', 'warn', 'block')),
+  -- What the rules and classifier decided, before MODERATION_MODE and overrides
+  rule_outcome TEXT NOT NULL CHECK (rule_outcome IN ('allow', 'warn', 'block')),
+  findings JSONB NOT NULL DEFAULT '[]',
+  classifier TEXT,
+  classifier_error TEXT,
+  applied_override_id UUID REFERENCES moderation_decisions(id),
+  override_outcome TEXT CHECK (override_outcome IN ('allow', 'warn', 'block')),
+  override_reason TEXT,
+  overridden_by TEXT,
+  overridden_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_decisions_fingerprint ON moderation_decisions(fingerprint, overridden_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_decisions_outcome ON moderation_decisions(outcome, created_at DESC);
@@ -0,0 +1,25 @@
+-- Cached token metadata for every source except tweets, which keep using processed_tweets.
+-- source_url is the canonical URL (Reddit old/new/np/share links all map to one), original_url what the client sent.
+CREATE TABLE IF NOT EXISTS processed_sources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source TEXT NOT NULL,
+  source_url TEXT NOT NULL,
+  original_url TEXT,
+  content_text TEXT,
+  author_name TEXT,
+  author_avatar TEXT,
+  media_urls TEXT[],
+  details JSONB NOT NULL DEFAULT '[]',
+  token_name TEXT NOT NULL,
+  token_ticker TEXT NOT NULL,
+  token_description TEXT NOT NULL,
+  token_image TEXT,
+  -- Detected language of content_text (ISO 639-1, or 'und')
+  language TEXT,
+  pump_portal_tx JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (source, source_url)
+);
+
+-- processed_tweets predates these migrations; it gets the same language column
+ALTER TABLE IF EXISTS processed_tweets ADD COLUMN IF NOT EXISTS language TEXT;
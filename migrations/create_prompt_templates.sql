@@ -0,0 +1,82 @@
+-- Versioned prompt templates. kind is 'token' (single and regenerated tokens) or 'candidates'
+-- (multi-candidate batches); source '*' covers every source without templates of its own.
+-- Templates are never edited: a change is a new version. Active versions of one kind and source
+-- split traffic by weight; with none active the built-in prompts in prompts.js are used.
+-- Run after create_processed_sources, create_token_suggestions, create_token_metadata_versions and create_launch_jobs.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('token', 'candidates')),
+  source TEXT NOT NULL DEFAULT '*',
+  version INTEGER NOT NULL,
+  system_prompt TEXT NOT NULL,
+  user_prompt TEXT NOT NULL,
+  -- Values for the template's own {{placeholders}}, e.g. {"tone": "Make it funny."}
+  variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+  active BOOLEAN NOT NULL DEFAULT false,
+  weight INTEGER NOT NULL DEFAULT 100 CHECK (weight >= 0),
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (kind, source, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(kind, source) WHERE active;
+
+-- The template behind every generated token and every launch; NULL means the built-in prompt
+ALTER TABLE processed_sources ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+ALTER TABLE IF EXISTS processed_tweets ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+ALTER TABLE token_suggestions ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+ALTER TABLE token_metadata_versions ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_prompt_template ON launch_jobs(prompt_template_id);
+
+-- Per template version: tokens generated, suggestions picked, confirmed launches (through
+-- /api/trade-local with promptTemplateId, or directly by /api/generate-token-data) and the
+-- market caps of the tokens launched through /api/trade-local
+CREATE OR REPLACE VIEW prompt_template_performance AS
+WITH generated AS (
+  SELECT prompt_template_id, pump_portal_tx IS NOT NULL AS launched FROM processed_sources
+  UNION ALL
+  SELECT prompt_template_id, pump_portal_tx IS NOT NULL FROM processed_tweets
+  UNION ALL
+  SELECT prompt_template_id, false FROM token_suggestions
+  UNION ALL
+  SELECT prompt_template_id, false FROM token_metadata_versions WHERE origin = 'regenerate'
+),
+generated_counts AS (
+  SELECT prompt_template_id, count(*) AS generated, count(*) FILTER (WHERE launched) AS direct_launches
+  FROM generated
+  WHERE prompt_template_id IS NOT NULL
+  GROUP BY prompt_template_id
+),
+selections AS (
+  SELECT prompt_template_id, count(*) AS selected
+  FROM token_suggestions
+  WHERE prompt_template_id IS NOT NULL AND selected_at IS NOT NULL
+  GROUP BY prompt_template_id
+),
+launches AS (
+  SELECT j.prompt_template_id, count(*) AS launches, avg(c.market_cap) AS avg_market_cap, max(c.market_cap) AS max_market_cap
+  FROM launch_jobs j
+  LEFT JOIN created_tokens c ON c.mint_address = j.mint_address AND c.is_test IS NOT TRUE
+  WHERE j.prompt_template_id IS NOT NULL AND j.state = 'confirmed'
+  GROUP BY j.prompt_template_id
+)
+SELECT
+  t.id AS prompt_template_id,
+  t.kind,
+  t.source,
+  t.version,
+  t.active,
+  t.weight,
+  COALESCE(g.generated, 0) AS generated,
+  COALESCE(s.selected, 0) AS selected,
+  COALESCE(l.launches, 0) + COALESCE(g.direct_launches, 0) AS launches,
+  l.avg_market_cap,
+  l.max_market_cap
+FROM prompt_templates t
+LEFT JOIN generated_counts g ON g.prompt_template_id = t.id
+LEFT JOIN selections s ON s.prompt_template_id = t.id
+LEFT JOIN launches l ON l.prompt_template_id = t.id;
@@ -0,0 +1,25 @@
+-- Scheduled launches are launch_jobs rows with a scheduled_for time. The create transaction is built
+-- on a durable nonce account owned by the server (nonce_account) so the wallet can sign it when
+-- booking; the signed transaction waits here until the scheduler sends it.
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+-- Trade settings to build with: { amount, slippage, pool }
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS launch_options JSONB;
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS nonce_account TEXT;
+-- Set once the nonce account is closed and its rent returned, after the launch ends
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS nonce_closed_at TIMESTAMPTZ;
+-- Base64 transactions: as handed to the wallet, and as signed by it
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS issued_transaction TEXT;
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS signed_transaction TEXT;
+-- Set when the scheduler claims the launch to send it; cancels and edits require it unset
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS send_started_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_scheduled ON launch_jobs(scheduled_for) WHERE scheduled_for IS NOT NULL;
+-- One open booking per draft, so two booking requests racing each other cannot both be sent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_launch_jobs_open_draft_schedule ON launch_jobs(draft_id)
+  WHERE scheduled_for IS NOT NULL AND state IN ('draft', 'metadata_uploaded', 'tx_built', 'sent');
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_open_nonces ON launch_jobs(state) WHERE nonce_account IS NOT NULL AND nonce_closed_at IS NULL;
+
+-- Scheduled launches can be cancelled before they are sent
+ALTER TABLE launch_jobs DROP CONSTRAINT IF EXISTS launch_jobs_state_check;
+ALTER TABLE launch_jobs ADD CONSTRAINT launch_jobs_state_check
+  CHECK (state IN ('draft', 'metadata_uploaded', 'tx_built', 'sent', 'confirmed', 'failed', 'expired', 'cancelled'));
@@ -0,0 +1,28 @@
+-- Version history for regenerated token metadata. Each regeneration adds a row; nothing is
+-- overwritten. Versions are numbered per source post and wallet (public_key is null for
+-- requests without a wallet session). Launches record the version they were built from.
+CREATE TABLE IF NOT EXISTS token_metadata_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source TEXT NOT NULL,
+  source_url TEXT NOT NULL,
+  public_key TEXT,
+  version INTEGER NOT NULL,
+  parent_id UUID REFERENCES token_metadata_versions(id),
+  origin TEXT NOT NULL DEFAULT 'regenerate' CHECK (origin IN ('original', 'regenerate')),
+  name TEXT NOT NULL,
+  ticker TEXT NOT NULL,
+  description TEXT NOT NULL,
+  image TEXT,
+  feedback TEXT,
+  locked_fields TEXT[] NOT NULL DEFAULT '{}',
+  provider TEXT,
+  model TEXT,
+  launch_job_id UUID,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE NULLS NOT DISTINCT (source_url, public_key, version)
+);
+
+ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS metadata_version_id UUID REFERENCES token_metadata_versions(id);
+
+CREATE INDEX IF NOT EXISTS idx_launch_jobs_metadata_version ON launch_jobs(metadata_version_id);
@@ -0,0 +1,25 @@
+-- Every candidate generated by /api/generate-token-metadata with `count`, kept so users can
+-- compare, pick one, or ask for more without losing earlier suggestions
+CREATE TABLE IF NOT EXISTS token_suggestions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL,
+  source TEXT NOT NULL,
+  source_url TEXT NOT NULL,
+  seed TEXT NOT NULL,
+  name TEXT NOT NULL,
+  ticker TEXT NOT NULL,
+  description TEXT NOT NULL,
+  image TEXT,
+  score NUMERIC NOT NULL,
+  scores JSONB NOT NULL DEFAULT '{}'::jsonb,
+  rank INTEGER NOT NULL,
+  provider TEXT,
+  model TEXT,
+  -- Wallet whose session generated the batch; only it may select a candidate
+  public_key TEXT,
+  selected_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_token_suggestions_source_url ON token_suggestions(source_url, created_at);
+CREATE INDEX IF NOT EXISTS idx_token_suggestions_batch ON token_suggestions(batch_id);
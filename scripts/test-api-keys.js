@@ -0,0 +1,87 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+  ADMIN_SCOPES,
+  hashKey,
+  generateKey,
+  parseKeyPrefix,
+  matchesKey,
+  hasScope,
+  toPublicRecord
+} = require('../src/services/auth/apiKeyFormat');
+
+function stored(rawKey, prefix, overrides = {}) {
+  return {
+    id: 'a1b2c3d4-0000-4000-8000-000000000001',
+    name: 'ops',
+    key_prefix: prefix,
+    key_hash: hashKey(rawKey),
+    scopes: ['scheduler:write', 'usage:read'],
+    revoked_at: null,
+    ...overrides
+  };
+}
+
+function testHashing() {
+  const { rawKey, prefix } = generateKey();
+  assert.match(rawKey, /^blzr_[0-9a-f]{8}_[0-9a-f]{48}$/);
+  assert.strictEqual(parseKeyPrefix(rawKey), prefix);
+  assert.notStrictEqual(generateKey().rawKey, rawKey, 'every key is random');
+
+  assert.strictEqual(hashKey(rawKey), crypto.createHash('sha256').update(rawKey).digest('hex'));
+  assert.strictEqual(hashKey(rawKey).length, 64);
+
+  const record = toPublicRecord(stored(rawKey, prefix));
+  assert.ok(!('key_hash' in record), 'the hash never leaves the service');
+  assert.strictEqual(record.key_prefix, prefix);
+  console.log('✅ keys are generated, parsed and stored only as a hash');
+}
+
+function testMatching() {
+  const { rawKey, prefix } = generateKey();
+  const record = stored(rawKey, prefix);
+  assert.strictEqual(matchesKey(record, rawKey), true);
+  assert.strictEqual(matchesKey(record, `${rawKey.slice(0, -1)}${rawKey.endsWith('0') ? '1' : '0'}`), false);
+  assert.strictEqual(matchesKey(record, generateKey().rawKey), false);
+  assert.strictEqual(matchesKey({ ...record, key_hash: 'abcd' }, rawKey), false, 'a malformed hash never matches');
+  assert.strictEqual(matchesKey(record, ''), false);
+  assert.strictEqual(matchesKey(null, rawKey), false);
+
+  assert.strictEqual(parseKeyPrefix('sk_live_abc'), null);
+  assert.strictEqual(parseKeyPrefix('blzr_abc'), null);
+  assert.strictEqual(parseKeyPrefix('blzr__secret'), null);
+  assert.strictEqual(parseKeyPrefix(undefined), null);
+  console.log('✅ only the exact key matches its record');
+}
+
+function testRevocation() {
+  const { rawKey, prefix } = generateKey();
+  const revoked = stored(rawKey, prefix, { revoked_at: '2024-05-01T10:00:00.000Z', revoked_by: 'Admin111' });
+  assert.strictEqual(matchesKey(revoked, rawKey), false);
+  console.log('✅ revoked keys no longer authenticate');
+}
+
+function testScopes() {
+  const { rawKey, prefix } = generateKey();
+  const record = stored(rawKey, prefix);
+  assert.strictEqual(hasScope(record, 'scheduler:write'), true);
+  assert.strictEqual(hasScope(record, 'keys:manage'), false);
+  assert.strictEqual(hasScope(record, 'scheduler'), false, 'scopes match exactly');
+  assert.strictEqual(hasScope({ ...record, scopes: null }, 'usage:read'), false);
+  assert.strictEqual(hasScope({ ...record, scopes: 'usage:read' }, 'usage:read'), false, 'scopes must be a list');
+
+  assert.ok(ADMIN_SCOPES.includes('keys:manage'));
+  assert.strictEqual(new Set(ADMIN_SCOPES).size, ADMIN_SCOPES.length);
+  console.log('✅ scope checks need the exact scope');
+}
+
+try {
+  testHashing();
+  testMatching();
+  testRevocation();
+  testScopes();
+  console.log('\nAll API key tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
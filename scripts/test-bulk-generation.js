@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { mapWithConcurrency, processItems, shareByKey, countItems, toJob } = require('../src/services/generation/bulkItems');
+
+const tick = (ms = 1) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testConcurrency() {
+  let active = 0;
+  let peak = 0;
+  const started = [];
+  const results = [];
+  // Later items finish first, so results are written out of order
+  await mapWithConcurrency([5, 4, 3, 2, 1, 0], 2, async (delay, index) => {
+    started.push(index);
+    active++;
+    peak = Math.max(peak, active);
+    await tick(delay);
+    results[index] = delay * 10;
+    active--;
+  });
+  assert.strictEqual(peak, 2, 'never more than the limit in flight');
+  assert.deepStrictEqual(started, [0, 1, 2, 3, 4, 5], 'items start in order');
+  assert.deepStrictEqual(results, [50, 40, 30, 20, 10, 0], 'results stay at their index');
+
+  let calls = 0;
+  await mapWithConcurrency([], 3, async () => { calls++; });
+  await mapWithConcurrency(['only'], 10, async () => { calls++; });
+  assert.strictEqual(calls, 1);
+  console.log('✅ items run with bounded concurrency and keep their order');
+}
+
+async function testFailureIsolation() {
+  const items = ['ok', 'boom', 'ok', 'boom', 'ok'];
+  const states = items.map((item, index) => ({ index, status: 'pending' }));
+  const settled = [];
+  await processItems(items, states, {
+    concurrency: 2,
+    processItem: async (item, index) => {
+      await tick();
+      if (item === 'boom') throw new Error(`item ${index} failed`);
+      return { index };
+    },
+    describeError: error => ({ status: 422, body: { error: error.message } }),
+    onSettled: async index => { settled.push(index); }
+  });
+
+  assert.deepStrictEqual(states.map(state => state.status), ['succeeded', 'failed', 'succeeded', 'failed', 'succeeded']);
+  assert.deepStrictEqual(states[2], { index: 2, status: 'succeeded', result: { index: 2 } });
+  assert.deepStrictEqual(states[3], { index: 3, status: 'failed', statusCode: 422, error: { error: 'item 3 failed' } });
+  assert.deepStrictEqual(settled.sort(), [0, 1, 2, 3, 4], 'every item settles, failed or not');
+  assert.deepStrictEqual(countItems(states), { completed: 5, succeeded: 3, failed: 2 });
+  console.log('✅ a failing item does not affect the others');
+}
+
+async function testDedup() {
+  const share = shareByKey();
+  let generated = 0;
+  const generate = () => tick().then(() => ({ name: 'Moon Dog', run: ++generated }));
+
+  const items = ['twitter:https://x.com/a/status/1', 'twitter:https://x.com/a/status/1', 'twitter:https://x.com/b/status/2'];
+  const results = await Promise.all(items.map(key => share(key, generate)));
+  assert.strictEqual(generated, 2, 'the repeated post is generated once');
+  assert.strictEqual(results[0], results[1], 'both items get the same result');
+  assert.notStrictEqual(results[0], results[2]);
+
+  const failing = shareByKey();
+  let attempts = 0;
+  const fail = () => { attempts++; return Promise.reject(new Error('LLM down')); };
+  const outcomes = await Promise.allSettled([failing('post', fail), failing('post', fail)]);
+  assert.strictEqual(attempts, 1);
+  assert.deepStrictEqual(outcomes.map(outcome => outcome.status), ['rejected', 'rejected']);
+  console.log('✅ the same post twice in a batch is generated once');
+}
+
+function testStoredJobs() {
+  const row = {
+    id: '0d6f7a2b-1c3e-4f50-8a9b-0c1d2e3f4a5b',
+    state: 'running',
+    target_language: 'en',
+    total: 3,
+    items: [
+      { index: 0, status: 'succeeded', result: {} },
+      { index: 1, status: 'failed', statusCode: 400, error: {} },
+      { index: 2, status: 'running' }
+    ],
+    created_at: '2024-05-01T10:00:00.000Z',
+    updated_at: '2024-05-01T10:00:05.000Z',
+    finished_at: null
+  };
+  const restarted = toJob(row);
+  assert.strictEqual(restarted.state, 'interrupted', 'a running job this process does not know was cut off by a restart');
+  assert.deepStrictEqual(
+    { completed: restarted.completed, succeeded: restarted.succeeded, failed: restarted.failed },
+    { completed: 2, succeeded: 1, failed: 1 }
+  );
+  assert.strictEqual(restarted.targetLanguage, 'en');
+
+  const finished = toJob({ ...row, state: 'completed', finished_at: '2024-05-01T10:00:09.000Z' });
+  assert.strictEqual(finished.state, 'completed');
+  assert.strictEqual(finished.finishedAt, '2024-05-01T10:00:09.000Z');
+  assert.deepStrictEqual(toJob({ ...row, items: null }).items, []);
+  console.log('✅ stored jobs left running read back as interrupted');
+}
+
+(async () => {
+  await testConcurrency();
+  await testFailureIsolation();
+  await testDedup();
+  testStoredJobs();
+  console.log('\nAll bulk generation tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
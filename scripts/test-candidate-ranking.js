@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { scoreCandidate, rankCandidates } = require('../src/services/generation/candidateScoring');
+const { TokenGenerator } = require('../src/services/generation/tokenGenerator');
+const { StubProvider } = require('../src/services/generation/providers');
+const { logger } = require('../src/utils/logger');
+
+logger.setLevel('silent');
+
+const CANDIDATES = [
+  { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' },
+  { name: 'Lunar Pup', ticker: 'LPUP', description: 'Small pup, big orbit.' },
+  { name: 'Bark Rocket', ticker: 'BARK', description: 'Woof to the stars.' },
+  { name: 'Shit Coin', ticker: 'SHITC', description: 'Exactly what it says.' },
+  { name: 'Very Long Dog', ticker: 'VLDOGE', description: 'A long dog for a long hold.' }
+];
+
+function scored(takenTickers = new Set()) {
+  return CANDIDATES.map(candidate => ({ ...candidate, ...scoreCandidate(candidate, { takenTickers }) }));
+}
+
+function testScores() {
+  const [moonDog, , , profane, long] = scored(new Set(['BARK']));
+  assert.deepStrictEqual(moonDog.scores, { availability: 1, profanity: 1, length: 1 });
+  assert.strictEqual(moonDog.score, 1);
+  assert.strictEqual(profane.scores.profanity, 0);
+  assert.ok(long.scores.length < 1, 'six-letter tickers and three-word names score lower on length');
+
+  const bark = scored(new Set(['BARK']))[2];
+  assert.strictEqual(bark.scores.availability, 0);
+  console.log('✅ candidates are scored for availability, profanity and length');
+}
+
+function testRanking() {
+  const first = rankCandidates(scored(new Set(['BARK'])), 'seed-1');
+  const again = rankCandidates(scored(new Set(['BARK'])), 'seed-1');
+  assert.deepStrictEqual(first.map(c => c.ticker), again.map(c => c.ticker), 'same seed must give the same order');
+  assert.deepStrictEqual(first.map(c => c.rank), [1, 2, 3, 4, 5]);
+
+  // Moon Dog and Lunar Pup tie on score, so only the seed decides their order
+  const tied = first.slice(0, 2).map(c => c.ticker).sort();
+  assert.deepStrictEqual(tied, ['LPUP', 'MDOG']);
+  const orders = new Set();
+  for (let i = 0; i < 20; i++) {
+    orders.add(rankCandidates(scored(new Set(['BARK'])), `seed-${i}`).slice(0, 2).map(c => c.ticker).join(','));
+  }
+  assert.strictEqual(orders.size, 2, 'different seeds should be able to reorder ties');
+
+  const ranks = Object.fromEntries(first.map(c => [c.ticker, c.rank]));
+  assert.ok(ranks.BARK > ranks.MDOG && ranks.SHITC > ranks.MDOG, 'taken and profane tickers rank below clean ones');
+  console.log('✅ ranking is deterministic for a seed and orders by score');
+}
+
+async function testDistinctCandidates() {
+  const options = { model: 'stub', temperature: 0, timeoutMs: 1000 };
+  const generator = new TokenGenerator({ maxAttempts: 3, defaults: options, sources: {} });
+  generator.providers = [new StubProvider()];
+  const input = { source: 'twitter', text: 'A dog just barked at the full moon over the harbour tonight', authorName: 'a' };
+
+  const firstBatch = await generator.generateCandidates({ ...input, count: 3 });
+  assert.strictEqual(firstBatch.candidates.length, 3);
+  assert.strictEqual(new Set(firstBatch.candidates.map(c => c.ticker)).size, 3, 'candidates must be distinct');
+
+  const secondBatch = await generator.generateCandidates({ ...input, count: 3, exclude: firstBatch.candidates });
+  const firstTickers = new Set(firstBatch.candidates.map(c => c.ticker));
+  assert.ok(secondBatch.candidates.every(c => !firstTickers.has(c.ticker)), 'asking for more must not repeat earlier suggestions');
+  console.log('✅ candidate batches are distinct and skip earlier suggestions');
+}
+
+async function runTests() {
+  console.log('🧪 Testing candidate scoring and ranking');
+  console.log('=======================================');
+  testScores();
+  testRanking();
+  await testDistinctCandidates();
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ Candidate ranking tests passed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { buildSearchText, toSearchPattern, attributeLaunches, toEntry, buildLaunchPayload } = require('../src/services/generation/historyEntries');
+
+const WALLET = 'Wa11etPub1icKey';
+
+function row(overrides = {}) {
+  return {
+    id: 'entry-1',
+    kind: 'candidates',
+    source: 'twitter',
+    source_url: 'https://x.com/a/status/1',
+    candidates: [
+      { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.', suggestionId: 's1' },
+      { name: 'Lunar Pup', ticker: 'LPUP', description: 'A pup with lunar ambitions.', suggestionId: 's2' }
+    ],
+    image: 'https://pbs.twimg.com/media/a.jpg',
+    links: { twitter: 'https://x.com/a/status/1' },
+    language: 'en',
+    prompt_template_id: 'template-1',
+    suggestion_batch_id: 'batch-1',
+    metadata_version_id: null,
+    cached: false,
+    created_at: '2024-05-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+function testSearch() {
+  assert.strictEqual(
+    buildSearchText({ sourceUrl: 'https://x.com/a/status/1', candidates: [{ name: 'Moon Dog', ticker: 'MDOG', description: 'Woof.' }] }),
+    'https://x.com/a/status/1 moon dog mdog woof.'
+  );
+  assert.strictEqual(toSearchPattern(' Moon '), '%moon%');
+  assert.strictEqual(toSearchPattern('100%_pure'), '%100\\%\\_pure%', 'wildcards in the term are literal');
+  console.log('✅ history search covers names, tickers, descriptions and URLs');
+}
+
+function testOutcomes() {
+  const plain = toEntry(row());
+  assert.strictEqual(plain.chosen, null);
+  assert.strictEqual(plain.launched, false);
+  assert.deepStrictEqual(plain.candidates.map(c => c.index), [0, 1]);
+
+  const selected = toEntry(row(), { selectedSuggestionIds: new Set(['s2']) });
+  assert.deepStrictEqual(selected.chosen, { index: 1, via: 'selected' });
+
+  const token = { mint_address: 'Mint111', token_name: 'Moon Dog', token_symbol: 'mdog', status: 'confirmed', is_test: false, created_at: '2024-05-01T11:00:00.000Z' };
+  const launched = toEntry(row(), { launches: attributeLaunches([row()], { tokens: [token] }), selectedSuggestionIds: new Set(['s2']) });
+  assert.deepStrictEqual(launched.chosen, { index: 0, via: 'launch' }, 'a launch beats a selection');
+  assert.strictEqual(launched.launched, true);
+  assert.strictEqual(launched.createdToken.mint, 'Mint111');
+
+  const earlier = attributeLaunches([row()], { tokens: [{ ...token, created_at: '2024-04-30T00:00:00.000Z' }] });
+  assert.strictEqual(toEntry(row(), { launches: earlier }).launched, false, 'tokens launched before the generation do not count');
+
+  const version = toEntry(row({
+    kind: 'regenerate',
+    candidates: [{ name: 'Moon Dog', ticker: 'MDOG', description: 'x', metadataVersionId: 'v1' }]
+  }), { usedVersionIds: new Set(['v1']) });
+  assert.deepStrictEqual(version.chosen, { index: 0, via: 'version' });
+  console.log('✅ entries show the chosen candidate and whether it launched');
+}
+
+function testLaunchAttribution() {
+  const older = row({ id: 'older', created_at: '2024-05-01T09:00:00.000Z' });
+  const newer = row({ id: 'newer', created_at: '2024-05-01T10:30:00.000Z' });
+  const token = { mint_address: 'Mint111', token_symbol: '$MDOG', created_at: '2024-05-01T11:00:00.000Z' };
+
+  const byTicker = attributeLaunches([older], { tokens: [token], history: [older, newer] });
+  assert.strictEqual(byTicker.size, 0, 'a later entry on another page offered the ticker, so it gets the credit');
+  assert.deepStrictEqual(attributeLaunches([older, newer], { tokens: [token] }).get('newer'), { token, index: 0 });
+
+  const regenerated = row({
+    id: 'regenerated',
+    kind: 'regenerate',
+    created_at: '2024-05-01T08:00:00.000Z',
+    candidates: [{ name: 'Moon Dog', ticker: 'MDOG', description: 'x', metadataVersionId: 'v1' }]
+  });
+  const byVersion = attributeLaunches([regenerated, older, newer], {
+    tokens: [token],
+    versionOfMint: new Map([['Mint111', 'v1']])
+  });
+  assert.deepStrictEqual([...byVersion.keys()], ['regenerated'], 'a launch built from a version goes to that version\'s entry only');
+  console.log('✅ each launch is credited to one entry, by metadata version where known');
+}
+
+function testLaunchPayload() {
+  const entry = toEntry(row({
+    candidates: [{ name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.', metadataVersionId: 'v1' }]
+  }));
+  const request = buildLaunchPayload(entry, 0, { publicKey: WALLET, amount: 0.5 });
+  assert.strictEqual(request.url, '/api/trade-local');
+  assert.strictEqual(request.imageUrl, 'https://pbs.twimg.com/media/a.jpg');
+  assert.strictEqual(request.fields.action, 'create');
+  assert.strictEqual(request.fields.publicKey, WALLET);
+  assert.strictEqual(request.fields.amount, 0.5);
+  assert.strictEqual(request.fields.metadataVersionId, 'v1');
+  assert.strictEqual(request.fields.promptTemplateId, 'template-1');
+  assert.deepStrictEqual(JSON.parse(request.fields.tokenMetadata), {
+    name: 'Moon Dog',
+    symbol: 'MDOG',
+    description: 'The dog that barked at the moon.',
+    twitter: 'https://x.com/a/status/1'
+  });
+  console.log('✅ "launch this" fills in the trade-local create request');
+}
+
+testSearch();
+testOutcomes();
+testLaunchAttribution();
+testLaunchPayload();
+console.log('\nAll generation history tests passed');
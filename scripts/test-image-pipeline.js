@@ -0,0 +1,225 @@
+const assert = require('assert');
+const http = require('http');
+const { Jimp } = require('jimp');
+const {
+  ImagePipeline,
+  ImageError,
+  sniffFormat,
+  readDimensions,
+  decodeDataUrl
+} = require('../src/services/media/imagePipeline');
+const { LogoComposer, validatePresets } = require('../src/services/media/logoComposer');
+const { ImageProxyService } = require('../src/services/media/imageProxy');
+
+const CONFIG = {
+  size: 512,
+  format: 'png',
+  maxBytes: 1024 * 1024,
+  maxInputBytes: 10 * 1024 * 1024,
+  maxInputPixels: 40 * 1000 * 1000,
+  webpQuality: 85
+};
+
+/**
+ * width x height image split into three vertical bands: red, green, blue
+ */
+function bands(width, height) {
+  const image = new Jimp({ width, height, color: 0x000000ff });
+  image.scan(0, 0, width, height, (x, y, idx) => {
+    const band = Math.floor((x * 3) / width);
+    image.bitmap.data[idx + band] = 255;
+  });
+  return image;
+}
+
+function noise(width, height) {
+  const image = new Jimp({ width, height, color: 0x000000ff });
+  for (let i = 0; i < image.bitmap.data.length; i++) {
+    if (i % 4 !== 3) image.bitmap.data[i] = Math.floor(Math.random() * 256);
+  }
+  return image;
+}
+
+/**
+ * JPEG with an APP1 EXIF segment: orientation 6 (rotate 90° clockwise) and a marker string
+ * standing in for GPS data
+ */
+function withExif(jpeg) {
+  const tiff = Buffer.from([
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+    0x00, 0x01,
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00
+  ]);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff, Buffer.from('GPS 52.3676N 4.9041E', 'latin1')]);
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, payload, jpeg.subarray(2)]);
+}
+
+function intToRGBA(color) {
+  return { r: (color >>> 24) & 255, g: (color >>> 16) & 255, b: (color >>> 8) & 255 };
+}
+
+async function expectImageError(promise, errorCode) {
+  await assert.rejects(promise, error => error instanceof ImageError && error.errorCode === errorCode);
+}
+
+async function testSniffing() {
+  const image = bands(30, 20);
+  const png = await image.getBuffer('image/png');
+  const jpeg = await image.getBuffer('image/jpeg');
+  const gif = await image.getBuffer('image/gif');
+  const bmp = await image.getBuffer('image/bmp');
+  const webp = await new ImagePipeline(CONFIG).encodeWebp(image, 80);
+
+  assert.strictEqual(sniffFormat(png), 'png');
+  assert.strictEqual(sniffFormat(jpeg), 'jpeg');
+  assert.strictEqual(sniffFormat(gif), 'gif');
+  assert.strictEqual(sniffFormat(bmp), 'bmp');
+  assert.strictEqual(sniffFormat(webp), 'webp');
+  assert.strictEqual(sniffFormat(Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'svg');
+  assert.strictEqual(sniffFormat(Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic')), 'heic');
+  assert.strictEqual(sniffFormat(Buffer.from('definitely not an image')), null);
+
+  for (const [format, buffer] of Object.entries({ png, jpeg, gif, bmp, webp })) {
+    assert.deepStrictEqual(readDimensions(buffer, format), { width: 30, height: 20 }, `${format} header dimensions`);
+  }
+  console.log('✅ formats are sniffed from magic bytes and sized from headers');
+}
+
+async function testDataUrls() {
+  const bytes = Buffer.from('hello');
+  assert.deepStrictEqual(decodeDataUrl(`data:image/png;base64,${bytes.toString('base64')}`), bytes);
+  assert.deepStrictEqual(decodeDataUrl(bytes.toString('base64')), bytes, 'bare base64 is accepted');
+  assert.throws(() => decodeDataUrl('data:image/png;base64,not base64!'), error => error.errorCode === 'INVALID_IMAGE');
+  assert.throws(() => decodeDataUrl(''), error => error.errorCode === 'INVALID_IMAGE');
+  console.log('✅ base64 data URLs are decoded and validated');
+}
+
+async function testNormalizing() {
+  const pipeline = new ImagePipeline(CONFIG);
+
+  // 300x100: only the middle (green) band survives a center crop
+  const result = await pipeline.process(await bands(300, 100).getBuffer('image/jpeg'));
+  assert.strictEqual(result.format, 'png');
+  assert.strictEqual(result.mime, 'image/png');
+  assert.strictEqual(result.filename, 'token.png');
+  assert.strictEqual(sniffFormat(result.buffer), 'png', 'output is really a PNG');
+  assert.deepStrictEqual(readDimensions(result.buffer, 'png'), { width: 512, height: 512 });
+  assert.deepStrictEqual(result.source, { format: 'jpeg', width: 300, height: 100 });
+  const output = await Jimp.fromBuffer(result.buffer);
+  for (const [x, y] of [[5, 5], [256, 256], [506, 506]]) {
+    const { r, g, b } = intToRGBA(output.getPixelColor(x, y));
+    assert.ok(g > 200 && r < 60 && b < 60, `pixel ${x},${y} comes from the center band`);
+  }
+
+  // EXIF orientation is applied, then every byte of metadata is gone
+  const exifJpeg = withExif(await bands(200, 100).getBuffer('image/jpeg'));
+  const cleaned = await pipeline.process(exifJpeg);
+  assert.deepStrictEqual(cleaned.source, { format: 'jpeg', width: 100, height: 200 }, 'rotated by EXIF orientation');
+  assert.ok(!cleaned.buffer.includes('Exif') && !cleaned.buffer.includes('GPS 52.3676N'), 'EXIF/GPS stripped');
+
+  const fromWebp = await pipeline.process(await pipeline.encodeWebp(bands(64, 64), 90));
+  assert.strictEqual(fromWebp.source.format, 'webp');
+  assert.strictEqual(fromWebp.format, 'png');
+
+  const webpOut = await new ImagePipeline({ ...CONFIG, format: 'webp' }).process(await bands(64, 64).getBuffer('image/png'));
+  assert.strictEqual(sniffFormat(webpOut.buffer), 'webp');
+  assert.strictEqual(webpOut.filename, 'token.webp');
+  console.log('✅ images are center-cropped, resized, stripped of metadata and re-encoded');
+}
+
+async function testSizeBudget() {
+  const input = await noise(512, 512).getBuffer('image/png');
+  const tight = await new ImagePipeline({ ...CONFIG, maxBytes: 200 * 1024 }).process(input);
+  assert.ok(tight.bytes <= 200 * 1024, 'fits the byte budget');
+  assert.strictEqual(tight.format, 'webp', 'noise only fits as lossy WebP');
+
+  await expectImageError(new ImagePipeline({ ...CONFIG, maxBytes: 1000 }).process(input), 'IMAGE_TOO_LARGE');
+  console.log('✅ oversized logos fall back to smaller encodings or are refused');
+}
+
+async function testRejections() {
+  const pipeline = new ImagePipeline(CONFIG);
+  await expectImageError(pipeline.process(Buffer.alloc(0)), 'INVALID_IMAGE');
+  await expectImageError(pipeline.process(Buffer.from('%PDF-1.7 this is a document, not a logo')), 'INVALID_IMAGE');
+  await expectImageError(pipeline.process(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'UNSUPPORTED_IMAGE_FORMAT');
+
+  // A valid PNG signature in front of garbage
+  const png = await bands(30, 20).getBuffer('image/png');
+  await expectImageError(pipeline.process(Buffer.concat([png.subarray(0, 40), Buffer.alloc(200, 7)])), 'INVALID_IMAGE');
+
+  // A header claiming 100000x100000 is refused before any decoding
+  const bomb = Buffer.from(png);
+  bomb.writeUInt32BE(100000, 16);
+  bomb.writeUInt32BE(100000, 20);
+  await expectImageError(pipeline.process(bomb), 'IMAGE_TOO_LARGE');
+
+  await expectImageError(new ImagePipeline({ ...CONFIG, maxInputBytes: 100 }).process(png), 'IMAGE_TOO_LARGE');
+  console.log('✅ non-images, unsupported formats and oversized input are rejected');
+}
+
+async function testComposer() {
+  const composer = new LogoComposer(new ImagePipeline(CONFIG));
+  const source = await bands(900, 600).getBuffer('image/jpeg');
+
+  assert.ok(composer.listPresets().some(preset => preset.id === 'caption'));
+  assert.throws(() => validatePresets({ broken: { label: 'Broken', shape: 'hexagon', layers: [] } }), /shape/);
+  assert.throws(
+    () => validatePresets({ broken: { label: 'Broken', shape: 'square', layers: [{ type: 'text', text: '{ticker}', position: 'bottom', fill: 'red' }] } }),
+    /colours/
+  );
+
+  const caption = await composer.compose({ image: source, ticker: '$doge', preset: 'caption' });
+  assert.strictEqual(caption.ticker, 'DOGE');
+  assert.deepStrictEqual(readDimensions(caption.buffer, caption.format), { width: 512, height: 512 });
+  const plain = await Jimp.fromBuffer((await composer.compose({ image: source, ticker: 'DOGE', preset: 'plain' })).buffer);
+  const stamped = await Jimp.fromBuffer(caption.buffer);
+  let changed = 0;
+  stamped.scan(0, 380, 512, 132, (x, y) => {
+    if (stamped.getPixelColor(x, y) !== plain.getPixelColor(x, y)) changed++;
+  });
+  assert.ok(changed > 2000, 'ticker is drawn along the bottom');
+
+  const coin = await Jimp.fromBuffer((await composer.compose({ image: source, ticker: 'DOGE', preset: 'coin' })).buffer);
+  assert.strictEqual(coin.getPixelColor(2, 2) & 0xff, 0, 'corners outside the circle are transparent');
+  assert.strictEqual(coin.getPixelColor(256, 256) & 0xff, 255);
+
+  await expectImageError(composer.compose({ image: source, ticker: 'DOGE', preset: 'nope' }), 'UNKNOWN_PRESET');
+  await expectImageError(composer.compose({ image: source, ticker: 'TOO LONG TICKER' }), 'INVALID_TICKER');
+  console.log('✅ logos are composed from data-defined presets');
+}
+
+async function testProxyStaysPublic() {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'image/png');
+    res.end('not really a png');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+  const proxy = new ImageProxyService();
+  try {
+    for (const url of [`http://127.0.0.1:${port}/a.png`, `http://localhost:${port}/a.png`, `http://[::ffff:127.0.0.1]:${port}/a.png`]) {
+      await assert.rejects(proxy.fetchImage(url), /not a public address/, url);
+    }
+  } finally {
+    server.close();
+  }
+  console.log('✅ image URLs on private addresses are never fetched');
+}
+
+(async () => {
+  await testSniffing();
+  await testDataUrls();
+  await testNormalizing();
+  await testSizeBudget();
+  await testRejections();
+  await testComposer();
+  await testProxyStaysPublic();
+  console.log('\nAll image pipeline tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
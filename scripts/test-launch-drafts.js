@@ -0,0 +1,129 @@
+const assert = require('assert');
+const { Jimp } = require('jimp');
+const { validateDraftFields, buildDraftLaunchRequest } = require('../src/services/launch/draftFields');
+const { renderPreviewPage, escapeHtml } = require('../src/services/launch/draftPreview');
+const { PreviewCard, WIDTH, HEIGHT } = require('../src/services/media/previewCard');
+
+const WALLET = 'Wa11etPub1icKey';
+
+function draft(overrides = {}) {
+  return {
+    id: '9b2f4c1e-6a3d-4e8b-9c0f-1a2b3c4d5e6f',
+    publicKey: WALLET,
+    shareId: 'AbCdEfGhIjKlMnOp',
+    status: 'draft',
+    name: 'Moon Dog',
+    symbol: 'MDOG',
+    description: 'The dog that barked at the moon.',
+    twitter: 'https://x.com/moondog',
+    telegram: null,
+    website: null,
+    amount: 0.5,
+    slippage: 15,
+    pool: 'pump',
+    metadataVersionId: null,
+    promptTemplateId: '0f1e2d3c-4b5a-4968-8776-655443322110',
+    mint: null,
+    image: null,
+    updatedAt: '2024-05-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+function testValidation() {
+  const { errors, value } = validateDraftFields({ name: ' Moon Dog ', symbol: '$mdog', amount: '0.5', twitter: 'https://x.com/moondog' });
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(value, {
+    name: 'Moon Dog',
+    symbol: 'MDOG',
+    twitter: 'https://x.com/moondog',
+    amount: 0.5,
+    description: '',
+    slippage: 10,
+    pool: 'pump'
+  });
+
+  const missing = validateDraftFields({ description: 'No name' });
+  assert.deepStrictEqual(missing.errors, ['name is required', 'symbol is required']);
+
+  const bad = validateDraftFields({
+    name: 'x'.repeat(33),
+    symbol: 'TOO-LONG-TICKER',
+    website: 'javascript:alert(1)',
+    amount: -1,
+    slippage: 'lots',
+    pool: 'raydium',
+    promptTemplateId: 'nope'
+  });
+  assert.strictEqual(bad.errors.length, 7, bad.errors.join('; '));
+
+  const partial = validateDraftFields({ description: 'Updated', telegram: '' }, { partial: true });
+  assert.deepStrictEqual(partial, { errors: [], value: { description: 'Updated', telegram: null } }, 'updates only touch the fields sent');
+  assert.deepStrictEqual(validateDraftFields({ name: '' }, { partial: true }).errors, ['name is required'], 'name cannot be cleared');
+  console.log('✅ draft fields are validated and normalized');
+}
+
+function testLaunchRequest() {
+  const request = buildDraftLaunchRequest(draft({ image: 'data:image/png;base64,AAAA' }));
+  assert.strictEqual(request.url, '/api/trade-local');
+  assert.strictEqual(request.image, 'data:image/png;base64,AAAA');
+  assert.strictEqual(request.fields.publicKey, WALLET);
+  assert.strictEqual(request.fields.amount, 0.5);
+  assert.strictEqual(request.fields.slippage, 15);
+  assert.strictEqual(request.fields.pool, 'pump');
+  assert.strictEqual(request.fields.draftId, '9b2f4c1e-6a3d-4e8b-9c0f-1a2b3c4d5e6f');
+  assert.strictEqual(request.fields.promptTemplateId, '0f1e2d3c-4b5a-4968-8776-655443322110');
+  assert.ok(!('metadataVersionId' in request.fields));
+  assert.deepStrictEqual(JSON.parse(request.fields.tokenMetadata), {
+    name: 'Moon Dog',
+    symbol: 'MDOG',
+    description: 'The dog that barked at the moon.',
+    twitter: 'https://x.com/moondog'
+  });
+  console.log('✅ drafts launch with their own amount, slippage, pool and draftId');
+}
+
+function testPreviewPage() {
+  assert.strictEqual(escapeHtml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+  const html = renderPreviewPage(draft({ name: '<script>alert(1)</script>' }), {
+    pageUrl: 'https://api.example.com/drafts/AbCdEfGhIjKlMnOp',
+    cardUrl: 'https://api.example.com/api/drafts/shared/AbCdEfGhIjKlMnOp/card.png'
+  });
+  assert.ok(!html.includes('<script>'), 'draft text is escaped');
+  assert.ok(html.includes('<meta property="og:image" content="https://api.example.com/api/drafts/shared/AbCdEfGhIjKlMnOp/card.png">'));
+  assert.ok(html.includes('<meta name="twitter:card" content="summary_large_image">'));
+  assert.ok(html.includes('<meta name="robots" content="noindex">'));
+  assert.ok(html.includes('not launched yet'));
+
+  const launched = renderPreviewPage(draft({ status: 'launched', mint: 'Mint111' }), { pageUrl: 'p', cardUrl: 'c' });
+  assert.ok(launched.includes('<code>Mint111</code>'));
+  console.log('✅ preview pages carry escaped Open Graph tags');
+}
+
+async function testPreviewCard() {
+  const logo = new Jimp({ width: 64, height: 64, color: 0xff0000ff });
+  const image = `data:image/png;base64,${(await logo.getBuffer('image/png')).toString('base64')}`;
+  const cards = new PreviewCard();
+
+  const buffer = await cards.render(draft({ image }));
+  const card = await Jimp.fromBuffer(buffer);
+  assert.strictEqual(card.bitmap.width, WIDTH);
+  assert.strictEqual(card.bitmap.height, HEIGHT);
+  assert.strictEqual(card.getPixelColor(200, 315), 0xff0000ff, 'logo is drawn on the left');
+  assert.strictEqual(await cards.render(draft({ image })), buffer, 'cards are cached until the draft changes');
+
+  const placeholder = await Jimp.fromBuffer(await cards.render(draft({ image: 'data:image/png;base64,AAAA', updatedAt: 'later' })));
+  assert.notStrictEqual(placeholder.getPixelColor(200, 315), 0xff0000ff, 'an unreadable logo falls back to a placeholder');
+  console.log('✅ preview cards render at 1200x630');
+}
+
+(async () => {
+  testValidation();
+  testLaunchRequest();
+  testPreviewPage();
+  await testPreviewCard();
+  console.log('\nAll launch draft tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
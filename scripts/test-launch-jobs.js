@@ -0,0 +1,122 @@
+const assert = require('assert');
+const {
+  LAUNCH_JOB_STATES,
+  TERMINAL_STATES,
+  canTransition,
+  serializeError,
+  buildTransitionUpdate,
+  isStalePresend,
+  settleDecision
+} = require('../src/services/launch/launchJobRules');
+
+const NOW = Date.parse('2024-05-01T10:10:00.000Z');
+const minutesAgo = minutes => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+function job(overrides = {}) {
+  return {
+    id: '5a4b3c2d-1e0f-4a9b-8c7d-6e5f4a3b2c1d',
+    state: 'sent',
+    tx_signature: '5igSig',
+    last_valid_block_height: 1000,
+    nonce_account: null,
+    nonce_closed_at: null,
+    scheduled_for: null,
+    transitions: [{ from: null, to: 'draft', at: minutesAgo(10) }],
+    timing: { ipfsUpload: 800 },
+    updated_at: minutesAgo(1),
+    ...overrides
+  };
+}
+
+function testTransitions() {
+  const path = ['draft', 'metadata_uploaded', 'tx_built', 'sent', 'confirmed'];
+  for (let i = 0; i < path.length - 1; i++) {
+    assert.ok(canTransition(path[i], path[i + 1]), `${path[i]} -> ${path[i + 1]}`);
+    for (let j = 0; j < i; j++) {
+      assert.ok(!canTransition(path[i], path[j]), `${path[i]} -> ${path[j]} goes backwards`);
+    }
+  }
+  assert.ok(!canTransition('draft', 'sent'), 'steps cannot be skipped');
+  assert.ok(!canTransition('tx_built', 'confirmed'));
+
+  for (const state of ['draft', 'metadata_uploaded', 'tx_built', 'sent']) {
+    assert.ok(canTransition(state, 'failed') && canTransition(state, 'expired'), `${state} can fail or expire`);
+  }
+  assert.ok(canTransition('tx_built', 'cancelled'));
+  assert.ok(!canTransition('sent', 'cancelled'), 'a sent transaction cannot be cancelled');
+
+  for (const state of TERMINAL_STATES) {
+    assert.ok(LAUNCH_JOB_STATES.every(to => !canTransition(state, to)), `${state} is final`);
+  }
+  assert.ok(!canTransition('unknown', 'failed'));
+  console.log('✅ jobs only move forward and terminal states are final');
+}
+
+function testTransitionUpdate() {
+  const at = '2024-05-01T10:10:00.000Z';
+  const update = buildTransitionUpdate(job({ state: 'tx_built' }), 'sent', {
+    fields: { tx_signature: 'abc' },
+    timing: { send: 300 },
+    at
+  });
+  assert.deepStrictEqual(update, {
+    tx_signature: 'abc',
+    state: 'sent',
+    transitions: [{ from: null, to: 'draft', at: minutesAgo(10) }, { from: 'tx_built', to: 'sent', at }],
+    updated_at: at,
+    timing: { ipfsUpload: 800, send: 300 }
+  });
+
+  const error = Object.assign(new Error('PumpPortal returned 500'), { response: { status: 500 }, errorCode: 'BUILD_FAILED' });
+  const failed = buildTransitionUpdate(job({ state: 'metadata_uploaded' }), 'failed', { error, at });
+  const expected = { message: 'PumpPortal returned 500', code: 'BUILD_FAILED', status: 500 };
+  assert.deepStrictEqual(failed.error, expected);
+  assert.deepStrictEqual(failed.transitions[1], { from: 'metadata_uploaded', to: 'failed', at, error: expected });
+  assert.ok(!('timing' in failed));
+
+  assert.deepStrictEqual(serializeError('timed out'), { message: 'timed out' });
+  assert.strictEqual(serializeError(null), null);
+  assert.deepStrictEqual(serializeError({ message: 'bad', details: { field: 'name' } }).details, { field: 'name' });
+  console.log('✅ transitions append to the timeline with timing and error details');
+}
+
+function testStalePresend() {
+  assert.ok(isStalePresend(job({ state: 'tx_built', updated_at: minutesAgo(3) }), NOW));
+  assert.ok(!isStalePresend(job({ state: 'tx_built', updated_at: minutesAgo(1) }), NOW), 'the client may still be signing');
+  assert.ok(!isStalePresend(job({ state: 'sent', updated_at: minutesAgo(30) }), NOW), 'sent jobs are settled, not expired');
+  assert.ok(!isStalePresend(job({ state: 'draft', updated_at: minutesAgo(30), scheduled_for: minutesAgo(-60) }), NOW), 'scheduled launches wait');
+  assert.ok(!isStalePresend(job({ state: 'failed', updated_at: minutesAgo(30) }), NOW));
+  console.log('✅ only stale jobs stopped before sending are expired');
+}
+
+function testSettleDecision() {
+  const decide = (overrides, status, blockHeight = 900) => settleDecision(job(overrides), status, { blockHeight, now: NOW });
+
+  assert.strictEqual(decide({}, { err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'confirmed' }), 'failed');
+  assert.strictEqual(decide({}, { err: null, confirmationStatus: 'confirmed' }), 'confirmed');
+  assert.strictEqual(decide({}, { err: null, confirmationStatus: 'finalized' }), 'confirmed');
+  assert.strictEqual(decide({}, { err: null, confirmationStatus: 'processed' }, 2000), 'wait', 'a processed transaction is still landing');
+
+  assert.strictEqual(decide({}, null, 900), 'wait', 'the blockhash is still valid');
+  assert.strictEqual(decide({}, null, 1001), 'blockhash_expired');
+  assert.strictEqual(decide({ last_valid_block_height: null, updated_at: minutesAgo(4) }, null), 'wait');
+  assert.strictEqual(decide({ last_valid_block_height: null, updated_at: minutesAgo(6) }, null), 'blockhash_expired', 'falls back to age');
+
+  const scheduled = { nonce_account: 'Nonce111', last_valid_block_height: null };
+  assert.strictEqual(decide({ ...scheduled, updated_at: minutesAgo(4) }, null), 'wait');
+  assert.strictEqual(decide({ ...scheduled, updated_at: minutesAgo(6) }, null), 'close_nonce', 'the nonce is closed before expiring');
+  assert.strictEqual(decide({ ...scheduled, nonce_closed_at: minutesAgo(0) }, null), 'nonce_closed', 'a closed nonce expires at once');
+  assert.strictEqual(decide({ ...scheduled, nonce_closed_at: minutesAgo(0) }, { err: null, confirmationStatus: 'confirmed' }), 'confirmed', 'it landed before the close');
+  console.log('✅ sent jobs settle from their signature status, blockhash and nonce');
+}
+
+try {
+  testTransitions();
+  testTransitionUpdate();
+  testStalePresend();
+  testSettleDecision();
+  console.log('\nAll launch job tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
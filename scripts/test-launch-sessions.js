@@ -0,0 +1,155 @@
+const assert = require('assert');
+const {
+  Keypair,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const { LaunchSessionStore, serializeForClient } = require('../src/services/launch/launchSessions');
+
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+/**
+ * A create-style transaction: paid for by the wallet, co-signed by a mint keypair the server holds
+ */
+function legacyTransaction(wallet, mint, lamports = 1000) {
+  const tx = new Transaction({ feePayer: wallet.publicKey, recentBlockhash: BLOCKHASH });
+  tx.add(SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: mint.publicKey, lamports }));
+  tx.add(SystemProgram.transfer({ fromPubkey: mint.publicKey, toPubkey: wallet.publicKey, lamports: 1 }));
+  return tx;
+}
+
+function versionedTransaction(wallet, mint, lamports = 1000) {
+  const message = new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: BLOCKHASH,
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: mint.publicKey, lamports }),
+      SystemProgram.transfer({ fromPubkey: mint.publicKey, toPubkey: wallet.publicKey, lamports: 1 })
+    ]
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+function issue(store, tx, wallet) {
+  return store.create({ kind: 'create', action: 'create', publicKey: wallet.publicKey.toBase58(), tx });
+}
+
+function rejects(store, session, signed, errorCode) {
+  assert.throws(() => store.verifySignedTransaction(session, signed), error => error.errorCode === errorCode);
+}
+
+function testLegacy() {
+  const store = new LaunchSessionStore();
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate();
+
+  const issued = legacyTransaction(wallet, mint);
+  issued.partialSign(mint);
+  const session = issue(store, issued, wallet);
+  assert.deepStrictEqual(session.expectedSigners, [wallet.publicKey.toBase58(), mint.publicKey.toBase58()]);
+
+  const unsigned = serializeForClient(issued);
+  rejects(store, session, unsigned, 'INVALID_SIGNATURE');
+
+  const signed = Transaction.from(Buffer.from(unsigned, 'base64'));
+  signed.partialSign(wallet);
+  const verified = store.verifySignedTransaction(session, signed.serialize().toString('base64'));
+  assert.ok(verified instanceof Transaction);
+
+  const changed = legacyTransaction(wallet, mint, 2000);
+  changed.sign(wallet, mint);
+  rejects(store, session, changed.serialize().toString('base64'), 'MESSAGE_MISMATCH');
+
+  const other = Keypair.generate();
+  const extra = legacyTransaction(wallet, mint);
+  extra.add(SystemProgram.transfer({ fromPubkey: other.publicKey, toPubkey: wallet.publicKey, lamports: 1 }));
+  extra.sign(wallet, mint, other);
+  rejects(store, session, extra.serialize().toString('base64'), 'MESSAGE_MISMATCH');
+
+  // A wallet signature over some other message is not a signature over this one
+  const forged = Transaction.from(Buffer.from(unsigned, 'base64'));
+  forged.addSignature(wallet.publicKey, Buffer.from(changed.signatures[0].signature));
+  rejects(store, session, forged.serialize({ verifySignatures: false }).toString('base64'), 'INVALID_SIGNATURE');
+
+  rejects(store, session, Buffer.from('not a transaction').toString('base64'), 'INVALID_TRANSACTION');
+  console.log('✅ legacy transactions must match the issued message and carry every signature');
+}
+
+function testVersioned() {
+  const store = new LaunchSessionStore();
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate();
+
+  const issued = versionedTransaction(wallet, mint);
+  issued.sign([mint]);
+  const session = issue(store, issued, wallet);
+  assert.strictEqual(session.versioned, true);
+
+  const unsigned = serializeForClient(issued);
+  rejects(store, session, unsigned, 'INVALID_SIGNATURE');
+
+  const signed = VersionedTransaction.deserialize(Buffer.from(unsigned, 'base64'));
+  signed.sign([wallet]);
+  const verified = store.verifySignedTransaction(session, Buffer.from(signed.serialize()).toString('base64'));
+  assert.ok(verified instanceof VersionedTransaction);
+
+  const changed = versionedTransaction(wallet, mint, 2000);
+  changed.sign([wallet, mint]);
+  rejects(store, session, Buffer.from(changed.serialize()).toString('base64'), 'MESSAGE_MISMATCH');
+
+  const tampered = VersionedTransaction.deserialize(signed.serialize());
+  tampered.signatures[0] = new Uint8Array(changed.signatures[0]);
+  rejects(store, session, Buffer.from(tampered.serialize()).toString('base64'), 'INVALID_SIGNATURE');
+  console.log('✅ versioned transactions are checked the same way');
+}
+
+function testSigners() {
+  const store = new LaunchSessionStore();
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate();
+  const stranger = Keypair.generate();
+
+  const issued = legacyTransaction(wallet, mint);
+  assert.throws(
+    () => store.create({ kind: 'create', action: 'create', publicKey: stranger.publicKey.toBase58(), tx: issued }),
+    error => error.errorCode === 'SIGNER_MISMATCH'
+  );
+
+  const session = issue(store, issued, wallet);
+  issued.sign(wallet, mint);
+  const signed = issued.serialize().toString('base64');
+  const missingSigner = { ...session, expectedSigners: [wallet.publicKey.toBase58()] };
+  rejects(store, missingSigner, signed, 'SIGNER_MISMATCH');
+  const extraSigner = { ...session, expectedSigners: [...session.expectedSigners, stranger.publicKey.toBase58()] };
+  rejects(store, extraSigner, signed, 'SIGNER_MISMATCH');
+  console.log('✅ the signer set must be exactly the issued one');
+}
+
+function testExpiry() {
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate();
+
+  const live = new LaunchSessionStore();
+  const session = issue(live, legacyTransaction(wallet, mint), wallet);
+  assert.strictEqual(live.get(session.id), session);
+  live.consume(session.id);
+  assert.strictEqual(live.get(session.id), null, 'consumed sessions cannot be replayed');
+
+  const expired = new LaunchSessionStore(-1);
+  const stale = issue(expired, legacyTransaction(wallet, mint), wallet);
+  assert.strictEqual(expired.get(stale.id), null, 'expired sessions are pruned');
+  console.log('✅ sessions expire and are consumed on submit');
+}
+
+try {
+  testLegacy();
+  testVersioned();
+  testSigners();
+  testExpiry();
+  console.log('\nAll launch session tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const { findPrice, estimateCost, countUsage, summarizeUsage, IMAGE_TOKENS } = require('../src/services/usage/usageCost');
+const { DEFAULT_PRICES, getUsageConfig } = require('../src/config/usage');
+const { TokenGenerator } = require('../src/services/generation/tokenGenerator');
+const { GenerationError } = require('../src/services/generation/validation');
+const { logger } = require('../src/utils/logger');
+
+logger.setLevel('silent');
+
+const VALID = { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' };
+
+function testPricing() {
+  assert.strictEqual(findPrice('gpt-4o-2024-08-06', DEFAULT_PRICES), DEFAULT_PRICES['gpt-4o'], 'dated snapshots use the family price');
+  assert.strictEqual(findPrice('gpt-4o-mini', DEFAULT_PRICES), DEFAULT_PRICES['gpt-4o-mini'], 'the longest prefix wins');
+  assert.strictEqual(findPrice('gpt-4-0613', DEFAULT_PRICES), DEFAULT_PRICES['gpt-4']);
+  assert.strictEqual(findPrice('llama-3-70b', DEFAULT_PRICES), null);
+
+  assert.strictEqual(estimateCost('gpt-4', { promptTokens: 1000, completionTokens: 500 }, DEFAULT_PRICES), 0.06);
+  assert.strictEqual(estimateCost('stub', { promptTokens: 1000, completionTokens: 500 }, DEFAULT_PRICES), 0);
+  assert.strictEqual(estimateCost('llama-3-70b', { promptTokens: 1000, completionTokens: 500 }, DEFAULT_PRICES), null);
+  console.log('✅ costs come from per-model prices, matched by prefix');
+}
+
+function testCounting() {
+  assert.deepStrictEqual(
+    countUsage({ usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 } }),
+    { promptTokens: 120, completionTokens: 30, totalTokens: 150, estimated: false }
+  );
+
+  const messages = [
+    { role: 'system', content: 'x'.repeat(40) },
+    { role: 'user', content: [{ type: 'text', text: 'y'.repeat(8) }, { type: 'image_url', image_url: { url: 'data:' } }] }
+  ];
+  assert.deepStrictEqual(
+    countUsage({ usage: null, messages, content: 'z'.repeat(21) }),
+    { promptTokens: 10 + 2 + IMAGE_TOKENS, completionTokens: 6, totalTokens: 18 + IMAGE_TOKENS, estimated: true },
+    'providers without usage are estimated from the text'
+  );
+  console.log('✅ token counts use provider usage or an estimate');
+}
+
+function testReport() {
+  const row = (usage_date, source, account_id, total_tokens, cost_usd, unpriced_calls = 0) => ({
+    usage_date, source, account_type: 'wallet', account_id, calls: 2, prompt_tokens: total_tokens - 10, completion_tokens: 10, total_tokens, cost_usd, unpriced_calls
+  });
+  const report = summarizeUsage([
+    row('2024-05-02', 'twitter', 'walletA', 500, '0.030000'),
+    row('2024-05-01', 'twitter', 'walletB', 300, '0.010000'),
+    row('2024-05-01', 'reddit', 'walletA', 100, null, 2)
+  ]);
+  assert.deepStrictEqual(report.totals, { calls: 6, promptTokens: 870, completionTokens: 30, totalTokens: 900, costUsd: 0.04, unpricedCalls: 2 });
+  assert.deepStrictEqual(report.byDay.map(d => [d.day, d.totalTokens]), [['2024-05-01', 400], ['2024-05-02', 500]]);
+  assert.deepStrictEqual(report.bySource.map(s => [s.source, s.costUsd]), [['twitter', 0.04], ['reddit', 0]]);
+  assert.deepStrictEqual(report.byAccount.map(a => [a.accountId, a.totalTokens]), [['walletA', 600], ['walletB', 300]]);
+  console.log('✅ usage report sums spend by day, source and account');
+}
+
+function generatorWith(provider) {
+  const generator = new TokenGenerator({ maxAttempts: 2, defaults: { model: 'test', temperature: 0, timeoutMs: 1000 }, sources: {} });
+  generator.providers = [provider];
+  return generator;
+}
+
+async function testMetering() {
+  const responses = ['not json', JSON.stringify(VALID)];
+  const provider = {
+    name: 'scripted',
+    async complete() {
+      return { content: responses.shift(), provider: 'scripted', model: 'gpt-4-0613', usage: { prompt_tokens: 50, completion_tokens: 20, total_tokens: 70 } };
+    }
+  };
+  const recorded = [];
+  let checks = 0;
+  const generator = generatorWith(provider);
+  generator.useUsageMeter({
+    async assertWithinQuota() {
+      checks++;
+    },
+    async record(call) {
+      recorded.push(call);
+    }
+  });
+
+  await generator.generate({ source: 'twitter', text: 'moon dog', authorName: 'a' });
+  assert.strictEqual(checks, 2, 'the quota is checked before every call');
+  assert.deepStrictEqual(
+    recorded.map(call => [call.source, call.operation, call.model, call.usage.total_tokens]),
+    [['twitter', 'generate', 'gpt-4-0613', 70], ['twitter', 'generate', 'gpt-4-0613', 70]],
+    'repair attempts are metered too'
+  );
+  assert.ok(recorded[1].messages.length > recorded[0].messages.length, 'the prompt as sent is recorded');
+
+  let called = false;
+  const blocked = generatorWith({
+    name: 'scripted',
+    async complete() {
+      called = true;
+      return { content: JSON.stringify(VALID) };
+    }
+  });
+  blocked.useUsageMeter({
+    async assertWithinQuota() {
+      throw new GenerationError('Daily LLM quota of 10 tokens used up', 'QUOTA_EXCEEDED', 429, { quota: { limit: 10, used: 12 } });
+    },
+    async record() {}
+  });
+  await assert.rejects(
+    blocked.generate({ source: 'twitter', text: 'moon dog', authorName: 'a' }),
+    error => error.errorCode === 'QUOTA_EXCEEDED' && error.status === 429
+  );
+  assert.strictEqual(called, false, 'no provider is called once the quota is used up');
+
+  const failing = generatorWith({
+    name: 'scripted',
+    async complete() {
+      return { content: JSON.stringify(VALID), provider: 'scripted', model: 'test', usage: null };
+    }
+  });
+  failing.useUsageMeter({
+    async assertWithinQuota() {},
+    async record() {
+      throw new Error('connection refused');
+    }
+  });
+  const result = await failing.generate({ source: 'twitter', text: 'moon dog', authorName: 'a' });
+  assert.strictEqual(result.tokenData.ticker, 'MDOG', 'a failed usage write does not fail generation');
+  console.log('✅ every completion is metered and quotas stop calls before they are made');
+}
+
+function testTrustProxy() {
+  const readWith = (value) => {
+    process.env.TRUST_PROXY = value;
+    return getUsageConfig().trustProxy;
+  };
+  try {
+    assert.strictEqual(readWith(''), false, 'nothing is trusted by default');
+    assert.strictEqual(readWith('false'), false);
+    assert.strictEqual(readWith('true'), true);
+    assert.strictEqual(readWith('1'), 1, 'a hop count');
+    assert.strictEqual(readWith('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+  } finally {
+    delete process.env.TRUST_PROXY;
+  }
+  console.log('✅ TRUST_PROXY maps onto Express\'s trust proxy setting');
+}
+
+(async () => {
+  testPricing();
+  testTrustProxy();
+  testCounting();
+  testReport();
+  await testMetering();
+  console.log('\nAll LLM usage tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+const assert = require('assert');
+const { Keypair } = require('@solana/web3.js');
+
+// Secrets must be in the environment before the redaction layer snapshots it
+process.env.HELIUS_API_KEY = 'helius-test-key-0123456789';
+process.env.SUPABASE_KEY = 'supabase-service-role-key-abcdef';
+
+const { Logger, requestContext } = require('../src/utils/logger');
+
+const wallet = Keypair.generate();
+const mint = Keypair.generate();
+const secretKeyJson = JSON.stringify(Array.from(wallet.secretKey));
+const mintSecretKeyJson = JSON.stringify(Array.from(mint.secretKey));
+const adminApiKey = 'blzr_1a2b3c4d_00112233445566778899aabbccddeeff0011223344556677';
+const bearerToken = 'eyJzdWIiOiJ3YWxsZXQifQ.c2lnbmF0dXJl';
+
+const FORBIDDEN = [
+  secretKeyJson,
+  mintSecretKeyJson,
+  Array.from(wallet.secretKey).join(','),
+  adminApiKey,
+  bearerToken,
+  process.env.HELIUS_API_KEY,
+  process.env.SUPABASE_KEY
+];
+
+function captureLogger(level = 'debug') {
+  const lines = [];
+  const logger = new Logger({ level, write: (line) => lines.push(line) });
+  return { logger, lines };
+}
+
+function assertClean(lines, label) {
+  const output = lines.join('\n');
+  for (const secret of FORBIDDEN) {
+    assert.ok(!output.includes(secret), `${label}: secret leaked into log output: ${secret.slice(0, 20)}...`);
+  }
+  console.log(`✅ ${label}`);
+}
+
+function testTradeLocalBody() {
+  const { logger, lines } = captureLogger();
+  logger.child('PumpPortal').info('Incoming trade-local request', {
+    publicKey: wallet.publicKey.toBase58(),
+    action: 'create',
+    secretKey: secretKeyJson,
+    mintSecretKey: mintSecretKeyJson,
+    parsed: { secretKey: Array.from(wallet.secretKey), mintSecretKey: Array.from(mint.secretKey) }
+  });
+  assertClean(lines, 'trade-local body keys are redacted');
+  assert.ok(lines[0].includes(wallet.publicKey.toBase58()), 'public key should still be logged');
+}
+
+function testBareSecretKeyArray() {
+  const { logger, lines } = captureLogger();
+  logger.info('Parsed keys', { keys: [Array.from(wallet.secretKey)] });
+  logger.info('Serialized body', JSON.stringify({ secretKey: Array.from(wallet.secretKey) }));
+  assertClean(lines, 'unnamed 64-byte arrays and serialized JSON are redacted');
+}
+
+function testHeaders() {
+  const { logger, lines } = captureLogger();
+  logger.info('Request headers', {
+    headers: {
+      Authorization: `Bearer ${bearerToken}`,
+      'x-api-key': adminApiKey,
+      'X-API-Key': process.env.HELIUS_API_KEY,
+      'content-type': 'application/json'
+    }
+  });
+  logger.info(`Retrying with header Bearer ${bearerToken}`);
+  assertClean(lines, 'Authorization and API key headers are redacted');
+  assert.ok(lines[0].includes('application/json'), 'non-sensitive headers should be kept');
+}
+
+function testApiKeysInStrings() {
+  const { logger, lines } = captureLogger();
+  logger.info(`Fetching https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`);
+  logger.info('Operator key used', { note: `key ${adminApiKey} was used` });
+  logger.warn('Env dump', { SUPABASE_KEY: process.env.SUPABASE_KEY, HELIUS_API_KEY: process.env.HELIUS_API_KEY });
+  assertClean(lines, 'API keys inside URLs, messages and env dumps are redacted');
+}
+
+function testAxiosStyleError() {
+  const { logger, lines } = captureLogger();
+  const error = new Error('Request failed with status code 400');
+  error.code = 'ERR_BAD_REQUEST';
+  error.config = {
+    url: `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`,
+    headers: { Authorization: `Bearer ${bearerToken}` },
+    data: JSON.stringify({ secretKey: Array.from(wallet.secretKey) })
+  };
+  error.response = { status: 400, data: Buffer.from('{"error":"bad request"}') };
+  logger.error('Trade error in /api/trade-local', error);
+
+  assertClean(lines, 'errors drop request config and keep the response');
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.err.status, 400);
+  assert.strictEqual(entry.err.code, 'ERR_BAD_REQUEST');
+  assert.strictEqual(entry.err.responseData, '{"error":"bad request"}');
+}
+
+function testRequestIdAndLevels() {
+  const { logger, lines } = captureLogger('info');
+  const log = logger.child('Background');
+  requestContext.run({ requestId: 'req-123' }, () => {
+    log.debug('hidden at info level');
+    log.info('visible');
+  });
+  assert.strictEqual(lines.length, 1, 'debug lines should be filtered at info level');
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.requestId, 'req-123');
+  assert.strictEqual(entry.module, 'Background');
+  assert.strictEqual(entry.level, 'info');
+  console.log('✅ request ID, module and level are attached to each line');
+}
+
+function runTests() {
+  console.log('🧪 Testing log redaction');
+  console.log('========================');
+  testTradeLocalBody();
+  testBareSecretKeyArray();
+  testHeaders();
+  testApiKeysInStrings();
+  testAxiosStyleError();
+  testRequestIdAndLevels();
+}
+
+try {
+  runTests();
+  console.log('\n✅ Log redaction tests passed');
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { chooseParent, toOriginalFields, nextVersion } = require('../src/services/generation/versionLineage');
+const { TokenGenerator } = require('../src/services/generation/tokenGenerator');
+const { logger } = require('../src/utils/logger');
+
+logger.setLevel('silent');
+
+function version(n, fields = {}) {
+  return {
+    id: `00000000-0000-4000-8000-00000000000${n}`,
+    version: n,
+    name: `Moon Dog ${n}`,
+    ticker: `MDOG${n}`,
+    description: `Version ${n} of the dog.`,
+    ...fields
+  };
+}
+
+const HISTORY = [version(1), version(2), version(3)];
+const PREVIOUS = { name: 'Sun Cat', ticker: '$scat', description: 'The cat that sat in the sun.' };
+const CACHED = { name: 'Cached Dog', ticker: 'CDOG', description: 'From the source cache.' };
+
+function rejectsWith(fn, errorCode, status) {
+  assert.throws(fn, error => error.errorCode === errorCode && error.status === status);
+}
+
+function testParentOrder() {
+  assert.strictEqual(
+    chooseParent({ history: HISTORY, previousVersionId: HISTORY[0].id, previous: PREVIOUS, cached: CACHED }).parent,
+    HISTORY[0],
+    'a named version wins over everything else'
+  );
+  rejectsWith(
+    () => chooseParent({ history: HISTORY, previousVersionId: '00000000-0000-4000-8000-000000000009', previous: PREVIOUS }),
+    'VERSION_NOT_FOUND',
+    404
+  );
+
+  assert.deepStrictEqual(
+    chooseParent({ history: HISTORY, previous: PREVIOUS, cached: CACHED }),
+    { original: PREVIOUS },
+    'the suggestion the client sent is revised, not the latest stored version'
+  );
+  assert.strictEqual(
+    chooseParent({ history: HISTORY, previous: { name: 'Moon Dog 2', ticker: '$mdog2', description: 'Version 2 of the dog.' } }).parent,
+    HISTORY[1],
+    'a previous suggestion that is already stored is reused'
+  );
+  rejectsWith(() => chooseParent({ history: HISTORY, previous: { name: 'No ticker' } }), 'MISSING_PREVIOUS', 400);
+
+  assert.strictEqual(chooseParent({ history: HISTORY, cached: CACHED }).parent, HISTORY[2], 'otherwise the latest version');
+  assert.deepStrictEqual(chooseParent({ history: [], cached: CACHED }), { original: CACHED }, 'then the cached original');
+  rejectsWith(() => chooseParent({ history: [], cached: null }), 'MISSING_PREVIOUS', 400);
+  console.log('✅ the parent is the named version, then the client\'s suggestion, then the latest, then the cache');
+}
+
+function testOriginalFields() {
+  assert.deepStrictEqual(toOriginalFields(PREVIOUS, 'https://img/post.png'), {
+    name: 'Sun Cat',
+    ticker: 'SCAT',
+    description: 'The cat that sat in the sun.',
+    image: 'https://img/post.png'
+  });
+  assert.strictEqual(toOriginalFields({ ...PREVIOUS, image: 'https://img/own.png' }, 'https://img/post.png').image, 'https://img/own.png');
+  assert.strictEqual(toOriginalFields(PREVIOUS).image, null);
+
+  assert.strictEqual(nextVersion([]), 1);
+  assert.strictEqual(nextVersion(HISTORY), 4);
+  console.log('✅ originals are stored with a normalized ticker and numbered after the history');
+}
+
+async function testLockedFields() {
+  const calls = [];
+  const generator = new TokenGenerator({ maxAttempts: 2, defaults: { model: 'test', temperature: 0, timeoutMs: 1000 }, sources: {} });
+  generator.providers = [{
+    name: 'scripted',
+    async complete({ messages }) {
+      calls.push(messages);
+      return {
+        content: JSON.stringify({ name: 'Moon Cat', ticker: 'MCAT', description: 'A cat now, as asked.' }),
+        provider: 'scripted',
+        model: 'scripted',
+        usage: null
+      };
+    }
+  }];
+
+  const previous = { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' };
+  const result = await generator.regenerate({
+    source: 'twitter',
+    text: 'moon dog',
+    authorName: 'a',
+    previous,
+    lockedFields: ['ticker', 'description'],
+    feedback: 'make it a cat'
+  });
+  assert.deepStrictEqual(result.tokenData, { name: 'Moon Cat', ticker: 'MDOG', description: 'The dog that barked at the moon.' });
+
+  const prompt = calls[0][calls[0].length - 1].content;
+  assert.ok(prompt.includes('ticker = "MDOG"') && prompt.includes('User feedback: "make it a cat"'));
+
+  const unlocked = await generator.regenerate({ source: 'twitter', text: 'moon dog', authorName: 'a', previous, feedback: 'cat' });
+  assert.strictEqual(unlocked.tokenData.ticker, 'MCAT');
+  console.log('✅ locked fields are kept whatever the model returns');
+}
+
+(async () => {
+  testParentOrder();
+  testOriginalFields();
+  await testLockedFields();
+  console.log('\nAll metadata version tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { evaluateText, decideOutcome, compileRules } = require('../src/services/moderation/moderationRules');
+const { OpenAIModerationClassifier } = require('../src/services/moderation/classifiers');
+const { containsProfanity } = require('../src/services/generation/candidateScoring');
+
+function outcome(fields) {
+  return decideOutcome(evaluateText({ name: '', ticker: '', description: '', ...fields }));
+}
+
+function testBlocklist() {
+  assert.strictEqual(outcome({ name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' }), 'allow');
+  assert.strictEqual(outcome({ name: 'Shit Coin' }), 'warn', 'profanity warns');
+  assert.strictEqual(outcome({ name: 'N1gg3r Coin' }), 'block', 'slurs block, lookalike digits included');
+  assert.strictEqual(outcome({ description: 'for all the f.a.g.g.o.t.s' }), 'block', 'separators and plurals');
+  assert.strictEqual(outcome({ ticker: 'XFAGGOT' }), 'block', 'long slurs inside tickers');
+  assert.strictEqual(outcome({ name: 'Spicy Grapes', ticker: 'SPICY', description: 'Grapes, class and scunthorpe' }), 'allow', 'no partial-word matches');
+  assert.ok(containsProfanity({ name: 'Shit Coin', ticker: 'SHITC', description: '' }), 'candidate scoring uses the same list');
+  console.log('✅ blocklisted terms warn or block, including lookalike spellings');
+}
+
+function testImpersonation() {
+  assert.strictEqual(outcome({ name: 'Elon Musk Coin', ticker: 'ELON' }), 'warn', 'names of well-known people warn');
+  assert.strictEqual(outcome({ name: 'ElonMusk' }), 'warn');
+  assert.strictEqual(outcome({ name: 'Doge', description: 'Elon tweeted about a dog' }), 'allow', 'mentions in descriptions are fine');
+  assert.strictEqual(outcome({ description: 'The official Elon Musk token' }), 'block');
+  assert.strictEqual(outcome({ description: "Tesla's official coin" }), 'block');
+  assert.strictEqual(outcome({ description: 'Launched by Pump.fun itself' }), 'block');
+  console.log('✅ brand and person impersonation is caught');
+}
+
+function testRuleValidation() {
+  assert.throws(() => compileRules({ terms: [{ id: 'x', category: 'y', action: 'ban', words: ['a'] }] }), /action/);
+  assert.throws(() => compileRules({ terms: [{ id: 'x', category: 'y', action: 'warn', words: ['@missing'] }] }), /unknown list/);
+  assert.throws(() => compileRules({ patterns: [{ id: 'x', category: 'y', action: 'block', pattern: '{missing}' }] }), /unknown list/);
+
+  const custom = compileRules({
+    lists: { coins: ['moon coin'] },
+    terms: [{ id: 'coins', category: 'spam', action: 'warn', fields: ['name'], words: ['@coins'] }]
+  });
+  assert.deepStrictEqual(
+    evaluateText({ name: 'Moon Coins', description: 'moon coin' }, custom).map(f => `${f.ruleId}:${f.field}`),
+    ['coins:name'],
+    'rules only apply to their fields'
+  );
+  console.log('✅ rules are validated and compiled from data');
+}
+
+async function testClassifier() {
+  const classifier = new OpenAIModerationClassifier({ apiKey: 'test', classifierModel: 'omni-moderation-latest', warnThreshold: 0.4 });
+  let request;
+  classifier.client = {
+    moderations: {
+      async create(body) {
+        request = body;
+        return {
+          results: [{
+            categories: { hate: false, violence: false, 'sexual/minors': true },
+            category_scores: { hate: 0.55, violence: 0.01, 'sexual/minors': 0.9 },
+            category_applied_input_types: { hate: ['text'], violence: ['text'], 'sexual/minors': ['image'] }
+          }]
+        };
+      }
+    }
+  };
+
+  const findings = await classifier.classify({ text: 'Name: x', image: 'https://example.com/a.png' });
+  assert.deepStrictEqual(request.input.map(part => part.type), ['text', 'image_url']);
+  assert.deepStrictEqual(findings.map(f => [f.ruleId, f.action, f.field]), [
+    ['openai:hate', 'warn', 'text'],
+    ['openai:sexual/minors', 'block', 'image']
+  ]);
+  assert.strictEqual(decideOutcome(findings), 'block');
+  console.log('✅ classifier scores map onto warn and block findings');
+}
+
+(async () => {
+  testBlocklist();
+  testImpersonation();
+  testRuleValidation();
+  await testClassifier();
+  console.log('\nAll moderation tests passed');
+})().catch(error => {
+  console.error('❌', error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { chooseTemplate, DEFAULT_TEMPLATES } = require('../src/services/generation/prompts');
+const { ALL_SOURCES, selectTemplate, planTemplateUpdate } = require('../src/services/generation/templateRules');
+
+function template(id, overrides = {}) {
+  return { id, kind: 'token', source: ALL_SOURCES, version: 1, weight: 100, active: true, ...overrides };
+}
+
+function testStableChoice() {
+  const arms = [template('a', { weight: 50 }), template('b', { weight: 50 })];
+  for (let i = 0; i < 50; i++) {
+    const key = `post ${i}`;
+    const first = chooseTemplate(arms, key);
+    assert.strictEqual(chooseTemplate(arms, key), first, 'the same key gets the same version');
+    assert.strictEqual(chooseTemplate([...arms].map(arm => ({ ...arm })), key).id, first.id);
+  }
+  assert.strictEqual(chooseTemplate([template('only')], 'x').id, 'only');
+  assert.strictEqual(chooseTemplate([template('a', { weight: 0 }), template('b', { weight: 0 })], 'x').id, 'a');
+  console.log('✅ the same key always gets the same version');
+}
+
+function testWeightedSpread() {
+  const arms = [template('heavy', { weight: 75 }), template('light', { weight: 25 })];
+  const counts = { heavy: 0, light: 0 };
+  const keys = 4000;
+  for (let i = 0; i < keys; i++) counts[chooseTemplate(arms, `tweet text ${i}`).id]++;
+  const share = counts.heavy / keys;
+  assert.ok(share > 0.72 && share < 0.78, `heavy arm got ${(share * 100).toFixed(1)}%, expected about 75%`);
+
+  const even = [template('a', { weight: 1 }), template('b', { weight: 1 }), template('c', { weight: 1 })];
+  const spread = { a: 0, b: 0, c: 0 };
+  for (let i = 0; i < 3000; i++) spread[chooseTemplate(even, `key-${i}`).id]++;
+  for (const [id, count] of Object.entries(spread)) {
+    assert.ok(count > 900 && count < 1100, `${id} got ${count} of 3000`);
+  }
+  console.log('✅ keys spread across versions by weight');
+}
+
+function testSelection() {
+  const active = [
+    template('all-1'),
+    template('twitter-1', { source: 'twitter' }),
+    template('twitter-off', { source: 'twitter', weight: 0 }),
+    template('candidates-1', { kind: 'candidates' })
+  ];
+  assert.strictEqual(selectTemplate(active, 'token', 'twitter', 'post').id, 'twitter-1', 'a source\'s own versions win');
+  assert.strictEqual(selectTemplate(active, 'token', 'reddit', 'post').id, 'all-1', 'then the versions for every source');
+  assert.strictEqual(selectTemplate(active, 'candidates', 'reddit', 'post').id, 'candidates-1');
+  assert.strictEqual(selectTemplate([template('off', { weight: 0 })], 'token', 'reddit', 'post'), DEFAULT_TEMPLATES.token, 'weight 0 takes no traffic');
+  assert.strictEqual(selectTemplate([], 'candidates', 'twitter', 'post'), DEFAULT_TEMPLATES.candidates);
+  console.log('✅ a source\'s own versions come before shared ones and the built-in one');
+}
+
+function testActivation() {
+  const at = '2024-05-01T10:00:00.000Z';
+  const v2 = template('v2', { source: 'twitter', version: 2, active: false });
+
+  assert.deepStrictEqual(planTemplateUpdate(v2, { active: true }, at), {
+    changes: { updated_at: at, active: true },
+    retire: { kind: 'token', source: 'twitter', exceptId: 'v2' }
+  }, 'activating a version retires the others of its kind and source');
+  assert.deepStrictEqual(planTemplateUpdate(v2, { active: true, weight: 20, experiment: true }, at), {
+    changes: { updated_at: at, active: true, weight: 20 },
+    retire: null
+  }, 'an experiment keeps the others running');
+  assert.strictEqual(planTemplateUpdate(v2, { active: false }, at).retire, null);
+  assert.deepStrictEqual(planTemplateUpdate(v2, { weight: 40 }, at), { changes: { updated_at: at, weight: 40 }, retire: null });
+  console.log('✅ activation retires other versions unless it starts an experiment');
+}
+
+try {
+  testStableChoice();
+  testWeightedSpread();
+  testSelection();
+  testActivation();
+  console.log('\nAll prompt template tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
@@ -0,0 +1,177 @@
+const assert = require('assert');
+const bs58 = require('bs58');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const {
+  checkLaunchAt,
+  scheduleDecision,
+  signingDeadline,
+  scheduledStatus,
+  buildScheduledTradeBody,
+  toScheduledLaunch
+} = require('../src/services/launch/launchSchedule');
+const { withDurableNonce, parseSecretKey } = require('../src/services/launch/durableNonce');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const LIMITS = { minLeadMs: 120 * 1000, maxHorizonMs: 30 * 24 * 60 * 60 * 1000 };
+
+function job(overrides = {}) {
+  return {
+    id: '3c1d2e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f',
+    state: 'tx_built',
+    user_public_key: 'Wa11etPub1icKey',
+    draft_id: '9b2f4c1e-6a3d-4e8b-9c0f-1a2b3c4d5e6f',
+    scheduled_for: '2024-05-01T18:00:00.000Z',
+    launch_options: { amount: 0.5, slippage: 15, pool: 'pump' },
+    token_metadata: { name: 'Moon Dog', symbol: 'MDOG', description: 'The dog that barked at the moon.' },
+    metadata_uri: 'https://ipfs.io/ipfs/QmMoonDog',
+    mint_address: 'M1ntAddre55',
+    nonce_account: 'N0nceAccount',
+    issued_transaction: 'aXNzdWVk',
+    signed_transaction: null,
+    send_started_at: null,
+    transitions: [],
+    ...overrides
+  };
+}
+
+function testLaunchAt() {
+  const { launchAt } = checkLaunchAt('2024-05-01T18:00:00Z', LIMITS, NOW);
+  assert.strictEqual(launchAt.toISOString(), '2024-05-01T18:00:00.000Z');
+  assert.strictEqual(checkLaunchAt('2024-05-01T20:00:00+02:00', LIMITS, NOW).launchAt.toISOString(), '2024-05-01T18:00:00.000Z');
+
+  assert.match(checkLaunchAt(undefined, LIMITS, NOW).error, /required/);
+  assert.match(checkLaunchAt('2024-05-01T18:00:00', LIMITS, NOW).error, /time zone/, 'local times are ambiguous');
+  assert.match(checkLaunchAt('tomorrow Z', LIMITS, NOW).error, /ISO 8601/);
+  assert.match(checkLaunchAt('2024-05-01T12:01:00Z', LIMITS, NOW).error, /at least 120 seconds/);
+  assert.match(checkLaunchAt('2024-06-15T12:00:00Z', LIMITS, NOW).error, /within 30 days/);
+  console.log('✅ launch times need a time zone and must fall within the booking window');
+}
+
+function testDecision() {
+  const config = { maxLateMs: 300 * 1000 };
+  assert.strictEqual(scheduleDecision('2024-05-01T12:00:10Z', config, NOW), 'wait');
+  assert.strictEqual(scheduleDecision('2024-05-01T12:00:00Z', config, NOW), 'fire');
+  assert.strictEqual(scheduleDecision('2024-05-01T11:56:00Z', config, NOW), 'fire', 'a little late still goes out');
+  assert.strictEqual(scheduleDecision('2024-05-01T11:50:00Z', config, NOW), 'missed');
+  console.log('✅ overdue launches fire until they are too late');
+}
+
+function testSigningDeadline() {
+  const config = { signingWindowMs: 300 * 1000 };
+  const built = job({
+    transitions: [
+      { from: 'draft', to: 'metadata_uploaded', at: '2024-05-01T12:00:00.000Z' },
+      { from: 'metadata_uploaded', to: 'tx_built', at: '2024-05-01T12:00:05.000Z' },
+      { from: 'tx_built', to: 'tx_built', at: '2024-05-01T12:03:00.000Z', note: 'rescheduled from 2024-05-01T17:00:00.000Z' }
+    ]
+  });
+  assert.strictEqual(signingDeadline(built, config), '2024-05-01T12:05:05.000Z', 'rescheduling does not extend the window');
+  assert.strictEqual(
+    signingDeadline({ ...built, scheduled_for: '2024-05-01T12:02:00.000Z' }, config),
+    '2024-05-01T12:02:00.000Z',
+    'never later than the launch itself'
+  );
+  console.log('✅ unsigned bookings expire shortly after they are built');
+}
+
+function testStatusAndShape() {
+  assert.strictEqual(scheduledStatus(job({ state: 'draft' })), 'preparing');
+  assert.strictEqual(scheduledStatus(job({ state: 'metadata_uploaded' })), 'preparing');
+  assert.strictEqual(scheduledStatus(job()), 'awaiting_signature');
+  assert.strictEqual(scheduledStatus(job({ signed_transaction: 'c2lnbmVk' })), 'scheduled');
+  assert.strictEqual(scheduledStatus(job({ signed_transaction: 'c2lnbmVk', send_started_at: '2024-05-01T18:00:00Z' })), 'sending');
+  assert.strictEqual(scheduledStatus(job({ state: 'cancelled' })), 'cancelled');
+
+  const awaiting = toScheduledLaunch(job({ updated_at: '2024-05-01T12:00:00.000Z' }), { signingWindowMs: 300 * 1000 });
+  assert.strictEqual(awaiting.transaction, 'aXNzdWVk');
+  assert.strictEqual(awaiting.launchAt, '2024-05-01T18:00:00.000Z');
+  assert.strictEqual(awaiting.amount, 0.5);
+  assert.strictEqual(awaiting.signBy, '2024-05-01T12:05:00.000Z');
+  const signed = toScheduledLaunch(job({ signed_transaction: 'c2lnbmVk' }), { signingWindowMs: 300 * 1000 });
+  assert.strictEqual(signed.transaction, null, 'nothing left to sign');
+  assert.strictEqual(signed.signBy, null);
+  assert.ok(!('signed_transaction' in awaiting) && !('signedTransaction' in awaiting));
+  console.log('✅ scheduled launches report their status');
+}
+
+function testTradeBody() {
+  assert.deepStrictEqual(buildScheduledTradeBody(job(), { mint: 'NewM1nt' }), {
+    publicKey: 'Wa11etPub1icKey',
+    action: 'create',
+    mint: 'NewM1nt',
+    denominatedInSol: 'true',
+    amount: 0.5,
+    slippage: 15,
+    priorityFee: 0.0001,
+    pool: 'pump',
+    tokenMetadata: { name: 'Moon Dog', symbol: 'MDOG', uri: 'https://ipfs.io/ipfs/QmMoonDog' }
+  });
+  const defaults = buildScheduledTradeBody(job({ launch_options: null }), { mint: 'NewM1nt' });
+  assert.strictEqual(defaults.amount, 0);
+  assert.strictEqual(defaults.slippage, 10);
+  assert.strictEqual(defaults.pool, 'pump');
+  console.log('✅ the create request uses the draft\'s trade settings');
+}
+
+function testDurableNonce() {
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate();
+  const authority = Keypair.generate();
+  const nonceAccount = Keypair.generate().publicKey.toBase58();
+  const nonce = bs58.encode(Buffer.alloc(32, 7));
+
+  const tx = new VersionedTransaction(new TransactionMessage({
+    payerKey: wallet.publicKey,
+    recentBlockhash: bs58.encode(Buffer.alloc(32, 1)),
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: mint.publicKey, lamports: 1000 }),
+      SystemProgram.assign({ accountPubkey: mint.publicKey, programId: new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P') })
+    ]
+  }).compileToV0Message());
+
+  const durable = withDurableNonce(tx, { nonceAccount, nonce, authority: authority.publicKey });
+  const message = TransactionMessage.decompile(durable.message);
+  assert.strictEqual(durable.message.recentBlockhash, nonce, 'the nonce takes the blockhash\'s place');
+  assert.ok(message.payerKey.equals(wallet.publicKey), 'the wallet still pays');
+  assert.strictEqual(message.instructions.length, 3);
+  assert.ok(message.instructions[0].programId.equals(SystemProgram.programId));
+  assert.strictEqual(message.instructions[0].data.readUInt32LE(0), 4, 'AdvanceNonceAccount comes first');
+  assert.strictEqual(message.instructions[0].keys[0].pubkey.toBase58(), nonceAccount);
+  assert.ok(message.instructions[0].keys[2].pubkey.equals(authority.publicKey) && message.instructions[0].keys[2].isSigner);
+
+  const signers = durable.message.staticAccountKeys.slice(0, durable.message.header.numRequiredSignatures).map(key => key.toBase58());
+  assert.deepStrictEqual(new Set(signers), new Set([wallet, mint, authority].map(k => k.publicKey.toBase58())));
+
+  durable.sign([mint, authority]);
+  const restored = VersionedTransaction.deserialize(durable.serialize());
+  assert.strictEqual(restored.signatures.filter(signature => signature.some(byte => byte !== 0)).length, 2, 'only the wallet\'s signature is missing');
+  console.log('✅ transactions move onto a durable nonce');
+}
+
+function testSecretKey() {
+  const keypair = Keypair.generate();
+  assert.ok(parseSecretKey(bs58.encode(keypair.secretKey)).publicKey.equals(keypair.publicKey));
+  assert.ok(parseSecretKey(JSON.stringify(Array.from(keypair.secretKey))).publicKey.equals(keypair.publicKey));
+  assert.throws(() => parseSecretKey('not-a-key'), /SCHEDULED_LAUNCH_NONCE_AUTHORITY_KEY is not a valid secret key/);
+  console.log('✅ nonce authority keys parse from base58 or JSON');
+}
+
+try {
+  testLaunchAt();
+  testDecision();
+  testSigningDeadline();
+  testStatusAndShape();
+  testTradeBody();
+  testDurableNonce();
+  testSecretKey();
+  console.log('\nAll scheduled launch tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
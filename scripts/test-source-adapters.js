@@ -0,0 +1,189 @@
+const assert = require('assert');
+const http = require('http');
+const { sourceRegistry } = require('../src/services/sources/registry');
+const { buildTokenMessages } = require('../src/services/generation/prompts');
+const { getGenerationConfig } = require('../src/config/generation');
+const { isPrivateAddress, publicHttpAgent, requestPublicUrl } = require('../src/utils/publicUrl');
+
+async function rejects(body, errorCode) {
+  await assert.rejects(sourceRegistry.prepare(body), (error) => error.name === 'SourceError' && error.errorCode === errorCode);
+}
+
+async function testLegacyFields() {
+  const { adapter, content } = await sourceRegistry.prepare({
+    tweetUrl: 'https://x.com/someone/status/1',
+    text: 'gm',
+    authorName: 'someone',
+    authorAvatar: 'https://pbs.twimg.com/avatar.jpg'
+  });
+  assert.strictEqual(adapter.id, 'twitter');
+  assert.strictEqual(content.image, 'https://pbs.twimg.com/avatar.jpg', 'falls back to the avatar without media');
+  assert.strictEqual(content.visionImage.kind, "author's profile picture");
+
+  const quote = await sourceRegistry.prepare({
+    tweetUrl: 'https://twitter.com/someone/status/2',
+    text: 'this is the one',
+    authorName: 'someone',
+    quotedTweet: { text: 'Dogs can now vote', authorName: 'news' },
+    videoThumbnailUrls: ['https://pbs.twimg.com/ext_tw_video_thumb/1.jpg']
+  });
+  assert.deepStrictEqual(quote.content.details, ['Attached: a video', 'Quoted tweet by news: "Dogs can now vote"']);
+  assert.deepStrictEqual(quote.content.visionImage, {
+    url: 'https://pbs.twimg.com/ext_tw_video_thumb/1.jpg',
+    kind: 'thumbnail of the video in the tweet'
+  });
+
+  const reddit = await sourceRegistry.prepare({
+    postUrl: 'https://www.reddit.com/r/dogs/comments/abc/good_boy/',
+    text: 'good boy',
+    authorName: 'u',
+    subreddit: 'r/dogs',
+    mediaUrls: ['https://i.redd.it/dog.png']
+  });
+  assert.strictEqual(reddit.adapter.id, 'reddit');
+  assert.strictEqual(reddit.content.image, 'https://i.redd.it/dog.png');
+  assert.deepStrictEqual(reddit.content.details, ['Subreddit: r/dogs']);
+
+  const response = reddit.adapter.toResponse({ name: 'Good Boy', ticker: 'GBOY', description: 'Yes.', image: reddit.content.image }, reddit.content);
+  assert.strictEqual(response.redditUrl, 'https://www.reddit.com/comments/abc/', 'Reddit links are canonicalized');
+  assert.strictEqual(response.source, 'reddit');
+  console.log('✅ tweetUrl and postUrl still select Twitter and Reddit');
+}
+
+async function testNewSources() {
+  const telegram = await sourceRegistry.prepare({
+    source: 'telegram', sourceUrl: 'https://t.me/somechannel/42', text: 'pump it', channelName: 'Some Channel'
+  });
+  assert.strictEqual(telegram.content.authorName, 'Some Channel');
+  assert.deepStrictEqual(telegram.adapter.getLinks(telegram.content), { telegram: 'https://t.me/somechannel' });
+
+  const youtube = await sourceRegistry.prepare({
+    source: 'youtube', sourceUrl: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', title: 'Never gonna', channelName: 'Rick'
+  });
+  assert.strictEqual(youtube.content.text, 'Never gonna');
+  assert.strictEqual(youtube.content.image, 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+
+  const tiktok = await sourceRegistry.prepare({
+    source: 'tiktok', sourceUrl: 'https://www.tiktok.com/@a/video/1', caption: 'cat falls off table', authorName: 'a', coverUrl: 'https://p16.tiktokcdn.com/c.jpg'
+  });
+  assert.strictEqual(tiktok.content.text, 'cat falls off table');
+  assert.strictEqual(tiktok.content.image, 'https://p16.tiktokcdn.com/c.jpg');
+
+  const farcaster = await sourceRegistry.prepare({
+    source: 'farcaster', sourceUrl: 'https://warpcast.com/dwr/0xabc', text: 'hello', authorName: 'dwr', channel: 'memes'
+  });
+  assert.deepStrictEqual(farcaster.content.details, ['Channel: /memes']);
+
+  const news = await sourceRegistry.prepare({
+    source: 'news', sourceUrl: 'https://www.example-news.com/story', title: 'Dog elected mayor', summary: 'A small town made history.'
+  });
+  assert.strictEqual(news.content.authorName, 'example-news.com', 'publisher falls back to the hostname');
+
+  const [, user] = buildTokenMessages({ source: 'news', text: news.content.text, authorName: news.content.authorName, details: news.content.details });
+  assert.ok(user.content.startsWith('Given this news article:\nText: "Dog elected mayor"\nPublisher: example-news.com\nSummary:'));
+  console.log('✅ Telegram, YouTube, TikTok, Farcaster and news adapters normalize their fields');
+}
+
+async function testRejections() {
+  await rejects({ source: 'myspace', sourceUrl: 'https://myspace.com/x' }, 'UNKNOWN_SOURCE');
+  await rejects({}, 'UNKNOWN_SOURCE');
+  await rejects({ source: 'youtube', sourceUrl: 'https://youtube.com/watch?v=x' }, 'MISSING_FIELDS');
+  await rejects({ tweetUrl: 'https://evil.example/status/1', text: 'x', authorName: 'a' }, 'INVALID_SOURCE_URL');
+  await rejects({ source: 'news', sourceUrl: 'http://169.254.169.254/latest/meta-data', title: 'x' }, 'INVALID_SOURCE_URL');
+  await rejects({ source: 'news', sourceUrl: 'http://localhost:3000/admin', title: 'x' }, 'INVALID_SOURCE_URL');
+  await rejects({ source: 'news', sourceUrl: 'http://[::ffff:127.0.0.1]/admin', title: 'x' }, 'INVALID_SOURCE_URL');
+  await rejects({ source: 'news', sourceUrl: 'http://2130706433/admin', title: 'x' }, 'INVALID_SOURCE_URL');
+
+  const missing = await sourceRegistry.prepare({ source: 'tiktok', sourceUrl: 'https://tiktok.com/@a/video/1' }).catch(error => error);
+  assert.deepStrictEqual(missing.details.missing, ['caption|text', 'authorName']);
+  console.log('✅ unknown sources, missing fields and foreign URLs are rejected');
+}
+
+async function testRedditCanonicalUrls() {
+  const reddit = sourceRegistry.get('reddit');
+  const canonical = 'https://www.reddit.com/comments/1abcxyz/';
+  const links = [
+    'https://www.reddit.com/r/dogs/comments/1abcxyz/good_boy/',
+    'https://old.reddit.com/r/dogs/comments/1abcxyz/good_boy/?utm_source=share',
+    'https://new.reddit.com/r/dogs/comments/1abcxyz/',
+    'https://np.reddit.com/r/dogs/comments/1abcxyz/good_boy/kx9z0aa/',
+    'https://m.reddit.com/r/dogs/comments/1ABCXYZ/good_boy',
+    'https://redd.it/1abcxyz'
+  ];
+  for (const link of links) {
+    assert.strictEqual(await reddit.canonicalizeUrl(link), canonical, link);
+  }
+
+  // Share links are resolved through their redirect
+  const originalResolve = reddit.resolveShareLink;
+  reddit.resolveShareLink = async () => 'https://www.reddit.com/r/dogs/comments/1abcxyz/good_boy/?share_id=abc';
+  const { content } = await sourceRegistry.prepare({
+    postUrl: 'https://www.reddit.com/r/dogs/s/AbCdEf123', text: 'good boy', authorName: 'u'
+  });
+  assert.strictEqual(content.sourceUrl, canonical);
+  assert.strictEqual(content.originalUrl, 'https://www.reddit.com/r/dogs/s/AbCdEf123');
+
+  reddit.resolveShareLink = async () => { throw new Error('timeout'); };
+  await rejects({ postUrl: 'https://www.reddit.com/r/dogs/s/AbCdEf123', text: 'x', authorName: 'u' }, 'INVALID_SOURCE_URL');
+  reddit.resolveShareLink = originalResolve;
+
+  assert.strictEqual(await sourceRegistry.canonicalizeUrl('https://old.reddit.com/r/dogs/comments/1abcxyz/x/'), canonical);
+  assert.strictEqual(await sourceRegistry.canonicalizeUrl('https://x.com/a/status/1'), 'https://x.com/a/status/1');
+  console.log('✅ old, new, np, mobile, short and share Reddit links map to one canonical URL');
+}
+
+async function testArticleFetchStaysPublic() {
+  assert.ok(isPrivateAddress('10.0.0.8') && isPrivateAddress('fd12::1') && isPrivateAddress('::ffff:169.254.169.254'));
+  assert.ok(!isPrivateAddress('93.184.216.34') && !isPrivateAddress('2606:4700::1111'));
+
+  // A redirect from a public URL to loopback, and a name that resolves to loopback
+  const server = http.createServer((req, res) => res.end('<title>internal</title>'));
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    const hops = [];
+    await assert.rejects(
+      requestPublicUrl('http://93.184.216.34/story', async (url) => {
+        hops.push(url);
+        return { response: null, location: `http://127.0.0.1:${server.address().port}/` };
+      }),
+      /not a public address/
+    );
+    assert.deepStrictEqual(hops, ['http://93.184.216.34/story'], 'the private hop is never requested');
+    await assert.rejects(
+      new Promise((resolve, reject) => http.get({ host: 'localhost', port: server.address().port, agent: publicHttpAgent }, resolve).on('error', reject)),
+      error => error.code === 'EPRIVATEADDRESS'
+    );
+  } finally {
+    server.close();
+  }
+  console.log('✅ article fetches only reach public addresses, across redirects too');
+}
+
+function testConfigCoversSources() {
+  const config = getGenerationConfig();
+  for (const source of sourceRegistry.list()) {
+    assert.ok(config.sources[source], `generation config has options for ${source}`);
+  }
+  console.log('✅ every registered source has generation options');
+}
+
+async function runTests() {
+  console.log('🧪 Testing source adapters');
+  console.log('==========================');
+  await testLegacyFields();
+  await testNewSources();
+  await testRejections();
+  await testRedditCanonicalUrls();
+  await testArticleFetchStaysPublic();
+  testConfigCoversSources();
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ Source adapter tests passed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
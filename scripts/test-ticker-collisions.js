@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { matchTicker, findCollisions, availabilityStatus, tickerSkeleton } = require('../src/services/tickers/tickerMatching');
+const { TokenGenerator } = require('../src/services/generation/tokenGenerator');
+const { logger } = require('../src/utils/logger');
+
+logger.setLevel('silent');
+
+const TAKEN = [
+  { ticker: 'SOL', source: 'supported_tickers' },
+  { ticker: 'BONK', source: 'supported_tickers' },
+  { ticker: 'MDOG', source: 'created_tokens' }
+];
+
+function testMatching() {
+  assert.strictEqual(matchTicker('$sol', 'SOL'), 'exact');
+  assert.strictEqual(matchTicker('B0NK', 'BONK'), 'homoglyph', 'digits standing in for letters');
+  assert.strictEqual(matchTicker('BОNK', 'BONK'), 'homoglyph', 'Cyrillic О');
+  assert.strictEqual(matchTicker('B.O.N.K', 'BONK'), 'homoglyph');
+  assert.strictEqual(tickerSkeleton('S0L'), 'SOL');
+  assert.strictEqual(matchTicker('BONKK', 'BONK'), 'fuzzy');
+  assert.strictEqual(matchTicker('BUNK', 'BONK'), 'fuzzy');
+  assert.strictEqual(matchTicker('SOLA', 'SOL'), null, 'short tickers are not fuzzy matched');
+  assert.strictEqual(matchTicker('MOON', 'BONK'), null);
+  console.log('✅ tickers match exactly, by homoglyph and by one edit');
+}
+
+function testStatus() {
+  assert.strictEqual(availabilityStatus(findCollisions('S0L', TAKEN)), 'taken');
+  assert.strictEqual(availabilityStatus(findCollisions('MDOGS', TAKEN)), 'similar');
+  assert.strictEqual(availabilityStatus(findCollisions('HOWL', TAKEN)), 'available');
+
+  const collisions = findCollisions('BONK', [...TAKEN, { ticker: 'BONKS', source: 'created_tokens' }]);
+  assert.deepStrictEqual(collisions.map(c => c.match), ['exact', 'fuzzy'], 'most severe collision first');
+  console.log('✅ collisions decide taken, similar or available');
+}
+
+function fakeChecker(taken) {
+  return {
+    async checkMany(tickers) {
+      return tickers.map(ticker => {
+        const collisions = findCollisions(ticker, taken);
+        const status = availabilityStatus(collisions);
+        return { ticker, status, available: status !== 'taken', collisions };
+      });
+    }
+  };
+}
+
+function generatorWith(responses, checker) {
+  const options = { model: 'test', temperature: 0, timeoutMs: 1000 };
+  const generator = new TokenGenerator({ maxAttempts: 3, defaults: options, sources: {} });
+  const calls = [];
+  generator.providers = [{
+    name: 'scripted',
+    async complete({ messages }) {
+      calls.push(messages.map(m => ({ ...m })));
+      return { content: responses.shift(), provider: 'scripted', model: 'scripted', usage: null };
+    }
+  }];
+  generator.useTickerChecker(checker);
+  return { generator, calls };
+}
+
+async function testGenerationAvoidsTakenTickers() {
+  const { generator, calls } = generatorWith([
+    JSON.stringify({ name: 'Bonk Two', ticker: 'B0NK', description: 'Same dog, new bonk.' }),
+    JSON.stringify({ name: 'Bonk Two', ticker: 'BONK2', description: 'Same dog, new bonk.' })
+  ], fakeChecker(TAKEN));
+
+  const result = await generator.generate({ source: 'twitter', text: 'bonk', authorName: 'a' });
+  assert.strictEqual(result.tokenData.ticker, 'BONK2');
+  assert.strictEqual(result.attempts, 2);
+  assert.ok(calls[1][calls[1].length - 1].content.includes('is a lookalike of $BONK'));
+  console.log('✅ generation re-prompts when the ticker is taken');
+
+  const stubborn = generatorWith(
+    ['SOL', 'SOL', 'SOL'].map(ticker => JSON.stringify({ name: 'Sun Coin', ticker, description: 'Bright.' })),
+    fakeChecker(TAKEN)
+  );
+  const fallback = await stubborn.generator.generate({ source: 'twitter', text: 'sun', authorName: 'a' });
+  assert.strictEqual(fallback.tickerCheck.status, 'taken', 'a taken ticker is returned with its check rather than failing');
+
+  const candidates = generatorWith([
+    JSON.stringify({ candidates: [
+      { name: 'Sun Coin', ticker: 'SOL', description: 'Bright.' },
+      { name: 'Howl Coin', ticker: 'HOWL', description: 'Loud.' }
+    ] }),
+    JSON.stringify({ candidates: [{ name: 'Moon Coin', ticker: 'MOON', description: 'High.' }] })
+  ], fakeChecker(TAKEN));
+  const batch = await candidates.generator.generateCandidates({ source: 'reddit', text: 'x', authorName: 'a', count: 2 });
+  assert.deepStrictEqual(batch.candidates.map(c => c.ticker), ['HOWL', 'MOON']);
+  console.log('✅ taken tickers are dropped from candidate batches');
+}
+
+async function runTests() {
+  console.log('🧪 Testing ticker collision detection');
+  console.log('=====================================');
+  testMatching();
+  testStatus();
+  await testGenerationAvoidsTakenTickers();
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ Ticker collision tests passed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
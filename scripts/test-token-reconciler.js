@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { Keypair } = require('@solana/web3.js');
+const {
+  PENDING_EXPIRY_MS,
+  decideBySignature,
+  decideByMintAccount,
+  toStatusUpdate,
+  toAuditEntry
+} = require('../src/services/launch/reconcileRules');
+
+const NOW = Date.parse('2024-05-01T12:00:00.000Z');
+
+function token(overrides = {}) {
+  return {
+    mint_address: 'MintAddr1111111111111111111111111111111pump',
+    tx_signature: '5igSig',
+    status: 'pending',
+    created_at: new Date(NOW - 60 * 1000).toISOString(),
+    ...overrides
+  };
+}
+
+const stale = token({ created_at: new Date(NOW - PENDING_EXPIRY_MS - 1000).toISOString() });
+
+function testBySignature() {
+  const failed = decideBySignature(token(), { err: { InstructionError: [1, 'Custom'] }, confirmationStatus: 'confirmed' }, NOW);
+  assert.deepStrictEqual(
+    { newStatus: failed.newStatus, reason: failed.reason, details: failed.details },
+    { newStatus: 'failed', reason: 'Transaction failed on-chain', details: { err: { InstructionError: [1, 'Custom'] } } }
+  );
+
+  const confirmed = decideBySignature(token(), { err: null, confirmationStatus: 'finalized', slot: 123 }, NOW);
+  assert.strictEqual(confirmed.newStatus, 'confirmed');
+  assert.strictEqual(confirmed.reason, 'Signature finalized');
+  assert.deepStrictEqual(confirmed.details, { slot: 123 });
+
+  assert.strictEqual(decideBySignature(token(), { err: null, confirmationStatus: 'processed' }, NOW), null, 'still landing');
+  assert.strictEqual(decideBySignature(stale, { err: null, confirmationStatus: 'processed' }, NOW), null, 'seen on-chain, so not expired');
+  assert.strictEqual(decideBySignature(token(), null, NOW), null, 'too early to give up');
+  assert.strictEqual(decideBySignature(stale, null, NOW).newStatus, 'expired');
+
+  const timedOut = decideBySignature(token({ status: 'error' }), { err: null, confirmationStatus: 'confirmed', slot: 9 }, NOW);
+  assert.strictEqual(timedOut.newStatus, 'confirmed', 'a timed-out confirmation is settled too');
+  console.log('✅ rows with a signature settle from its status');
+}
+
+function testByMintAccount() {
+  const owner = Keypair.generate().publicKey;
+  const confirmed = decideByMintAccount(token({ tx_signature: null }), { owner }, NOW);
+  assert.strictEqual(confirmed.newStatus, 'confirmed');
+  assert.deepStrictEqual(confirmed.details, { owner: owner.toBase58() });
+
+  assert.strictEqual(decideByMintAccount(token({ tx_signature: null }), null, NOW), null);
+  const expired = decideByMintAccount({ ...stale, tx_signature: null }, null, NOW);
+  assert.strictEqual(expired.newStatus, 'expired');
+  assert.strictEqual(expired.reason, 'Mint account not found and no transaction signature recorded');
+  console.log('✅ rows without a signature settle from their mint account');
+}
+
+function testUpdateAndAudit() {
+  const at = '2024-05-01T12:00:00.000Z';
+  assert.deepStrictEqual(toStatusUpdate({ newStatus: 'confirmed' }, at), { status: 'confirmed', confirmed_at: at });
+  assert.deepStrictEqual(toStatusUpdate({ newStatus: 'expired' }, at), { status: 'expired', confirmed_at: null });
+
+  const change = decideBySignature(token({ status: 'error' }), { err: null, confirmationStatus: 'confirmed', slot: 77 }, NOW);
+  assert.deepStrictEqual(toAuditEntry(change), {
+    mint: 'MintAddr1111111111111111111111111111111pump',
+    signature: '5igSig',
+    previousStatus: 'error',
+    newStatus: 'confirmed',
+    source: 'reconciler',
+    reason: 'Signature confirmed',
+    details: { slot: 77 }
+  });
+  console.log('✅ settled rows are updated and audited with the previous status and reason');
+}
+
+try {
+  testBySignature();
+  testByMintAccount();
+  testUpdateAndAudit();
+  console.log('\nAll token reconciler tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
@@ -0,0 +1,352 @@
+const assert = require('assert');
+const { extractJson, validateTokenData, parseTokenOutput, extractPartialFields } = require('../src/services/generation/validation');
+const { TokenGenerator } = require('../src/services/generation/tokenGenerator');
+const { detectLanguage } = require('../src/services/generation/languageDetection');
+const { DEFAULT_TEMPLATES, renderTemplate, validateTemplate, chooseTemplate } = require('../src/services/generation/prompts');
+const { logger } = require('../src/utils/logger');
+
+// Keep the expected provider warnings out of the test output
+logger.setLevel('silent');
+
+const VALID = { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' };
+
+function testExtraction() {
+  assert.deepStrictEqual(extractJson(JSON.stringify(VALID)), VALID);
+  assert.deepStrictEqual(extractJson('```json\n' + JSON.stringify(VALID, null, 2) + '\n```'), VALID);
+  assert.deepStrictEqual(extractJson(`Sure! Here is your token:\n${JSON.stringify(VALID)}\nHope you like it {:`), VALID);
+  assert.deepStrictEqual(
+    extractJson('{"name": "Brace {Token}", "ticker": "BRC", "description": "Has } in it"}'),
+    { name: 'Brace {Token}', ticker: 'BRC', description: 'Has } in it' }
+  );
+  assert.strictEqual(extractJson('no json here'), null);
+  assert.strictEqual(extractJson('{"name": "unterminated"'), null);
+  console.log('✅ JSON is extracted from bare, fenced and prose-wrapped output');
+}
+
+function testSchema() {
+  assert.ok(validateTokenData(VALID).valid);
+
+  const normalized = validateTokenData({ name: '  Moon   Dog ', ticker: '$mdog', description: VALID.description });
+  assert.ok(normalized.valid);
+  assert.strictEqual(normalized.value.name, 'Moon Dog');
+  assert.strictEqual(normalized.value.ticker, 'MDOG');
+
+  const cases = [
+    [{ ...VALID, name: 'Way Too Many Words' }, /"name" must be at most 3 words/],
+    [{ ...VALID, ticker: 'MD' }, /"ticker" must be 3-6/],
+    [{ ...VALID, ticker: 'MOONDOGE' }, /"ticker" must be 3-6/],
+    [{ ...VALID, ticker: 'MO-DO' }, /"ticker" must be 3-6/],
+    [{ ...VALID, description: 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen' }, /"description" must be at most 15 words/],
+    [{ name: 'Moon Dog' }, /"ticker" is required/]
+  ];
+  for (const [data, pattern] of cases) {
+    const result = validateTokenData(data);
+    assert.ok(!result.valid, `expected invalid: ${JSON.stringify(data)}`);
+    assert.ok(result.errors.some(e => pattern.test(e)), `expected ${pattern} in ${JSON.stringify(result.errors)}`);
+  }
+
+  assert.deepStrictEqual(parseTokenOutput('I cannot help with that').errors, ['Response did not contain a JSON object']);
+  console.log('✅ schema enforces name, ticker and description limits');
+}
+
+function scriptedProvider(responses) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      name: 'scripted',
+      async complete({ messages }) {
+        calls.push(messages.map(m => ({ ...m })));
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return { content: next, provider: 'scripted', model: 'scripted', usage: null };
+      }
+    }
+  };
+}
+
+function generatorWith(providers, maxAttempts = 3) {
+  const options = { model: 'test', temperature: 0, timeoutMs: 1000 };
+  const generator = new TokenGenerator({ maxAttempts, defaults: options, sources: {} });
+  generator.providers = providers;
+  return generator;
+}
+
+async function testRepairLoop() {
+  const { provider, calls } = scriptedProvider([
+    'Here you go: {"name": "The Great Big Moon Dog", "ticker": "moon-dog", "description": "Woof."}',
+    '```json\n' + JSON.stringify(VALID) + '\n```'
+  ]);
+  const result = await generatorWith([provider]).generate({ source: 'twitter', text: 'moon dog', authorName: 'a' });
+
+  assert.deepStrictEqual(result.tokenData, VALID);
+  assert.strictEqual(result.attempts, 2);
+  const repairPrompt = calls[1][calls[1].length - 1];
+  assert.strictEqual(repairPrompt.role, 'user');
+  assert.ok(repairPrompt.content.includes('"name" must be at most 3 words'));
+  assert.ok(repairPrompt.content.includes('"ticker" must be 3-6'));
+  console.log('✅ invalid output is re-prompted with its validation errors');
+}
+
+async function testGivesUpWithErrorCode() {
+  const { provider, calls } = scriptedProvider(['nope', 'still nope', 'never']);
+  await assert.rejects(
+    generatorWith([provider], 3).generate({ source: 'reddit', text: 'x', authorName: 'a' }),
+    (error) => error.name === 'GenerationError' && error.errorCode === 'INVALID_MODEL_OUTPUT' && error.details.attempts === 3
+  );
+  assert.strictEqual(calls.length, 3);
+  console.log('✅ gives up after N attempts with INVALID_MODEL_OUTPUT');
+}
+
+async function testFallbackAndProviderErrors() {
+  const primary = scriptedProvider([new Error('boom')]);
+  const fallback = scriptedProvider([JSON.stringify(VALID)]);
+  const result = await generatorWith([primary.provider, fallback.provider]).generate({ source: 'twitter', text: 'x', authorName: 'a' });
+  assert.ok(result.usedFallback);
+
+  const broken = scriptedProvider([new Error('down')]);
+  await assert.rejects(
+    generatorWith([broken.provider]).generate({ source: 'twitter', text: 'x', authorName: 'a' }),
+    (error) => error.errorCode === 'LLM_PROVIDER_ERROR' && error.status === 502
+  );
+  console.log('✅ provider errors fall back, then surface as LLM_PROVIDER_ERROR');
+}
+
+async function testRegenerateKeepsLockedFields() {
+  const previous = { name: 'Moon Dog', ticker: 'MDOG', description: 'The dog that barked at the moon.' };
+  const { provider, calls } = scriptedProvider([
+    JSON.stringify({ name: 'Howl Coin', ticker: 'HOWL', description: 'Funnier now, allegedly.' })
+  ]);
+  const result = await generatorWith([provider]).regenerate({
+    source: 'twitter',
+    text: 'moon dog',
+    authorName: 'a',
+    previous,
+    lockedFields: ['name'],
+    feedback: 'funnier'
+  });
+
+  assert.deepStrictEqual(result.tokenData, { name: 'Moon Dog', ticker: 'HOWL', description: 'Funnier now, allegedly.' });
+  const prompt = calls[0][calls[0].length - 1].content;
+  assert.ok(prompt.includes('name = "Moon Dog"') && prompt.includes('"funnier"'));
+  assert.ok(calls[0].some(m => m.role === 'assistant' && m.content.includes('MDOG')), 'previous suggestion is shown to the model');
+  console.log('✅ regeneration applies feedback and keeps locked fields');
+}
+
+async function testVisionPrompts() {
+  const options = { model: 'gpt-4', visionModel: 'gpt-4o', vision: true, temperature: 0, timeoutMs: 1000 };
+  const config = { maxAttempts: 1, defaults: options, sources: {}, vision: { maxImageBytes: 1024, detail: 'low' } };
+  const image = { url: 'https://pbs.twimg.com/media/meme.jpg', kind: 'image attached to the tweet' };
+  const loader = { async toDataUrl() { return 'data:image/jpeg;base64,AAAA'; } };
+
+  const seen = [];
+  const recorder = (name, supportsVision, fail = false) => ({
+    name,
+    supportsVision,
+    async complete({ messages, model, hasImage }) {
+      seen.push({ name, model, hasImage, content: messages[1].content });
+      if (fail) throw new Error('down');
+      return { content: JSON.stringify(VALID), provider: name, model, usage: null };
+    }
+  });
+
+  const generator = new TokenGenerator(config);
+  generator.imageLoader = loader;
+  generator.providers = [recorder('vision', true, true), recorder('text-only', false)];
+  const result = await generator.generate({ source: 'twitter', text: 'meme', authorName: 'a', image });
+
+  assert.strictEqual(seen[0].model, 'gpt-4o');
+  assert.ok(Array.isArray(seen[0].content) && seen[0].content.some(part => part.type === 'image_url'));
+  assert.strictEqual(seen[1].model, 'gpt-4', 'a fallback without vision gets the text model');
+  assert.strictEqual(typeof seen[1].content, 'string');
+  assert.ok(!seen[1].content.includes('attached image'), 'and no mention of the image');
+  assert.strictEqual(result.usedVision, false);
+
+  const broken = new TokenGenerator(config);
+  broken.imageLoader = { async toDataUrl() { throw new Error('404'); } };
+  broken.providers = [recorder('vision', true)];
+  const textOnly = await broken.generate({ source: 'twitter', text: 'meme', authorName: 'a', image });
+  assert.strictEqual(textOnly.usedVision, false, 'an unreachable image falls back to a text prompt');
+
+  const off = new TokenGenerator({ ...config, defaults: { ...options, vision: false } });
+  off.imageLoader = loader;
+  off.providers = [recorder('vision', true)];
+  assert.strictEqual((await off.generate({ source: 'twitter', text: 'meme', authorName: 'a', image })).usedVision, false);
+  console.log('✅ vision prompts attach the image and degrade to text');
+}
+
+function testLanguageDetection() {
+  const samples = [
+    ['Just bought the dip again, this is the way', 'en'],
+    ['Hoy compré más bitcoin porque el precio está muy bajo', 'es'],
+    ['Eu não acredito que isso está acontecendo com você', 'pt'],
+    ['今日はビットコインを買いました！', 'ja'],
+    ['比特币今天又涨了', 'zh'],
+    ['비트코인 가즈아', 'ko'],
+    ['Привет всем, это новый токен', 'ru']
+  ];
+  for (const [text, language] of samples) {
+    assert.strictEqual(detectLanguage(text).language, language, text);
+  }
+  assert.strictEqual(detectLanguage('Esto va a la luna, no lo puedo creer 🚀🚀 https://x.com/a/status/1 @elonmusk $DOGE').language, 'es', 'links, handles and emoji are ignored');
+  assert.deepStrictEqual(detectLanguage('🚀🚀 https://x.com/a'), { language: 'und', confidence: 0 });
+  console.log('✅ source language is detected from script and common words');
+}
+
+function testLocalizedSchema() {
+  const ja = { name: '月の犬', ticker: 'TSUKI', description: '月に向かって吠えた犬のトークン。' };
+  assert.ok(validateTokenData(ja).valid, 'names and descriptions may be in any script');
+  assert.strictEqual(validateTokenData({ ...ja, ticker: 'ｔｓｕｋｉ' }).value.ticker, 'TSUKI', 'full-width tickers are folded to ASCII');
+  assert.ok(!validateTokenData({ ...ja, ticker: '月犬' }).valid, 'tickers stay ASCII');
+  assert.ok(validateTokenData({ ...ja, name: 'とても長い月の犬のなまえです' }).errors.some(e => /32 bytes/.test(e)));
+  assert.ok(validateTokenData({ ...ja, description: '犬'.repeat(61) }).errors.some(e => /60 characters/.test(e)));
+  assert.strictEqual(validateTokenData({ ...VALID, name: 'Moon\u200B Dog\u202E' }).value.name, 'Moon Dog', 'invisible characters are dropped');
+
+  const both = { ...VALID, localized: { name: 'Perro Lunar', description: 'El perro que le ladró a la luna.' } };
+  assert.deepStrictEqual(validateTokenData(both, { localized: true }).value.localized, both.localized);
+  assert.ok(validateTokenData(VALID, { localized: true }).errors.some(e => /"localized.name" is required/.test(e)));
+  assert.strictEqual(validateTokenData(both).value.localized, undefined, 'localized is only kept when asked for');
+  console.log('✅ schema keeps tickers ASCII and holds every script to pump.fun limits');
+}
+
+async function testTargetLanguage() {
+  const text = 'Hoy compré más bitcoin porque el precio está muy bajo';
+  const localized = { name: 'Perro Lunar', description: 'El perro que le ladró a la luna.' };
+
+  const english = scriptedProvider([JSON.stringify(VALID)]);
+  const translated = await generatorWith([english.provider]).generate({ source: 'twitter', text, authorName: 'a' });
+  assert.strictEqual(translated.language, 'es');
+  assert.ok(english.calls[0][1].content.includes('written in Spanish. Write the name and description in English'));
+
+  const original = scriptedProvider([JSON.stringify(VALID)]);
+  await generatorWith([original.provider]).generate({ source: 'twitter', text, authorName: 'a', targetLanguage: 'original' });
+  assert.ok(original.calls[0][1].content.includes('Write the name and description in Spanish'));
+  assert.ok(original.calls[0][1].content.includes('ASCII'));
+
+  const both = scriptedProvider([JSON.stringify(VALID), JSON.stringify({ ...VALID, localized })]);
+  const result = await generatorWith([both.provider]).generate({ source: 'twitter', text, authorName: 'a', targetLanguage: 'both' });
+  assert.strictEqual(result.attempts, 2, 'a missing localized copy is repaired');
+  assert.ok(both.calls[1][both.calls[1].length - 1].content.includes('"localized": {"name"'));
+  assert.deepStrictEqual(result.tokenData.localized, { language: 'es', ...localized });
+
+  const plain = scriptedProvider([JSON.stringify(VALID)]);
+  const englishSource = await generatorWith([plain.provider]).generate({ source: 'twitter', text: 'moon dog is the way', authorName: 'a', targetLanguage: 'both' });
+  assert.strictEqual(englishSource.tokenData.localized, undefined, 'English sources need no localized copy');
+  assert.ok(!plain.calls[0][1].content.includes('written in'));
+  console.log('✅ targetLanguage translates, keeps or doubles up the source language');
+}
+
+async function testPartialFields() {
+  assert.deepStrictEqual(extractPartialFields('{"name": "Moon Do'), {});
+  assert.deepStrictEqual(extractPartialFields('{"name": "Moon \\"Dog\\"", "ticker": "$md'), { name: 'Moon "Dog"' });
+  assert.deepStrictEqual(extractPartialFields('```json\n{"name": "Moon Dog", "ticker": "$mdog", "desc'), { name: 'Moon Dog', ticker: 'MDOG' });
+
+  const output = JSON.stringify(VALID);
+  const streaming = {
+    name: 'streaming',
+    async complete({ onContent }) {
+      for (let i = 1; i <= output.length; i++) onContent(output.slice(0, i));
+      return { content: output, provider: 'streaming', model: 'streaming', usage: null };
+    }
+  };
+  const partials = [];
+  await generatorWith([streaming]).generate({ source: 'twitter', text: 'x', authorName: 'a', onPartial: fields => partials.push(fields) });
+  assert.deepStrictEqual(partials, [
+    { name: 'Moon Dog', attempt: 1 },
+    { name: 'Moon Dog', ticker: 'MDOG', attempt: 1 }
+  ], 'each change is reported once');
+
+  const { provider } = scriptedProvider([JSON.stringify(VALID)]);
+  const once = [];
+  await generatorWith([provider]).generate({ source: 'twitter', text: 'x', authorName: 'a', onPartial: fields => once.push(fields) });
+  assert.deepStrictEqual(once, [{ name: 'Moon Dog', ticker: 'MDOG', attempt: 1 }], 'providers that do not stream report at the end');
+  console.log('✅ name and ticker are reported while the model is still writing');
+}
+
+function testPromptTemplates() {
+  assert.strictEqual(renderTemplate('{{a}} and {{ b }} and {{c}}', { a: '{{b}}', b: 'two' }), '{{b}} and two and {{c}}', 'values are not expanded again');
+
+  assert.deepStrictEqual(validateTemplate({ ...DEFAULT_TEMPLATES.token }), []);
+  assert.deepStrictEqual(validateTemplate({ ...DEFAULT_TEMPLATES.candidates }), []);
+  assert.deepStrictEqual(validateTemplate({ ...DEFAULT_TEMPLATES.token, kind: 'other' }), ['kind must be one of: token, candidates']);
+  const errors = validateTemplate({
+    kind: 'token',
+    systemPrompt: 'Be {{mood}}',
+    userPrompt: '{{source}} {{language}}',
+    variables: { noun: 'tweet' }
+  });
+  assert.ok(errors.includes('variable "noun" is filled in automatically and cannot be set'));
+  assert.deepStrictEqual(
+    validateTemplate({ kind: 'token', systemPrompt: 'Be {{mood}}', userPrompt: '{{source}} {{language}}' }),
+    ['{{mood}} is neither built in nor defined in variables', 'userPrompt must contain {{format}}']
+  );
+
+  const a = { id: 'a', weight: 1 };
+  const b = { id: 'b', weight: 3 };
+  assert.strictEqual(chooseTemplate([a, b], 'post 1'), chooseTemplate([a, b], 'post 1'), 'one key always gets one template');
+  const picks = Array.from({ length: 400 }, (_, i) => chooseTemplate([a, b], `post ${i}`).id);
+  const share = picks.filter(id => id === 'b').length / picks.length;
+  assert.ok(share > 0.65 && share < 0.85, `traffic follows weight (got ${share})`);
+  assert.strictEqual(chooseTemplate([{ id: 'off', weight: 0 }, b], 'x').id, 'b');
+  console.log('✅ prompt templates render, validate and split traffic by weight');
+}
+
+async function testTemplateStore() {
+  const template = {
+    ...DEFAULT_TEMPLATES.token,
+    id: 'template-1',
+    version: 3,
+    source: 'twitter',
+    variables: { tone: 'Keep it dry and deadpan.' }
+  };
+  const { provider, calls } = scriptedProvider([JSON.stringify(VALID), JSON.stringify(VALID)]);
+  const generator = generatorWith([provider]);
+  const selected = [];
+  generator.usePromptTemplates({
+    async select(kind, source, key) {
+      selected.push([kind, source, key]);
+      return template;
+    }
+  });
+  const result = await generator.generate({ source: 'twitter', text: 'gm', authorName: 'a' });
+  assert.deepStrictEqual(selected, [['token', 'twitter', 'gm']]);
+  assert.deepStrictEqual(result.promptTemplate, { id: 'template-1', version: 3 });
+  assert.ok(calls[0][1].content.endsWith('Keep it dry and deadpan.'));
+
+  generator.usePromptTemplates({
+    async select() {
+      throw new Error('connection refused');
+    }
+  });
+  const fallback = await generator.generate({ source: 'twitter', text: 'gm', authorName: 'a' });
+  assert.deepStrictEqual(fallback.promptTemplate, { id: null, version: 0 }, 'the built-in template stands in when the store fails');
+  console.log('✅ generations record the template version they used');
+}
+
+async function runTests() {
+  console.log('🧪 Testing token output validation');
+  console.log('==================================');
+  testExtraction();
+  testSchema();
+  await testRepairLoop();
+  await testGivesUpWithErrorCode();
+  await testFallbackAndProviderErrors();
+  await testRegenerateKeepsLockedFields();
+  await testVisionPrompts();
+  testLanguageDetection();
+  testLocalizedSchema();
+  await testTargetLanguage();
+  await testPartialFields();
+  testPromptTemplates();
+  await testTemplateStore();
+}
+
+runTests()
+  .then(() => {
+    console.log('\n✅ Token validation tests passed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const { Keypair } = require('@solana/web3.js');
+
+const ADMIN = Keypair.generate();
+process.env.AUTH_SESSION_SECRET = 'test-session-secret';
+process.env.AUTH_SESSION_TTL_MINUTES = '60';
+process.env.ADMIN_WALLETS = ADMIN.publicKey.toBase58();
+
+const { walletAuthService } = require('../src/services/auth/walletAuth');
+
+function signMessage(keypair, message) {
+  return bs58.encode(nacl.sign.detached(Buffer.from(message, 'utf8'), keypair.secretKey));
+}
+
+function withClock(offsetMs, fn) {
+  const realNow = Date.now;
+  Date.now = () => realNow() + offsetMs;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+function rejects(fn, errorCode) {
+  assert.throws(fn, error => error.errorCode === errorCode);
+}
+
+function testSignIn() {
+  const wallet = Keypair.generate();
+  const publicKey = wallet.publicKey.toBase58();
+
+  const { nonce, message } = walletAuthService.issueNonce(publicKey);
+  assert.ok(message.includes(`Nonce: ${nonce}`));
+  const signature = signMessage(wallet, message);
+  const session = walletAuthService.verifySignIn({ publicKey, nonce, signature });
+  assert.strictEqual(session.publicKey, publicKey);
+  assert.strictEqual(session.role, 'user');
+  rejects(() => walletAuthService.verifySignIn({ publicKey, nonce, signature }), 'INVALID_NONCE');
+
+  const base64 = walletAuthService.issueNonce(publicKey);
+  const base64Signature = Buffer.from(nacl.sign.detached(Buffer.from(base64.message, 'utf8'), wallet.secretKey)).toString('base64');
+  assert.ok(walletAuthService.verifySignIn({ publicKey, nonce: base64.nonce, signature: base64Signature }).token);
+
+  const admin = walletAuthService.issueNonce(ADMIN.publicKey.toBase58());
+  const adminSession = walletAuthService.verifySignIn({
+    publicKey: ADMIN.publicKey.toBase58(),
+    nonce: admin.nonce,
+    signature: signMessage(ADMIN, admin.message)
+  });
+  assert.strictEqual(adminSession.role, 'admin');
+
+  rejects(() => walletAuthService.issueNonce('not-a-wallet'), 'INVALID_PUBLIC_KEY');
+  console.log('✅ a signed nonce starts a session once');
+}
+
+function testNonceChecks() {
+  const wallet = Keypair.generate();
+  const other = Keypair.generate();
+  const publicKey = wallet.publicKey.toBase58();
+
+  const forOther = walletAuthService.issueNonce(other.publicKey.toBase58());
+  rejects(() => walletAuthService.verifySignIn({
+    publicKey, nonce: forOther.nonce, signature: signMessage(wallet, forOther.message)
+  }), 'INVALID_NONCE');
+
+  // A bad signature still uses up the nonce
+  const wrongKey = walletAuthService.issueNonce(publicKey);
+  rejects(() => walletAuthService.verifySignIn({
+    publicKey, nonce: wrongKey.nonce, signature: signMessage(other, wrongKey.message)
+  }), 'INVALID_SIGNATURE');
+  rejects(() => walletAuthService.verifySignIn({
+    publicKey, nonce: wrongKey.nonce, signature: signMessage(wallet, wrongKey.message)
+  }), 'INVALID_NONCE');
+
+  const wrongMessage = walletAuthService.issueNonce(publicKey);
+  rejects(() => walletAuthService.verifySignIn({
+    publicKey, nonce: wrongMessage.nonce, signature: signMessage(wallet, `${wrongMessage.message}\n`)
+  }), 'INVALID_SIGNATURE');
+
+  const unsigned = walletAuthService.issueNonce(publicKey);
+  rejects(() => walletAuthService.verifySignIn({ publicKey, nonce: unsigned.nonce, signature: 'garbage' }), 'INVALID_SIGNATURE');
+
+  const expiring = walletAuthService.issueNonce(publicKey);
+  rejects(() => withClock(5 * 60 * 1000 + 1, () => walletAuthService.verifySignIn({
+    publicKey, nonce: expiring.nonce, signature: signMessage(wallet, expiring.message)
+  })), 'INVALID_NONCE');
+  console.log('✅ nonces are bound to the wallet, single use and expire');
+}
+
+function testSessionTokens() {
+  const publicKey = Keypair.generate().publicKey.toBase58();
+  const { token, expiresAt } = walletAuthService.issueSessionToken(publicKey);
+  assert.deepStrictEqual(walletAuthService.verifySessionToken(token), { publicKey, role: 'user', expiresAt });
+
+  const [payloadPart, signaturePart] = token.split('.');
+  const payload = JSON.parse(Buffer.from(payloadPart, 'base64').toString('utf8'));
+  const forge = changes => Buffer.from(JSON.stringify({ ...payload, ...changes })).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+  assert.strictEqual(walletAuthService.verifySessionToken(`${forge({ role: 'admin' })}.${signaturePart}`), null);
+  assert.strictEqual(walletAuthService.verifySessionToken(`${forge({ sub: ADMIN.publicKey.toBase58() })}.${signaturePart}`), null);
+  assert.strictEqual(walletAuthService.verifySessionToken(`${forge({ exp: payload.exp + 3600 })}.${signaturePart}`), null);
+  const flipped = signaturePart[0] === 'A' ? `B${signaturePart.slice(1)}` : `A${signaturePart.slice(1)}`;
+  assert.strictEqual(walletAuthService.verifySessionToken(`${payloadPart}.${flipped}`), null);
+  assert.strictEqual(walletAuthService.verifySessionToken(`${payloadPart}.${signaturePart.slice(0, -2)}`), null);
+  assert.strictEqual(walletAuthService.verifySessionToken(payloadPart), null);
+  assert.strictEqual(walletAuthService.verifySessionToken(undefined), null);
+
+  assert.strictEqual(withClock(60 * 60 * 1000 + 1000, () => walletAuthService.verifySessionToken(token)), null);
+  console.log('✅ session tokens reject tampering and expiry');
+}
+
+try {
+  testSignIn();
+  testNonceChecks();
+  testSessionTokens();
+  console.log('\nAll wallet auth tests passed');
+} catch (error) {
+  console.error('❌', error);
+  process.exit(1);
+}
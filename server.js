@@ -7,28 +7,99 @@ const axios = require('axios');
 const FormData = require('form-data');
 const { createClient } = require('@supabase/supabase-js');
 const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL, Keypair, VersionedTransaction } = require('@solana/web3.js');
-const { TOKEN_PROGRAM_ID, getOrCreateAssociatedTokenAccount, createTransferInstruction } = require('@solana/spl-token');
+const { TOKEN_PROGRAM_ID, getOrCreateAssociatedTokenAccount, getAssociatedTokenAddress, createAssociatedTokenAccountIdempotentInstruction, createTransferInstruction } = require('@solana/spl-token');
 const { Helius } = require('helius-sdk');
-const OpenAI = require('openai');
 const { encode } = require('bs58');
 const bip39 = require('bip39');
 const { derivePath } = require('ed25519-hd-key');
 const child_process = require('child_process');
 const bs58 = require('bs58');
 const { Buffer } = require('buffer');
-const fetch = require('node-fetch');
 const { JupiterTokenService } = require('./src/services/jupiter/tokenService');
 const { JupiterSyncScheduler } = require('./src/services/jupiter/scheduler');
 const { solPriceService } = require('./src/services/marketCap/solPriceService');
-
-// Debug logging for environment variables
-console.log('SUPABASE_URL:', process.env.SUPABASE_URL);
-console.log('SUPABASE_KEY:', process.env.SUPABASE_KEY);
-console.log('HELIUS_API_KEY:', process.env.HELIUS_API_KEY);
+const { getSendRpcUrls, sendWithRetry, confirmInBackground } = require('./src/services/launch/transactionSender');
+const { launchSessionStore, LaunchSessionError, serializeForClient } = require('./src/services/launch/launchSessions');
+const { launchJobService } = require('./src/services/launch/launchJobs');
+const { launchJobWorker } = require('./src/services/launch/launchJobWorker');
+const { uploadMetadata } = require('./src/services/launch/pumpPortalClient');
+const { launchDraftService, DraftError, DRAFT_STATUSES, toSharedDraft } = require('./src/services/launch/launchDrafts');
+const { validateDraftFields, buildDraftLaunchRequest } = require('./src/services/launch/draftFields');
+const { renderPreviewPage } = require('./src/services/launch/draftPreview');
+const { getDraftConfig } = require('./src/config/drafts');
+const { launchScheduler, ScheduleError } = require('./src/services/launch/launchScheduler');
+const { checkLaunchAt, toScheduledLaunch } = require('./src/services/launch/launchSchedule');
+const { getScheduledLaunchConfig } = require('./src/config/scheduledLaunches');
+const { pendingTokenReconciler } = require('./src/services/launch/pendingTokenReconciler');
+const { CREATED_TOKEN_STATUSES } = require('./src/services/launch/tokenStatus');
+const { walletAuthService, WalletAuthError } = require('./src/services/auth/walletAuth');
+const { authenticateWallet, requireWalletAuth, requireAdminScope, requireTokenOwner } = require('./src/middleware/auth');
+const { meterUsage } = require('./src/middleware/usage');
+const { adminApiKeyService, ADMIN_SCOPES } = require('./src/services/auth/apiKeys');
+const { tokenGenerator, EDITABLE_FIELDS, TARGET_LANGUAGES } = require('./src/services/generation/tokenGenerator');
+const { GenerationError } = require('./src/services/generation/validation');
+const { tokenSuggestionService, toSuggestion, MAX_CANDIDATES } = require('./src/services/generation/tokenSuggestions');
+const { tokenMetadataVersionService, toVersion } = require('./src/services/generation/tokenMetadataVersions');
+const { bulkGenerationService } = require('./src/services/generation/bulkGeneration');
+const { shareByKey } = require('./src/services/generation/bulkItems');
+const { generationHistoryService, HISTORY_KINDS, MAX_PAGE_SIZE } = require('./src/services/generation/generationHistory');
+const { buildLaunchPayload } = require('./src/services/generation/historyEntries');
+const { promptTemplateService, ALL_SOURCES } = require('./src/services/generation/promptTemplates');
+const { validateTemplate, DEFAULT_TEMPLATES } = require('./src/services/generation/prompts');
+const { tickerAvailabilityService } = require('./src/services/tickers/tickerAvailability');
+const { sourceRegistry } = require('./src/services/sources/registry');
+const { SourceError } = require('./src/services/sources/sourceAdapter');
+const { sourceCacheService } = require('./src/services/sources/sourceCache');
+const { imageProxyService } = require('./src/services/media/imageProxy');
+const { imagePipeline, ImageError, decodeDataUrl, toDataUrl } = require('./src/services/media/imagePipeline');
+const { logoComposer } = require('./src/services/media/logoComposer');
+const { previewCard } = require('./src/services/media/previewCard');
+const { moderationService, ModerationError } = require('./src/services/moderation/moderationService');
+const { usageMeterService, utcDay } = require('./src/services/usage/usageMeter');
+const { ACCOUNT_TYPES, getUsageConfig } = require('./src/config/usage');
+const { logger } = require('./src/utils/logger');
+const { requestLogger } = require('./src/middleware/requestLogger');
+
+const log = logger.child('Server');
+const cacheLog = logger.child('Cache');
+const tokenGenLog = logger.child('TokenGen');
+const tokenMetaLog = logger.child('TokenMeta');
+const transferLog = logger.child('Transfer');
+const balanceLog = logger.child('BalanceCheck');
+const pumpPortalLog = logger.child('PumpPortal');
+const launchJobsLog = logger.child('LaunchJobs');
+const txStatusLog = logger.child('TxStatus');
+const createdTokensLog = logger.child('CreatedTokens');
+const testLog = logger.child('TEST');
+const tickersLog = logger.child('Tickers');
+const authLog = logger.child('Auth');
+const apiKeysLog = logger.child('ApiKeys');
+const pricesLog = logger.child('Prices');
+const marketCapLog = logger.child('MarketCap');
+const migrationLog = logger.child('MIGRATION');
+const tokenMetadataLog = logger.child('TokenMetadata');
+const moderationLog = logger.child('Moderation');
+const promptTemplatesLog = logger.child('PromptTemplates');
+const usageLog = logger.child('Usage');
+const historyLog = logger.child('GenerationHistory');
+const draftsLog = logger.child('Drafts');
+const scheduledLaunchesLog = logger.child('ScheduledLaunches');
+
+log.info('Supabase configured', { url: process.env.SUPABASE_URL });
+
+// Generation re-prompts when the model proposes a ticker that is already taken
+tokenGenerator.useTickerChecker(tickerAvailabilityService);
+// Prompts come from the active prompt_templates versions, falling back to the built-in ones
+tokenGenerator.usePromptTemplates(promptTemplateService);
+// Every LLM call is recorded in llm_usage and counted against the caller's daily quota
+tokenGenerator.useUsageMeter(usageMeterService);
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Behind a reverse proxy, req.ip (and so the per-IP quota of anonymous callers) needs TRUST_PROXY
+app.set('trust proxy', getUsageConfig().trustProxy);
+
 // Create uploads directory if it doesn't exist
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) {
@@ -44,24 +115,18 @@ const upload = multer({
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 const helius = new Helius(process.env.HELIUS_API_KEY);
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Add request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
-  next();
-});
+// Request ID on every log line, plus one line per completed request
+app.use(requestLogger);
 
 // Enable CORS with origins from environment variable
 const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 app.use(cors({
   origin: function (origin, callback) {
-    console.log('[CORS DEBUG]', { origin, allowedOrigins });
+    log.debug('CORS check', { origin, allowedOrigins });
     if (!origin) return callback(null, true);
     // Always allow any Chrome extension
     if (origin.startsWith('chrome-extension://')) {
@@ -77,8 +142,8 @@ app.use(cors({
     }
     return callback(new Error('Not allowed by CORS'));
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Api-Key']
 }));
 
 // Parse JSON bodies
@@ -93,7 +158,7 @@ app.use('/assets', express.static(path.join(__dirname, '../src/assets')));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  log.error('Unhandled server error', err);
   res.status(500).json({
     error: 'Internal server error',
     message: err.message,
@@ -145,7 +210,7 @@ async function getCachedTokenPrices(tokenAddresses) {
       .gte('last_updated', new Date(Date.now() - PRICE_CACHE_TTL_MS).toISOString());
 
     if (error) {
-      console.error('Error fetching cached prices:', error);
+      cacheLog.error('Error fetching cached prices', error);
       return {};
     }
 
@@ -162,7 +227,7 @@ async function getCachedTokenPrices(tokenAddresses) {
 
     return priceMap;
   } catch (e) {
-    console.error('Error in getCachedTokenPrices:', e);
+    cacheLog.error('Error in getCachedTokenPrices', e);
     return {};
   }
 }
@@ -189,75 +254,68 @@ async function cacheTokenPrices(priceData) {
         });
 
       if (error) {
-        console.error('Error caching token prices:', error);
+        cacheLog.error('Error caching token prices', error);
       }
     }
   } catch (e) {
-    console.error('Error in cacheTokenPrices:', e);
+    cacheLog.error('Error in cacheTokenPrices', e);
   }
 }
 
 // Wallet token caching removed - always fetch fresh data
 
 // --- Token Generation Endpoint ---
-app.post('/api/generate-token-data', async (req, res) => {
+app.post('/api/generate-token-data', meterUsage, async (req, res) => {
   try {
-    const { text, mediaUrls, tweetUrl, authorName, authorAvatar, imageFile } = req.body;
-    console.log('Received token generation request:', { tweetUrl, authorName });
-
-    if (!text || !tweetUrl || !authorName) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        required: ['text', 'tweetUrl', 'authorName']
-      });
-    }
-
-    // Check if tweet already exists in database
-    const { data: existingTweet, error: queryError } = await supabase
-      .from('processed_tweets')
-      .select('*')
-      .eq('tweet_url', tweetUrl)
-      .single();
-
-    if (queryError && queryError.code !== 'PGRST116') {
-      console.error('Database query error:', queryError);
-      throw new Error('Failed to check existing tweet');
+    const { imageFile } = req.body;
+    const targetLanguage = req.body.targetLanguage || 'en';
+    const languageError = checkTargetLanguage(targetLanguage);
+    if (languageError) {
+      return res.status(400).json(languageError);
     }
+    const { adapter, content } = await sourceRegistry.prepare(req.body);
+    const { source, sourceUrl, text, authorName, details } = content;
+    tokenGenLog.info('Received token generation request', { source, sourceUrl, authorName, targetLanguage });
 
-    if (existingTweet) {
+    // Posts that already have a token return it instead of launching again
+    const cached = await sourceCacheService.get(source, sourceUrl);
+    if (cached) {
       return res.json({
-        name: existingTweet.token_name,
-        ticker: existingTweet.token_ticker,
-        description: existingTweet.token_description,
-        image: existingTweet.token_image,
-        website: existingTweet.token_twitter,
-        pumpPortalTx: existingTweet.pump_portal_tx || null
+        name: cached.name,
+        ticker: cached.ticker,
+        description: cached.description,
+        image: cached.image,
+        website: sourceUrl,
+        links: adapter.getLinks(content),
+        language: cached.language,
+        pumpPortalTx: cached.pumpPortalTx
       });
     }
 
-    // Generate meme token data with OpenAI
-    const prompt = `Given this tweet:\nText: "${text}"\nAuthor: ${authorName}\nGenerate a meme token based on this tweet with the following format:\n{\n  "name": "A catchy, meme-worthy name based on the tweet's theme or author (max 3 words)",\n  "ticker": "A 3-6 letter acronym or playful reference to the name",\n  "description": "A one-sentence meme-worthy summary of the tweet (max 15 words)"\n}\nMake it funny and viral-worthy.`;
+    // Use imageFile (base64) for the image; checked before spending an LLM call on it
+    if (!imageFile) {
+      return res.status(400).json({ error: 'Image file is required (base64 string)', errorCode: 'MISSING_IMAGE' });
+    }
+    const tokenImage = await imagePipeline.process(decodeDataUrl(imageFile));
+
+    // Generate meme token data with the configured LLM provider
     let tokenData;
+    let language;
+    let promptTemplate;
     try {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          { role: "system", content: "You are a creative meme token generator. Generate funny, viral-worthy token names and descriptions based on tweets." },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.7,
-      });
-      const response = completion.choices[0].message.content;
-      tokenData = JSON.parse(response);
+      ({ tokenData, language, promptTemplate } = await tokenGenerator.generate({
+        source, text, authorName, details, image: content.visionImage, targetLanguage
+      }));
     } catch (error) {
-      console.error('OpenAI API error:', error);
+      tokenGenLog.error('Token data generation failed', error);
+      if (error instanceof GenerationError) throw error;
       throw new Error('Failed to generate token data');
     }
 
-    // Use imageFile (base64) for the image
-    if (!imageFile) {
-      return res.status(400).json({ error: 'Image file is required (base64 string)' });
-    }
+    // Nothing is pinned to IPFS or launched until moderation allows it
+    const moderation = moderationService.assertAllowed(await moderationService.review({
+      stage: 'launch', ...tokenData, image: tokenImage, source, sourceUrl
+    }));
 
     // Step 1: Upload metadata to pump.fun IPFS
     let metadataUri;
@@ -266,20 +324,17 @@ app.post('/api/generate-token-data', async (req, res) => {
       formData.append('name', tokenData.name);
       formData.append('symbol', tokenData.ticker);
       formData.append('description', tokenData.description);
-      formData.append('twitter', tweetUrl);
+      for (const [field, url] of Object.entries(adapter.getLinks(content))) {
+        formData.append(field, url);
+      }
       formData.append('showName', 'true');
 
-      // Write base64 image to file
-      const imageBuffer = Buffer.from(imageFile.split(',')[1], 'base64');
-      const tmpImagePath = path.join(uploadDir, `tmp_${Date.now()}.png`);
-      fs.writeFileSync(tmpImagePath, imageBuffer);
-      formData.append('file', fs.createReadStream(tmpImagePath), 'image.png');
+      formData.append('file', tokenImage.buffer, { filename: tokenImage.filename, contentType: tokenImage.mime });
 
       const ipfsResp = await axios.post('https://pump.fun/api/ipfs', formData, { headers: formData.getHeaders() });
-      fs.unlinkSync(tmpImagePath);
       metadataUri = ipfsResp.data.metadataUri;
     } catch (error) {
-      console.error('IPFS upload error:', error);
+      tokenGenLog.error('IPFS upload error', error);
       throw new Error('Failed to upload metadata to IPFS');
     }
 
@@ -310,36 +365,49 @@ app.post('/api/generate-token-data', async (req, res) => {
         { headers: { 'Content-Type': 'application/json' } }
       );
     } catch (error) {
-      console.error('Pump Portal API error:', error);
+      tokenGenLog.error('Pump Portal API error', error);
       throw new Error('Failed to create token on Pump Portal');
     }
 
-    // Step 4: Store in database
-    try {
-      await supabase.from('processed_tweets').insert({
-        tweet_url: tweetUrl,
-        tweet_text: text,
-        author_name: authorName,
-        author_avatar: authorAvatar,
-        media_urls: mediaUrls,
-        token_name: tokenData.name,
-        token_ticker: tokenData.ticker,
-        token_description: tokenData.description,
-        token_image: imageFile,
-        token_twitter: tweetUrl,
-        pump_portal_tx: tradeResp.data
-      });
-    } catch (error) {
-      console.error('Database insert error:', error);
-      throw new Error('Failed to store token data in database');
-    }
+    // Step 4: Store in database, linked to the launch
+    // The logo as launched: cropped, resized and stripped of metadata
+    tokenData.image = toDataUrl(tokenImage);
+    await sourceCacheService.put(content, tokenData, {
+      pumpPortalTx: tradeResp.data,
+      language,
+      promptTemplateId: promptTemplate.id
+    });
+    recordHistory(historyOwner(req), {
+      kind: 'single',
+      source,
+      sourceUrl,
+      candidates: [{ name: tokenData.name, ticker: tokenData.ticker, description: tokenData.description }],
+      image: content.image,
+      links: adapter.getLinks(content),
+      language,
+      promptTemplateId: promptTemplate.id
+    });
 
     res.json({
       ...tokenData,
-      pumpPortalTx: tradeResp.data
+      language,
+      promptTemplateId: promptTemplate.id,
+      pumpPortalTx: tradeResp.data,
+      moderationWarning: moderationService.toWarning(moderation)
     });
   } catch (error) {
-    console.error('Token generation error:', error);
+    tokenGenLog.error('Token generation error', error);
+    if (error instanceof SourceError || error instanceof ImageError || error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+    }
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({
+        error: 'Failed to generate token data',
+        errorCode: error.errorCode,
+        message: error.message,
+        details: error.details
+      });
+    }
     res.status(500).json({
       error: 'Failed to generate token',
       message: error.message
@@ -348,148 +416,548 @@ app.post('/api/generate-token-data', async (req, res) => {
 });
 
 // --- Generate Token Metadata Only Endpoint ---
-app.post('/api/generate-token-metadata', async (req, res) => {
-  console.log('[TokenMeta] Incoming request:', req.body);
-  try {
-    const { text, mediaUrls, tweetUrl, postUrl, authorName, authorAvatar } = req.body;
-    // --- Twitter logic (existing) ---
-    if (tweetUrl) {
-      if (!text || !tweetUrl || !authorName) {
-        return res.status(400).json({
-          error: 'Missing required fields',
-          required: ['text', 'tweetUrl', 'authorName']
-        });
-      }
-      // Check if tweet already exists in database
-      const { data: existingTweet, error: queryError } = await supabase
-        .from('processed_tweets')
-        .select('*')
-        .eq('tweet_url', tweetUrl)
-        .single();
-      if (existingTweet) {
-        return res.json({
-          name: existingTweet.token_name,
-          ticker: existingTweet.token_ticker,
-          description: existingTweet.token_description,
-          image: existingTweet.token_image,
-          twitterUrl: existingTweet.token_twitter || tweetUrl
-        });
-      }
-      // Generate meme token data with OpenAI (Twitter)
-      const prompt = `Given this tweet:\nText: "${text}"\nAuthor: ${authorName}\nGenerate a meme token based on this tweet with the following format:\n{\n  "name": "A catchy, meme-worthy name based on the tweet's theme or author (max 3 words)",\n  "ticker": "A 3-6 letter acronym or playful reference to the name",\n  "description": "A one-sentence meme-worthy summary of the tweet (max 15 words)"\n}\nMake it funny and viral-worthy.`;
-      console.log('[OpenAI][Twitter] Prompt being sent:', prompt);
-      console.log('[OpenAI][Twitter] Data:', { text, mediaUrls, tweetUrl, authorName, authorAvatar });
-      let tokenData;
-      try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4",
-          messages: [
-            { role: "system", content: "You are a creative meme token generator. Generate funny, viral-worthy token names and descriptions based on tweets." },
-            { role: "user", content: prompt }
-          ],
-          temperature: 0.7,
-        });
-        const response = completion.choices[0].message.content;
-        console.log('[OpenAI][Twitter] Raw response:', response);
-        tokenData = JSON.parse(response);
-        console.log('[OpenAI][Twitter] Parsed tokenData:', tokenData);
-      } catch (error) {
-        console.error('OpenAI API error:', error);
-        throw new Error('Failed to generate token data');
+// Every source goes through its adapter (see src/services/sources), then the same cache, generation and response shape.
+// Tweets and Reddit posts may still send tweetUrl/postUrl; other sources send { source, sourceUrl, ... }.
+
+/**
+ * The wallet whose generation history a request adds to: the signed-in wallet, if any (see meterUsage)
+ */
+function historyOwner(req) {
+  return req.usageAccount && req.usageAccount.type === 'wallet' ? req.usageAccount.id : null;
+}
+
+/**
+ * Add a generation to a wallet's history; requests without a wallet session have none
+ */
+function recordHistory(publicKey, entry) {
+  if (!publicKey) return;
+  generationHistoryService.record({ publicKey, ...entry });
+}
+
+/**
+ * Language of the name and description; 'both' adds a localized copy and only works for a single token.
+ * Returns the error body for an unsupported value, or null.
+ */
+function checkTargetLanguage(targetLanguage, { multiple = false } = {}) {
+  const allowed = multiple ? TARGET_LANGUAGES.filter(value => value !== 'both') : TARGET_LANGUAGES;
+  if (allowed.includes(targetLanguage)) return null;
+  return {
+    error: `targetLanguage must be one of: ${allowed.join(', ')}${multiple ? ' when count is set' : ''}`,
+    errorCode: 'INVALID_TARGET_LANGUAGE'
+  };
+}
+
+/**
+ * Cached or freshly generated metadata for one prepared source, shared by the JSON and streaming
+ * endpoints. emit(event, data) reports progress: cache_hit, generating, partial, validated (schema
+ * and moderation passed) and image_selected. Resolves to the response body.
+ */
+async function generateTokenMetadata({ adapter, content, targetLanguage, publicKey = null }, emit = () => {}) {
+  const { source, sourceUrl, text, authorName, details, image } = content;
+  const remember = (response, cached) => recordHistory(publicKey, {
+    kind: 'single',
+    source,
+    sourceUrl,
+    candidates: [{ name: response.name, ticker: response.ticker, description: response.description }],
+    image: response.image,
+    links: response.links,
+    language: response.language,
+    promptTemplateId: response.promptTemplateId,
+    cached
+  });
+
+  // The cache holds English-target metadata, so other targets always generate afresh
+  const useCache = targetLanguage === 'en';
+  const cached = useCache ? await sourceCacheService.get(source, sourceUrl) : null;
+  if (cached) {
+    const response = adapter.toResponse(cached, content);
+    emit('cache_hit', response);
+    remember(response, true);
+    return response;
+  }
+
+  tokenMetaLog.debug(`${source} source data`, content);
+  emit('generating', { source, sourceUrl, targetLanguage });
+  let tokenData;
+  let language;
+  let attempts;
+  let promptTemplate;
+  try {
+    const generation = await tokenGenerator.generate({
+      source,
+      text,
+      authorName,
+      details,
+      image: content.visionImage,
+      targetLanguage,
+      // Partial fields go out before review, so anything the local rules would block is held back
+      onPartial: (fields) => {
+        if (moderationService.isPresentable(fields)) emit('partial', fields);
       }
-      // Pick best image: first media or author avatar
-      tokenData.image = (mediaUrls && mediaUrls.length > 0) ? mediaUrls[0] : authorAvatar;
-      tokenData.twitterUrl = tweetUrl;
-      // Cache the generated metadata in Supabase
-      try {
-        await supabase.from('processed_tweets').insert({
-          tweet_url: tweetUrl,
-          tweet_text: text,
-          author_name: authorName,
-          author_avatar: authorAvatar,
-          media_urls: mediaUrls,
-          token_name: tokenData.name,
-          token_ticker: tokenData.ticker,
-          token_description: tokenData.description,
-          token_image: tokenData.image,
-          token_twitter: tweetUrl
-        });
-      } catch (e) {
-        console.warn('Failed to cache token metadata in Supabase:', e.message);
+    });
+    ({ tokenData, language, attempts, promptTemplate } = generation);
+    tokenMetaLog.info(`${source} token data generated`, {
+      tokenData,
+      provider: generation.provider,
+      model: generation.model,
+      usedVision: generation.usedVision,
+      language,
+      languageConfidence: generation.languageConfidence,
+      promptTemplate
+    });
+  } catch (error) {
+    tokenMetaLog.error('Token data generation failed', error);
+    if (error instanceof GenerationError) throw error;
+    throw new Error('Failed to generate token data');
+  }
+
+  // Checked before caching, so blocked metadata is never served again
+  const moderation = moderationService.assertAllowed(await moderationService.review({
+    stage: 'generation', ...tokenData, source, sourceUrl
+  }));
+  const moderationWarning = moderationService.toWarning(moderation);
+  emit('validated', { ...tokenData, language, attempts, moderationWarning });
+
+  tokenData.image = image;
+  emit('image_selected', { image });
+
+  if (useCache) await sourceCacheService.put(content, tokenData, { language, promptTemplateId: promptTemplate.id });
+
+  const response = {
+    ...adapter.toResponse({ ...tokenData, language, promptTemplateId: promptTemplate.id }, content),
+    moderationWarning
+  };
+  tokenMetaLog.debug(`${source} response to client`, response);
+  remember(response, false);
+  return response;
+}
+
+/**
+ * Status and body for a failed metadata request
+ */
+function toMetadataError(error) {
+  if (error instanceof SourceError || error instanceof ModerationError) {
+    return { status: error.status, body: { error: error.message, errorCode: error.errorCode, ...error.details } };
+  }
+  if (error instanceof GenerationError) {
+    return {
+      status: error.status,
+      body: {
+        error: 'Failed to generate token metadata',
+        errorCode: error.errorCode,
+        message: error.message,
+        details: error.details
       }
-      const twitterResponse = {
-        name: tokenData.name,
-        ticker: tokenData.ticker,
-        description: tokenData.description,
-        image: tokenData.image,
-        twitterUrl: tokenData.twitterUrl
-      };
-      console.log('[OpenAI][Twitter] Final response to client:', twitterResponse);
-      res.json(twitterResponse);
-      return;
+    };
+  }
+  return { status: 500, body: { error: 'Failed to generate token metadata', message: error.message } };
+}
+
+app.post('/api/generate-token-metadata', meterUsage, async (req, res) => {
+  tokenMetaLog.debug('Incoming request', req.body);
+  try {
+    const { seed } = req.body;
+    // count switches to multi-candidate mode: ranked alternatives, persisted in token_suggestions
+    const count = req.body.count !== undefined && req.body.count !== null ? Number(req.body.count) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_CANDIDATES)) {
+      return res.status(400).json({
+        error: `count must be an integer between 1 and ${MAX_CANDIDATES}`,
+        errorCode: 'INVALID_COUNT'
+      });
     }
-    // --- Reddit logic (new) ---
-    if (postUrl) {
-      if (!text || !postUrl || !authorName) {
-        return res.status(400).json({
-          error: 'Missing required fields',
-          required: ['text', 'postUrl', 'authorName']
-        });
+    const targetLanguage = req.body.targetLanguage || 'en';
+    const languageError = checkTargetLanguage(targetLanguage, { multiple: count !== null });
+    if (languageError) {
+      return res.status(400).json(languageError);
+    }
+
+    const { adapter, content } = await sourceRegistry.prepare(req.body);
+    const { source, sourceUrl, text, authorName, details, image } = content;
+
+    if (count !== null) {
+      const batch = await tokenSuggestionService.generateBatch({
+        source, sourceUrl, text, authorName, details, image, visionImage: content.visionImage, count, seed, targetLanguage,
+        publicKey: historyOwner(req)
+      });
+      recordHistory(historyOwner(req), {
+        kind: 'candidates',
+        source,
+        sourceUrl,
+        candidates: batch.candidates.map(({ id, name, ticker, description }) => ({ name, ticker, description, suggestionId: id })),
+        image,
+        links: adapter.getLinks(content),
+        language: batch.language,
+        promptTemplateId: batch.candidates[0].promptTemplateId,
+        suggestionBatchId: batch.batchId
+      });
+      return res.json({
+        ...batch,
+        candidates: batch.candidates.map(candidate => ({
+          ...candidate,
+          [adapter.responseUrlField]: sourceUrl,
+          links: adapter.getLinks(content)
+        }))
+      });
+    }
+
+    res.json(await generateTokenMetadata({ adapter, content, targetLanguage, publicKey: historyOwner(req) }));
+  } catch (error) {
+    tokenMetaLog.error('Token metadata generation error', error);
+    const { status, body } = toMetadataError(error);
+    res.status(status).json(body);
+  }
+});
+
+// --- Streaming Token Metadata Endpoint ---
+// Same request and result as /api/generate-token-metadata (single token only), sent as Server-Sent Events
+// so clients can show the name before generation finishes. Events: cache_hit, generating, partial
+// ({ name, ticker, attempt }, repeated as the model writes), validated, image_selected, then done with
+// the full response body, or error with the JSON endpoint's error body plus its status.
+// Bad input is still rejected with a plain JSON error before the stream opens.
+app.post('/api/generate-token-metadata/stream', meterUsage, async (req, res) => {
+  tokenMetaLog.debug('Incoming streaming request', req.body);
+  let streaming = false;
+  try {
+    if (req.body.count !== undefined && req.body.count !== null) {
+      return res.status(400).json({
+        error: 'count is not supported when streaming; use /api/generate-token-metadata',
+        errorCode: 'INVALID_COUNT'
+      });
+    }
+    const targetLanguage = req.body.targetLanguage || 'en';
+    const languageError = checkTargetLanguage(targetLanguage);
+    if (languageError) {
+      return res.status(400).json(languageError);
+    }
+    const { adapter, content } = await sourceRegistry.prepare(req.body);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    // Generation carries on if the client goes away, so the result is still cached
+    const emit = (event, data) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    emit('done', await generateTokenMetadata({ adapter, content, targetLanguage, publicKey: historyOwner(req) }, emit));
+    res.end();
+  } catch (error) {
+    tokenMetaLog.error('Streaming token metadata generation error', error);
+    const { status, body } = toMetadataError(error);
+    if (!streaming) {
+      return res.status(status).json(body);
+    }
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`event: error\ndata: ${JSON.stringify({ ...body, status })}\n\n`);
+    }
+    res.end();
+  }
+});
+
+// --- Bulk Token Metadata Endpoints ---
+// Generates metadata for a list of source payloads (each shaped like a /api/generate-token-metadata body)
+// with bounded concurrency. Every batch is a job: small ones are answered when done, larger ones
+// (or wait: false) return 202 with the job to poll. Items succeed or fail on their own.
+app.post('/api/generate-token-metadata/bulk', meterUsage, async (req, res) => {
+  try {
+    const { items } = req.body;
+    const { maxItems, waitMaxItems } = bulkGenerationService.config;
+    if (!Array.isArray(items) || items.length === 0 || items.length > maxItems) {
+      return res.status(400).json({
+        error: `items must be an array of 1 to ${maxItems} source payloads`,
+        errorCode: 'INVALID_ITEMS'
+      });
+    }
+    const targetLanguage = req.body.targetLanguage || 'en';
+    const languageError = checkTargetLanguage(targetLanguage);
+    if (languageError) {
+      return res.status(400).json(languageError);
+    }
+
+    // The same post twice in one batch is generated once
+    const share = shareByKey();
+    const processItem = async (item) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new SourceError('Each item must be a source payload object', 'INVALID_ITEM', 400);
       }
-      // Generate meme token data with OpenAI (Reddit)
-      const prompt = `Given this Reddit post:\nText: "${text}"\nAuthor: ${authorName}\nGenerate a meme token based on this post with the following format:\n{\n  "name": "A catchy, meme-worthy name based on the post's theme or author (max 3 words)",\n  "ticker": "A 3-6 letter acronym or playful reference to the name",\n  "description": "A one-sentence meme-worthy summary of the post (max 15 words)"\n}\nMake it funny and viral-worthy.`;
-      console.log('[OpenAI][Reddit] Prompt being sent:', prompt);
-      console.log('[OpenAI][Reddit] Data:', { text, mediaUrls, postUrl, authorName, authorAvatar });
-      let tokenData;
-      try {
-        const completion = await openai.chat.completions.create({
-          model: "gpt-4",
-          messages: [
-            { role: "system", content: "You are a creative meme token generator. Generate funny, viral-worthy token names and descriptions based on Reddit posts." },
-            { role: "user", content: prompt }
-          ],
-          temperature: 0.7,
-        });
-        const response = completion.choices[0].message.content;
-        console.log('[OpenAI][Reddit] Raw response:', response);
-        tokenData = JSON.parse(response);
-        console.log('[OpenAI][Reddit] Parsed tokenData:', tokenData);
-      } catch (error) {
-        console.error('OpenAI API error:', error);
-        throw new Error('Failed to generate token data');
+      const { adapter, content } = await sourceRegistry.prepare(item);
+      return share(`${content.source}:${content.sourceUrl}`, () => {
+        let cached = false;
+        return generateTokenMetadata({ adapter, content, targetLanguage, publicKey: historyOwner(req) }, (event) => {
+          if (event === 'cache_hit') cached = true;
+        }).then(response => ({ ...response, cached }));
+      });
+    };
+
+    const { job, done } = await bulkGenerationService.start(items, {
+      targetLanguage,
+      processItem,
+      describeError: (error) => {
+        tokenMetaLog.warn('Bulk item failed', { error: error.message });
+        return toMetadataError(error);
       }
-      // Pick best image: first media or author avatar
-      tokenData.image = (mediaUrls && mediaUrls.length > 0) ? mediaUrls[0] : authorAvatar;
-      tokenData.redditUrl = postUrl;
-      const redditResponse = {
-        name: tokenData.name,
-        ticker: tokenData.ticker,
-        description: tokenData.description,
-        image: tokenData.image,
-        redditUrl: tokenData.redditUrl
+    });
+
+    if (req.body.wait === false || items.length > waitMaxItems) {
+      done.catch(error => tokenMetaLog.error(`Bulk job ${job.id} failed`, error));
+      return res.status(202).json({ job, pollUrl: `/api/generate-token-metadata/bulk/${job.id}` });
+    }
+    res.json({ job: await done });
+  } catch (error) {
+    tokenMetaLog.error('Bulk token metadata generation error', error);
+    res.status(500).json({ error: 'Failed to start bulk generation', message: error.message });
+  }
+});
+
+app.get('/api/generate-token-metadata/bulk/:id', async (req, res) => {
+  try {
+    const job = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await bulkGenerationService.get(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({ error: 'Bulk generation job not found', errorCode: 'JOB_NOT_FOUND' });
+    }
+    res.json({ job });
+  } catch (error) {
+    tokenMetaLog.error('Error fetching bulk generation job', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sources the generation endpoints accept and the fields each one needs
+app.get('/api/generate-token-metadata/sources', (req, res) => {
+  res.json({
+    sources: sourceRegistry.list().map(id => {
+      const adapter = sourceRegistry.get(id);
+      return {
+        source: id,
+        label: adapter.label.plural,
+        required: adapter.getRequiredFields(),
+        hosts: adapter.hosts,
+        launchLink: adapter.launchLink
       };
-      console.log('[OpenAI][Reddit] Final response to client:', redditResponse);
-      res.json(redditResponse);
-      return;
+    })
+  });
+});
+
+// --- Regenerate Token Metadata Endpoint ---
+// Revises an earlier suggestion from free-text feedback; every result is kept as a new version, per wallet
+app.post('/api/generate-token-metadata/regenerate', meterUsage, async (req, res) => {
+  tokenMetaLog.debug('Incoming regenerate request', req.body);
+  try {
+    const { previous, previousVersionId } = req.body;
+    const { adapter, content } = await sourceRegistry.prepare(req.body);
+
+    const lockedFields = req.body.lockedFields || [];
+    if (!Array.isArray(lockedFields) || lockedFields.some(field => !EDITABLE_FIELDS.includes(field))) {
+      return res.status(400).json({
+        error: `lockedFields must be an array containing only ${EDITABLE_FIELDS.join(', ')}`,
+        errorCode: 'INVALID_LOCKED_FIELDS'
+      });
+    }
+    if (EDITABLE_FIELDS.every(field => lockedFields.includes(field))) {
+      return res.status(400).json({
+        error: 'At least one field must be unlocked to regenerate',
+        errorCode: 'INVALID_LOCKED_FIELDS'
+      });
     }
-    // fallback
-    return res.status(400).json({ error: 'Missing tweetUrl or postUrl' });
+    const feedback = typeof req.body.feedback === 'string' ? req.body.feedback.trim().slice(0, 500) : '';
+
+    const { version, history, moderation } = await tokenMetadataVersionService.regenerate({
+      source: content.source,
+      sourceUrl: content.sourceUrl,
+      publicKey: historyOwner(req),
+      text: content.text,
+      authorName: content.authorName,
+      details: content.details,
+      image: content.image,
+      visionImage: content.visionImage,
+      previous,
+      previousVersionId,
+      lockedFields: [...new Set(lockedFields)],
+      feedback
+    });
+    recordHistory(historyOwner(req), {
+      kind: 'regenerate',
+      source: content.source,
+      sourceUrl: content.sourceUrl,
+      candidates: [{ name: version.name, ticker: version.ticker, description: version.description, metadataVersionId: version.id }],
+      image: content.image,
+      links: adapter.getLinks(content),
+      promptTemplateId: version.promptTemplateId,
+      metadataVersionId: version.id
+    });
+    res.json({
+      ...version,
+      metadataVersionId: version.id,
+      [adapter.responseUrlField]: content.sourceUrl,
+      source: content.source,
+      sourceUrl: content.sourceUrl,
+      links: adapter.getLinks(content),
+      history,
+      moderationWarning: moderationService.toWarning(moderation)
+    });
   } catch (error) {
-    console.error('Token metadata generation error:', error);
+    tokenMetaLog.error('Token metadata regeneration error', error);
+    if (error instanceof SourceError || error instanceof ModerationError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+    }
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({
+        error: 'Failed to regenerate token metadata',
+        errorCode: error.errorCode,
+        message: error.message,
+        details: error.details
+      });
+    }
     res.status(500).json({
-      error: 'Failed to generate token metadata',
+      error: 'Failed to regenerate token metadata',
       message: error.message
     });
   }
 });
 
+// Every metadata version the signed-in wallet made for a source post, oldest first
+app.get('/api/token-metadata-versions', requireWalletAuth, async (req, res) => {
+  try {
+    const { sourceUrl } = req.query;
+    if (!sourceUrl) {
+      return res.status(400).json({ error: 'sourceUrl query parameter is required' });
+    }
+    const rows = await tokenMetadataVersionService.listBySource(
+      await sourceRegistry.canonicalizeUrl(sourceUrl),
+      req.auth.publicKey
+    );
+    res.json({ versions: rows.map(toVersion) });
+  } catch (err) {
+    tokenMetaLog.error('Error fetching token metadata versions', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Token Suggestion Endpoints ---
+// Every candidate generated for a source post, oldest batch first
+app.get('/api/token-suggestions', async (req, res) => {
+  try {
+    const { sourceUrl } = req.query;
+    if (!sourceUrl) {
+      return res.status(400).json({ error: 'sourceUrl query parameter is required' });
+    }
+    const rows = await tokenSuggestionService.listBySource(await sourceRegistry.canonicalizeUrl(sourceUrl));
+    res.json({ suggestions: rows.map(toSuggestion) });
+  } catch (err) {
+    tokenMetaLog.error('Error fetching token suggestions', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Only the wallet whose session generated the batch can choose from it
+app.post('/api/token-suggestions/:id/select', requireWalletAuth, async (req, res) => {
+  try {
+    const suggestion = UUID_PATTERN.test(req.params.id)
+      ? await tokenSuggestionService.select(req.params.id, req.auth.publicKey)
+      : null;
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found', errorCode: 'SUGGESTION_NOT_FOUND' });
+    }
+    res.json({ success: true, suggestion });
+  } catch (err) {
+    tokenMetaLog.error('Error selecting token suggestion', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Generation History Endpoints ---
+// Everything the signed-in wallet generated, newest first, with the candidate it chose and whether it launched
+app.get('/api/generation-history', requireWalletAuth, async (req, res) => {
+  try {
+    const page = req.query.page !== undefined ? Number(req.query.page) : 1;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: `page must be a positive integer and limit an integer between 1 and ${MAX_PAGE_SIZE}`,
+        errorCode: 'INVALID_PAGINATION'
+      });
+    }
+    const { kind, source } = req.query;
+    if (kind && !HISTORY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${HISTORY_KINDS.join(', ')}`, errorCode: 'INVALID_KIND' });
+    }
+    const search = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+
+    const { entries, total } = await generationHistoryService.list(req.auth.publicKey, { page, limit, search, source, kind });
+    res.json({ entries, page, limit, total, hasMore: page * limit < total });
+  } catch (err) {
+    historyLog.error('Error fetching generation history', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/generation-history/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const entry = UUID_PATTERN.test(req.params.id) ? await generationHistoryService.get(req.auth.publicKey, req.params.id) : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found', errorCode: 'HISTORY_NOT_FOUND' });
+    }
+    res.json({ entry });
+  } catch (err) {
+    historyLog.error('Error fetching generation history entry', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// "Launch this": the /api/trade-local create request for one candidate, filled in from the entry.
+// candidate defaults to the chosen one (else the first); amount is the dev buy in SOL, 0 by default.
+app.get('/api/generation-history/:id/launch', requireWalletAuth, async (req, res) => {
+  try {
+    const entry = UUID_PATTERN.test(req.params.id) ? await generationHistoryService.get(req.auth.publicKey, req.params.id) : null;
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found', errorCode: 'HISTORY_NOT_FOUND' });
+    }
+    const index = req.query.candidate !== undefined ? Number(req.query.candidate) : (entry.chosen ? entry.chosen.index : 0);
+    if (!Number.isInteger(index) || index < 0 || index >= entry.candidates.length) {
+      return res.status(400).json({
+        error: `candidate must be an index between 0 and ${entry.candidates.length - 1}`,
+        errorCode: 'INVALID_CANDIDATE'
+      });
+    }
+    const amount = req.query.amount !== undefined ? Number(req.query.amount) : 0;
+    if (!Number.isFinite(amount) || amount < 0) {
+      return res.status(400).json({ error: 'amount must be a non-negative number of SOL', errorCode: 'INVALID_AMOUNT' });
+    }
+    if (entry.launched && entry.chosen && entry.chosen.index === index) {
+      return res.status(409).json({
+        error: 'This candidate has already been launched',
+        errorCode: 'ALREADY_LAUNCHED',
+        createdToken: entry.createdToken
+      });
+    }
+
+    const candidate = entry.candidates[index];
+    const tickerCheck = await tickerAvailabilityService.check(candidate.ticker);
+    res.json({
+      entryId: entry.id,
+      candidate,
+      tickerCheck,
+      request: buildLaunchPayload(entry, index, { publicKey: req.auth.publicKey, amount })
+    });
+  } catch (err) {
+    historyLog.error('Error building launch payload', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // --- Proxy Image Endpoint ---
 app.get('/api/proxy-image', async (req, res) => {
   const { url } = req.query;
   if (!url) return res.status(400).send('Missing url parameter');
   try {
-    const response = await fetch(url, { headers: { 'User-Agent': 'Mozilla/5.0' } });
-    if (!response.ok) return res.status(500).send('Failed to fetch image');
+    const response = await imageProxyService.open(url);
     res.set('Content-Type', response.headers.get('content-type') || 'image/jpeg');
     response.body.pipe(res);
   } catch (err) {
@@ -497,16 +965,500 @@ app.get('/api/proxy-image', async (req, res) => {
   }
 });
 
+/**
+ * Image bytes from a multipart imageFile (as /api/trade-local takes), a base64 imageFile in a JSON
+ * body or, when allowUrl is set, an imageUrl such as tweet media or an avatar. Null when none was sent.
+ */
+async function readImageInput(req, { allowUrl = false } = {}) {
+  if (req.file) return req.file.buffer;
+  if (req.body.imageFile) return decodeDataUrl(req.body.imageFile);
+  if (allowUrl && req.body.imageUrl) {
+    if (!/^https?:\/\//i.test(req.body.imageUrl)) {
+      throw new ImageError('imageUrl must be an http(s) URL', 'INVALID_IMAGE');
+    }
+    try {
+      const { buffer } = await imageProxyService.fetchImage(req.body.imageUrl, { maxBytes: imagePipeline.config.maxInputBytes });
+      return buffer;
+    } catch (error) {
+      throw new ImageError(`Could not fetch the image: ${error.message}`, 'IMAGE_FETCH_FAILED', 422);
+    }
+  }
+  return null;
+}
+
+function toImageResponse(tokenImage) {
+  return {
+    preview: toDataUrl(tokenImage),
+    format: tokenImage.format,
+    mime: tokenImage.mime,
+    width: tokenImage.width,
+    height: tokenImage.height,
+    bytes: tokenImage.bytes,
+    source: tokenImage.source
+  };
+}
+
+// --- Token Image Preview Endpoint ---
+// Runs a logo through the same pipeline as a launch, so the client can show exactly what pump.fun will get.
+app.post('/api/token-image/preview', upload.single('imageFile'), async (req, res) => {
+  try {
+    const input = await readImageInput(req);
+    if (!input) {
+      return res.status(400).json({ error: 'imageFile is required', errorCode: 'MISSING_IMAGE' });
+    }
+    res.json(toImageResponse(await imagePipeline.process(input)));
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+    }
+    log.error('Token image preview failed', error);
+    res.status(500).json({ error: 'Failed to process image' });
+  }
+});
+
+// --- Logo Composer Endpoints ---
+// Presets live in src/services/media/logoPresets.json
+app.get('/api/token-image/presets', (req, res) => {
+  res.json({ presets: logoComposer.listPresets() });
+});
+
+// { ticker, name?, preset?, imageUrl | imageFile } -> a logo with the ticker stamped on, ready to upload to /api/trade-local
+app.post('/api/token-image/compose', upload.single('imageFile'), async (req, res) => {
+  try {
+    const input = await readImageInput(req, { allowUrl: true });
+    if (!input) {
+      return res.status(400).json({ error: 'imageFile or imageUrl is required', errorCode: 'MISSING_IMAGE' });
+    }
+    const logo = await logoComposer.compose({
+      image: input,
+      ticker: req.body.ticker,
+      name: req.body.name,
+      preset: req.body.preset || undefined
+    });
+    res.json({ ...toImageResponse(logo), preset: logo.preset, ticker: logo.ticker });
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+    }
+    log.error('Logo composition failed', error);
+    res.status(500).json({ error: 'Failed to compose logo' });
+  }
+});
+
+// --- Launch Draft Endpoints ---
+// Drafts are per wallet; each has a public read-only preview at /drafts/:shareId
+const draftConfig = getDraftConfig();
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{16}$/;
+
+function sendDraftError(res, error) {
+  return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+}
+
+/**
+ * Absolute preview page and card URLs; link unfurlers need absolute og:image URLs
+ */
+function draftShareLinks(req, draft) {
+  const base = draftConfig.publicBaseUrl || `${req.protocol}://${req.get('host')}`;
+  return {
+    previewUrl: `${base}/drafts/${draft.shareId}`,
+    cardUrl: `${base}/api/drafts/shared/${draft.shareId}/card.png`
+  };
+}
+
+/**
+ * The uploaded logo, normalized like a launch logo, as a data URL. Undefined when none was sent.
+ */
+async function readDraftImage(req) {
+  const input = await readImageInput(req, { allowUrl: true });
+  return input ? toDataUrl(await imagePipeline.process(input)) : undefined;
+}
+
+/**
+ * Drafts are public once shared, so they are screened like a launch. Throws CONTENT_BLOCKED;
+ * returns the warning, if any, otherwise.
+ */
+async function reviewDraft(draft, publicKey) {
+  const moderation = moderationService.assertAllowed(await moderationService.review({
+    stage: 'draft',
+    name: draft.name,
+    ticker: draft.symbol,
+    description: draft.description,
+    image: draft.image || null,
+    sourceUrl: draft.twitter || draft.telegram || draft.website || null,
+    publicKey
+  }));
+  return moderationService.toWarning(moderation);
+}
+
+async function findOwnDraft(req) {
+  return UUID_PATTERN.test(req.params.id) ? launchDraftService.get(req.auth.publicKey, req.params.id) : null;
+}
+
+/**
+ * A draft with a scheduled launch pending is locked until that launch is sent or cancelled, so it
+ * is neither launched twice nor changed under the signed transaction. Responds 409 and resolves
+ * to true when it is locked.
+ */
+async function rejectScheduledDraft(res, draft) {
+  const booked = await launchScheduler.findOpenForDraft(draft.publicKey, draft.id);
+  if (!booked) return false;
+  res.status(409).json({
+    error: 'This draft has a scheduled launch; cancel it first',
+    errorCode: 'DRAFT_SCHEDULED',
+    scheduledLaunchId: booked.id
+  });
+  return true;
+}
+
+// { name, symbol, description?, twitter?, telegram?, website?, amount?, slippage?, pool?, imageFile | imageUrl }
+app.post('/api/drafts', requireWalletAuth, upload.single('imageFile'), async (req, res) => {
+  try {
+    const { errors, value } = validateDraftFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid draft', errorCode: 'INVALID_DRAFT', errors });
+    }
+    const image = await readDraftImage(req);
+    if (image) value.image = image;
+
+    const moderationWarning = await reviewDraft(value, req.auth.publicKey);
+    const draft = await launchDraftService.create(req.auth.publicKey, value);
+    res.status(201).json({ draft, ...draftShareLinks(req, draft), moderationWarning });
+  } catch (error) {
+    if (error instanceof DraftError || error instanceof ImageError || error instanceof ModerationError) {
+      return sendDraftError(res, error);
+    }
+    draftsLog.error('Error creating draft', error);
+    res.status(500).json({ error: 'Failed to create draft' });
+  }
+});
+
+app.get('/api/drafts', requireWalletAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !DRAFT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DRAFT_STATUSES.join(', ')}`, errorCode: 'INVALID_STATUS' });
+    }
+    const drafts = await launchDraftService.list(req.auth.publicKey, { status });
+    res.json({ drafts: drafts.map(draft => ({ ...draft, ...draftShareLinks(req, draft) })) });
+  } catch (error) {
+    draftsLog.error('Error listing drafts', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/drafts/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    res.json({ draft, ...draftShareLinks(req, draft) });
+  } catch (error) {
+    draftsLog.error('Error fetching draft', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Any subset of the POST fields; a new imageFile or imageUrl replaces the logo and removeImage=true drops it
+app.patch('/api/drafts/:id', requireWalletAuth, upload.single('imageFile'), async (req, res) => {
+  try {
+    const existing = await findOwnDraft(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    if (await rejectScheduledDraft(res, existing)) return;
+    const { errors, value } = validateDraftFields(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid draft', errorCode: 'INVALID_DRAFT', errors });
+    }
+    const image = await readDraftImage(req);
+    if (image) value.image = image;
+    else if (req.body.removeImage === true || req.body.removeImage === 'true') value.image = null;
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No draft fields to update', errorCode: 'INVALID_DRAFT', errors: [] });
+    }
+
+    const moderationWarning = await reviewDraft({ ...existing, ...value }, req.auth.publicKey);
+    const draft = await launchDraftService.update(req.auth.publicKey, existing.id, value);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    res.json({ draft, ...draftShareLinks(req, draft), moderationWarning });
+  } catch (error) {
+    if (error instanceof DraftError || error instanceof ImageError || error instanceof ModerationError) {
+      return sendDraftError(res, error);
+    }
+    draftsLog.error('Error updating draft', error);
+    res.status(500).json({ error: 'Failed to update draft' });
+  }
+});
+
+app.delete('/api/drafts/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req);
+    if (draft && await rejectScheduledDraft(res, draft)) return;
+    const removed = draft && await launchDraftService.remove(req.auth.publicKey, draft.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof DraftError) return sendDraftError(res, error);
+    draftsLog.error('Error deleting draft', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The /api/trade-local create request for a draft, to send with this wallet's session so the launch job
+// links to the draft. Saving the resulting token through POST /api/created-tokens with draftId and the
+// same session links the two and marks the draft launched.
+app.get('/api/drafts/:id/launch', requireWalletAuth, async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    if (draft.status !== 'draft') {
+      return res.status(409).json({ error: 'This draft has already been launched', errorCode: 'DRAFT_LAUNCHED', mint: draft.mint });
+    }
+    if (await rejectScheduledDraft(res, draft)) return;
+    const tickerCheck = await tickerAvailabilityService.check(draft.symbol);
+    res.json({ draftId: draft.id, tickerCheck, request: buildDraftLaunchRequest(draft) });
+  } catch (error) {
+    draftsLog.error('Error building draft launch request', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function findSharedDraft(shareId) {
+  return SHARE_ID_PATTERN.test(shareId) ? launchDraftService.getShared(shareId) : null;
+}
+
+// Public, read-only: anyone with the share link sees the draft's token details but not its owner or launch settings
+app.get('/api/drafts/shared/:shareId', async (req, res) => {
+  try {
+    const draft = await findSharedDraft(req.params.shareId);
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' });
+    }
+    res.json({ draft: toSharedDraft(draft), ...draftShareLinks(req, draft) });
+  } catch (error) {
+    draftsLog.error('Error fetching shared draft', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/drafts/shared/:shareId/card.png', async (req, res) => {
+  try {
+    const draft = await findSharedDraft(req.params.shareId);
+    if (!draft) return res.status(404).send('Draft not found');
+    const card = await previewCard.render(draft);
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(card);
+  } catch (error) {
+    draftsLog.error('Error rendering draft preview card', error);
+    res.status(500).send('Failed to render preview card');
+  }
+});
+
+app.get('/drafts/:shareId', async (req, res) => {
+  try {
+    const draft = await findSharedDraft(req.params.shareId);
+    if (!draft) return res.status(404).send('Draft not found');
+    const { previewUrl, cardUrl } = draftShareLinks(req, draft);
+    res.set('Cache-Control', 'public, max-age=60');
+    res.type('html').send(renderPreviewPage(draft, { pageUrl: previewUrl, cardUrl }));
+  } catch (error) {
+    draftsLog.error('Error rendering draft preview page', error);
+    res.status(500).send('Failed to load draft');
+  }
+});
+
+// --- Scheduled Launch Endpoints ---
+// A draft booked to launch at a set time. The wallet signs the create transaction once, right after
+// booking; it is built on a durable nonce so it stays valid until the scheduler sends it.
+const scheduledLaunchConfig = getScheduledLaunchConfig();
+
+function sendScheduleError(res, error) {
+  return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+}
+
+async function findOwnScheduledLaunch(req) {
+  return UUID_PATTERN.test(req.params.id) ? launchScheduler.get(req.auth.publicKey, req.params.id) : null;
+}
+
+/**
+ * Load one of the wallet's drafts and screen it for launch like /api/trade-local does: ticker
+ * collisions, then moderation. Resolves to { draft, image, tickerWarning, moderationWarning }, or
+ * to { failure } with the status and body to respond with.
+ */
+async function prepareDraftLaunch(publicKey, draftId) {
+  const draft = UUID_PATTERN.test(draftId || '') ? await launchDraftService.get(publicKey, draftId) : null;
+  if (!draft) {
+    return { failure: { status: 404, body: { error: 'Draft not found', errorCode: 'DRAFT_NOT_FOUND' } } };
+  }
+  if (draft.status !== 'draft') {
+    return { failure: { status: 409, body: { error: 'This draft has already been launched', errorCode: 'DRAFT_LAUNCHED', mint: draft.mint } } };
+  }
+  if (!draft.image) {
+    return { failure: { status: 400, body: { error: 'A draft needs a logo to be launched', errorCode: 'DRAFT_IMAGE_REQUIRED' } } };
+  }
+
+  let tickerWarning = null;
+  const { collisionMode } = tickerAvailabilityService.config;
+  if (collisionMode !== 'off') {
+    const tickerCheck = await tickerAvailabilityService.check(draft.symbol);
+    if (tickerCheck.status === 'taken' && collisionMode === 'block') {
+      return {
+        failure: {
+          status: 409,
+          body: { error: `Ticker $${tickerCheck.ticker} is already taken.`, errorCode: 'TICKER_TAKEN', collisions: tickerCheck.collisions }
+        }
+      };
+    }
+    if (tickerCheck.status === 'taken' || tickerCheck.status === 'similar') {
+      tickerWarning = { status: tickerCheck.status, collisions: tickerCheck.collisions };
+    }
+  }
+
+  const image = await imagePipeline.process(decodeDataUrl(draft.image));
+  const moderation = moderationService.assertAllowed(await moderationService.review({
+    stage: 'launch',
+    name: draft.name,
+    ticker: draft.symbol,
+    description: draft.description,
+    image,
+    sourceUrl: draft.twitter || draft.telegram || draft.website || null,
+    publicKey
+  }));
+  return { draft, image, tickerWarning, moderationWarning: moderationService.toWarning(moderation) };
+}
+
+function isScheduleClientError(error) {
+  return error instanceof ScheduleError || error instanceof LaunchSessionError
+    || error instanceof ImageError || error instanceof ModerationError;
+}
+
+// { draftId, launchAt } with launchAt an ISO 8601 time with a time zone. Responds with the launch
+// awaiting a signature: sign `transaction` and POST it to /api/scheduled-launches/:id/signature before
+// `signBy`, a few minutes away, or the booking expires.
+app.post('/api/scheduled-launches', requireWalletAuth, async (req, res) => {
+  try {
+    const { launchAt, error: launchAtError } = checkLaunchAt(req.body.launchAt, scheduledLaunchConfig);
+    if (launchAtError) {
+      return res.status(400).json({ error: launchAtError, errorCode: 'INVALID_LAUNCH_TIME' });
+    }
+    launchScheduler.assertAvailable();
+    const prepared = await prepareDraftLaunch(req.auth.publicKey, req.body.draftId);
+    if (prepared.failure) return res.status(prepared.failure.status).json(prepared.failure.body);
+
+    const job = await launchScheduler.schedule({
+      publicKey: req.auth.publicKey,
+      draft: prepared.draft,
+      image: prepared.image,
+      launchAt
+    });
+    res.status(201).json({
+      scheduledLaunch: toScheduledLaunch(job, scheduledLaunchConfig),
+      tickerWarning: prepared.tickerWarning,
+      moderationWarning: prepared.moderationWarning
+    });
+  } catch (error) {
+    if (isScheduleClientError(error)) return sendScheduleError(res, error);
+    scheduledLaunchesLog.error('Error scheduling launch', error);
+    res.status(500).json({ error: 'Failed to schedule launch' });
+  }
+});
+
+app.get('/api/scheduled-launches', requireWalletAuth, async (req, res) => {
+  try {
+    res.json({ scheduledLaunches: await launchScheduler.list(req.auth.publicKey) });
+  } catch (error) {
+    scheduledLaunchesLog.error('Error listing scheduled launches', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/scheduled-launches/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const job = await findOwnScheduledLaunch(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled launch not found', errorCode: 'SCHEDULED_LAUNCH_NOT_FOUND' });
+    }
+    res.json({ scheduledLaunch: toScheduledLaunch(job, scheduledLaunchConfig) });
+  } catch (error) {
+    scheduledLaunchesLog.error('Error fetching scheduled launch', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// { signedTransaction }: the launch's transaction, base64, signed by the wallet and otherwise unchanged
+app.post('/api/scheduled-launches/:id/signature', requireWalletAuth, async (req, res) => {
+  try {
+    const job = await findOwnScheduledLaunch(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled launch not found', errorCode: 'SCHEDULED_LAUNCH_NOT_FOUND' });
+    }
+    if (typeof req.body.signedTransaction !== 'string' || !req.body.signedTransaction) {
+      return res.status(400).json({ error: 'signedTransaction is required', errorCode: 'MISSING_SIGNED_TRANSACTION' });
+    }
+    const signed = await launchScheduler.sign(job, req.body.signedTransaction);
+    res.json({ scheduledLaunch: toScheduledLaunch(signed, scheduledLaunchConfig) });
+  } catch (error) {
+    if (isScheduleClientError(error)) return sendScheduleError(res, error);
+    scheduledLaunchesLog.error('Error signing scheduled launch', error);
+    res.status(500).json({ error: 'Failed to save signature' });
+  }
+});
+
+// { launchAt }: the signed transaction stays valid, so nothing is re-signed. The draft itself is locked
+// while its launch is booked; to change its content, cancel, edit the draft and book it again.
+app.patch('/api/scheduled-launches/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const job = await findOwnScheduledLaunch(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled launch not found', errorCode: 'SCHEDULED_LAUNCH_NOT_FOUND' });
+    }
+    const { launchAt, error: launchAtError } = checkLaunchAt(req.body.launchAt, scheduledLaunchConfig);
+    if (launchAtError) {
+      return res.status(400).json({ error: launchAtError, errorCode: 'INVALID_LAUNCH_TIME' });
+    }
+    const updated = await launchScheduler.reschedule(job, launchAt);
+    res.json({ scheduledLaunch: toScheduledLaunch(updated, scheduledLaunchConfig) });
+  } catch (error) {
+    if (isScheduleClientError(error)) return sendScheduleError(res, error);
+    scheduledLaunchesLog.error('Error updating scheduled launch', error);
+    res.status(500).json({ error: 'Failed to update scheduled launch' });
+  }
+});
+
+// Cancel: the launch's nonce account is closed, so its signed transaction can never land
+app.delete('/api/scheduled-launches/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const job = await findOwnScheduledLaunch(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled launch not found', errorCode: 'SCHEDULED_LAUNCH_NOT_FOUND' });
+    }
+    const cancelled = await launchScheduler.cancel(job);
+    res.json({ scheduledLaunch: toScheduledLaunch(cancelled, scheduledLaunchConfig) });
+  } catch (error) {
+    if (isScheduleClientError(error)) return sendScheduleError(res, error);
+    scheduledLaunchesLog.error('Error cancelling scheduled launch', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled launch' });
+  }
+});
+
 // --- SOL Transfer Endpoint ---
 app.post('/api/transactions/send-sol', async (req, res) => {
   try {
-    const { fromPublicKey, toPublicKey, amount, secretKey } = req.body;
+    const { fromPublicKey, toPublicKey, amount, secretKey, signingMode } = req.body;
 
-    if (!fromPublicKey || !toPublicKey || !amount || !secretKey) {
+    if (!fromPublicKey || !toPublicKey || !amount || (!secretKey && signingMode !== 'client')) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    console.log('Attempting to send SOL transaction...');
+    transferLog.info('Attempting to send SOL transaction...');
 
     const fromKeypair = new PublicKey(fromPublicKey);
     const toKeypair = new PublicKey(toPublicKey);
@@ -519,6 +1471,11 @@ app.post('/api/transactions/send-sol', async (req, res) => {
       lamports: amountInLamports,
     });
 
+    if (signingMode === 'client') {
+      const connection = await getConnection();
+      return res.json(await issueTransferForClientSigning(connection, fromKeypair, [transferInstruction]));
+    }
+
     // Create signer from secret key
     const secretKeyUint8 = Uint8Array.from(secretKey);
     const signer = { publicKey: fromKeypair, secretKey: secretKeyUint8 };
@@ -529,7 +1486,7 @@ app.post('/api/transactions/send-sol', async (req, res) => {
       maxRetries: 0
     };
 
-    console.log('Sending transaction using Helius Smart Transactions...');
+    transferLog.info('Sending transaction using Helius Smart Transactions...');
     const signature = await helius.rpc.sendSmartTransaction(
       [transferInstruction],
       [signer],
@@ -537,10 +1494,10 @@ app.post('/api/transactions/send-sol', async (req, res) => {
       sendOptions
     );
 
-    console.log('Transaction sent successfully! Signature:', signature);
+    transferLog.info('Transaction sent successfully', { signature });
     res.json({ signature });
   } catch (error) {
-    console.error('Failed to send SOL:', error);
+    transferLog.error('Failed to send SOL', error);
     res.status(500).json({ 
       error: error.message,
       details: error.toString()
@@ -551,9 +1508,9 @@ app.post('/api/transactions/send-sol', async (req, res) => {
 // --- SPL Token Transfer Endpoint ---
 app.post('/api/transactions/send-spl', async (req, res) => {
   try {
-    const { fromPublicKey, toPublicKey, tokenMint, amount, decimals, secretKey } = req.body;
+    const { fromPublicKey, toPublicKey, tokenMint, amount, decimals, secretKey, signingMode } = req.body;
 
-    if (!fromPublicKey || !toPublicKey || !tokenMint || !amount || !decimals || !secretKey) {
+    if (!fromPublicKey || !toPublicKey || !tokenMint || !amount || !decimals || (!secretKey && signingMode !== 'client')) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
@@ -563,6 +1520,18 @@ app.post('/api/transactions/send-spl', async (req, res) => {
     const mintKeypair = new PublicKey(tokenMint);
     const amountInSmallestUnit = amount * Math.pow(10, decimals);
 
+    if (signingMode === 'client') {
+      // Without the wallet key we cannot create token accounts up front, so the
+      // sender pays for the recipient account inside the same transaction
+      const fromTokenAddress = await getAssociatedTokenAddress(mintKeypair, fromKeypair);
+      const toTokenAddress = await getAssociatedTokenAddress(mintKeypair, toKeypair);
+      const instructions = [
+        createAssociatedTokenAccountIdempotentInstruction(fromKeypair, toTokenAddress, toKeypair, mintKeypair),
+        createTransferInstruction(fromTokenAddress, toTokenAddress, fromKeypair, BigInt(amountInSmallestUnit))
+      ];
+      return res.json(await issueTransferForClientSigning(connection, fromKeypair, instructions));
+    }
+
     // Get or create token accounts
     const fromTokenAccount = await getOrCreateAssociatedTokenAccount(
       connection,
@@ -611,7 +1580,75 @@ app.post('/api/transactions/send-spl', async (req, res) => {
 
     res.json({ signature });
   } catch (error) {
-    console.error('Failed to send SPL token:', error);
+    transferLog.error('Failed to send SPL token', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Build an unsigned transfer and register it for client-side signing
+async function issueTransferForClientSigning(connection, feePayer, instructions) {
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  const transaction = new Transaction().add(...instructions);
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = feePayer;
+
+  const session = launchSessionStore.create({
+    kind: 'transfer',
+    action: 'transfer',
+    publicKey: feePayer.toBase58(),
+    tx: transaction,
+    lastValidBlockHeight
+  });
+
+  return {
+    status: 'awaiting_signature',
+    launchSessionId: session.id,
+    transaction: serializeForClient(transaction),
+    expiresAt: session.expiresAt,
+    lastValidBlockHeight
+  };
+}
+
+// --- Submit a client-signed transfer issued by send-sol/send-spl (signingMode=client) ---
+app.post('/api/transactions/submit', async (req, res) => {
+  try {
+    const { launchSessionId, signedTransaction } = req.body;
+    if (!launchSessionId || !signedTransaction) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['launchSessionId', 'signedTransaction']
+      });
+    }
+
+    const session = launchSessionStore.get(launchSessionId);
+    if (!session || session.kind !== 'transfer') {
+      return res.status(404).json({
+        error: 'Transaction session not found or expired. Please request a new transaction.',
+        errorCode: 'LAUNCH_SESSION_NOT_FOUND'
+      });
+    }
+
+    const transaction = launchSessionStore.verifySignedTransaction(session, signedTransaction);
+    const connection = await getConnection();
+    const signature = await connection.sendRawTransaction(transaction.serialize());
+    launchSessionStore.consume(session.id);
+
+    const confirmation = await connection.confirmTransaction({
+      signature,
+      blockhash: transaction.recentBlockhash,
+      lastValidBlockHeight: session.lastValidBlockHeight
+    });
+
+    if (confirmation.value.err) {
+      throw new Error('Transaction failed: ' + JSON.stringify(confirmation.value.err));
+    }
+
+    res.json({ signature });
+  } catch (error) {
+    if (error instanceof LaunchSessionError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode });
+    }
+    transferLog.error('Failed to submit signed transfer', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -668,7 +1705,7 @@ app.post('/api/rpc/token-accounts', async (req, res) => {
         
         return acc;
       } catch (err) {
-        console.warn('Error processing token account:', err);
+        balanceLog.warn('Error processing token account', err);
         return acc;
       }
     }, {});
@@ -738,7 +1775,7 @@ app.post('/api/rpc/token-accounts', async (req, res) => {
     try {
       solPrice = await solPriceService.getSolPrice();
     } catch (e) {
-      console.error('[BalanceCheck] Failed to fetch SOL price from Jupiter:', e.message);
+      balanceLog.error('Failed to fetch SOL price from Jupiter', { error: e.message });
       return res.status(503).json({
         error: 'Failed to fetch SOL price. Please try again later.',
         errorCode: 'SOL_PRICE_UNAVAILABLE'
@@ -764,7 +1801,7 @@ app.post('/api/rpc/token-accounts', async (req, res) => {
     // No caching - return fresh data
     res.json({ tokens: allTokens });
   } catch (error) {
-    console.error('Token accounts fetch error:', error);
+    balanceLog.error('Token accounts fetch error', error);
     res.status(500).json({ 
       error: 'Failed to fetch token accounts',
       details: error.message 
@@ -773,9 +1810,39 @@ app.post('/api/rpc/token-accounts', async (req, res) => {
 });
 
 // --- Endpoint for trade-local ---
-app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The records a create links its launch job to, kept only if they exist: a mistyped or stale ID
+ * must not fail the job insert and leave the launch untracked. A draft must also be an unlaunched
+ * draft of the signed-in wallet the launch is for.
+ */
+async function resolveLaunchLinks(req) {
+  const { metadataVersionId, promptTemplateId, draftId, publicKey } = req.body;
+  const existing = async (id, load) => {
+    if (!UUID_PATTERN.test(id || '')) return null;
+    try {
+      return (await load(id)) ? id : null;
+    } catch (error) {
+      pumpPortalLog.warn(`Not linking launch to ${id}: lookup failed`, { error: error.message });
+      return null;
+    }
+  };
+  const [version, template, draft] = await Promise.all([
+    existing(metadataVersionId, id => tokenMetadataVersionService.get(id)),
+    existing(promptTemplateId, id => promptTemplateService.get(id)),
+    req.auth?.publicKey === publicKey
+      ? existing(draftId, async id => (await launchDraftService.get(publicKey, id))?.status === 'draft')
+      : null
+  ]);
+  return { metadataVersionId: version, promptTemplateId: template, draftId: draft };
+}
+
+// A wallet session is optional; it is only needed to link the launch to one of the wallet's drafts
+app.post('/api/trade-local', authenticateWallet, upload.single('imageFile'), async (req, res) => {
   const start = Date.now();
   const timing = {};
+  let launchJob = null;
   try {
     const { publicKey, amount } = req.body;
     // Validate publicKey
@@ -804,41 +1871,120 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
       throw new Error('Invalid action. Must be either "buy", "sell", or "create"');
     }
 
+    // signingMode=client: never accept wallet keys; the server generates the mint keypair itself
+    const signingMode = req.body.signingMode === 'client' ? 'client' : 'server';
+    if (signingMode === 'client' && (req.body.secretKey || req.body.mintSecretKey)) {
+      return res.status(400).json({
+        error: 'Secret keys must not be sent when signingMode is "client".',
+        errorCode: 'SECRET_KEY_NOT_ALLOWED'
+      });
+    }
+    const serverMintKeypair = signingMode === 'client' && req.body.action === 'create' ? Keypair.generate() : null;
+
+    // Token launches are tracked as resumable jobs; plain swaps are not
+    let tickerWarning = null;
+    let moderationWarning = null;
+    let tokenImage = null;
+    if (req.body.action === 'create') {
+      let tokenMetadata = null;
+      try {
+        tokenMetadata = JSON.parse(req.body.tokenMetadata || 'null');
+      } catch (e) {}
+
+      // TICKER_COLLISION_MODE decides whether a taken ticker blocks the launch or only warns
+      const { collisionMode } = tickerAvailabilityService.config;
+      if (collisionMode !== 'off' && tokenMetadata?.symbol) {
+        const tickerCheck = await tickerAvailabilityService.check(tokenMetadata.symbol);
+        if (tickerCheck.status === 'taken' && collisionMode === 'block') {
+          return res.status(409).json({
+            error: `Ticker $${tickerCheck.ticker} is already taken.`,
+            errorCode: 'TICKER_TAKEN',
+            collisions: tickerCheck.collisions
+          });
+        }
+        if (tickerCheck.status === 'taken' || tickerCheck.status === 'similar') {
+          pumpPortalLog.warn(`Launching with ${tickerCheck.status} ticker $${tickerCheck.ticker}`, { collisions: tickerCheck.collisions });
+          tickerWarning = { status: tickerCheck.status, collisions: tickerCheck.collisions };
+        }
+      }
+      // Bad uploads are refused here rather than by pump.fun after the launch job exists
+      if (req.file) {
+        try {
+          tokenImage = await imagePipeline.process(req.file.buffer);
+        } catch (error) {
+          if (!(error instanceof ImageError)) throw error;
+          return res.status(error.status).json({ error: error.message, errorCode: error.errorCode, ...error.details });
+        }
+        pumpPortalLog.debug('Token image normalized', {
+          source: tokenImage.source,
+          format: tokenImage.format,
+          bytes: tokenImage.bytes
+        });
+      }
+
+      // Screened before the launch job exists and before anything is pinned to IPFS
+      if (tokenMetadata) {
+        const moderation = await moderationService.review({
+          stage: 'launch',
+          name: tokenMetadata.name,
+          ticker: tokenMetadata.symbol,
+          description: tokenMetadata.description,
+          image: tokenImage,
+          sourceUrl: tokenMetadata.twitter || tokenMetadata.telegram || tokenMetadata.website || null,
+          publicKey: req.body.publicKey
+        });
+        if (moderation.outcome === 'block') {
+          return res.status(422).json({
+            error: 'Token metadata was blocked by moderation',
+            errorCode: 'CONTENT_BLOCKED',
+            moderation: moderationService.toWarning(moderation)
+          });
+        }
+        moderationWarning = moderationService.toWarning(moderation);
+      }
+
+      // metadataVersionId: the regenerated version this launch was built from, if any; marked used once sent
+      // promptTemplateId: the template version behind the metadata, as returned by generation
+      // draftId: the launch draft being launched, as sent by GET /api/drafts/:id/launch
+      const { metadataVersionId, promptTemplateId, draftId } = await resolveLaunchLinks(req);
+      launchJob = await launchJobService.create({
+        action: req.body.action,
+        signingMode,
+        publicKey: req.body.publicKey,
+        tokenMetadata,
+        metadataVersionId,
+        promptTemplateId,
+        draftId
+      });
+    }
+
     // For token creation, first upload metadata to Pump.fun IPFS
     let metadataUri;
     if (req.body.action === 'create' && req.body.tokenMetadata) {
       try {
         const tokenMetadata = JSON.parse(req.body.tokenMetadata);
-        const formData = new FormData();
-        formData.append('name', tokenMetadata.name);
-        formData.append('symbol', tokenMetadata.symbol);
-        // Append 'powered by Blazr' on a new line after the user's description, only if not already present
-        let description = tokenMetadata.description || '';
-        if (!description.toLowerCase().includes('powered by blazr')) {
-          description = description.trim() + '\n\npowered by Blazr';
-        }
-        formData.append('description', description);
-        formData.append('twitter', tokenMetadata.twitter || '');
-        formData.append('showName', 'true');
-        
-        // Use the uploaded image file
-        if (req.file) {
-          formData.append('file', req.file.buffer, { filename: 'token.png', contentType: req.file.mimetype });
-          
-          const ipfsResp = await axios.post('https://pump.fun/api/ipfs', formData, { 
-            headers: formData.getHeaders() 
-          });
-          metadataUri = ipfsResp.data.metadataUri;
-          console.log('IPFS upload successful, metadataUri:', metadataUri);
+        // Use the uploaded image file, as normalized above
+        if (tokenImage) {
+          const ipfsStart = Date.now();
+          ({ metadataUri } = await uploadMetadata(tokenMetadata, tokenImage));
+          timing.ipfsUpload = Date.now() - ipfsStart;
+          pumpPortalLog.info('IPFS upload successful', { metadataUri });
         } else {
           throw new Error('Image file is required for token creation');
         }
       } catch (error) {
-        console.error('IPFS upload error:', error);
+        pumpPortalLog.error('IPFS upload error', error);
         throw new Error('Failed to upload metadata to IPFS: ' + error.message);
       }
     }
 
+    if (metadataUri) {
+      launchJob = await launchJobService.transition(launchJob, 'metadata_uploaded', {
+        fields: { metadata_uri: metadataUri },
+        timing
+      });
+    }
+
     // Parse other fields from FormData
     const secretKey = JSON.parse(req.body.secretKey || '[]');
     const mintSecretKey = JSON.parse(req.body.mintSecretKey || '[]');
@@ -849,7 +1995,7 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
     let requestBodyForPumpPortal = {
       publicKey: req.body.publicKey,
       action: req.body.action,
-      mint: req.body.mint,
+      mint: serverMintKeypair ? serverMintKeypair.publicKey.toBase58() : req.body.mint,
       denominatedInSol: String(req.body.denominatedInSol),
       amount: Number(req.body.amount),
       slippage: req.body.slippage !== undefined ? Number(req.body.slippage) : 10,
@@ -873,9 +2019,7 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
     }
 
     const pumpPortalStart = Date.now();
-    console.log('Sending request to Pump Portal:', requestBodyForPumpPortal);
-    console.time('[launchtimer][backend] Pump Portal API Call');
-    console.log('🚨 About to POST to PumpPortal in /api/trade-local:', JSON.stringify(requestBodyForPumpPortal));
+    pumpPortalLog.debug('Sending request to Pump Portal', requestBodyForPumpPortal);
     let pumpPortalResponse;
     try {
       pumpPortalResponse = await axios.post('https://pumpportal.fun/api/trade-local', requestBodyForPumpPortal, {
@@ -889,11 +2033,11 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
       });
 
     } catch (err) {
-      console.error('🚨 PumpPortal axios.post error:', {
+      pumpPortalLog.error('PumpPortal axios.post error', {
         message: err.message,
         status: err.response?.status,
         statusText: err.response?.statusText,
-        data: err.response?.data,
+        data: err.response?.data ? Buffer.from(err.response.data).toString() : undefined,
         config: {
           url: err.config?.url,
           method: err.config?.method,
@@ -902,16 +2046,15 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
       });
       throw err;
     }
-    console.timeEnd('[launchtimer][backend] Pump Portal API Call');
     const pumpPortalDuration = Date.now() - pumpPortalStart;
     if (pumpPortalDuration > 2000) {
-      console.warn(`[launchtimer][backend] BLOCKER: Pump Portal API Call took ${pumpPortalDuration}ms`);
+      pumpPortalLog.warn(`BLOCKER: Pump Portal API Call took ${pumpPortalDuration}ms`);
     }
     timing.pumpPortal = Date.now() - pumpPortalStart;
-    console.log('Received response from Pump Portal');
+    pumpPortalLog.info('Received response from Pump Portal', { durationMs: timing.pumpPortal });
 
     // Log the response info from PumpPortal for debugging
-    console.log('[PumpPortal][trade-local] Response info:', {
+    pumpPortalLog.debug('Response info', {
       status: pumpPortalResponse.status,
       statusText: pumpPortalResponse.statusText,
       headers: pumpPortalResponse.headers,
@@ -924,9 +2067,9 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
     // Only log a small preview of binary data to avoid spam
     if (Buffer.isBuffer(pumpPortalResponse.data) || pumpPortalResponse.data instanceof ArrayBuffer) {
       const preview = Buffer.from(pumpPortalResponse.data).toString('hex').substring(0, 100);
-      console.log('[PumpPortal][trade-local] Binary data preview (first 50 bytes):', preview + '...');
+      pumpPortalLog.debug('Binary data preview (first 50 bytes)', preview + '...');
     } else {
-      console.log('[PumpPortal][trade-local] Response data:', pumpPortalResponse.data);
+      pumpPortalLog.debug('Response data', pumpPortalResponse.data);
     }
 
     // Check for error in Pump Portal response (user-friendly)
@@ -935,11 +2078,11 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
       pumpPortalData = JSON.parse(Buffer.from(pumpPortalResponse.data).toString());
     } catch (e) {
       // If not JSON, ignore (could be binary tx)
-      console.log('[PumpPortal] Response is not JSON (likely binary transaction data)');
+      pumpPortalLog.debug('Response is not JSON (likely binary transaction data)');
     }
     
     if (pumpPortalData && pumpPortalData.error) {
-      console.error('[PumpPortal] Error response:', pumpPortalData);
+      pumpPortalLog.error('Error response', pumpPortalData);
       
       let userMessage = 'An error occurred while launching your token.';
       let errorCode = 'UNKNOWN_ERROR';
@@ -966,259 +2109,139 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
         errorCode = 'TIMEOUT';
       }
       
-      console.error(`[PumpPortal] User-friendly error: ${userMessage} (Code: ${errorCode})`);
+      pumpPortalLog.error(`User-friendly error: ${userMessage} (Code: ${errorCode})`);
+
+      await launchJobService.transition(launchJob, 'failed', {
+        error: { message: userMessage, errorCode, details: pumpPortalData.error },
+        timing
+      });
       
       return res.status(400).json({ 
         error: userMessage,
         errorCode: errorCode,
         originalError: pumpPortalData.error,
-        details: pumpPortalData.details || null
+        details: pumpPortalData.details || null,
+        launchJobId: launchJob?.id || null
       });
     }
 
     const responseDataBuffer = Buffer.from(pumpPortalResponse.data);
     const txBase64 = responseDataBuffer.toString('base64');
-    console.log('Serialized transaction (base64):', txBase64);
-
-    // Advanced retry logic
-    const rpcUrls = [process.env.SWAP_SOLANA_RPC_URL, process.env.SWAP2_SOLANA_RPC_URL].filter(Boolean);
-    const maxAttempts = 2;
-    const quickCheckTimeout = 3000; // 3 seconds max for quick check
+    pumpPortalLog.debug('Serialized transaction (base64)', txBase64);
+
+    if (signingMode === 'client') {
+      // Non-custodial mode: hand the transaction back for the extension wallet to sign
+      const connection = new Connection(getSendRpcUrls()[0], 'confirmed');
+      const tx = VersionedTransaction.deserialize(new Uint8Array(responseDataBuffer));
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('finalized');
+      tx.message.recentBlockhash = blockhash;
+      if (serverMintKeypair) {
+        tx.sign([serverMintKeypair]);
+      }
 
-    let signature = null;
-    let lastError = null;
-    let sendTiming = 0;
-    let usedBackupRpc = false;
+      const session = launchSessionStore.create({
+        kind: 'trade',
+        action: req.body.action,
+        publicKey: req.body.publicKey,
+        mint: requestBodyForPumpPortal.mint,
+        tx,
+        lastValidBlockHeight,
+        launchJobId: launchJob?.id
+      });
+      timing.total = Date.now() - start;
+      pumpPortalLog.info(`Issued ${req.body.action} transaction for client signing, session: ${session.id}`);
+
+      launchJob = await launchJobService.transition(launchJob, 'tx_built', {
+        fields: {
+          mint_address: session.mint,
+          launch_session_id: session.id,
+          last_valid_block_height: lastValidBlockHeight
+        },
+        timing
+      });
 
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      for (let rpcIdx = 0; rpcIdx < rpcUrls.length; rpcIdx++) {
-        try {
-          const sendStart = Date.now();
-          const rpcUrl = rpcUrls[rpcIdx];
-          const connection = new Connection(rpcUrl, 'confirmed');
-          const tx = VersionedTransaction.deserialize(new Uint8Array(responseDataBuffer));
-          console.log(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Deserialized transaction (using RPC: ${rpcUrl})`);
-          if (!secretKey || secretKey.length === 0) {
-            throw new Error('User wallet secretKey is required in the request body');
-          }
-          
-          const userKeypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
-          
-          // For token creation, mintSecretKey is required
-          if (req.body.action === 'create') {
-            if (!mintSecretKey || mintSecretKey.length === 0) {
-              throw new Error('Mint secretKey is required for token creation');
-            }
-            const mintKeypair = Keypair.fromSecretKey(Uint8Array.from(mintSecretKey));
-            
-            // Always ensure a fresh blockhash before each send attempt
-            const { blockhash } = await connection.getLatestBlockhash('finalized');
-            tx.message.recentBlockhash = blockhash;
-            tx.sign([mintKeypair, userKeypair]);
-          } else {
-            // For swaps (buy/sell), only user keypair is needed
-            // Always ensure a fresh blockhash before each send attempt
-            const { blockhash } = await connection.getLatestBlockhash('finalized');
-            tx.message.recentBlockhash = blockhash;
-            tx.sign([userKeypair]);
-          }
-          
-          console.log(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Signed transaction, sending...`);
-          signature = await connection.sendTransaction(tx, {
-            maxRetries: 3,
-            preflightCommitment: 'processed',
-            skipPreflight: false
-          });
-          sendTiming = Date.now() - sendStart;
-          console.log(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction sent, signature:`, signature);
-
-          // Quick check that transaction was accepted (with timeout)
-          const quickStatus = await Promise.race([
-            connection.getSignatureStatus(signature),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Quick status check timeout')), quickCheckTimeout))
-          ]);
-          
-          if (!quickStatus || !quickStatus.value) {
-            throw new Error(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction not accepted by network`);
-          }
-          
-          console.log(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction accepted by network:`, signature);
-          usedBackupRpc = rpcIdx === 1;
-          break; // Success
-        } catch (err) {
-          lastError = err;
-          console.error(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Error sending transaction:`, err);
-          // If not last RPC, try next one
-          if (rpcIdx < rpcUrls.length - 1) {
-            continue;
-          }
-          // If blockhash error, try next attempt (new blockhash)
-          if (err.message && err.message.includes('block height exceeded')) {
-            continue;
-          }
-          break; // Other errors, do not retry
-        }
-      }
-      if (signature) break;
+      return res.json({
+        status: 'awaiting_signature',
+        launchSessionId: session.id,
+        launchJobId: launchJob?.id || null,
+        transaction: serializeForClient(tx),
+        mint: session.mint,
+        expiresAt: session.expiresAt,
+        lastValidBlockHeight,
+        tickerWarning,
+        moderationWarning,
+        timing
+      });
     }
 
-    timing.sendTransaction = sendTiming;
-    timing.total = Date.now() - start;
-    if (!signature) {
-      throw lastError || new Error('Failed to send transaction');
+    if (!secretKey || secretKey.length === 0) {
+      throw new Error('User wallet secretKey is required in the request body');
+    }
+    // For token creation, mintSecretKey is required
+    if (req.body.action === 'create' && (!mintSecretKey || mintSecretKey.length === 0)) {
+      throw new Error('Mint secretKey is required for token creation');
     }
 
-    // Start background confirmation process
-    const confirmTransaction = async () => {
-      try {
-        console.log(`[Background] Starting confirmation for signature: ${signature}`);
-        
-        // Use the same connection that successfully sent the transaction
-        const confirmConnection = new Connection(rpcUrls[usedBackupRpc ? 1 : 0], 'confirmed');
-        
-        // Wait for confirmation with reasonable timeout
-        const confirmation = await Promise.race([
-          confirmConnection.confirmTransaction(signature, 'confirmed'),
-          new Promise((_, reject) => setTimeout(() => reject(new Error('Confirmation timeout')), 45000))
-        ]);
-
-        if (confirmation.value && !confirmation.value.err) {
-          console.log(`[Background] ✅ Transaction confirmed: ${signature}`);
-          
-          // Update database with confirmed status
-          if (req.body.action === 'create') {
-            try {
-              // Try to find by mint address first
-              let updateResult = await supabase
-                .from('created_tokens')
-                .update({ 
-                  status: 'confirmed', 
-                  confirmed_at: new Date().toISOString(),
-                  tx_signature: signature
-                })
-                .eq('mint_address', req.body.mint)
-                .select();
-
-              // If no rows updated, try to find by signature
-              if (!updateResult.data || updateResult.data.length === 0) {
-                console.log(`[Background] No token found by mint, trying signature: ${signature}`);
-                updateResult = await supabase
-                  .from('created_tokens')
-                  .update({ 
-                    status: 'confirmed', 
-                    confirmed_at: new Date().toISOString(),
-                    tx_signature: signature
-                  })
-                  .eq('tx_signature', signature)
-                  .select();
-              }
-
-              if (updateResult.data && updateResult.data.length > 0) {
-                console.log(`[Background] Database updated successfully for signature: ${signature}`);
-              } else {
-                console.log(`[Background] No token record found to update for signature: ${signature}`);
-              }
-            } catch (dbError) {
-              console.error(`[Background] Database update failed:`, dbError);
-            }
-          }
+    launchJob = await launchJobService.transition(launchJob, 'tx_built', {
+      fields: { mint_address: req.body.mint },
+      timing
+    });
+
+    let lastValidBlockHeight = null;
+    const { signature, sendTiming, usedBackupRpc, rpcUrl } = await sendWithRetry({
+      prepareTransaction: async (connection, { attempt, rpcIdx, rpcUrl }) => {
+        const tx = VersionedTransaction.deserialize(new Uint8Array(responseDataBuffer));
+        pumpPortalLog.debug(`Deserialized transaction (attempt ${attempt + 1}, RPC ${rpcIdx + 1}: ${rpcUrl})`);
+        const userKeypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+
+        // Always ensure a fresh blockhash before each send attempt
+        const latestBlockhash = await connection.getLatestBlockhash('finalized');
+        tx.message.recentBlockhash = latestBlockhash.blockhash;
+        lastValidBlockHeight = latestBlockhash.lastValidBlockHeight;
+        if (req.body.action === 'create') {
+          const mintKeypair = Keypair.fromSecretKey(Uint8Array.from(mintSecretKey));
+          tx.sign([mintKeypair, userKeypair]);
         } else {
-          console.error(`[Background] ❌ Transaction failed: ${signature}`, confirmation.value?.err);
-          
-          // Update database with failed status
-          if (req.body.action === 'create') {
-            try {
-              // Try to find by mint address first
-              let updateResult = await supabase
-        .from('created_tokens')
-                .update({ 
-                  status: 'failed', 
-                  confirmed_at: null,
-                  tx_signature: signature
-                })
-                .eq('mint_address', req.body.mint)
-                .select();
-
-              // If no rows updated, try to find by signature
-              if (!updateResult.data || updateResult.data.length === 0) {
-                updateResult = await supabase
-                  .from('created_tokens')
-                  .update({ 
-                    status: 'failed', 
-                    confirmed_at: null,
-                    tx_signature: signature
-                  })
-                  .eq('tx_signature', signature)
-                  .select();
-              }
-
-              if (updateResult.data && updateResult.data.length > 0) {
-                console.log(`[Background] Database updated with failed status for signature: ${signature}`);
-              } else {
-                console.log(`[Background] No token record found to update failed status for signature: ${signature}`);
-              }
-            } catch (dbError) {
-              console.error(`[Background] Database update failed:`, dbError);
-            }
-          }
+          // For swaps (buy/sell), only user keypair is needed
+          tx.sign([userKeypair]);
         }
-      } catch (error) {
-        console.error(`[Background] ❌ Confirmation error for ${signature}:`, error.message);
-        
-                  // Update database with error status
-          if (req.body.action === 'create') {
-            try {
-              // Try to find by mint address first
-              let updateResult = await supabase
-                .from('created_tokens')
-                .update({ 
-                  status: 'error', 
-                  confirmed_at: null,
-                  tx_signature: signature
-                })
-                .eq('mint_address', req.body.mint)
-                .select();
-
-              // If no rows updated, try to find by signature
-              if (!updateResult.data || updateResult.data.length === 0) {
-                updateResult = await supabase
-                  .from('created_tokens')
-                  .update({ 
-                    status: 'error', 
-                    confirmed_at: null,
-                    tx_signature: signature
-                  })
-                  .eq('tx_signature', signature)
-                  .select();
-              }
-
-              if (updateResult.data && updateResult.data.length > 0) {
-                console.log(`[Background] Database updated with error status for signature: ${signature}`);
-              } else {
-                console.log(`[Background] No token record found to update error status for signature: ${signature}`);
-              }
-            } catch (dbError) {
-              console.error(`[Background] Database update failed:`, dbError);
-            }
-          }
+        return tx;
       }
-    };
+    });
 
-    // Start background confirmation (don't await)
-    confirmTransaction().catch(err => {
-      console.error('[Background] Unhandled confirmation error:', err);
+    timing.sendTransaction = sendTiming;
+    timing.total = Date.now() - start;
+
+    launchJob = await launchJobService.transition(launchJob, 'sent', {
+      fields: {
+        tx_signature: signature,
+        used_backup_rpc: usedBackupRpc,
+        last_valid_block_height: lastValidBlockHeight
+      },
+      timing
     });
 
+    // Start background confirmation (don't await)
+    confirmInBackground({ signature, rpcUrl, action: req.body.action, mint: req.body.mint, launchJobId: launchJob?.id });
+
     // Return immediately with pending status
     res.json({ 
       status: 'pending', 
       signature, 
       timing, 
       usedBackupRpc,
+      launchJobId: launchJob?.id || null,
+      tickerWarning,
+      moderationWarning,
       message: 'Transaction sent successfully. Confirming in background...'
     });
   } catch (error) {
-    console.error('Trade error in /api/trade-local:', error.message, error);
+    timing.total = Date.now() - start;
+    await launchJobService.transition(launchJob, 'failed', { error, timing });
+    if (error instanceof LaunchSessionError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode });
+    }
+    pumpPortalLog.error('Trade error in /api/trade-local', error);
     let status = 500;
     let errorResponse = {
       error: 'Failed to process request',
@@ -1234,7 +2257,7 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
     // Handle Pump Portal API errors specifically
     if (error.response) {
       status = error.response.status || status;
-      console.error('Pump Portal API error response:', error.response.data);
+      pumpPortalLog.error('Pump Portal API error response', error.response.data);
       
       let userMessage = 'An error occurred while communicating with Pump Portal.';
       let errorCode = 'PUMP_PORTAL_ERROR';
@@ -1298,6 +2321,82 @@ app.post('/api/trade-local', upload.single('imageFile'), async (req, res) => {
   }
 });
 
+// --- Submit a client-signed transaction issued by /api/trade-local (signingMode=client) ---
+app.post('/api/trade-local/submit', async (req, res) => {
+  const start = Date.now();
+  const timing = {};
+  try {
+    const { launchSessionId, signedTransaction } = req.body;
+    if (!launchSessionId || !signedTransaction) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['launchSessionId', 'signedTransaction']
+      });
+    }
+
+    const session = launchSessionStore.get(launchSessionId);
+    if (!session || session.kind !== 'trade') {
+      return res.status(404).json({
+        error: 'Launch session not found or expired. Please request a new transaction.',
+        errorCode: 'LAUNCH_SESSION_NOT_FOUND'
+      });
+    }
+
+    const tx = launchSessionStore.verifySignedTransaction(session, signedTransaction);
+
+    const { signature, sendTiming, usedBackupRpc, rpcUrl } = await sendWithRetry({
+      // Already signed by the wallet, so the blockhash cannot be refreshed here
+      prepareTransaction: async () => tx
+    });
+    launchSessionStore.consume(session.id);
+    timing.sendTransaction = sendTiming;
+    timing.total = Date.now() - start;
+
+    await launchJobService.transitionById(session.launchJobId, 'sent', {
+      fields: { tx_signature: signature, used_backup_rpc: usedBackupRpc },
+      timing: { sendTransaction: sendTiming, submitTotal: timing.total }
+    });
+
+    confirmInBackground({ signature, rpcUrl, action: session.action, mint: session.mint, launchJobId: session.launchJobId });
+
+    res.json({
+      status: 'pending',
+      signature,
+      mint: session.mint,
+      launchJobId: session.launchJobId,
+      timing,
+      usedBackupRpc,
+      message: 'Transaction sent successfully. Confirming in background...'
+    });
+  } catch (error) {
+    if (error instanceof LaunchSessionError) {
+      return res.status(error.status).json({ error: error.message, errorCode: error.errorCode });
+    }
+    pumpPortalLog.error('Trade error in /api/trade-local/submit', error);
+    res.status(500).json({
+      error: 'Failed to submit signed transaction',
+      details: error.message
+    });
+  }
+});
+
+// --- Launch Job Timeline Endpoint ---
+// Only for the wallet that launched (or an admin); anyone else gets 404 as if the job did not exist.
+// After a restart, sent jobs are settled against the chain; jobs stopped before sending end up
+// expired with LAUNCH_INTERRUPTED, as their keys, signing session and blockhash did not survive it.
+app.get('/api/launch-jobs/:id', requireWalletAuth, async (req, res) => {
+  try {
+    const job = UUID_PATTERN.test(req.params.id) ? await launchJobService.get(req.params.id) : null;
+    if (!job || (job.user_public_key !== req.auth.publicKey && req.auth.role !== 'admin')) {
+      return res.status(404).json({ error: 'Launch job not found', errorCode: 'LAUNCH_JOB_NOT_FOUND' });
+    }
+    res.json({ job: launchJobService.toTimeline(job) });
+  } catch (err) {
+    launchJobsLog.error('Error fetching launch job', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // --- Transaction Status Check Endpoint ---
 app.get('/api/transaction/:signature/status', async (req, res) => {
   try {
@@ -1355,7 +2454,7 @@ app.get('/api/transaction/:signature/status', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Transaction status check error:', error);
+    txStatusLog.error('Transaction status check error', error);
     res.status(500).json({ 
       error: 'Failed to check transaction status',
       details: error.message 
@@ -1442,7 +2541,7 @@ app.post('/api/transactions/status', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Bulk transaction status check error:', error);
+    txStatusLog.error('Bulk transaction status check error', error);
     res.status(500).json({ 
       error: 'Failed to check transaction statuses',
       details: error.message 
@@ -1451,7 +2550,7 @@ app.post('/api/transactions/status', async (req, res) => {
 });
 
 // --- Manual Token Status Update Endpoint (for debugging) ---
-app.post('/api/token/:mint/update-status', async (req, res) => {
+app.post('/api/token/:mint/update-status', requireTokenOwner, async (req, res) => {
   try {
     const { mint } = req.params;
     const { status, signature } = req.body;
@@ -1483,7 +2582,7 @@ app.post('/api/token/:mint/update-status', async (req, res) => {
       .single();
 
     if (error) {
-      console.error('Manual status update error:', error);
+      txStatusLog.error('Manual status update error', error);
       return res.status(500).json({ error: error.message });
     }
 
@@ -1498,7 +2597,7 @@ app.post('/api/token/:mint/update-status', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Manual status update error:', error);
+    txStatusLog.error('Manual status update error', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1577,7 +2676,7 @@ app.get('/api/created-tokens', async (req, res) => {
           });
         }
       } catch (realtimeError) {
-        console.warn('Failed to fetch real-time market cap data:', realtimeError.message);
+        createdTokensLog.warn('Failed to fetch real-time market cap data', { error: realtimeError.message });
         // Return database data with warning
         res.json({ 
           tokens: data,
@@ -1601,8 +2700,29 @@ app.get('/api/created-tokens', async (req, res) => {
 
 
 
+/**
+ * created_tokens.user_public_key is what requireTokenOwner trusts, so a token can only be recorded
+ * for the signed-in wallet. Sends 403 and returns true when the body names another wallet.
+ */
+function rejectOtherWallet(req, res, publicKey) {
+  if (publicKey === req.auth.publicKey) return false;
+  res.status(403).json({
+    error: 'publicKey must be the signed-in wallet',
+    errorCode: 'WALLET_MISMATCH'
+  });
+  return true;
+}
+
+// Test tokens are a development aid; production answers as if the route did not exist
+function rejectInProduction(req, res, next) {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
 // --- Test Endpoint for Token Creation (No SOL Cost) ---
-app.post('/api/test/create-token', async (req, res) => {
+app.post('/api/test/create-token', rejectInProduction, requireWalletAuth, async (req, res) => {
   try {
     const { 
       mint, 
@@ -1622,11 +2742,12 @@ app.post('/api/test/create-token', async (req, res) => {
         required: ['mint', 'name', 'symbol', 'publicKey']
       });
     }
+    if (rejectOtherWallet(req, res, publicKey)) return;
 
     // Generate a fake transaction signature for testing
     const fakeSignature = 'test_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     
-    console.log('[TEST] Simulating token creation:', {
+    testLog.info('Simulating token creation', {
       mint,
       name,
       symbol,
@@ -1661,14 +2782,14 @@ app.post('/api/test/create-token', async (req, res) => {
       .single();
 
     if (error) {
-      console.error('[TEST] Database insert error:', error);
+      testLog.error('Database insert error', error);
       throw error;
     }
 
     // No caching - always fetch live data
-    console.log('[TEST-TOKEN-CREATION] Token created, mint:', mint);
+    testLog.info('Token created', { mint });
 
-    console.log('[TEST] Token saved to database successfully:', data);
+    testLog.info('Token saved to database successfully', data);
 
     res.json({ 
       success: true, 
@@ -1678,7 +2799,7 @@ app.post('/api/test/create-token', async (req, res) => {
       isTest: true
     });
   } catch (err) {
-    console.error('[TEST] Create token error:', err);
+    testLog.error('Create token error', err);
     res.status(500).json({ 
       error: 'Failed to create test token',
       details: err.message 
@@ -1687,9 +2808,9 @@ app.post('/api/test/create-token', async (req, res) => {
 });
 
 // --- Endpoint to CREATE a new token (for token launch) ---
-app.post('/api/created-tokens', async (req, res) => {
-  console.log('[launchtimer][backend] /api/created-tokens request received');
-  console.time('[launchtimer][backend] DB Save');
+// Needs the session of the wallet that launched the token, which then owns it
+app.post('/api/created-tokens', requireWalletAuth, async (req, res) => {
+  const dbSaveStart = Date.now();
   try {
     const { 
       mint, 
@@ -1702,16 +2823,30 @@ app.post('/api/created-tokens', async (req, res) => {
       txSignature,
       website,
       twitter,
-      telegram
+      telegram,
+      draftId
     } = req.body;
 
     if (!mint || !name || !symbol || !publicKey) {
-      console.timeEnd('[launchtimer][backend] DB Save');
       return res.status(400).json({ 
         error: 'Missing required fields',
         required: ['mint', 'name', 'symbol', 'publicKey']
       });
     }
+    if (rejectOtherWallet(req, res, publicKey)) return;
+
+    // Link to the launch draft it came from, if the wallet owns it and it has not launched yet.
+    // A bad draftId is logged, not rejected: the token exists on-chain either way.
+    let linkedDraftId = null;
+    if (draftId) {
+      try {
+        const draft = UUID_PATTERN.test(draftId) ? await launchDraftService.get(publicKey, draftId) : null;
+        if (draft && draft.status === 'draft') linkedDraftId = draft.id;
+        else createdTokensLog.warn(`Not linking ${mint} to draft ${draftId}: not an unlaunched draft of ${publicKey}`);
+      } catch (draftError) {
+        createdTokensLog.warn(`Failed to look up draft ${draftId} for ${mint}`, { error: draftError.message });
+      }
+    }
 
     const { data, error } = await supabase
       .from('created_tokens')
@@ -1733,30 +2868,35 @@ app.post('/api/created-tokens', async (req, res) => {
         created_at: launchedAt ? new Date(launchedAt).toISOString() : new Date().toISOString(),
         tx_signature: txSignature || null,
         is_test: false,
-        status: 'pending'
+        status: 'pending',
+        ...(linkedDraftId ? { draft_id: linkedDraftId } : {})
       })
       .select()
       .single();
 
     if (error) {
-      console.error('Database insert error:', error);
-      console.timeEnd('[launchtimer][backend] DB Save');
+      createdTokensLog.error('Database insert error', error);
       throw error;
     }
 
-    // No caching - always fetch live data
-    console.log('[TOKEN-CREATION] Token created, mint:', mint);
+    if (linkedDraftId) {
+      try {
+        await launchDraftService.markLaunched(linkedDraftId, { publicKey, mint });
+      } catch (draftError) {
+        createdTokensLog.warn(`Failed to mark draft ${linkedDraftId} launched`, { mint, error: draftError.message });
+      }
+    }
 
-    console.timeEnd('[launchtimer][backend] DB Save');
-    console.log('[launchtimer][backend] /api/created-tokens response sent');
+    // No caching - always fetch live data
+    tickerAvailabilityService.remember({ ticker: symbol, name, mintAddress: mint });
+    createdTokensLog.info('Token created', { mint, durationMs: Date.now() - dbSaveStart });
     res.json({ 
       success: true, 
       token: data,
       message: 'Token created successfully' 
     });
   } catch (err) {
-    console.error('Create token error:', err);
-    console.timeEnd('[launchtimer][backend] DB Save');
+    createdTokensLog.error('Create token error', err);
     res.status(500).json({ 
       error: 'Failed to create token',
       details: err.message 
@@ -1849,7 +2989,7 @@ app.get('/api/created-tokens/user', async (req, res) => {
           });
         }
       } catch (realtimeError) {
-        console.warn('Failed to fetch real-time market cap data:', realtimeError.message);
+        createdTokensLog.warn('Failed to fetch real-time market cap data', { error: realtimeError.message });
         // Return database data with warning
         res.json({ 
           tokens: data,
@@ -1912,7 +3052,7 @@ app.get('/api/test-tokens/user', async (req, res) => {
     
     res.json({ tokens: transformedTokens });
   } catch (err) {
-    console.error('[TEST-TOKENS-USER] Error:', err);
+    testLog.error('Error fetching test tokens for user', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -1937,7 +3077,7 @@ app.post('/api/test-token-balances', async (req, res) => {
     
     res.json({ tokens: testBalances });
   } catch (err) {
-    console.error('[TEST-TOKEN-BALANCES] Error:', err);
+    testLog.error('Error fetching test token balances', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -1984,7 +3124,7 @@ app.get('/api/test-token/:mint', async (req, res) => {
 
     res.json({ token: tokenData });
   } catch (err) {
-    console.error('[TEST-TOKEN] Error fetching test token:', err);
+    testLog.error('Error fetching test token', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2016,7 +3156,7 @@ app.get('/api/test-token/:mint/price', async (req, res) => {
       is_test: true
     });
   } catch (err) {
-    console.error('[TEST-TOKEN-PRICE] Error:', err);
+    testLog.error('Error fetching test token price', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2057,7 +3197,7 @@ app.get('/api/test-token/:mint/metadata', async (req, res) => {
 
     res.json({ metadata });
   } catch (err) {
-    console.error('[TEST-TOKEN-METADATA] Error:', err);
+    testLog.error('Error fetching test token metadata', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2066,7 +3206,7 @@ app.get('/api/test-token/:mint/metadata', async (req, res) => {
 
 
 // Add or update one or more supported tickers (accepts single object or array)
-app.post('/api/supported-tickers', async (req, res) => {
+app.post('/api/supported-tickers', requireAdminScope('tickers:write'), async (req, res) => {
   try {
     let tickers = req.body;
     if (!Array.isArray(tickers)) {
@@ -2096,6 +3236,252 @@ app.post('/api/supported-tickers', async (req, res) => {
   }
 });
 
+// --- Wallet Authentication (sign in with Solana) ---
+
+// Issue a single-use nonce and the message the wallet must sign
+app.post('/api/auth/nonce', async (req, res) => {
+  try {
+    const { publicKey } = req.body;
+    res.json(walletAuthService.issueNonce(publicKey));
+  } catch (err) {
+    if (err instanceof WalletAuthError) {
+      return res.status(err.status).json({ error: err.message, errorCode: err.errorCode });
+    }
+    authLog.error('Nonce error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Verify the signed message and issue a short-lived session token
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const { publicKey, nonce, signature } = req.body;
+    if (!publicKey || !nonce || !signature) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['publicKey', 'nonce', 'signature']
+      });
+    }
+    res.json(walletAuthService.verifySignIn({ publicKey, nonce, signature }));
+  } catch (err) {
+    if (err instanceof WalletAuthError) {
+      return res.status(err.status).json({ error: err.message, errorCode: err.errorCode });
+    }
+    authLog.error('Verify error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current session for the bearer token
+app.get('/api/auth/session', requireWalletAuth, async (req, res) => {
+  res.json({ session: req.auth });
+});
+
+// --- Admin API Key Endpoints ---
+// The plaintext key is only ever returned by the create call
+app.post('/api/admin/api-keys', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        required: ['name', 'scopes'],
+        validScopes: ADMIN_SCOPES
+      });
+    }
+    const invalidScopes = scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: `Unknown scopes: ${invalidScopes.join(', ')}`,
+        errorCode: 'INVALID_SCOPE',
+        validScopes: ADMIN_SCOPES
+      });
+    }
+
+    const createdBy = req.apiKey ? `api-key:${req.apiKey.id}` : req.auth.publicKey;
+    const result = await adminApiKeyService.createKey({ name, scopes, createdBy });
+    apiKeysLog.info(`Created key ${result.key.key_prefix} (${scopes.join(', ')}) by ${createdBy}`);
+    res.status(201).json(result);
+  } catch (err) {
+    apiKeysLog.error('Create error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/api-keys', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    res.json({ keys: await adminApiKeyService.listKeys(), validScopes: ADMIN_SCOPES });
+  } catch (err) {
+    apiKeysLog.error('List error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    const revokedBy = req.apiKey ? `api-key:${req.apiKey.id}` : req.auth.publicKey;
+    const key = await adminApiKeyService.revokeKey(req.params.id, revokedBy);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    apiKeysLog.info(`Revoked key ${key.key_prefix} by ${revokedBy}`);
+    res.json({ success: true, key });
+  } catch (err) {
+    apiKeysLog.error('Revoke error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/api-keys/:id/usage', requireAdminScope('keys:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({ usage: await adminApiKeyService.getUsage(req.params.id, limit) });
+  } catch (err) {
+    apiKeysLog.error('Usage error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Moderation Admin Endpoints ---
+app.get('/api/admin/moderation/decisions', requireAdminScope('moderation:review'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const decisions = await moderationService.listDecisions({ outcome: req.query.outcome, stage: req.query.stage, limit });
+    res.json({ decisions });
+  } catch (err) {
+    moderationLog.error('List error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Overrides also apply to later reviews of identical content, e.g. the same launch retried
+app.post('/api/admin/moderation/decisions/:id/override', requireAdminScope('moderation:review'), async (req, res) => {
+  try {
+    const { outcome, reason } = req.body;
+    if (!['allow', 'warn', 'block'].includes(outcome)) {
+      return res.status(400).json({ error: 'outcome must be one of: allow, warn, block', errorCode: 'INVALID_OUTCOME' });
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required for an override', errorCode: 'MISSING_REASON' });
+    }
+
+    const overriddenBy = req.apiKey ? `api-key:${req.apiKey.id}` : req.auth.publicKey;
+    const decision = await moderationService.override(req.params.id, { outcome, reason: reason.trim(), overriddenBy });
+    if (!decision) {
+      return res.status(404).json({ error: 'Moderation decision not found', errorCode: 'DECISION_NOT_FOUND' });
+    }
+    res.json({ decision });
+  } catch (err) {
+    moderationLog.error('Override error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Prompt Template Admin Endpoints ---
+app.get('/api/admin/prompt-templates', requireAdminScope('prompts:manage'), async (req, res) => {
+  try {
+    const templates = await promptTemplateService.list({ kind: req.query.kind, source: req.query.source });
+    res.json({ templates, defaults: DEFAULT_TEMPLATES });
+  } catch (err) {
+    promptTemplatesLog.error('List error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/prompt-templates/performance', requireAdminScope('prompts:manage'), async (req, res) => {
+  try {
+    const performance = await promptTemplateService.performance({ kind: req.query.kind, source: req.query.source });
+    res.json({ performance });
+  } catch (err) {
+    promptTemplatesLog.error('Performance error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// New templates are stored inactive unless `activate` is set; `experiment` keeps the other active versions running
+app.post('/api/admin/prompt-templates', requireAdminScope('prompts:manage'), async (req, res) => {
+  try {
+    const { kind, source = ALL_SOURCES, systemPrompt, userPrompt, variables = {}, notes, weight = 100, activate = false, experiment = false } = req.body;
+    if (source !== ALL_SOURCES && !sourceRegistry.list().includes(source)) {
+      return res.status(400).json({
+        error: `source must be ${ALL_SOURCES} or one of: ${sourceRegistry.list().join(', ')}`,
+        errorCode: 'INVALID_TEMPLATE'
+      });
+    }
+    if (!Number.isInteger(weight) || weight < 0) {
+      return res.status(400).json({ error: 'weight must be a non-negative integer', errorCode: 'INVALID_TEMPLATE' });
+    }
+    const errors = validateTemplate({ kind, systemPrompt, userPrompt, variables });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt template', errorCode: 'INVALID_TEMPLATE', errors });
+    }
+
+    const createdBy = req.apiKey ? `api-key:${req.apiKey.id}` : req.auth.publicKey;
+    let template = await promptTemplateService.create({ kind, source, systemPrompt, userPrompt, variables, notes, weight, createdBy });
+    if (activate) {
+      template = await promptTemplateService.update(template.id, { active: true, experiment: Boolean(experiment) });
+    }
+    res.status(201).json({ template });
+  } catch (err) {
+    promptTemplatesLog.error('Create error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/admin/prompt-templates/:id', requireAdminScope('prompts:manage'), async (req, res) => {
+  try {
+    const { active, weight, experiment = false } = req.body;
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'active must be a boolean', errorCode: 'INVALID_TEMPLATE' });
+    }
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 0)) {
+      return res.status(400).json({ error: 'weight must be a non-negative integer', errorCode: 'INVALID_TEMPLATE' });
+    }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: 'Prompt template not found', errorCode: 'TEMPLATE_NOT_FOUND' });
+    }
+
+    const template = await promptTemplateService.update(req.params.id, { active, weight, experiment: Boolean(experiment) });
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found', errorCode: 'TEMPLATE_NOT_FOUND' });
+    }
+    res.json({ template });
+  } catch (err) {
+    promptTemplatesLog.error('Update error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- LLM Usage Report Endpoint ---
+// Tokens and estimated spend from llm_usage between two UTC days (default: the last 30), by day, source and account
+app.get('/api/admin/usage', requireAdminScope('usage:read'), async (req, res) => {
+  try {
+    const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+    const invalidRange = () => res.status(400).json({
+      error: 'from and to must be dates (YYYY-MM-DD) with from no later than to',
+      errorCode: 'INVALID_DATE_RANGE'
+    });
+    // `to` must be valid before the default `from` is worked out from it
+    const to = req.query.to || utcDay();
+    if (!isDay(to)) return invalidRange();
+    const from = req.query.from || utcDay(new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000));
+    if (!isDay(from) || from > to) return invalidRange();
+    const { accountType } = req.query;
+    if (accountType && !ACCOUNT_TYPES.includes(accountType)) {
+      return res.status(400).json({
+        error: `accountType must be one of: ${ACCOUNT_TYPES.join(', ')}`,
+        errorCode: 'INVALID_ACCOUNT_TYPE'
+      });
+    }
+
+    const report = await usageMeterService.report({ from, to, source: req.query.source, accountType, accountId: req.query.accountId });
+    res.json(report);
+  } catch (err) {
+    usageLog.error('Report error', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Add root route handler
 app.get('/', (req, res) => {
   res.json({ message: 'Server is running' });
@@ -2132,7 +3518,7 @@ async function fetchTokenPrices(tokenAddresses) {
     try {
       cachedPrices = await getCachedTokenPrices(tokenAddresses);
     } catch (cacheError) {
-      console.warn('Error fetching cached prices:', cacheError);
+      pricesLog.warn('Error fetching cached prices', cacheError);
       cachedPrices = {};
     }
     
@@ -2142,14 +3528,14 @@ async function fetchTokenPrices(tokenAddresses) {
     const uncachedAddresses = tokenAddresses.filter(addr => !cachedAddresses.includes(addr));
     
     if (uncachedAddresses.length === 0) {
-      console.log('All token prices found in cache');
+      pricesLog.info('All token prices found in cache');
       return cachedPrices;
     }
 
     // Fetch only uncached addresses from Moralis
-    console.log(`Fetching ${uncachedAddresses.length} token prices from Moralis`);
+    pricesLog.info(`Fetching ${uncachedAddresses.length} token prices from Moralis`);
     if (!MORALIS_API_KEY) {
-      console.warn('MORALIS_API_KEY not configured');
+      pricesLog.warn('MORALIS_API_KEY not configured');
       return cachedPrices;
     }
 
@@ -2165,7 +3551,7 @@ async function fetchTokenPrices(tokenAddresses) {
     );
 
     // Log the raw price data from Moralis
-    console.log('Moralis price API response:', JSON.stringify(response.data, null, 2));
+    pricesLog.debug('Moralis price API response', response.data);
 
     // Transform the response into a map
     const newPriceData = {};
@@ -2187,7 +3573,7 @@ async function fetchTokenPrices(tokenAddresses) {
     try {
       await cacheTokenPrices(newPriceData);
     } catch (cacheError) {
-      console.warn('Error caching new prices:', cacheError);
+      pricesLog.warn('Error caching new prices', cacheError);
     }
 
     // Combine cached and new prices
@@ -2196,7 +3582,7 @@ async function fetchTokenPrices(tokenAddresses) {
       ...newPriceData
     };
   } catch (error) {
-    console.error('Error fetching Moralis token prices:', error);
+    pricesLog.error('Error fetching Moralis token prices', error);
     // Return empty object if both cache and API calls fail
     return {};
   }
@@ -2243,7 +3629,7 @@ function loadDopplerEnv() {
       process.env[key] = env[key];
     });
   } catch (e) {
-    console.error('Failed to load Doppler secrets:', e);
+    pricesLog.error('Failed to load Doppler secrets', e);
   }
 }
 loadDopplerEnv();
@@ -2268,7 +3654,7 @@ app.get('/api/sol-price', async (req, res) => {
     const solPrice = response.data?.usdPrice || 0;
     res.json({ price: solPrice });
   } catch (error) {
-    console.error('Error fetching SOL price:', error);
+    pricesLog.error('Error fetching SOL price', error);
     res.status(500).json({ error: 'Failed to fetch SOL price', price: 0 });
   }
 });
@@ -2291,7 +3677,7 @@ app.get('/api/token/:mint/market-cap', async (req, res) => {
       .single();
 
     if (error) {
-      console.error('Database error fetching market cap:', error);
+      marketCapLog.error('Database error fetching market cap', error);
       return res.status(500).json({ error: 'Failed to fetch market cap data' });
     }
 
@@ -2307,13 +3693,13 @@ app.get('/api/token/:mint/market-cap', async (req, res) => {
       volume24h: null // We'll need to fetch this separately if needed
     });
   } catch (err) {
-    console.error('Error fetching market cap:', err);
+    marketCapLog.error('Error fetching market cap', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Update market cap data for a specific token
-app.post('/api/token/:mint/market-cap', async (req, res) => {
+app.post('/api/token/:mint/market-cap', requireTokenOwner, async (req, res) => {
   try {
     const { mint } = req.params;
     const { marketCap, price, volume24h } = req.body;
@@ -2341,7 +3727,7 @@ app.post('/api/token/:mint/market-cap', async (req, res) => {
       .single();
 
     if (error) {
-      console.error('Database error updating market cap:', error);
+      marketCapLog.error('Database error updating market cap', error);
       return res.status(500).json({ error: 'Failed to update market cap data' });
     }
 
@@ -2358,13 +3744,13 @@ app.post('/api/token/:mint/market-cap', async (req, res) => {
       }
     });
   } catch (err) {
-    console.error('Error updating market cap:', err);
+    marketCapLog.error('Error updating market cap', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Bulk update market cap data for multiple tokens
-app.post('/api/tokens/market-cap/bulk-update', async (req, res) => {
+app.post('/api/tokens/market-cap/bulk-update', requireAdminScope('market-cap:write'), async (req, res) => {
   try {
     const { tokens } = req.body;
 
@@ -2419,7 +3805,7 @@ app.post('/api/tokens/market-cap/bulk-update', async (req, res) => {
       errors
     });
   } catch (err) {
-    console.error('Error bulk updating market caps:', err);
+    marketCapLog.error('Error bulk updating market caps', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2436,7 +3822,7 @@ app.get('/api/tokens/needing-market-cap-update', async (req, res) => {
       .eq('is_test', false); // Only real tokens, not test tokens
 
     if (error) {
-      console.error('Database error fetching tokens needing update:', error);
+      marketCapLog.error('Database error fetching tokens needing update', error);
       return res.status(500).json({ error: 'Failed to fetch tokens' });
     }
 
@@ -2445,15 +3831,15 @@ app.get('/api/tokens/needing-market-cap-update', async (req, res) => {
       count: data ? data.length : 0
     });
   } catch (err) {
-    console.error('Error fetching tokens needing market cap update:', err);
+    marketCapLog.error('Error fetching tokens needing market cap update', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // --- Database Migration Endpoint ---
-app.post('/api/migrate/add-test-column', async (req, res) => {
+app.post('/api/migrate/add-test-column', requireAdminScope('migrations:run'), async (req, res) => {
   try {
-    console.log('[MIGRATION] Starting migration to add is_test column');
+    migrationLog.info('Starting migration to add is_test column');
     
     // Check if column already exists
     const { data: existingColumns, error: checkError } = await supabase
@@ -2463,12 +3849,12 @@ app.post('/api/migrate/add-test-column', async (req, res) => {
       .eq('column_name', 'is_test');
     
     if (checkError) {
-      console.error('[MIGRATION] Error checking existing columns:', checkError);
+      migrationLog.error('Error checking existing columns', checkError);
       throw new Error('Failed to check existing columns');
     }
     
     if (existingColumns && existingColumns.length > 0) {
-      console.log('[MIGRATION] is_test column already exists');
+      migrationLog.info('is_test column already exists');
       return res.json({ 
         success: true, 
         message: 'is_test column already exists',
@@ -2477,42 +3863,42 @@ app.post('/api/migrate/add-test-column', async (req, res) => {
     }
     
     // Add the is_test column
-    console.log('[MIGRATION] Adding is_test column...');
+    migrationLog.info('Adding is_test column...');
     const { error: alterError } = await supabase.rpc('exec_sql', {
       sql: 'ALTER TABLE created_tokens ADD COLUMN is_test BOOLEAN DEFAULT false'
     });
     
     if (alterError) {
-      console.error('[MIGRATION] Error adding column:', alterError);
+      migrationLog.error('Error adding column', alterError);
       throw new Error(`Failed to add is_test column: ${alterError.message}`);
     }
     
     // Update existing records to mark them as real tokens
-    console.log('[MIGRATION] Updating existing records...');
+    migrationLog.info('Updating existing records...');
     const { error: updateError } = await supabase
       .from('created_tokens')
       .update({ is_test: false })
       .is('is_test', null);
     
     if (updateError) {
-      console.error('[MIGRATION] Error updating existing records:', updateError);
+      migrationLog.error('Error updating existing records', updateError);
       // Don't throw here, as the column was added successfully
-      console.warn('[MIGRATION] Warning: Could not update existing records');
+      migrationLog.warn('Could not update existing records');
     }
     
     // Make the column NOT NULL
-    console.log('[MIGRATION] Making column NOT NULL...');
+    migrationLog.info('Making column NOT NULL...');
     const { error: notNullError } = await supabase.rpc('exec_sql', {
       sql: 'ALTER TABLE created_tokens ALTER COLUMN is_test SET NOT NULL'
     });
     
     if (notNullError) {
-      console.error('[MIGRATION] Error making column NOT NULL:', notNullError);
+      migrationLog.error('Error making column NOT NULL', notNullError);
       throw new Error(`Failed to make is_test NOT NULL: ${notNullError.message}`);
     }
     
     // Add indexes for better performance
-    console.log('[MIGRATION] Adding indexes...');
+    migrationLog.info('Adding indexes...');
     try {
       await supabase.rpc('exec_sql', {
         sql: 'CREATE INDEX IF NOT EXISTS idx_created_tokens_is_test ON created_tokens(is_test)'
@@ -2522,11 +3908,11 @@ app.post('/api/migrate/add-test-column', async (req, res) => {
         sql: 'CREATE INDEX IF NOT EXISTS idx_created_tokens_user_test ON created_tokens(user_public_key, is_test)'
       });
     } catch (indexError) {
-      console.warn('[MIGRATION] Warning: Could not create indexes:', indexError);
+      migrationLog.warn('Could not create indexes', indexError);
       // Don't fail the migration for index errors
     }
     
-    console.log('[MIGRATION] Migration completed successfully');
+    migrationLog.info('Migration completed successfully');
     res.json({ 
       success: true, 
       message: 'is_test column added successfully',
@@ -2535,7 +3921,7 @@ app.post('/api/migrate/add-test-column', async (req, res) => {
     });
     
   } catch (err) {
-    console.error('[MIGRATION] Migration failed:', err);
+    migrationLog.error('Migration failed', err);
     res.status(500).json({ 
       error: 'Migration failed',
       details: err.message 
@@ -2546,7 +3932,7 @@ app.post('/api/migrate/add-test-column', async (req, res) => {
 // --- Market Cap Scheduler Management ---
 
 // Start market cap scheduler endpoint
-app.post('/api/market-cap-scheduler/start', async (req, res) => {
+app.post('/api/market-cap-scheduler/start', requireAdminScope('scheduler:write'), async (req, res) => {
   try {
     const { intervalMinutes = 1 } = req.body;
     
@@ -2559,13 +3945,13 @@ app.post('/api/market-cap-scheduler/start', async (req, res) => {
       message: `Market cap scheduler started with ${intervalMinutes} minute intervals` 
     });
   } catch (err) {
-    console.error('Error starting market cap scheduler:', err);
+    marketCapLog.error('Error starting market cap scheduler', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Stop market cap scheduler endpoint
-app.post('/api/market-cap-scheduler/stop', async (req, res) => {
+app.post('/api/market-cap-scheduler/stop', requireAdminScope('scheduler:write'), async (req, res) => {
   try {
     const { marketCapScheduler } = require('./src/services/marketCap/scheduler');
     marketCapScheduler.stop();
@@ -2575,7 +3961,7 @@ app.post('/api/market-cap-scheduler/stop', async (req, res) => {
       message: 'Market cap scheduler stopped' 
     });
   } catch (err) {
-    console.error('Error stopping market cap scheduler:', err);
+    marketCapLog.error('Error stopping market cap scheduler', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2592,13 +3978,13 @@ app.get('/api/market-cap-scheduler/status', async (req, res) => {
       isRunning: lastJob?.status === 'running'
     });
   } catch (err) {
-    console.error('Error getting market cap scheduler status:', err);
+    marketCapLog.error('Error getting market cap scheduler status', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // Manually trigger market cap update endpoint
-app.post('/api/market-cap-scheduler/trigger-update', async (req, res) => {
+app.post('/api/market-cap-scheduler/trigger-update', requireAdminScope('scheduler:write'), async (req, res) => {
   try {
     const { marketCapScheduler } = require('./src/services/marketCap/scheduler');
     const job = await marketCapScheduler.triggerUpdate();
@@ -2608,7 +3994,31 @@ app.post('/api/market-cap-scheduler/trigger-update', async (req, res) => {
       job
     });
   } catch (err) {
-    console.error('Error triggering market cap update:', err);
+    marketCapLog.error('Error triggering market cap update', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Pending Token Reconciliation ---
+
+// Get last reconciliation run
+app.get('/api/created-tokens/reconcile/status', async (req, res) => {
+  res.json({
+    success: true,
+    lastRun: pendingTokenReconciler.getLastRunStatus()
+  });
+});
+
+// Manually trigger reconciliation of pending created tokens
+app.post('/api/created-tokens/reconcile', requireAdminScope('tokens:reconcile'), async (req, res) => {
+  try {
+    const run = await pendingTokenReconciler.reconcile();
+    res.json({
+      success: true,
+      run
+    });
+  } catch (err) {
+    marketCapLog.error('Error triggering reconciliation', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2628,7 +4038,7 @@ app.get('/api/token-price/status', async (req, res) => {
       status
     });
   } catch (err) {
-    console.error('Error getting token price status:', err);
+    pricesLog.error('Error getting token price status', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2657,7 +4067,7 @@ app.get('/api/token-price/:tokenMint', async (req, res) => {
       priceData
     });
   } catch (err) {
-    console.error('Error getting token price:', err);
+    pricesLog.error('Error getting token price', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2667,9 +4077,9 @@ let marketCapScheduler = null;
 try {
   const { marketCapScheduler: scheduler } = require('./src/services/marketCap/scheduler');
   marketCapScheduler = scheduler;
-  console.log('✅ Market cap scheduler imported successfully');
+  log.info('Market cap scheduler imported successfully');
 } catch (error) {
-  console.warn('⚠️  Market cap scheduler not available:', error.message);
+  log.warn('Market cap scheduler not available', { error: error.message });
 }
 
 // Import token price service
@@ -2677,13 +4087,13 @@ let tokenPriceService = null;
 try {
   const { tokenPriceService: tokenService } = require('./src/services/marketCap/tokenPriceService');
   tokenPriceService = tokenService;
-  console.log('✅ Token price service imported successfully');
+  log.info('Token price service imported successfully');
 } catch (error) {
-  console.warn('⚠️  Token price service not available:', error.message);
+  log.warn('Token price service not available', { error: error.message });
 }
 
 // --- Update token metadata endpoint ---
-app.put('/api/token/:mint/metadata', async (req, res) => {
+app.put('/api/token/:mint/metadata', requireTokenOwner, async (req, res) => {
   try {
     const { mint } = req.params;
     const { name, symbol, image, decimals, description, launched_at, is_test } = req.body;
@@ -2710,7 +4120,7 @@ app.put('/api/token/:mint/metadata', async (req, res) => {
       .single();
     
     if (error) {
-      console.error('[UPDATE-TOKEN-METADATA] Database error:', error);
+      tokenMetadataLog.error('Database error updating token metadata', error);
       return res.status(500).json({ error: error.message });
     }
     
@@ -2720,7 +4130,7 @@ app.put('/api/token/:mint/metadata', async (req, res) => {
       message: 'Token metadata updated successfully'
     });
   } catch (err) {
-    console.error('[UPDATE-TOKEN-METADATA] Error:', err);
+    tokenMetadataLog.error('Error updating token metadata', err);
     res.status(500).json({ error: err.message });
   }
 });
@@ -2763,7 +4173,7 @@ app.get('/api/token/:mint', async (req, res) => {
       { mintAccounts: [mint] }
     );
     const heliusMeta = heliusMetaResp.data[0] || {};
-    console.log('[TOKEN-METADATA] Raw Helius response:', JSON.stringify(heliusMeta, null, 2));
+    tokenMetadataLog.debug('Raw Helius response', heliusMeta);
 
     // Robust image extraction (matches batch logic)
     let image =
@@ -2779,7 +4189,7 @@ app.get('/api/token/:mint', async (req, res) => {
           image = resolveIpfsUrl(metaResp.data.image);
         }
       } catch (e) {
-        console.warn('[TOKEN-METADATA] Could not fetch nested metadata for image:', image, e.message);
+        tokenMetadataLog.warn('Could not fetch nested metadata for image', { image, error: e.message });
       }
     }
 
@@ -2801,7 +4211,7 @@ app.get('/api/token/:mint', async (req, res) => {
       usdPrice = priceResp.data?.usdPrice ?? null;
       priceChange24h = priceResp.data?.usdPrice24hrPercentChange ?? null;
     } catch (e) {
-      console.warn('[TOKEN-METADATA] Could not fetch price from Moralis:', e.message);
+      tokenMetadataLog.warn('Could not fetch price from Moralis', { error: e.message });
     }
 
     res.json({
@@ -2810,23 +4220,26 @@ app.get('/api/token/:mint', async (req, res) => {
       priceChange24h,
     });
   } catch (err) {
-    console.error('[TOKEN-METADATA] Error:', err);
+    tokenMetadataLog.error('Error fetching token metadata', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 app.listen(PORT, () => {
-  console.log(`🚀 Server is running on http://localhost:${PORT}`);
-  console.log('📊 Market Cap Scheduler Status:', marketCapScheduler ? 'Available' : 'Not Available');
-  console.log('🔧 Available endpoints:');
-  console.log('- POST /api/rpc/token-accounts');
-  console.log('- GET /api/created-tokens (with market cap data)');
-  console.log('- GET /api/market-cap-scheduler/status');
+  log.info(`Server is running on http://localhost:${PORT}`);
+  log.info(`Market cap scheduler ${marketCapScheduler ? 'available' : 'not available'}`);
+  log.info('Available endpoints', {
+    endpoints: [
+      'POST /api/rpc/token-accounts',
+      'GET /api/created-tokens (with market cap data)',
+      'GET /api/market-cap-scheduler/status'
+    ]
+  });
   
   if (marketCapScheduler) {
     const status = marketCapScheduler.getLastJobStatus();
     if (status) {
-      console.log(`📈 Last market cap update: ${status.status} (${status.tokensUpdated} tokens updated)`);
+      log.info(`Last market cap update: ${status.status} (${status.tokensUpdated} tokens updated)`);
     }
   }
 });
@@ -2869,8 +4282,32 @@ app.get('/api/supported-tickers', async (req, res) => {
   }
 });
 
+// Availability check for the extension: ?ticker=BONK, or ?tickers=BONK,MOON for several at once
+app.get('/api/tickers/availability', async (req, res) => {
+  try {
+    const tickers = String(req.query.tickers || req.query.ticker || '')
+      .split(',')
+      .map(ticker => ticker.trim())
+      .filter(Boolean);
+    if (tickers.length === 0) {
+      return res.status(400).json({ error: 'ticker or tickers query parameter is required' });
+    }
+    if (tickers.length > 20) {
+      return res.status(400).json({ error: 'At most 20 tickers can be checked at once' });
+    }
+    const results = await tickerAvailabilityService.checkMany(tickers);
+    if (!req.query.tickers) {
+      return res.json(results[0]);
+    }
+    res.json({ results });
+  } catch (err) {
+    tickersLog.error('Ticker availability check failed', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Sync endpoint for admin use
-app.post('/api/supported-tickers/sync', async (req, res) => {
+app.post('/api/supported-tickers/sync', requireAdminScope('tickers:write'), async (req, res) => {
   try {
     const jupiterService = new JupiterTokenService();
     const syncedTokens = await jupiterService.syncTokenList();
@@ -2889,15 +4326,24 @@ app.post('/api/supported-tickers/sync', async (req, res) => {
 const jupiterScheduler = new JupiterSyncScheduler();
 jupiterScheduler.start();
 
+// Resume launch jobs interrupted by a restart, then keep settling stale ones
+launchJobWorker.start();
+
+// Send scheduled launches at their time, including those booked before a restart
+launchScheduler.start();
+
+// Settle created_tokens rows whose background confirmation was interrupted
+pendingTokenReconciler.start();
+
 // --- Endpoint to update the status of a created token by mint address ---
-app.patch('/api/created-tokens/:mint/status', async (req, res) => {
+app.patch('/api/created-tokens/:mint/status', requireTokenOwner, async (req, res) => {
   const { mint } = req.params;
   const { status } = req.body;
   if (!mint) {
     return res.status(400).json({ error: 'Missing mint address' });
   }
-  if (!status || !['pending', 'confirmed', 'failed'].includes(status)) {
-    return res.status(400).json({ error: 'Invalid or missing status. Must be one of: pending, confirmed, failed.' });
+  if (!status || !CREATED_TOKEN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid or missing status. Must be one of: ${CREATED_TOKEN_STATUSES.join(', ')}.` });
   }
   try {
     const { data, error } = await supabase
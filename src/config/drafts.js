@@ -0,0 +1,27 @@
+// Launch draft settings: how many drafts a wallet may keep and where shared previews are served from
+
+// Load environment variables
+require('dotenv').config();
+
+const DEFAULTS = {
+  maxPerWallet: 50
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function getDraftConfig() {
+  return {
+    // Unlaunched drafts per wallet; launched ones do not count
+    maxPerWallet: Math.max(1, readNumber('DRAFTS_MAX_PER_WALLET') ?? DEFAULTS.maxPerWallet),
+    // Origin used in preview links and Open Graph tags, e.g. https://api.blazr.app. Without it
+    // links use the host the request came in on, which is wrong behind some proxies.
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null
+  };
+}
+
+module.exports = { getDraftConfig };
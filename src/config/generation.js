@@ -0,0 +1,121 @@
+// Token metadata generation settings: which LLM providers to use and per-source model options
+
+// Load environment variables
+require('dotenv').config();
+
+const PROVIDER_TYPES = ['openai', 'openai-compatible', 'stub'];
+// Sources with their own LLM_*_<SOURCE> overrides; keep in step with src/services/sources/registry.js
+const SOURCES = ['twitter', 'reddit', 'telegram', 'youtube', 'tiktok', 'farcaster', 'news'];
+
+const DEFAULTS = {
+  model: 'gpt-4',
+  temperature: 0.7,
+  timeoutMs: 30000,
+  maxAttempts: 3,
+  visionModel: 'gpt-4o',
+  visionMaxImageBytes: 4 * 1024 * 1024,
+  visionDetail: 'low',
+  bulkMaxItems: 100,
+  bulkConcurrency: 4,
+  bulkWaitMaxItems: 10,
+  promptTemplateCacheTtlMs: 60 * 1000
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function readBoolean(name) {
+  const value = (process.env[name] || '').trim().toLowerCase();
+  if (!value) return undefined;
+  return ['1', 'true', 'yes', 'on'].includes(value);
+}
+
+function readProviderType(name, fallback) {
+  const value = (process.env[name] || '').trim().toLowerCase();
+  if (!value) return fallback;
+  if (!PROVIDER_TYPES.includes(value)) {
+    throw new Error(`${name} must be one of: ${PROVIDER_TYPES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Model options for one source. LLM_MODEL_TWITTER beats LLM_MODEL beats the default, and
+ * likewise for temperature, timeout and the vision settings. Vision (showing the model the
+ * post's image) is off unless LLM_VISION or LLM_VISION_<SOURCE> is set.
+ */
+function getSourceOptions(source) {
+  const suffix = source ? `_${source.toUpperCase()}` : '';
+  return {
+    model: process.env[`LLM_MODEL${suffix}`] || process.env.LLM_MODEL || DEFAULTS.model,
+    temperature: readNumber(`LLM_TEMPERATURE${suffix}`) ?? readNumber('LLM_TEMPERATURE') ?? DEFAULTS.temperature,
+    timeoutMs: readNumber(`LLM_TIMEOUT_MS${suffix}`) ?? readNumber('LLM_TIMEOUT_MS') ?? DEFAULTS.timeoutMs,
+    vision: readBoolean(`LLM_VISION${suffix}`) ?? readBoolean('LLM_VISION') ?? false,
+    // gpt-4 cannot read images, so prompts with one go to a vision-capable model
+    visionModel: process.env[`LLM_VISION_MODEL${suffix}`] || process.env.LLM_VISION_MODEL || DEFAULTS.visionModel
+  };
+}
+
+function getProviderSettings(type) {
+  switch (type) {
+    case 'openai':
+      return { type, apiKey: process.env.OPENAI_API_KEY };
+    case 'openai-compatible':
+      return {
+        type,
+        baseURL: process.env.LLM_COMPAT_BASE_URL,
+        // llama.cpp and vLLM accept any key unless started with one
+        apiKey: process.env.LLM_COMPAT_API_KEY || 'not-needed',
+        // Local servers usually serve one model whose name differs from the OpenAI ones
+        model: process.env.LLM_COMPAT_MODEL,
+        // Only multimodal local models (llava, qwen-vl, ...) take images
+        vision: readBoolean('LLM_COMPAT_VISION') ?? false,
+        visionModel: process.env.LLM_COMPAT_VISION_MODEL
+      };
+    case 'stub':
+      return { type };
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+function getGenerationConfig() {
+  const primary = readProviderType('LLM_PROVIDER', 'openai');
+  const fallback = readProviderType('LLM_FALLBACK_PROVIDER', null);
+
+  const sources = {};
+  for (const source of SOURCES) {
+    sources[source] = getSourceOptions(source);
+  }
+
+  return {
+    primary: getProviderSettings(primary),
+    fallback: fallback && fallback !== primary ? getProviderSettings(fallback) : null,
+    // Total tries per request, counting re-prompts after invalid output
+    maxAttempts: Math.max(1, readNumber('LLM_MAX_ATTEMPTS') ?? DEFAULTS.maxAttempts),
+    defaults: getSourceOptions(null),
+    sources,
+    vision: {
+      maxImageBytes: readNumber('LLM_VISION_MAX_IMAGE_BYTES') ?? DEFAULTS.visionMaxImageBytes,
+      // 'low' is a fixed, small token cost per image; 'high' reads fine detail such as text in memes
+      detail: process.env.LLM_VISION_DETAIL || DEFAULTS.visionDetail
+    },
+    bulk: {
+      maxItems: Math.max(1, readNumber('LLM_BULK_MAX_ITEMS') ?? DEFAULTS.bulkMaxItems),
+      // Items generated at once in a bulk job; each can hold a provider request open
+      concurrency: Math.max(1, readNumber('LLM_BULK_CONCURRENCY') ?? DEFAULTS.bulkConcurrency),
+      // Batches up to this size are answered in the same request; larger ones return a job ID to poll
+      waitMaxItems: Math.max(0, readNumber('LLM_BULK_WAIT_MAX_ITEMS') ?? DEFAULTS.bulkWaitMaxItems)
+    },
+    promptTemplates: {
+      // How long active templates are cached; admin changes made through the API apply at once
+      cacheTtlMs: readNumber('PROMPT_TEMPLATE_CACHE_TTL_MS') ?? DEFAULTS.promptTemplateCacheTtlMs
+    }
+  };
+}
+
+module.exports = { getGenerationConfig, PROVIDER_TYPES, SOURCES };
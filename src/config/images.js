@@ -0,0 +1,44 @@
+// Token image settings: what every launch logo is normalized to before it goes to pump.fun
+
+// Load environment variables
+require('dotenv').config();
+
+const OUTPUT_FORMATS = ['png', 'webp'];
+
+const DEFAULTS = {
+  size: 512,
+  format: 'png',
+  maxBytes: 1024 * 1024,
+  maxInputBytes: 10 * 1024 * 1024,
+  maxInputPixels: 40 * 1000 * 1000,
+  webpQuality: 85
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function getImageConfig() {
+  const format = (process.env.TOKEN_IMAGE_FORMAT || DEFAULTS.format).trim().toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`TOKEN_IMAGE_FORMAT must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    // Logos are center-cropped to a square of this many pixels
+    size: readNumber('TOKEN_IMAGE_SIZE') ?? DEFAULTS.size,
+    format,
+    // Encoded logo budget, kept well under what pump.fun's IPFS upload accepts
+    maxBytes: readNumber('TOKEN_IMAGE_MAX_BYTES') ?? DEFAULTS.maxBytes,
+    // Uploads over this are refused before decoding; matches the multer limit on /api/trade-local
+    maxInputBytes: readNumber('TOKEN_IMAGE_MAX_INPUT_BYTES') ?? DEFAULTS.maxInputBytes,
+    // Small files can still decode to huge bitmaps; refuse those from the header alone
+    maxInputPixels: readNumber('TOKEN_IMAGE_MAX_INPUT_PIXELS') ?? DEFAULTS.maxInputPixels,
+    webpQuality: readNumber('TOKEN_IMAGE_WEBP_QUALITY') ?? DEFAULTS.webpQuality
+  };
+}
+
+module.exports = { getImageConfig, OUTPUT_FORMATS };
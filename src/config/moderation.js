@@ -0,0 +1,45 @@
+// Moderation settings: whether blocks are enforced and which classifier, if any, backs up the local rules
+
+// Load environment variables
+require('dotenv').config();
+
+const MODERATION_MODES = ['off', 'warn', 'enforce'];
+const CLASSIFIERS = ['none', 'openai'];
+
+const DEFAULTS = {
+  mode: 'enforce',
+  classifier: 'none',
+  classifierModel: 'omni-moderation-latest',
+  classifierTimeoutMs: 5000,
+  warnThreshold: 0.4
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function readChoice(name, choices, fallback) {
+  const value = (process.env[name] || fallback).trim().toLowerCase();
+  if (!choices.includes(value)) {
+    throw new Error(`${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+function getModerationConfig() {
+  return {
+    // 'warn' reports would-be blocks without refusing anything, for tuning rules before enforcing them
+    mode: readChoice('MODERATION_MODE', MODERATION_MODES, DEFAULTS.mode),
+    classifier: readChoice('MODERATION_CLASSIFIER', CLASSIFIERS, DEFAULTS.classifier),
+    classifierModel: process.env.MODERATION_CLASSIFIER_MODEL || DEFAULTS.classifierModel,
+    classifierTimeoutMs: readNumber('MODERATION_CLASSIFIER_TIMEOUT_MS') ?? DEFAULTS.classifierTimeoutMs,
+    // Classifier categories scoring at least this warn even when the classifier does not flag them
+    warnThreshold: readNumber('MODERATION_WARN_THRESHOLD') ?? DEFAULTS.warnThreshold,
+    apiKey: process.env.OPENAI_API_KEY
+  };
+}
+
+module.exports = { getModerationConfig, MODERATION_MODES, CLASSIFIERS };
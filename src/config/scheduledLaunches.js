@@ -0,0 +1,42 @@
+// Scheduled launch settings: how far ahead launches may be booked, how late they may still go out,
+// and the wallet that owns the durable nonce accounts keeping pre-signed launches valid
+
+// Load environment variables
+require('dotenv').config();
+
+const DEFAULTS = {
+  // Time to pre-upload metadata and collect the wallet's signature before the launch
+  minLeadSeconds: 120,
+  maxHorizonDays: 30,
+  // A launch missed by more than this (the server was down at the time) is given up, not sent late
+  maxLateSeconds: 300,
+  // A booking not signed within this long is expired, returning its nonce account's rent
+  signingWindowSeconds: 300,
+  pollIntervalSeconds: 15,
+  maxPerWallet: 10
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function getScheduledLaunchConfig() {
+  return {
+    minLeadMs: Math.max(0, readNumber('SCHEDULED_LAUNCH_MIN_LEAD_SECONDS') ?? DEFAULTS.minLeadSeconds) * 1000,
+    maxHorizonMs: Math.max(1, readNumber('SCHEDULED_LAUNCH_MAX_HORIZON_DAYS') ?? DEFAULTS.maxHorizonDays) * 24 * 60 * 60 * 1000,
+    maxLateMs: Math.max(0, readNumber('SCHEDULED_LAUNCH_MAX_LATE_SECONDS') ?? DEFAULTS.maxLateSeconds) * 1000,
+    signingWindowMs: Math.max(1, readNumber('SCHEDULED_LAUNCH_SIGNING_WINDOW_SECONDS') ?? DEFAULTS.signingWindowSeconds) * 1000,
+    pollIntervalMs: Math.max(1, readNumber('SCHEDULED_LAUNCH_POLL_SECONDS') ?? DEFAULTS.pollIntervalSeconds) * 1000,
+    // Unfinished scheduled launches per wallet
+    maxPerWallet: Math.max(1, readNumber('SCHEDULED_LAUNCH_MAX_PER_WALLET') ?? DEFAULTS.maxPerWallet),
+    // Secret key (base58 or a JSON byte array) of the server wallet that pays rent for, and is the
+    // authority of, one nonce account per scheduled launch. Rent comes back when the account is
+    // closed after the launch. Without it scheduling is unavailable.
+    nonceAuthoritySecret: process.env.SCHEDULED_LAUNCH_NONCE_AUTHORITY_KEY || null
+  };
+}
+
+module.exports = { getScheduledLaunchConfig };
@@ -0,0 +1,36 @@
+// Ticker availability settings: how launches react to taken tickers and how fuzzy matching behaves
+
+// Load environment variables
+require('dotenv').config();
+
+const COLLISION_MODES = ['off', 'warn', 'block'];
+
+const DEFAULTS = {
+  collisionMode: 'warn',
+  fuzzyMinLength: 4,
+  cacheTtlMs: 5 * 60 * 1000
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function getTickerConfig() {
+  const collisionMode = (process.env.TICKER_COLLISION_MODE || DEFAULTS.collisionMode).trim().toLowerCase();
+  if (!COLLISION_MODES.includes(collisionMode)) {
+    throw new Error(`TICKER_COLLISION_MODE must be one of: ${COLLISION_MODES.join(', ')}`);
+  }
+
+  return {
+    // What /api/trade-local does when a launch uses a taken ticker
+    collisionMode,
+    // Shorter tickers are only matched exactly or by homoglyph; one edit apart is too loose for them
+    fuzzyMinLength: readNumber('TICKER_FUZZY_MIN_LENGTH') ?? DEFAULTS.fuzzyMinLength,
+    cacheTtlMs: readNumber('TICKER_CACHE_TTL_MS') ?? DEFAULTS.cacheTtlMs
+  };
+}
+
+module.exports = { getTickerConfig, COLLISION_MODES };
@@ -0,0 +1,84 @@
+// LLM usage settings: daily token quotas per kind of caller and the prices used to estimate spend
+
+// Load environment variables
+require('dotenv').config();
+
+// 'system' is background work outside any request; it is recorded but has no quota
+const ACCOUNT_TYPES = ['wallet', 'api-key', 'anonymous', 'system'];
+
+const DEFAULTS = {
+  walletDailyTokens: 200000,
+  // Operator keys are trusted and unlimited unless capped
+  apiKeyDailyTokens: 0,
+  // Callers without a wallet session are counted per IP address
+  anonymousDailyTokens: 50000
+};
+
+// USD per million tokens. Model names are matched by prefix, longest first, so dated
+// snapshots such as gpt-4o-2024-08-06 use their family's price.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-32k': { input: 60, output: 120 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  stub: { input: 0, output: 0 }
+};
+
+function readNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * LLM_PRICES adds or replaces prices, e.g. {"llama-3-70b": {"input": 0, "output": 0}}
+ */
+function readPrices() {
+  const value = process.env.LLM_PRICES;
+  if (!value) return DEFAULT_PRICES;
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`LLM_PRICES must be JSON: ${error.message}`);
+  }
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output)) {
+      throw new Error(`LLM_PRICES.${model} must have numeric input and output prices`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+/**
+ * Express's 'trust proxy' setting from TRUST_PROXY. Anonymous callers are metered by req.ip, which
+ * behind a reverse proxy is the proxy's address, so every anonymous caller would share one quota.
+ * Set it to the number of proxies in front of the server (e.g. 1), or to their addresses or subnets
+ * ("loopback", "10.0.0.0/8, 172.16.0.0/12"); the client address is then read from X-Forwarded-For.
+ * "true" trusts any X-Forwarded-For, which clients can forge to dodge the quota; use it only when
+ * the proxy overwrites the header. Unset, nothing is trusted and req.ip is the socket address.
+ */
+function readTrustProxy() {
+  const value = (process.env.TRUST_PROXY || '').trim();
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function getUsageConfig() {
+  return {
+    // Tokens per UTC day; 0 means no limit
+    dailyTokens: {
+      wallet: Math.max(0, readNumber('LLM_QUOTA_WALLET_DAILY_TOKENS') ?? DEFAULTS.walletDailyTokens),
+      'api-key': Math.max(0, readNumber('LLM_QUOTA_API_KEY_DAILY_TOKENS') ?? DEFAULTS.apiKeyDailyTokens),
+      anonymous: Math.max(0, readNumber('LLM_QUOTA_ANONYMOUS_DAILY_TOKENS') ?? DEFAULTS.anonymousDailyTokens)
+    },
+    prices: readPrices(),
+    trustProxy: readTrustProxy()
+  };
+}
+
+module.exports = { getUsageConfig, ACCOUNT_TYPES, DEFAULT_PRICES };
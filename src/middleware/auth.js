@@ -0,0 +1,148 @@
+// Express middleware for wallet sessions, token ownership, admin-only routes and operator API keys
+const { supabase } = require('../config/database');
+const { walletAuthService } = require('../services/auth/walletAuth');
+const { adminApiKeyService } = require('../services/auth/apiKeys');
+const { logger } = require('../utils/logger');
+
+const log = logger.child('Auth');
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+}
+
+/**
+ * Attach req.auth when a valid session token is present; never rejects
+ */
+function authenticateWallet(req, res, next) {
+  req.auth = walletAuthService.verifySessionToken(getBearerToken(req));
+  next();
+}
+
+function requireWalletAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required. Sign in with your wallet first.',
+      errorCode: 'AUTH_REQUIRED'
+    });
+  }
+  const session = walletAuthService.verifySessionToken(token);
+  if (!session) {
+    return res.status(401).json({
+      error: 'Session is invalid or has expired. Please sign in again.',
+      errorCode: 'INVALID_SESSION'
+    });
+  }
+  req.auth = session;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  requireWalletAuth(req, res, () => {
+    if (req.auth.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Admin role required',
+        errorCode: 'ADMIN_REQUIRED'
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Operator routes accept either an X-Api-Key carrying the scope or an admin wallet session.
+ * Every request made with a key is logged against it once the response has been sent.
+ */
+function requireAdminScope(scope) {
+  return async (req, res, next) => {
+    const rawKey = req.headers['x-api-key'];
+    if (!rawKey) {
+      return requireAdmin(req, res, next);
+    }
+
+    try {
+      const apiKey = await adminApiKeyService.authenticate(rawKey);
+      if (!apiKey) {
+        return res.status(401).json({
+          error: 'API key is invalid or has been revoked',
+          errorCode: 'INVALID_API_KEY'
+        });
+      }
+
+      res.on('finish', () => {
+        adminApiKeyService.logUsage({
+          keyId: apiKey.id,
+          scope,
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          ip: req.ip
+        });
+      });
+
+      if (!adminApiKeyService.hasScope(apiKey, scope)) {
+        return res.status(403).json({
+          error: `API key is missing the ${scope} scope`,
+          errorCode: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (err) {
+      log.error('API key check failed', err);
+      res.status(500).json({ error: 'Failed to verify API key' });
+    }
+  };
+}
+
+/**
+ * Only the wallet that launched the created_tokens row for :mint (or an admin) may change it.
+ * mint_address is not unique, so the earliest row for the mint decides; a later duplicate
+ * cannot take the token over or lock its owner out.
+ */
+function requireTokenOwner(req, res, next) {
+  requireWalletAuth(req, res, async () => {
+    try {
+      const { mint } = req.params;
+      const { data, error } = await supabase
+        .from('created_tokens')
+        .select('mint_address, user_public_key')
+        .eq('mint_address', mint)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        log.error('Error loading token owner', error);
+        return res.status(500).json({ error: 'Failed to verify token ownership' });
+      }
+      const token = data && data.length > 0 ? data[0] : null;
+      if (!token) {
+        if (req.auth.role === 'admin') return next();
+        return res.status(404).json({ error: 'Token not found' });
+      }
+      if (token.user_public_key !== req.auth.publicKey && req.auth.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Only the wallet that created this token can modify it',
+          errorCode: 'NOT_TOKEN_OWNER'
+        });
+      }
+
+      req.createdToken = token;
+      next();
+    } catch (err) {
+      log.error('Ownership check failed', err);
+      res.status(500).json({ error: 'Failed to verify token ownership' });
+    }
+  });
+}
+
+module.exports = {
+  getBearerToken,
+  authenticateWallet,
+  requireWalletAuth,
+  requireAdmin,
+  requireAdminScope,
+  requireTokenOwner
+};
@@ -0,0 +1,40 @@
+// Express middleware that tags each request with an ID and logs it once the response is sent
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { logger, requestContext } = require('../utils/logger');
+
+const log = logger.child('HTTP');
+
+// Accept an upstream ID (load balancer, extension) only if it is short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function requestLogger(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  const start = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    requestContext.run({ requestId }, () => {
+      log.info(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - start
+      });
+    });
+  });
+
+  requestContext.run({ requestId }, () => {
+    // Body parsers such as multer resume from request stream events, which otherwise run
+    // outside this context and would drop the request ID for the rest of the handler
+    req.emit = AsyncResource.bind(req.emit, 'RequestContext', req);
+    next();
+  });
+}
+
+module.exports = { requestLogger };
@@ -0,0 +1,53 @@
+// Express middleware that names the account a request's LLM usage is metered against and enforces its daily quota
+const { walletAuthService } = require('../services/auth/walletAuth');
+const { adminApiKeyService } = require('../services/auth/apiKeys');
+const { usageMeterService } = require('../services/usage/usageMeter');
+const { getBearerToken } = require('./auth');
+const { logger, requestContext } = require('../utils/logger');
+
+const log = logger.child('Usage');
+
+/**
+ * An operator API key is metered against the key, a wallet session against the wallet and
+ * anything else against the caller's IP (see TRUST_PROXY). Generation stays open to anonymous callers.
+ */
+async function resolveAccount(req) {
+  const rawKey = req.headers['x-api-key'];
+  if (rawKey) {
+    const apiKey = await adminApiKeyService.authenticate(rawKey);
+    return apiKey ? { type: 'api-key', id: apiKey.id } : null;
+  }
+  const session = walletAuthService.verifySessionToken(getBearerToken(req));
+  return session ? { type: 'wallet', id: session.publicKey } : { type: 'anonymous', id: req.ip };
+}
+
+/**
+ * Put on every route that calls the LLM. Rejects callers over quota with 429 QUOTA_EXCEEDED;
+ * the generator checks again before each call, which covers long bulk jobs.
+ */
+async function meterUsage(req, res, next) {
+  let account;
+  try {
+    account = await resolveAccount(req);
+  } catch (err) {
+    log.error('API key check failed', err);
+    return res.status(500).json({ error: 'Failed to verify API key' });
+  }
+  if (!account) {
+    return res.status(401).json({
+      error: 'API key is invalid or has been revoked',
+      errorCode: 'INVALID_API_KEY'
+    });
+  }
+
+  try {
+    await usageMeterService.assertWithinQuota(account);
+  } catch (err) {
+    return res.status(err.status).json({ error: err.message, errorCode: err.errorCode, ...err.details });
+  }
+
+  req.usageAccount = account;
+  requestContext.run({ ...requestContext.getStore(), usageAccount: account }, next);
+}
+
+module.exports = { meterUsage };
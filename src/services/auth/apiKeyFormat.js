@@ -0,0 +1,68 @@
+// API key format, hashing and checks. Kept free of the database so they can be tested on their own.
+const crypto = require('crypto');
+
+const ADMIN_SCOPES = [
+  'scheduler:write',
+  'market-cap:write',
+  'tickers:write',
+  'migrations:run',
+  'tokens:reconcile',
+  'keys:manage',
+  'moderation:review',
+  'prompts:manage',
+  'usage:read'
+];
+
+const KEY_PREFIX = 'blzr';
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+/**
+ * A new plaintext key, `blzr_<prefix>_<secret>`. The prefix is stored in clear to look the key up.
+ */
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  return { rawKey: `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('hex')}`, prefix };
+}
+
+/**
+ * The lookup prefix of a presented key, or null if it is not shaped like one of ours
+ */
+function parseKeyPrefix(rawKey) {
+  const parts = (rawKey || '').split('_');
+  return parts.length === 3 && parts[0] === KEY_PREFIX && parts[1] ? parts[1] : null;
+}
+
+/**
+ * True when `rawKey` is the key stored as `record` and the record has not been revoked
+ */
+function matchesKey(record, rawKey) {
+  if (!record || record.revoked_at || !rawKey) return false;
+  const expected = Buffer.from(record.key_hash || '', 'hex');
+  const actual = Buffer.from(hashKey(rawKey), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function hasScope(record, scope) {
+  return Array.isArray(record.scopes) && record.scopes.includes(scope);
+}
+
+/**
+ * Strip the hash before a key record leaves the service
+ */
+function toPublicRecord(record) {
+  const { key_hash, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  ADMIN_SCOPES,
+  hashKey,
+  generateKey,
+  parseKeyPrefix,
+  matchesKey,
+  hasScope,
+  toPublicRecord
+};
@@ -0,0 +1,125 @@
+// AdminApiKeyService: Hashed, scoped API keys for operator routes
+const { supabase } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+const {
+  ADMIN_SCOPES,
+  hashKey,
+  generateKey,
+  parseKeyPrefix,
+  matchesKey,
+  hasScope,
+  toPublicRecord
+} = require('./apiKeyFormat');
+
+const log = logger.child('ApiKeys');
+
+class AdminApiKeyService {
+  /**
+   * Create a key. The plaintext is returned exactly once; only its hash is stored.
+   */
+  async createKey({ name, scopes, createdBy }) {
+    const invalid = scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown scopes: ${invalid.join(', ')}`);
+    }
+
+    const { rawKey, prefix } = generateKey();
+
+    const { data, error } = await supabase
+      .from('admin_api_keys')
+      .insert({
+        name,
+        key_prefix: prefix,
+        key_hash: hashKey(rawKey),
+        scopes,
+        created_by: createdBy || null,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    if (error) throw error;
+
+    return { apiKey: rawKey, key: toPublicRecord(data) };
+  }
+
+  async listKeys() {
+    const { data, error } = await supabase
+      .from('admin_api_keys')
+      .select('id, name, key_prefix, scopes, created_by, created_at, last_used_at, revoked_at, revoked_by')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async revokeKey(id, revokedBy) {
+    const { data, error } = await supabase
+      .from('admin_api_keys')
+      .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy || null })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select('id, name, key_prefix, scopes, created_by, created_at, last_used_at, revoked_at, revoked_by');
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Resolve a presented key to its active record, or null
+   */
+  async authenticate(rawKey) {
+    const prefix = parseKeyPrefix(rawKey);
+    if (!prefix) return null;
+
+    const { data, error } = await supabase
+      .from('admin_api_keys')
+      .select('*')
+      .eq('key_prefix', prefix)
+      .is('revoked_at', null)
+      .single();
+    if (error || !data) return null;
+    return matchesKey(data, rawKey) ? toPublicRecord(data) : null;
+  }
+
+  hasScope(record, scope) {
+    return hasScope(record, scope);
+  }
+
+  /**
+   * Record one request made with a key. Logging failures never affect the request.
+   */
+  async logUsage({ keyId, scope, method, path, statusCode, ip }) {
+    try {
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('admin_api_key_usage')
+        .insert({
+          key_id: keyId,
+          scope,
+          method,
+          path,
+          status_code: statusCode,
+          ip: ip || null,
+          created_at: now
+        });
+      if (error) throw error;
+      await supabase.from('admin_api_keys').update({ last_used_at: now }).eq('id', keyId);
+    } catch (error) {
+      log.error(`Failed to log usage for key ${keyId}`, { error: error.message });
+    }
+  }
+
+  async getUsage(keyId, limit = 100) {
+    const { data, error } = await supabase
+      .from('admin_api_key_usage')
+      .select('*')
+      .eq('key_id', keyId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+// Create singleton instance
+const adminApiKeyService = new AdminApiKeyService();
+
+module.exports = { adminApiKeyService, ADMIN_SCOPES };
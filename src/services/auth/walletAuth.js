@@ -0,0 +1,189 @@
+// WalletAuthService: Sign-in-with-Solana nonces, signature verification and session tokens
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const { PublicKey } = require('@solana/web3.js');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('Auth');
+
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MINUTES = 60;
+
+class WalletAuthError extends Error {
+  constructor(message, errorCode, status = 401) {
+    super(message);
+    this.name = 'WalletAuthError';
+    this.errorCode = errorCode;
+    this.status = status;
+  }
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Wallets sign raw bytes; extensions usually send them base58 encoded, some send base64
+ */
+function decodeSignature(signature) {
+  try {
+    const decoded = bs58.decode(signature);
+    if (decoded.length === 64) return decoded;
+  } catch (e) {}
+  const decoded = Buffer.from(signature, 'base64');
+  return decoded.length === 64 ? decoded : null;
+}
+
+class WalletAuthService {
+  constructor() {
+    this.nonces = new Map();
+    this.sessionTtlMs = (Number(process.env.AUTH_SESSION_TTL_MINUTES) || DEFAULT_SESSION_TTL_MINUTES) * 60 * 1000;
+    this.domain = process.env.AUTH_DOMAIN || 'blazr';
+
+    if (process.env.AUTH_SESSION_SECRET) {
+      this.secret = process.env.AUTH_SESSION_SECRET;
+    } else {
+      // Sessions still work, but every restart signs everyone out
+      this.secret = crypto.randomBytes(32).toString('hex');
+      log.warn('AUTH_SESSION_SECRET not configured, using a per-process secret');
+    }
+  }
+
+  getAdminWallets() {
+    return (process.env.ADMIN_WALLETS || '').split(',').map(w => w.trim()).filter(Boolean);
+  }
+
+  roleFor(publicKey) {
+    return this.getAdminWallets().includes(publicKey) ? 'admin' : 'user';
+  }
+
+  buildSignInMessage({ publicKey, nonce, issuedAt, expiresAt }) {
+    return [
+      `${this.domain} wants you to sign in with your Solana account:`,
+      publicKey,
+      '',
+      'Sign in to Blazr to manage your tokens.',
+      '',
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expiresAt}`
+    ].join('\n');
+  }
+
+  /**
+   * Issue a single-use nonce and the exact message the wallet must sign
+   */
+  issueNonce(publicKey) {
+    try {
+      new PublicKey(publicKey);
+    } catch (e) {
+      throw new WalletAuthError('Invalid or missing publicKey', 'INVALID_PUBLIC_KEY', 400);
+    }
+
+    this.pruneNonces();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+    const issuedAt = new Date(now).toISOString();
+    const expiresAt = new Date(now + NONCE_TTL_MS).toISOString();
+    const message = this.buildSignInMessage({ publicKey, nonce, issuedAt, expiresAt });
+
+    this.nonces.set(nonce, { publicKey, message, expiresAt });
+    return { nonce, message, expiresAt };
+  }
+
+  pruneNonces() {
+    const now = Date.now();
+    for (const [nonce, entry] of this.nonces) {
+      if (new Date(entry.expiresAt).getTime() <= now) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+
+  /**
+   * Verify the wallet's ed25519 signature over the issued message and start a session
+   */
+  verifySignIn({ publicKey, nonce, signature }) {
+    this.pruneNonces();
+    const entry = this.nonces.get(nonce);
+    if (!entry || entry.publicKey !== publicKey) {
+      throw new WalletAuthError('Nonce not found or expired. Please request a new one.', 'INVALID_NONCE');
+    }
+    // Single use, whether or not the signature checks out
+    this.nonces.delete(nonce);
+
+    const signatureBytes = signature ? decodeSignature(signature) : null;
+    const valid = signatureBytes && nacl.sign.detached.verify(
+      Buffer.from(entry.message, 'utf8'),
+      signatureBytes,
+      new PublicKey(publicKey).toBytes()
+    );
+    if (!valid) {
+      throw new WalletAuthError('Signature verification failed', 'INVALID_SIGNATURE');
+    }
+
+    return this.issueSessionToken(publicKey);
+  }
+
+  sign(payloadPart) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(payloadPart).digest());
+  }
+
+  issueSessionToken(publicKey) {
+    const now = Date.now();
+    const payload = {
+      sub: publicKey,
+      role: this.roleFor(publicKey),
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + this.sessionTtlMs) / 1000)
+    };
+    const payloadPart = base64url(JSON.stringify(payload));
+    return {
+      token: `${payloadPart}.${this.sign(payloadPart)}`,
+      publicKey,
+      role: payload.role,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Returns the session for a valid, unexpired token, otherwise null
+   */
+  verifySessionToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const [payloadPart, signaturePart] = token.split('.');
+    if (!payloadPart || !signaturePart) return null;
+
+    const expected = Buffer.from(this.sign(payloadPart));
+    const actual = Buffer.from(signaturePart);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64url(payloadPart).toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (!payload.sub || !payload.exp || payload.exp * 1000 <= Date.now()) {
+      return null;
+    }
+
+    return {
+      publicKey: payload.sub,
+      role: payload.role,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+}
+
+// Create singleton instance
+const walletAuthService = new WalletAuthService();
+
+module.exports = { walletAuthService, WalletAuthError };
@@ -0,0 +1,132 @@
+// BulkGenerationService: Generates token metadata for a list of sources as one job, a few items at a time
+const crypto = require('crypto');
+const { supabase } = require('../../config/database');
+const { getGenerationConfig } = require('../../config/generation');
+const { logger } = require('../../utils/logger');
+const { processItems, countItems, toJob } = require('./bulkItems');
+
+const log = logger.child('BulkGeneration');
+
+const JOB_STATES = ['running', 'completed', 'interrupted'];
+// Finished jobs are answered from memory for this long, then from generation_jobs
+const MEMORY_TTL_MS = 60 * 60 * 1000;
+
+class BulkGenerationService {
+  constructor(config = getGenerationConfig().bulk) {
+    this.config = config;
+    this.jobs = new Map();
+    this.writes = new Map();
+  }
+
+  /**
+   * Start a job over `items`. processItem(item, index) resolves to an item's result or throws;
+   * describeError(error) turns a failure into { status, body } for the item. Resolves to
+   * { job, done } once the job is registered; `done` settles when every item has finished.
+   */
+  async start(items, { targetLanguage, processItem, describeError }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      state: 'running',
+      targetLanguage,
+      total: items.length,
+      items: items.map((item, index) => ({ index, status: 'pending' })),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    await this.save(job, { insert: true });
+    log.info(`Job ${job.id} started with ${items.length} items`, { concurrency: this.config.concurrency });
+
+    const done = this.run(job, items, { processItem, describeError });
+    return { job: this.toResponse(job), done };
+  }
+
+  async run(job, items, { processItem, describeError }) {
+    await processItems(items, job.items, {
+      concurrency: this.config.concurrency,
+      processItem,
+      describeError,
+      onSettled: () => {
+        job.updatedAt = new Date().toISOString();
+        return this.save(job);
+      }
+    });
+
+    job.state = 'completed';
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    await this.save(job);
+    setTimeout(() => this.jobs.delete(job.id), MEMORY_TTL_MS).unref();
+
+    const { succeeded, failed } = countItems(job.items);
+    log.info(`Job ${job.id} completed: ${succeeded} succeeded, ${failed} failed`);
+    return this.toResponse(job);
+  }
+
+  /**
+   * Store the job's current state. Writes for one job run one after another so a slow early
+   * write cannot overwrite a later one; a failed write only costs pollers after a restart.
+   */
+  save(job, { insert = false } = {}) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const write = previous.then(async () => {
+      const row = {
+        state: job.state,
+        target_language: job.targetLanguage,
+        total: job.total,
+        items: job.items,
+        updated_at: job.updatedAt,
+        finished_at: job.finishedAt
+      };
+      try {
+        const { error } = insert
+          ? await supabase.from('generation_jobs').insert({ id: job.id, ...row, created_at: job.createdAt })
+          : await supabase.from('generation_jobs').update(row).eq('id', job.id);
+        if (error) throw error;
+      } catch (error) {
+        log.warn(`Failed to store job ${job.id}`, { error: error.message });
+      }
+    });
+    this.writes.set(job.id, write);
+    return write.finally(() => {
+      if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    });
+  }
+
+  /**
+   * A job by ID from this process, or from generation_jobs for older ones; null if unknown
+   */
+  async get(id) {
+    const job = this.jobs.get(id);
+    if (job) return this.toResponse(job);
+
+    const { data, error } = await supabase
+      .from('generation_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? toJob(data) : null;
+  }
+
+  toResponse(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      targetLanguage: job.targetLanguage,
+      total: job.total,
+      ...countItems(job.items),
+      items: job.items,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+// Create singleton instance
+const bulkGenerationService = new BulkGenerationService();
+
+module.exports = { bulkGenerationService, BulkGenerationService, JOB_STATES };
@@ -0,0 +1,80 @@
+// How a bulk generation job works through its items and reads back from generation_jobs.
+// Kept free of the database so it can be tested on its own.
+
+/**
+ * Call fn(item, index) for every item with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Process every item into `states` (one entry per item, by index). A throwing item is recorded
+ * as failed via describeError and never stops the others. onSettled(index) runs after each item.
+ */
+async function processItems(items, states, { concurrency, processItem, describeError, onSettled = async () => {} }) {
+  await mapWithConcurrency(items, concurrency, async (item, index) => {
+    states[index] = { index, status: 'running' };
+    try {
+      states[index] = { index, status: 'succeeded', result: await processItem(item, index) };
+    } catch (error) {
+      const { status, body } = describeError(error);
+      states[index] = { index, status: 'failed', statusCode: status, error: body };
+    }
+    await onSettled(index);
+  });
+}
+
+/**
+ * share(key, start) calls start() once per key and hands every caller with that key the same
+ * promise, so the same post twice in one batch is generated once
+ */
+function shareByKey() {
+  const inFlight = new Map();
+  return (key, start) => {
+    if (!inFlight.has(key)) inFlight.set(key, start());
+    return inFlight.get(key);
+  };
+}
+
+function countItems(items) {
+  return {
+    completed: items.filter(item => item.status === 'succeeded' || item.status === 'failed').length,
+    succeeded: items.filter(item => item.status === 'succeeded').length,
+    failed: items.filter(item => item.status === 'failed').length
+  };
+}
+
+/**
+ * A generation_jobs row as a job response
+ */
+function toJob(row) {
+  const items = row.items || [];
+  return {
+    id: row.id,
+    // Still 'running' in the table but unknown to this process: the server restarted mid-job
+    state: row.state === 'running' ? 'interrupted' : row.state,
+    targetLanguage: row.target_language,
+    total: row.total,
+    ...countItems(items),
+    items,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  processItems,
+  shareByKey,
+  countItems,
+  toJob
+};
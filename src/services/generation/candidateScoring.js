@@ -0,0 +1,62 @@
+// Candidate scoring and seeded ranking for generated token suggestions
+const crypto = require('crypto');
+const { evaluateText } = require('../moderation/moderationRules');
+
+const WEIGHTS = {
+  availability: 0.5,
+  profanity: 0.3,
+  length: 0.2
+};
+
+// Profanity and slurs come from the moderation blocklist, so scoring and moderation agree
+const PROFANITY_CATEGORIES = ['profanity', 'hate'];
+
+function containsProfanity(candidate) {
+  return evaluateText(candidate).some(finding => PROFANITY_CATEGORIES.includes(finding.category));
+}
+
+/**
+ * Short tickers and names are easier to remember and fit better in wallets and charts
+ */
+function lengthScore({ name, ticker }) {
+  const tickerScore = { 3: 0.9, 4: 1, 5: 0.8, 6: 0.6 }[ticker.length] ?? 0;
+  const words = name.split(/\s+/).length;
+  const nameScore = words <= 2 ? 1 : 0.7;
+  return (tickerScore + nameScore) / 2;
+}
+
+function availabilityScore(ticker, takenTickers, similarTickers) {
+  if (takenTickers.has(ticker)) return 0;
+  if (similarTickers.has(ticker)) return 0.5;
+  return 1;
+}
+
+/**
+ * Scores in [0, 1]; `takenTickers` are already in use, `similarTickers` are one edit away from one that is
+ */
+function scoreCandidate(candidate, { takenTickers = new Set(), similarTickers = new Set() } = {}) {
+  const scores = {
+    availability: availabilityScore(candidate.ticker, takenTickers, similarTickers),
+    profanity: containsProfanity(candidate) ? 0 : 1,
+    length: lengthScore(candidate)
+  };
+  const total = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * scores[key], 0);
+  return { scores, score: Math.round(total * 10000) / 10000 };
+}
+
+function tieBreaker(seed, candidate) {
+  return crypto.createHash('sha256').update(`${seed}:${candidate.ticker}:${candidate.name}`).digest('hex');
+}
+
+/**
+ * Highest score first; equal scores are ordered by a hash of the seed, so the same seed
+ * always gives the same order and a new seed reshuffles ties
+ */
+function rankCandidates(candidates, seed) {
+  return [...candidates]
+    .map(candidate => ({ candidate, tie: tieBreaker(seed, candidate) }))
+    .sort((a, b) => (b.candidate.score - a.candidate.score) || a.tie.localeCompare(b.tie))
+    .map(({ candidate }, index) => ({ ...candidate, rank: index + 1 }));
+}
+
+module.exports = { scoreCandidate, rankCandidates, containsProfanity, WEIGHTS };
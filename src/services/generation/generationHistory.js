@@ -0,0 +1,177 @@
+// GenerationHistoryService: Every suggestion a signed-in wallet got from the generation endpoints, in generation_history
+const { supabase } = require('../../config/database');
+const { buildSearchText, toSearchPattern, attributeLaunches, toEntry, normalizeTicker } = require('./historyEntries');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('GenerationHistory');
+
+const HISTORY_KINDS = ['single', 'candidates', 'regenerate'];
+const MAX_PAGE_SIZE = 100;
+// Entries per ticker looked at when crediting a launch to the latest entry that offered it
+const TICKER_HISTORY_LIMIT = 200;
+
+class GenerationHistoryService {
+  /**
+   * Store one generation for a wallet. `candidates` is [{ name, ticker, description }], each with
+   * suggestionId or metadataVersionId when the endpoint stored it. Best-effort: a failed write is
+   * logged and the generation response goes out regardless.
+   */
+  async record({ publicKey, kind, source, sourceUrl, candidates, image, links, language, promptTemplateId, suggestionBatchId, metadataVersionId, cached = false }) {
+    try {
+      const { error } = await supabase
+        .from('generation_history')
+        .insert({
+          public_key: publicKey,
+          kind,
+          source,
+          source_url: sourceUrl,
+          candidates,
+          image: image || null,
+          links: links || {},
+          language: language || null,
+          prompt_template_id: promptTemplateId || null,
+          suggestion_batch_id: suggestionBatchId || null,
+          metadata_version_id: metadataVersionId || null,
+          cached,
+          search_text: buildSearchText({ sourceUrl, candidates })
+        });
+      if (error) throw error;
+    } catch (error) {
+      log.error('Failed to record generation history', { publicKey, kind, sourceUrl, error: error.message });
+    }
+  }
+
+  /**
+   * What became of the candidates in `rows`: which of the wallet's launches each entry gets credit
+   * for (see attributeLaunches), and which suggestions were selected and versions used
+   */
+  async loadOutcomes(publicKey, rows) {
+    if (rows.length === 0) return { launches: new Map(), selectedSuggestionIds: new Set(), usedVersionIds: new Set() };
+    const tickers = new Set(rows.flatMap(row => (row.candidates || []).map(c => normalizeTicker(c.ticker))));
+    const suggestionIds = rows.flatMap(row => (row.candidates || []).map(c => c.suggestionId)).filter(Boolean);
+    const versionIds = rows.flatMap(row => (row.candidates || []).map(c => c.metadataVersionId)).filter(Boolean);
+    const oldest = new Date(Math.min(...rows.map(row => new Date(row.created_at).getTime()))).toISOString();
+
+    const [tokens, selected, used] = await Promise.all([
+      supabase
+        .from('created_tokens')
+        .select('mint_address, token_name, token_symbol, status, is_test, created_at')
+        .eq('user_public_key', publicKey)
+        .gte('created_at', oldest),
+      suggestionIds.length > 0
+        ? supabase.from('token_suggestions').select('id').in('id', suggestionIds).not('selected_at', 'is', null)
+        : { data: [] },
+      versionIds.length > 0
+        ? supabase.from('token_metadata_versions').select('id').in('id', versionIds).not('used_at', 'is', null)
+        : { data: [] }
+    ]);
+    for (const result of [tokens, selected, used]) {
+      if (result.error) throw result.error;
+    }
+
+    // Symbols are stored as clients sent them ('moon', '$MOON'), so they are compared normalized
+    const launched = (tokens.data || []).filter(token => tickers.has(normalizeTicker(token.token_symbol)));
+    const versionOfMint = await this.loadLaunchVersions(publicKey, launched.map(token => token.mint_address));
+    // Ticker of each launch with no version behind it, with the time of its latest such launch
+    const unlinked = new Map();
+    for (const token of launched.filter(t => !versionOfMint.has(t.mint_address))) {
+      const ticker = normalizeTicker(token.token_symbol);
+      if (!unlinked.has(ticker) || new Date(token.created_at) > new Date(unlinked.get(ticker))) {
+        unlinked.set(ticker, token.created_at);
+      }
+    }
+
+    return {
+      launches: attributeLaunches(rows, {
+        tokens: launched,
+        versionOfMint,
+        history: await this.loadTickerHistory(publicKey, unlinked, oldest, rows)
+      }),
+      selectedSuggestionIds: new Set((selected.data || []).map(row => row.id)),
+      usedVersionIds: new Set((used.data || []).map(row => row.id))
+    };
+  }
+
+  /**
+   * Map of mint to the metadata version its launch job was built from, for the mints that had one
+   */
+  async loadLaunchVersions(publicKey, mints) {
+    if (mints.length === 0) return new Map();
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('mint_address, metadata_version_id')
+      .eq('user_public_key', publicKey)
+      .in('mint_address', mints)
+      .not('metadata_version_id', 'is', null);
+    if (error) throw error;
+    return new Map((data || []).map(job => [job.mint_address, job.metadata_version_id]));
+  }
+
+  /**
+   * The wallet's entries, on any page, that may have offered one of the tickers in `latestLaunch`
+   * (ticker to the time of its latest launch) between `since` and that launch, so a launch is
+   * credited to the latest of them only. `rows` (the page) are included as they are.
+   */
+  async loadTickerHistory(publicKey, latestLaunch, since, rows) {
+    const results = await Promise.all([...latestLaunch].map(([ticker, launchedAt]) => supabase
+      .from('generation_history')
+      .select('id, candidates, created_at')
+      .eq('public_key', publicKey)
+      .gte('created_at', since)
+      .lte('created_at', launchedAt)
+      .ilike('search_text', toSearchPattern(ticker))
+      .order('created_at', { ascending: false })
+      .limit(TICKER_HISTORY_LIMIT)));
+    const history = new Map(rows.map(row => [row.id, row]));
+    for (const { data, error } of results) {
+      if (error) throw error;
+      for (const entry of data || []) {
+        if (!history.has(entry.id)) history.set(entry.id, entry);
+      }
+    }
+    return [...history.values()];
+  }
+
+  /**
+   * One page of a wallet's history, newest first. `search` matches names, tickers,
+   * descriptions and source URLs. Resolves to { entries, total }.
+   */
+  async list(publicKey, { page = 1, limit = 20, search, source, kind } = {}) {
+    const from = (page - 1) * limit;
+    let query = supabase
+      .from('generation_history')
+      .select('*', { count: 'exact' })
+      .eq('public_key', publicKey)
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+    if (search) query = query.ilike('search_text', toSearchPattern(search));
+    if (source) query = query.eq('source', source);
+    if (kind) query = query.eq('kind', kind);
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const outcomes = await this.loadOutcomes(publicKey, rows);
+    return { entries: rows.map(row => toEntry(row, outcomes)), total: count || 0 };
+  }
+
+  /**
+   * One of a wallet's entries, or null if it does not exist or belongs to another wallet
+   */
+  async get(publicKey, id) {
+    const { data, error } = await supabase
+      .from('generation_history')
+      .select('*')
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) return null;
+    return toEntry(data, await this.loadOutcomes(publicKey, [data]));
+  }
+}
+
+// Create singleton instance
+const generationHistoryService = new GenerationHistoryService();
+
+module.exports = { generationHistoryService, GenerationHistoryService, HISTORY_KINDS, MAX_PAGE_SIZE };
@@ -0,0 +1,132 @@
+// Shapes generation_history rows for the API: which candidate was chosen, whether it launched,
+// and the /api/trade-local payload for launching one. No I/O.
+const { buildCreateRequest } = require('../launch/tradeLocalRequest');
+
+function normalizeTicker(ticker) {
+  return String(ticker || '').trim().replace(/^\$/, '').toUpperCase();
+}
+
+/**
+ * Lowercased text the history search matches against: every name, ticker and description plus the source URL
+ */
+function buildSearchText({ sourceUrl, candidates }) {
+  return [sourceUrl, ...candidates.flatMap(c => [c.name, c.ticker, c.description])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * A search term as an ILIKE pattern, with LIKE wildcards in the term matched literally
+ */
+function toSearchPattern(search) {
+  return `%${String(search).trim().toLowerCase().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+}
+
+/**
+ * The entry of `history` a launch with no metadata version behind it is credited to: the latest
+ * one offering its ticker from before the launch. Older entries with the same ticker are not.
+ */
+function claimingEntry(token, history) {
+  const ticker = normalizeTicker(token.token_symbol);
+  const launchedAt = new Date(token.created_at).getTime();
+  return history
+    .filter(entry => new Date(entry.created_at).getTime() <= launchedAt
+      && (entry.candidates || []).some(c => normalizeTicker(c.ticker) === ticker))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+}
+
+/**
+ * Credit each of the wallet's launches (created_tokens rows) to at most one history entry. A launch
+ * whose job was built from a metadata version (`versionOfMint`, from launch_jobs) goes to the entry
+ * offering that version; any other goes to claimingEntry() over `history`, the wallet's entries that
+ * offered its ticker. Resolves to a Map of row ID to { token, index } for the entries in `rows`.
+ */
+function attributeLaunches(rows, { tokens = [], versionOfMint = new Map(), history = rows } = {}) {
+  const launches = new Map();
+  const credit = (row, index, token) => {
+    const current = launches.get(row.id);
+    if (!current || new Date(token.created_at) < new Date(current.token.created_at)) {
+      launches.set(row.id, { token, index });
+    }
+  };
+
+  for (const token of tokens) {
+    const versionId = versionOfMint.get(token.mint_address);
+    if (versionId) {
+      for (const row of rows) {
+        const index = (row.candidates || []).findIndex(c => c.metadataVersionId === versionId);
+        if (index !== -1) credit(row, index, token);
+      }
+      continue;
+    }
+    const claim = claimingEntry(token, history);
+    const row = claim && rows.find(r => r.id === claim.id);
+    if (row) {
+      const ticker = normalizeTicker(token.token_symbol);
+      credit(row, row.candidates.findIndex(c => normalizeTicker(c.ticker) === ticker), token);
+    }
+  }
+  return launches;
+}
+
+/**
+ * API shape of a history row. `lookups` holds the row's launch from attributeLaunches() and the IDs
+ * of selected suggestions and used metadata versions. The chosen candidate is the one that was
+ * launched, else the one picked through the suggestion or version endpoints, else none.
+ */
+function toEntry(row, { launches = new Map(), selectedSuggestionIds = new Set(), usedVersionIds = new Set() } = {}) {
+  const candidates = (row.candidates || []).map((candidate, index) => ({ index, ...candidate }));
+  const attributed = launches.get(row.id);
+  const launch = attributed ? attributed.token : null;
+
+  let chosen = null;
+  if (attributed) {
+    chosen = { index: attributed.index, via: 'launch' };
+  } else {
+    const selected = candidates.find(c => (c.suggestionId && selectedSuggestionIds.has(c.suggestionId))
+      || (c.metadataVersionId && usedVersionIds.has(c.metadataVersionId)));
+    if (selected) chosen = { index: selected.index, via: selected.suggestionId ? 'selected' : 'version' };
+  }
+
+  return {
+    id: row.id,
+    kind: row.kind,
+    source: row.source,
+    sourceUrl: row.source_url,
+    candidates,
+    chosen,
+    launched: Boolean(launch),
+    createdToken: launch
+      ? { mint: launch.mint_address, name: launch.token_name, ticker: launch.token_symbol, status: launch.status, isTest: Boolean(launch.is_test), createdAt: launch.created_at }
+      : null,
+    image: row.image,
+    links: row.links || {},
+    language: row.language,
+    promptTemplateId: row.prompt_template_id || null,
+    suggestionBatchId: row.suggestion_batch_id || null,
+    metadataVersionId: row.metadata_version_id || null,
+    cached: row.cached,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * The /api/trade-local request creating a token from one candidate of an entry. The image is
+ * not included: clients fetch `imageUrl` and send it as the imageFile upload.
+ */
+function buildLaunchPayload(entry, index, { publicKey, amount = 0 }) {
+  const candidate = entry.candidates[index];
+  const request = buildCreateRequest({
+    publicKey,
+    name: candidate.name,
+    symbol: candidate.ticker,
+    description: candidate.description,
+    links: entry.links,
+    amount,
+    ids: { metadataVersionId: candidate.metadataVersionId, promptTemplateId: entry.promptTemplateId }
+  });
+  return { ...request, imageUrl: entry.image || null };
+}
+
+module.exports = { buildSearchText, toSearchPattern, attributeLaunches, toEntry, buildLaunchPayload, normalizeTicker };
@@ -0,0 +1,172 @@
+// Language detection for source text: the writing system settles most languages, and common
+// function words tell the Latin-script ones apart. Good enough to pick a prompt, not a general detector.
+
+const UNDETERMINED = 'und';
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  nl: 'Dutch',
+  tr: 'Turkish',
+  id: 'Indonesian',
+  vi: 'Vietnamese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  ru: 'Russian',
+  uk: 'Ukrainian',
+  ar: 'Arabic',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  th: 'Thai',
+  el: 'Greek'
+};
+
+// Checked in order; kana comes before Han so Japanese mixed with kanji is not read as Chinese
+const SCRIPTS = [
+  { script: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { script: 'hangul', pattern: /\p{Script=Hangul}/gu },
+  { script: 'han', pattern: /\p{Script=Han}/gu },
+  { script: 'cyrillic', pattern: /\p{Script=Cyrillic}/gu },
+  { script: 'arabic', pattern: /\p{Script=Arabic}/gu },
+  { script: 'hebrew', pattern: /\p{Script=Hebrew}/gu },
+  { script: 'devanagari', pattern: /\p{Script=Devanagari}/gu },
+  { script: 'thai', pattern: /\p{Script=Thai}/gu },
+  { script: 'greek', pattern: /\p{Script=Greek}/gu },
+  { script: 'latin', pattern: /\p{Script=Latin}/gu }
+];
+
+const SCRIPT_LANGUAGES = {
+  kana: 'ja',
+  hangul: 'ko',
+  han: 'zh',
+  arabic: 'ar',
+  hebrew: 'he',
+  devanagari: 'hi',
+  thai: 'th',
+  greek: 'el'
+};
+
+// Scripts written without spaces between words, where word counts mean nothing
+const UNSPACED_LANGUAGES = ['ja', 'zh', 'th'];
+const UNSPACED_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}\p{Script=Thai}]/u;
+
+// Frequent short words; only words unique enough to one language carry much weight
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'was', 'of', 'to', 'in', 'it', 'this', 'that', 'with', 'for', 'you', 'my', 'just', 'what', 'have', 'not', 'be', 'on', 'so', 'we', 'they', 'will', 'your', 'about', 'can', 'all', 'if'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'a', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'no', 'se', 'lo', 'del', 'al', 'pero', 'como', 'más', 'muy', 'este', 'esta', 'yo', 'porque', 'también', 'hay', 'estoy'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'é', 'não', 'com', 'para', 'do', 'da', 'dos', 'das', 'no', 'na', 'mas', 'como', 'mais', 'muito', 'eu', 'você', 'isso', 'está', 'também', 'porque'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'en', 'du', 'que', 'qui', 'pas', 'pour', 'dans', 'sur', 'avec', 'ce', 'il', 'je', 'vous', 'nous', 'mais', 'plus', 'très', 'au', 'aux', 'c\'est', 'ne'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'auf', 'für', 'ich', 'du', 'wir', 'sie', 'es', 'auch', 'aber', 'noch', 'wie', 'dem', 'sich', 'ja', 'nur', 'schon', 'mal', 'oder'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'con', 'del', 'della', 'sono', 'ma', 'come', 'più', 'anche', 'questo', 'questa', 'io', 'tu', 'noi', 'molto', 'perché', 'ho', 'hai'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'die', 'op', 'te', 'met', 'voor', 'zijn', 'ik', 'je', 'wij', 'maar', 'ook', 'nog', 'wat', 'dit', 'naar', 'heb', 'er', 'hij', 'zij', 'bij', 'om', 'al'],
+  tr: ['bir', 've', 'bu', 'da', 'de', 'için', 'ile', 'çok', 'ne', 'ama', 'gibi', 'daha', 'var', 'yok', 'ben', 'sen', 'o', 'biz', 'mi', 'mı', 'değil', 'olan', 'şey', 'kadar', 'en', 'her', 'ki', 'diye', 'oldu', 'şu'],
+  id: ['yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'ada', 'dari', 'ke', 'akan', 'saya', 'kamu', 'kita', 'juga', 'sudah', 'bisa', 'aja', 'banget', 'atau', 'karena', 'lagi', 'apa', 'mau', 'jadi', 'sama', 'gak', 'nya', 'dia'],
+  vi: ['và', 'của', 'là', 'có', 'không', 'được', 'cho', 'một', 'này', 'với', 'người', 'những', 'các', 'đã', 'trong', 'để', 'khi', 'tôi', 'bạn', 'cũng', 'như', 'thì', 'lại', 'rất', 'nhưng', 'đó', 'về', 'đi', 'ra', 'mà']
+};
+
+// Letters that only show up in one or two of the languages above
+const LETTER_HINTS = [
+  { pattern: /[ñ¿¡]/gu, languages: ['es'] },
+  { pattern: /[ãõ]/gu, languages: ['pt'] },
+  { pattern: /ç/gu, languages: ['pt', 'fr', 'tr'] },
+  { pattern: /[ß]/gu, languages: ['de'] },
+  { pattern: /[äöü]/gu, languages: ['de', 'tr'] },
+  { pattern: /[ğışİ]/gu, languages: ['tr'] },
+  { pattern: /[ơưđăạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gu, languages: ['vi'] },
+  { pattern: /[êèëœ]/gu, languages: ['fr'] }
+];
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Text without the parts that are the same in every language: links, @handles, $cashtags and emoji
+ */
+function stripNoise(text) {
+  return String(text || '')
+    .replace(/https?:\/\/\S+/gi, ' ')
+    .replace(/[@$][\w.]+/g, ' ')
+    .replace(/#/g, ' ')
+    .replace(/[\p{Extended_Pictographic}‍️]/gu, ' ');
+}
+
+function countScripts(text) {
+  const counts = {};
+  for (const { script, pattern } of SCRIPTS) {
+    const matches = text.match(pattern);
+    if (matches) counts[script] = matches.length;
+  }
+  return counts;
+}
+
+function detectLatin(text) {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map(language => [language, 0]));
+
+  for (const word of words) {
+    const matching = Object.keys(STOPWORD_SETS).filter(language => STOPWORD_SETS[language].has(word));
+    // A word shared by several languages is weaker evidence than one only a single language uses
+    for (const language of matching) scores[language] += 1 / matching.length;
+  }
+  for (const { pattern, languages } of LETTER_HINTS) {
+    const hits = (text.toLowerCase().match(pattern) || []).length;
+    for (const language of languages) scores[language] += (hits * 1.5) / languages.length;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, bestScore], [, secondScore]] = ranked;
+  // Crypto slang with no function words at all ("gm wagmi ser") is almost always English
+  if (bestScore === 0) return { language: 'en', confidence: 0.3 };
+  const margin = (bestScore - secondScore) / bestScore;
+  const evidence = Math.min(1, bestScore / 4);
+  return { language: best, confidence: Math.round((0.4 + 0.6 * margin * evidence) * 100) / 100 };
+}
+
+/**
+ * Best guess at the language of some text as { language, confidence }, where language is an
+ * ISO 639-1 code and confidence runs from 0 to 1. Text with no letters gives 'und'.
+ */
+function detectLanguage(text) {
+  const cleaned = stripNoise(text);
+  const counts = countScripts(cleaned);
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return { language: UNDETERMINED, confidence: 0 };
+
+  // Any kana means Japanese, even when kanji outnumber it
+  const script = counts.kana
+    ? 'kana'
+    : Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  const share = Math.round(((script === 'kana' ? counts.kana + (counts.han || 0) : counts[script]) / total) * 100) / 100;
+
+  if (script === 'latin') {
+    const latin = detectLatin(cleaned);
+    return { language: latin.language, confidence: Math.round(latin.confidence * share * 100) / 100 };
+  }
+  if (script === 'cyrillic') {
+    // Ukrainian has letters Russian does not
+    return { language: /[іїєґ]/iu.test(cleaned) ? 'uk' : 'ru', confidence: share };
+  }
+  return { language: SCRIPT_LANGUAGES[script], confidence: share };
+}
+
+/**
+ * English name for a language code, falling back to the code itself
+ */
+function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * True when the text uses a script written without spaces (Chinese, Japanese, Thai)
+ */
+function isUnspaced(text) {
+  return UNSPACED_PATTERN.test(String(text || ''));
+}
+
+module.exports = { detectLanguage, languageName, isUnspaced, LANGUAGE_NAMES, UNSPACED_LANGUAGES, UNDETERMINED };
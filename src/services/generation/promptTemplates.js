@@ -0,0 +1,214 @@
+// PromptTemplateService: Versioned prompt templates in prompt_templates, with weighted traffic splits between active versions
+const { supabase } = require('../../config/database');
+const { getGenerationConfig } = require('../../config/generation');
+const { ALL_SOURCES, selectTemplate, planTemplateUpdate } = require('./templateRules');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('PromptTemplates');
+
+function toTemplate(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    source: row.source,
+    version: row.version,
+    systemPrompt: row.system_prompt,
+    userPrompt: row.user_prompt,
+    variables: row.variables || {},
+    active: row.active,
+    weight: row.weight,
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toPerformance(row) {
+  return {
+    promptTemplateId: row.prompt_template_id,
+    kind: row.kind,
+    source: row.source,
+    version: row.version,
+    active: row.active,
+    weight: row.weight,
+    generated: Number(row.generated),
+    selected: Number(row.selected),
+    launches: Number(row.launches),
+    launchRate: Number(row.generated) > 0 ? Number(row.launches) / Number(row.generated) : null,
+    avgMarketCap: row.avg_market_cap !== null ? Number(row.avg_market_cap) : null,
+    maxMarketCap: row.max_market_cap !== null ? Number(row.max_market_cap) : null
+  };
+}
+
+class PromptTemplateService {
+  constructor(config = getGenerationConfig().promptTemplates) {
+    this.config = config;
+    this.active = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  async loadActive() {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('active', true);
+    if (error) throw error;
+    return (data || []).map(toTemplate);
+  }
+
+  /**
+   * Active templates, cached for cacheTtlMs. Concurrent callers share one load.
+   */
+  async getActive() {
+    if (this.active && Date.now() - this.loadedAt < this.config.cacheTtlMs) {
+      return this.active;
+    }
+    if (!this.loading) {
+      this.loading = this.loadActive()
+        .then(templates => {
+          this.active = templates;
+          this.loadedAt = Date.now();
+          log.debug(`Loaded ${templates.length} active prompt templates`);
+          return templates;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  invalidate() {
+    this.active = null;
+  }
+
+  /**
+   * The template to use for a kind and source among the active ones, as chosen by selectTemplate
+   */
+  async select(kind, source, key) {
+    return selectTemplate(await this.getActive(), kind, source, key);
+  }
+
+  async list({ kind, source } = {}) {
+    let query = supabase
+      .from('prompt_templates')
+      .select('*')
+      .order('kind', { ascending: true })
+      .order('source', { ascending: true })
+      .order('version', { ascending: false });
+    if (kind) query = query.eq('kind', kind);
+    if (source) query = query.eq('source', source);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(toTemplate);
+  }
+
+  async get(id) {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? toTemplate(data) : null;
+  }
+
+  /**
+   * Store a template as the next version for its kind and source. Templates are never edited;
+   * a change is a new version. Retries once if another request took the version number.
+   */
+  async create({ kind, source = ALL_SOURCES, systemPrompt, userPrompt, variables = {}, notes = null, weight = 100, createdBy }) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { data: latest, error: latestError } = await supabase
+        .from('prompt_templates')
+        .select('version')
+        .eq('kind', kind)
+        .eq('source', source)
+        .order('version', { ascending: false })
+        .limit(1);
+      if (latestError) throw latestError;
+
+      const { data, error } = await supabase
+        .from('prompt_templates')
+        .insert({
+          kind,
+          source,
+          version: latest && latest.length > 0 ? latest[0].version + 1 : 1,
+          system_prompt: systemPrompt,
+          user_prompt: userPrompt,
+          variables,
+          notes,
+          weight,
+          active: false,
+          created_by: createdBy
+        })
+        .select()
+        .single();
+      if (!error) {
+        log.info(`Created ${kind} template v${data.version} for ${source}`, { createdBy });
+        return toTemplate(data);
+      }
+      if (error.code !== '23505' || attempt === 2) throw error;
+    }
+    return null;
+  }
+
+  /**
+   * Change a template's active flag and weight. Activating a version retires the other active
+   * versions of its kind and source, unless `experiment` is set, in which case they keep running
+   * and traffic is split between them by weight. Null when the template does not exist.
+   */
+  async update(id, { active, weight, experiment = false }) {
+    const template = await this.get(id);
+    if (!template) return null;
+
+    const { changes, retire } = planTemplateUpdate(template, { active, weight, experiment });
+    if (retire) {
+      const { error } = await supabase
+        .from('prompt_templates')
+        .update({ active: false, updated_at: changes.updated_at })
+        .eq('kind', retire.kind)
+        .eq('source', retire.source)
+        .eq('active', true)
+        .neq('id', retire.exceptId);
+      if (error) throw error;
+    }
+
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw error;
+    this.invalidate();
+
+    const updated = toTemplate(data);
+    log.info(`${updated.kind} template v${updated.version} for ${updated.source}: active=${updated.active}, weight=${updated.weight}`, { experiment });
+    return updated;
+  }
+
+  /**
+   * Generations, picks and launches per template version, with the market caps of the launched tokens
+   */
+  async performance({ kind, source } = {}) {
+    let query = supabase
+      .from('prompt_template_performance')
+      .select('*')
+      .order('kind', { ascending: true })
+      .order('source', { ascending: true })
+      .order('version', { ascending: false });
+    if (kind) query = query.eq('kind', kind);
+    if (source) query = query.eq('source', source);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(toPerformance);
+  }
+}
+
+// Create singleton instance
+const promptTemplateService = new PromptTemplateService();
+
+module.exports = { promptTemplateService, PromptTemplateService, toTemplate, ALL_SOURCES };
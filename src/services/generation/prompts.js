@@ -0,0 +1,266 @@
+// Prompt templates for meme token generation, shared by every source. Source wording comes from the source adapters;
+// the built-in templates below can be replaced per source by versions stored in prompt_templates.
+const crypto = require('crypto');
+const { sourceRegistry } = require('../sources/registry');
+const { languageName, UNDETERMINED, UNSPACED_LANGUAGES } = require('./languageDetection');
+
+const DEFAULT_LABEL = { noun: 'post', plural: 'social media posts', intro: 'Given this post', authorLabel: 'Author' };
+
+function getSourceLabel(source) {
+  const adapter = sourceRegistry.get(source);
+  return adapter ? adapter.label : DEFAULT_LABEL;
+}
+
+/**
+ * The source content block: text, author and any adapter-specific lines (subreddit, summary, ...)
+ */
+function describeSource({ source, text, authorName, details = [] }) {
+  const { intro, authorLabel } = getSourceLabel(source);
+  return [`${intro}:`, `Text: "${text}"`, `${authorLabel}: ${authorName}`, ...details].join('\n');
+}
+
+/**
+ * Which language to write in, for sources that are not in English. `targetLanguage` is 'en'
+ * (translate), 'original' (keep the source language) or 'both' (English plus a "localized"
+ * name and description). English or undetected sources need no instruction.
+ */
+function languageInstruction({ noun, language, targetLanguage = 'en' }) {
+  if (!language || language === 'en' || language === UNDETERMINED) return '';
+  const name = languageName(language);
+  const ticker = 'The ticker must still be 3-6 ASCII letters or digits, romanized or abbreviated if need be.'
+    + (UNSPACED_LANGUAGES.includes(language) ? ` Keep the ${name} description under 60 characters.` : '');
+  switch (targetLanguage) {
+    case 'original':
+      return `\nThe ${noun} is written in ${name}. Write the name and description in ${name}, the way a native speaker would post them. ${ticker}`;
+    case 'both':
+      return `\nThe ${noun} is written in ${name}. Write the name and description in English, and also add "localized": {"name": "...", "description": "..."} with a name and description for the same token written in ${name}. ${ticker}`;
+    default:
+      return `\nThe ${noun} is written in ${name}. Write the name and description in English, keeping any joke that survives translation.`;
+  }
+}
+
+const TEMPLATE_KINDS = ['token', 'candidates'];
+
+// Built-in templates, used whenever prompt_templates has no active version for a kind and source.
+// {{source}} is the source block, {{format}} the JSON shape the validator expects and {{language}}
+// the language instruction; other placeholders come from the template's own variables.
+const DEFAULT_TEMPLATES = {
+  token: {
+    id: null,
+    kind: 'token',
+    source: '*',
+    version: 0,
+    systemPrompt: 'You are a creative meme token generator. Generate funny, viral-worthy token names and descriptions based on {{plural}}.',
+    userPrompt: '{{source}}\nGenerate a meme token based on this {{noun}} with the following format:\n{{format}}{{language}}\n{{tone}}',
+    variables: { tone: 'Make it funny and viral-worthy.' }
+  },
+  candidates: {
+    id: null,
+    kind: 'candidates',
+    source: '*',
+    version: 0,
+    systemPrompt: 'You are a creative meme token generator. Generate funny, viral-worthy token names and descriptions based on {{plural}}.',
+    userPrompt: '{{source}}\nGenerate {{count}} distinct meme tokens based on this {{noun}} with the following format:\n{{format}}\nEach candidate must have a different name and ticker and take a different angle on the {{noun}}.{{avoid}}{{language}}\n{{tone}}',
+    variables: { tone: 'Make them funny and viral-worthy.' }
+  }
+};
+
+// Filled in by the prompt builders, so templates cannot define them
+const BUILTIN_VARIABLES = {
+  token: ['source', 'noun', 'plural', 'format', 'language'],
+  candidates: ['source', 'noun', 'plural', 'format', 'language', 'count', 'avoid']
+};
+// Without these the model cannot see the post, answer in a shape the validator accepts or follow targetLanguage
+const REQUIRED_VARIABLES = {
+  token: ['source', 'format', 'language'],
+  candidates: ['source', 'format', 'language', 'count', 'avoid']
+};
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const TEMPLATE_MAX_LENGTH = 4000;
+
+/**
+ * Replace {{name}} placeholders in one pass, so values (post text included) are never expanded
+ * themselves. Unknown placeholders are left as they are.
+ */
+function renderTemplate(text, values) {
+  return text.replace(PLACEHOLDER, (match, name) => (Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match));
+}
+
+function placeholders(text) {
+  return [...String(text).matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Problems with a template before it is stored; an empty list means it can be used
+ */
+function validateTemplate({ kind, systemPrompt, userPrompt, variables = {} }) {
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    return [`kind must be one of: ${TEMPLATE_KINDS.join(', ')}`];
+  }
+  const errors = [];
+  for (const [field, text] of [['systemPrompt', systemPrompt], ['userPrompt', userPrompt]]) {
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push(`${field} is required and must be a string`);
+    } else if (text.length > TEMPLATE_MAX_LENGTH) {
+      errors.push(`${field} must be at most ${TEMPLATE_MAX_LENGTH} characters`);
+    }
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return [...errors, 'variables must be an object of strings'];
+  }
+  for (const [name, value] of Object.entries(variables)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) errors.push(`variable "${name}" is not a valid name`);
+    else if (BUILTIN_VARIABLES[kind].includes(name)) errors.push(`variable "${name}" is filled in automatically and cannot be set`);
+    else if (typeof value !== 'string') errors.push(`variable "${name}" must be a string`);
+  }
+  if (errors.length > 0) return errors;
+
+  const known = [...BUILTIN_VARIABLES[kind], ...Object.keys(variables)];
+  for (const name of new Set([...placeholders(systemPrompt), ...placeholders(userPrompt)])) {
+    if (!known.includes(name)) errors.push(`{{${name}}} is neither built in nor defined in variables`);
+  }
+  const used = placeholders(userPrompt);
+  for (const name of REQUIRED_VARIABLES[kind]) {
+    if (!used.includes(name)) errors.push(`userPrompt must contain {{${name}}}`);
+  }
+  return errors;
+}
+
+/**
+ * One of several active templates, picked in proportion to weight. The same key always gets
+ * the same template, so repeat requests for one post stay in one arm of an experiment.
+ */
+function chooseTemplate(templates, key) {
+  const total = templates.reduce((sum, template) => sum + template.weight, 0);
+  if (templates.length === 1 || total <= 0) return templates[0];
+  const point = key
+    ? crypto.createHash('sha256').update(String(key)).digest().readUInt32BE(0) % total
+    : Math.floor(Math.random() * total);
+  let cumulative = 0;
+  for (const template of templates) {
+    cumulative += template.weight;
+    if (point < cumulative) return template;
+  }
+  return templates[templates.length - 1];
+}
+
+function tokenFormat(noun) {
+  return `{\n  "name": "A catchy, meme-worthy name based on the ${noun}'s theme or author (max 3 words)",\n  "ticker": "A 3-6 letter acronym or playful reference to the name",\n  "description": "A one-sentence meme-worthy summary of the ${noun} (max 15 words)"\n}`;
+}
+
+function candidatesFormat(noun) {
+  return `{\n  "candidates": [\n    {\n      "name": "A catchy, meme-worthy name based on the ${noun}'s theme or author (max 3 words)",\n      "ticker": "A 3-6 letter acronym or playful reference to the name",\n      "description": "A one-sentence meme-worthy summary of the ${noun} (max 15 words)"\n    }\n  ]\n}`;
+}
+
+function renderMessages(template, values) {
+  const merged = { ...template.variables, ...values };
+  return [
+    { role: 'system', content: renderTemplate(template.systemPrompt, merged) },
+    { role: 'user', content: renderTemplate(template.userPrompt, merged) }
+  ];
+}
+
+/**
+ * Chat messages asking the model for { name, ticker, description } as JSON, written in the
+ * language `targetLanguage` asks for (see languageInstruction), from a 'token' template
+ */
+function buildTokenMessages({ source, text, authorName, details, language, targetLanguage, template = DEFAULT_TEMPLATES.token }) {
+  const { noun, plural } = getSourceLabel(source);
+  return renderMessages(template, {
+    source: describeSource({ source, text, authorName, details }),
+    noun,
+    plural,
+    format: tokenFormat(noun),
+    language: languageInstruction({ noun, language, targetLanguage })
+  });
+}
+
+/**
+ * Chat messages asking for several distinct tokens as { "candidates": [...] }, avoiding
+ * anything already suggested for the same source, from a 'candidates' template
+ */
+function buildCandidateMessages({ source, text, authorName, details, count, exclude = [], language, targetLanguage, template = DEFAULT_TEMPLATES.candidates }) {
+  const { noun, plural } = getSourceLabel(source);
+  return renderMessages(template, {
+    source: describeSource({ source, text, authorName, details }),
+    noun,
+    plural,
+    format: candidatesFormat(noun),
+    language: languageInstruction({ noun, language, targetLanguage }),
+    count,
+    avoid: exclude.length > 0
+      ? `\nDo not reuse any of these names or tickers: ${exclude.map(t => `${t.name} ($${t.ticker})`).join(', ')}.`
+      : ''
+  });
+}
+
+/**
+ * Conversation that shows the model its previous suggestion and asks for a revision.
+ * Locked fields are restated so the model works around them; the caller still enforces them.
+ */
+function buildRegenerateMessages({ source, text, authorName, details, previous, lockedFields = [], feedback, template }) {
+  const { noun } = getSourceLabel(source);
+  const instructions = [`Revise this meme token for the same ${noun}.`];
+  if (lockedFields.length > 0) {
+    instructions.push(`Keep these fields exactly as they are: ${lockedFields.map(field => `${field} = "${previous[field]}"`).join(', ')}.`);
+  }
+  instructions.push(feedback ? `User feedback: "${feedback}"` : 'Give it a fresh take.');
+  instructions.push('Respond with only a JSON object of the form {"name": "...", "ticker": "...", "description": "..."}.');
+
+  return [
+    ...buildTokenMessages({ source, text, authorName, details, template }),
+    {
+      role: 'assistant',
+      content: JSON.stringify({ name: previous.name, ticker: previous.ticker, description: previous.description })
+    },
+    { role: 'user', content: instructions.join('\n') }
+  ];
+}
+
+/**
+ * Copy of the messages with the image added to the first user message, as OpenAI-style
+ * content parts. `kind` tells the model what the picture is (attached photo, avatar, ...).
+ */
+function withImage(messages, { dataUrl, kind, detail = 'low' }) {
+  const index = messages.findIndex(message => message.role === 'user');
+  return messages.map((message, i) => {
+    if (i !== index) return message;
+    return {
+      ...message,
+      content: [
+        { type: 'text', text: message.content },
+        { type: 'text', text: `The attached image is the ${kind}. Let what it shows shape the name and description.` },
+        { type: 'image_url', image_url: { url: dataUrl, detail } }
+      ]
+    };
+  });
+}
+
+function hasImage(messages) {
+  return messages.some(message => Array.isArray(message.content) && message.content.some(part => part.type === 'image_url'));
+}
+
+/**
+ * Text-only copy for providers that cannot take images: the original prompt without the
+ * image or the note about it
+ */
+function withoutImages(messages) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+    return { ...message, content: message.content[0].text };
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KINDS,
+  renderTemplate,
+  validateTemplate,
+  chooseTemplate,
+  buildTokenMessages,
+  buildCandidateMessages,
+  buildRegenerateMessages,
+  withImage,
+  hasImage,
+  withoutImages
+};
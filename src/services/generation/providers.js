@@ -0,0 +1,155 @@
+// LLM providers for token generation. Each implements complete({ messages, model, temperature, timeoutMs, context, onContent })
+// and resolves to { content, provider, model, usage }. Providers that stream call onContent with the text so far.
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * Also serves OpenAI-compatible servers (llama.cpp, vLLM, ...) when given a baseURL
+   */
+  constructor({ type = 'openai', apiKey, baseURL, model, vision, visionModel } = {}) {
+    if (type === 'openai-compatible' && !baseURL) {
+      throw new Error('LLM_COMPAT_BASE_URL is required for the openai-compatible provider');
+    }
+    this.name = type;
+    this.modelOverride = model || null;
+    this.visionModelOverride = visionModel || null;
+    // OpenAI's vision models take image parts; compatible servers only when configured to
+    this.supportsVision = type === 'openai' ? true : Boolean(vision);
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  async complete({ messages, model, temperature, timeoutMs, hasImage = false, onContent }) {
+    const resolvedModel = (hasImage && this.visionModelOverride) || this.modelOverride || model;
+    if (onContent) {
+      return this.stream({ messages, model: resolvedModel, temperature, timeoutMs, onContent });
+    }
+    // Retries are left to the generation service, which can fall back to another provider instead
+    const completion = await this.client.chat.completions.create(
+      { model: resolvedModel, messages, temperature },
+      { timeout: timeoutMs, maxRetries: 0 }
+    );
+    return {
+      content: completion.choices[0].message.content,
+      provider: this.name,
+      model: completion.model || resolvedModel,
+      usage: completion.usage || null
+    };
+  }
+
+  /**
+   * Same completion, streamed; onContent gets the accumulated text after every chunk
+   */
+  async stream({ messages, model, temperature, timeoutMs, onContent }) {
+    const stream = await this.client.chat.completions.create(
+      {
+        model,
+        messages,
+        temperature,
+        stream: true,
+        // Compatible servers do not all accept stream_options; they simply report no usage
+        ...(this.name === 'openai' ? { stream_options: { include_usage: true } } : {})
+      },
+      { timeout: timeoutMs, maxRetries: 0 }
+    );
+
+    let content = '';
+    let resolvedModel = model;
+    let usage = null;
+    for await (const chunk of stream) {
+      if (chunk.model) resolvedModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        content += delta;
+        onContent(content);
+      }
+    }
+    return { content, provider: this.name, model: resolvedModel, usage };
+  }
+}
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'was',
+  'were', 'be', 'it', 'this', 'that', 'my', 'your', 'our', 'i', 'you', 'we', 'they', 'at', 'by', 'so'
+]);
+
+/**
+ * Offline provider for development and tests: derives tokens from the source text, so the
+ * same input always produces the same output and nothing leaves the machine
+ */
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    // Accepts image parts and ignores them, so vision paths can be exercised offline
+    this.supportsVision = true;
+  }
+
+  buildToken(text, source, salt) {
+    const words = (text.match(/[A-Za-z][A-Za-z0-9]*/g) || [])
+      .filter(word => !STOP_WORDS.has(word.toLowerCase()));
+    const digest = crypto.createHash('sha256').update(salt ? `${text}#${salt}` : text).digest();
+
+    const picked = words.length > 0
+      ? [words[digest[0] % words.length], words[digest[1] % words.length]]
+      : ['Stub', 'Token'];
+    const nameWords = [...new Set(picked.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()))];
+    const name = nameWords.join(' ');
+
+    let ticker = nameWords.map(word => word.toUpperCase()).join('').replace(/[^A-Z0-9]/g, '').slice(0, 6);
+    if (ticker.length < 3 || salt) {
+      // Variants need distinct tickers even when they share name words
+      ticker = (ticker.slice(0, 3) + digest.toString('hex').toUpperCase()).slice(0, 5);
+    }
+
+    const noun = source === 'twitter' ? 'tweet' : 'post';
+    const description = `${name} is the token for everyone who saw this ${noun} coming.`;
+    return { name, ticker, description };
+  }
+
+  /**
+   * context.count switches to candidate mode ({ candidates: [...] }), skipping anything in context.exclude;
+   * context.salt yields a different (but still deterministic) single token, e.g. for regeneration;
+   * context.localized adds the "localized" copy, unchanged since the stub does not translate
+   */
+  async complete({ messages, context = {} }) {
+    const text = context.text || messages.map(m => m.content).join(' ');
+    let output;
+
+    if (context.count) {
+      const seen = new Set((context.exclude || []).map(token => token.ticker));
+      const candidates = [];
+      for (let salt = 1; candidates.length < context.count && salt <= context.count * 10; salt++) {
+        const token = this.buildToken(text, context.source, salt);
+        if (seen.has(token.ticker)) continue;
+        seen.add(token.ticker);
+        candidates.push(token);
+      }
+      output = { candidates };
+    } else {
+      output = this.buildToken(text, context.source, context.salt);
+      if (context.localized) output.localized = { name: output.name, description: output.description };
+    }
+
+    return {
+      content: JSON.stringify(output),
+      provider: this.name,
+      model: 'stub',
+      usage: null
+    };
+  }
+}
+
+function createProvider(settings) {
+  switch (settings.type) {
+    case 'openai':
+    case 'openai-compatible':
+      return new OpenAIProvider(settings);
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${settings.type}`);
+  }
+}
+
+module.exports = { OpenAIProvider, StubProvider, createProvider };
@@ -0,0 +1,35 @@
+// Which prompt template version serves a request, and what activating one changes. Pure, so the
+// experiment rules can be tested without a database.
+const { DEFAULT_TEMPLATES, chooseTemplate } = require('./prompts');
+
+// A template for every source without one of its own
+const ALL_SOURCES = '*';
+
+/**
+ * The template to use for a kind and source among the `active` ones: the source's own versions,
+ * else those for every source, else the built-in one. Several versions form an experiment and are
+ * picked by weight, keyed on `key` (the source text) so one post always gets the same version.
+ */
+function selectTemplate(active, kind, source, key) {
+  const candidates = active.filter(template => template.kind === kind && template.weight > 0);
+  const own = candidates.filter(template => template.source === source);
+  const pool = own.length > 0 ? own : candidates.filter(template => template.source === ALL_SOURCES);
+  return pool.length > 0 ? chooseTemplate(pool, `${kind}:${source}:${key}`) : DEFAULT_TEMPLATES[kind];
+}
+
+/**
+ * The column changes for updating `template`, and which other versions to retire: activating a
+ * version retires the other active versions of its kind and source unless `experiment` is set.
+ * `retire` is null or { kind, source, exceptId }.
+ */
+function planTemplateUpdate(template, { active, weight, experiment = false }, at = new Date().toISOString()) {
+  const changes = { updated_at: at };
+  if (active !== undefined) changes.active = active;
+  if (weight !== undefined) changes.weight = weight;
+  const retire = active === true && !experiment
+    ? { kind: template.kind, source: template.source, exceptId: template.id }
+    : null;
+  return { changes, retire };
+}
+
+module.exports = { ALL_SOURCES, selectTemplate, planTemplateUpdate };
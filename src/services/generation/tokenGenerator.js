@@ -0,0 +1,428 @@
+// TokenGenerator: Generates token name/ticker/description from source content via the configured LLM providers
+const { getGenerationConfig } = require('../../config/generation');
+const { createProvider } = require('./providers');
+const {
+  DEFAULT_TEMPLATES,
+  buildTokenMessages,
+  buildCandidateMessages,
+  buildRegenerateMessages,
+  withImage,
+  hasImage,
+  withoutImages
+} = require('./prompts');
+const {
+  GenerationError,
+  parseTokenOutput,
+  parseCandidateOutput,
+  extractPartialFields,
+  buildRepairMessage,
+  buildCandidateRepairMessage,
+  tickerCollisionError
+} = require('./validation');
+const { detectLanguage, UNDETERMINED } = require('./languageDetection');
+const { imageProxyService } = require('../media/imageProxy');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('TokenMeta');
+
+const EDITABLE_FIELDS = ['name', 'ticker', 'description'];
+// 'en' translates non-English sources, 'original' keeps their language, 'both' returns English plus a localized copy
+const TARGET_LANGUAGES = ['en', 'original', 'both'];
+// Below this a detected language is only reported, not used to steer the prompt
+const MIN_LANGUAGE_CONFIDENCE = 0.4;
+
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class TokenGenerator {
+  constructor(config = getGenerationConfig()) {
+    this.config = config;
+    this.providers = null;
+    this.tickerChecker = null;
+    this.promptTemplates = null;
+    this.usageMeter = null;
+    this.imageLoader = imageProxyService;
+  }
+
+  /**
+   * Checker with checkMany(tickers) used to steer the model away from taken tickers
+   */
+  useTickerChecker(checker) {
+    this.tickerChecker = checker;
+  }
+
+  /**
+   * Template store with select(kind, source, key), used instead of the built-in prompts
+   */
+  usePromptTemplates(store) {
+    this.promptTemplates = store;
+  }
+
+  /**
+   * The prompt template for a kind ('token' or 'candidates') and source. The store may split
+   * traffic between versions, keyed on `key`; without a store, or if it fails, the built-in one.
+   */
+  async getTemplate(kind, source, key) {
+    if (!this.promptTemplates) return DEFAULT_TEMPLATES[kind];
+    try {
+      return await this.promptTemplates.select(kind, source, key);
+    } catch (error) {
+      log.warn(`Failed to load ${kind} prompt template for ${source}, using the built-in one`, { error: error.message });
+      return DEFAULT_TEMPLATES[kind];
+    }
+  }
+
+  /**
+   * Meter with assertWithinQuota() and record(call), checked before and told about every completion
+   */
+  useUsageMeter(meter) {
+    this.usageMeter = meter;
+  }
+
+  /**
+   * Availability per ticker; empty when no checker is set or the check fails
+   */
+  async checkTickers(tickers) {
+    if (!this.tickerChecker || tickers.length === 0) return new Map();
+    try {
+      const checks = await this.tickerChecker.checkMany(tickers);
+      return new Map(checks.map(check => [check.ticker, check]));
+    } catch (error) {
+      log.warn('Ticker availability check failed', { error: error.message });
+      return new Map();
+    }
+  }
+
+  /**
+   * Providers are built on first use so a missing API key fails the request, not the boot
+   */
+  getProviders() {
+    if (!this.providers) {
+      this.providers = [this.config.primary, this.config.fallback]
+        .filter(Boolean)
+        .map(settings => createProvider(settings));
+    }
+    return this.providers;
+  }
+
+  getSourceOptions(source) {
+    return this.config.sources[source] || this.config.defaults;
+  }
+
+  /**
+   * Add the post's image ({ url, kind }) to the prompt when vision is on for the source.
+   * If the image cannot be fetched the prompt stays text-only.
+   */
+  async attachImage(messages, { source, image }) {
+    if (!image || !image.url || !this.getSourceOptions(source).vision) return messages;
+    try {
+      const dataUrl = await this.imageLoader.toDataUrl(image.url, { maxBytes: this.config.vision.maxImageBytes });
+      return withImage(messages, { dataUrl, kind: image.kind, detail: this.config.vision.detail });
+    } catch (error) {
+      log.warn(`Could not load ${source} image for vision, generating from text only`, { url: image.url, error: error.message });
+      return messages;
+    }
+  }
+
+  /**
+   * One completion, from the primary provider or, if it errors or times out, the fallback.
+   * Prompts with an image use the vision model; providers without vision get the text only.
+   * With onPartial the completion is streamed and onPartial({ name, ticker }) is called whenever
+   * either field appears or changes; providers that cannot stream report them once at the end.
+   * Fails with QUOTA_EXCEEDED before calling any provider once the caller's daily quota is used up.
+   */
+  async complete({ messages, options, context, operation = 'generate', onPartial }) {
+    const failures = [];
+    const imageAttached = hasImage(messages);
+    if (this.usageMeter) await this.usageMeter.assertWithinQuota();
+
+    for (const provider of this.getProviders()) {
+      const usedVision = imageAttached && Boolean(provider.supportsVision);
+      // A provider that timed out may keep streaming; only the current one reports progress
+      let current = true;
+      let reported = '';
+      const onContent = onPartial
+        ? (content) => {
+          const fields = extractPartialFields(content);
+          const key = JSON.stringify(fields);
+          if (!current || !fields.name || key === reported) return;
+          reported = key;
+          onPartial(fields);
+        }
+        : undefined;
+      const sent = imageAttached && !usedVision ? withoutImages(messages) : messages;
+      try {
+        const result = await withTimeout(
+          provider.complete({
+            ...options,
+            model: usedVision ? options.visionModel : options.model,
+            hasImage: usedVision,
+            messages: sent,
+            context,
+            onContent
+          }),
+          options.timeoutMs,
+          `${provider.name} completion`
+        );
+        // Failed and timed-out calls report no usage, so only completed ones are metered.
+        // The repair loop keeps appending to the same array, so the meter gets this call's prompt as a copy
+        this.recordUsage({ source: context.source, operation, messages: [...sent], ...result });
+        if (onContent) onContent(result.content);
+        log.debug(`Raw ${provider.name} response`, result.content);
+        return { ...result, usedFallback: failures.length > 0, usedVision };
+      } catch (error) {
+        failures.push({ provider: provider.name, message: error.message, code: error.code });
+        log.warn(`Provider ${provider.name} failed for ${context.source}`, error);
+      } finally {
+        current = false;
+      }
+    }
+
+    const timedOut = failures.every(f => f.code === 'LLM_TIMEOUT');
+    throw new GenerationError(
+      `All LLM providers failed: ${failures.map(f => `${f.provider}: ${f.message}`).join('; ')}`,
+      timedOut ? 'LLM_TIMEOUT' : 'LLM_PROVIDER_ERROR',
+      timedOut ? 504 : 502,
+      { failures }
+    );
+  }
+
+  /**
+   * Meter a completed call; recording never holds up or fails the generation
+   */
+  recordUsage({ source, operation, provider, model, usage, messages, content }) {
+    if (!this.usageMeter) return;
+    Promise.resolve(this.usageMeter.record({ source, operation, provider, model, usage, messages, content }))
+      .catch(error => log.warn('Failed to record LLM usage', { error: error.message }));
+  }
+
+  /**
+   * The source text's language as { language, confidence, promptLanguage }; promptLanguage is
+   * 'und' when the guess is too weak to tell the model about
+   */
+  detectLanguage(text) {
+    const detected = detectLanguage(text);
+    const promptLanguage = detected.confidence >= MIN_LANGUAGE_CONFIDENCE ? detected.language : UNDETERMINED;
+    return { ...detected, promptLanguage };
+  }
+
+  /**
+   * Generate schema-valid token data. Invalid output, or a ticker that is already taken, is
+   * sent back to the model along with the errors, up to maxAttempts completions in total.
+   * The result carries the detected `language`; with targetLanguage 'both' and a non-English
+   * source, tokenData.localized holds the name and description in that language. onPartial
+   * gets the name and ticker while the model is still answering (see complete()). `promptTemplate`
+   * ({ id, version }) names the template used; id is null for the built-in one.
+   */
+  async generate({ source, text, authorName, details, image, targetLanguage = 'en', onPartial }) {
+    const { language, confidence, promptLanguage } = this.detectLanguage(text);
+    const localized = targetLanguage === 'both' && promptLanguage !== 'en' && promptLanguage !== UNDETERMINED;
+    const context = { source, text, authorName, details, localized };
+    const template = await this.getTemplate('token', source, text);
+    const result = await this.completeValidated({
+      source,
+      messages: buildTokenMessages({ ...context, language: promptLanguage, targetLanguage, template }),
+      context,
+      image,
+      validation: { localized },
+      operation: 'generate',
+      onPartial
+    });
+
+    if (localized) {
+      result.tokenData.localized = { language, ...result.tokenData.localized };
+    }
+    return {
+      ...result,
+      language,
+      languageConfidence: confidence,
+      targetLanguage,
+      promptTemplate: { id: template.id, version: template.version }
+    };
+  }
+
+  /**
+   * Revise a previous suggestion using free-text feedback. Fields in `lockedFields` are
+   * copied from `previous` whatever the model returns.
+   */
+  async regenerate({ source, text, authorName, details, image, previous, lockedFields = [], feedback, salt }) {
+    const template = await this.getTemplate('token', source, text);
+    const messages = buildRegenerateMessages({ source, text, authorName, details, previous, lockedFields, feedback, template });
+    const context = { source, text, authorName, salt: salt || `${previous.ticker}:${feedback || ''}` };
+    const result = await this.completeValidated({
+      source,
+      messages,
+      context,
+      image,
+      // A locked ticker was chosen by the user, so don't steer the model away from it
+      checkTicker: !lockedFields.includes('ticker'),
+      operation: 'regenerate'
+    });
+
+    for (const field of lockedFields) {
+      result.tokenData[field] = previous[field];
+    }
+    return { ...result, promptTemplate: { id: template.id, version: template.version } };
+  }
+
+  /**
+   * Shared validate/re-prompt loop. If every valid answer used a taken ticker, the last one
+   * is returned anyway with its tickerCheck so the launch step can warn or block.
+   */
+  async completeValidated({ source, messages: baseMessages, context, image, checkTicker = true, validation = {}, operation, onPartial }) {
+    const options = this.getSourceOptions(source);
+    const messages = await this.attachImage(baseMessages, { source, image });
+    const maxAttempts = this.config.maxAttempts;
+    const start = Date.now();
+    let errors = [];
+    let lastValid = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await this.complete({
+        messages,
+        options,
+        context,
+        operation,
+        onPartial: onPartial && ((fields) => onPartial({ ...fields, attempt }))
+      });
+      const parsed = parseTokenOutput(result.content, validation);
+
+      if (parsed.valid) {
+        const checks = checkTicker ? await this.checkTickers([parsed.value.ticker]) : new Map();
+        const tickerCheck = checks.get(parsed.value.ticker) || null;
+        lastValid = {
+          tokenData: parsed.value,
+          provider: result.provider,
+          model: result.model,
+          usage: result.usage,
+          attempts: attempt,
+          durationMs: Date.now() - start,
+          usedFallback: result.usedFallback,
+          usedVision: result.usedVision,
+          tickerCheck
+        };
+        if (!tickerCheck || tickerCheck.status !== 'taken') return lastValid;
+        errors = [tickerCollisionError(tickerCheck)];
+      } else {
+        errors = parsed.errors;
+      }
+
+      log.warn(`Invalid ${source} output on attempt ${attempt}/${maxAttempts}`, { errors, provider: result.provider });
+      messages.push(
+        { role: 'assistant', content: result.content || '' },
+        { role: 'user', content: buildRepairMessage(errors, validation) }
+      );
+    }
+
+    if (lastValid) {
+      log.warn(`Returning ${source} token with taken ticker $${lastValid.tokenData.ticker} after ${maxAttempts} attempts`);
+      return { ...lastValid, durationMs: Date.now() - start };
+    }
+
+    throw new GenerationError(
+      `Model output failed validation after ${maxAttempts} attempts`,
+      'INVALID_MODEL_OUTPUT',
+      502,
+      { errors, attempts: maxAttempts }
+    );
+  }
+
+  /**
+   * Generate up to `count` distinct, schema-valid candidates, skipping names and tickers in
+   * `exclude` and tickers that are already taken. Keeps re-prompting for the shortfall until
+   * maxAttempts; returns whatever valid candidates it has by then and only fails if there are none.
+   * targetLanguage is 'en' or 'original'; a localized copy per candidate is not supported.
+   */
+  async generateCandidates({ source, text, authorName, details, image, count, exclude = [], targetLanguage = 'en' }) {
+    const { language, promptLanguage } = this.detectLanguage(text);
+    const template = await this.getTemplate('candidates', source, text);
+    const options = this.getSourceOptions(source);
+    const maxAttempts = this.config.maxAttempts;
+    const start = Date.now();
+    const accepted = [];
+    const rejected = [];
+    const usedNames = new Set(exclude.map(t => t.name.toLowerCase()));
+    const usedTickers = new Set(exclude.map(t => t.ticker.toUpperCase()));
+    const messages = await this.attachImage(
+      buildCandidateMessages({ source, text, authorName, details, count, exclude, language: promptLanguage, targetLanguage, template }),
+      { source, image }
+    );
+    let lastResult = null;
+    let errors = [];
+    let attempt = 0;
+
+    while (accepted.length < count && attempt < maxAttempts) {
+      attempt++;
+      const needed = count - accepted.length;
+      lastResult = await this.complete({
+        messages,
+        options,
+        context: { source, text, authorName, count: needed, exclude: [...exclude, ...accepted, ...rejected] },
+        operation: 'candidates'
+      });
+
+      const parsed = parseCandidateOutput(lastResult.content);
+      errors = parsed.errors;
+      const checks = await this.checkTickers(parsed.candidates.map(c => c.ticker));
+      for (const candidate of parsed.candidates) {
+        if (accepted.length >= count) break;
+        if (usedNames.has(candidate.name.toLowerCase()) || usedTickers.has(candidate.ticker)) {
+          errors.push(`"${candidate.name}" ($${candidate.ticker}) duplicates an earlier suggestion`);
+          continue;
+        }
+        const tickerCheck = checks.get(candidate.ticker);
+        if (tickerCheck && tickerCheck.status === 'taken') {
+          errors.push(tickerCollisionError(tickerCheck));
+          usedTickers.add(candidate.ticker);
+          rejected.push(candidate);
+          continue;
+        }
+        usedNames.add(candidate.name.toLowerCase());
+        usedTickers.add(candidate.ticker);
+        accepted.push(candidate);
+      }
+
+      if (accepted.length < count) {
+        log.warn(`Got ${accepted.length}/${count} ${source} candidates after attempt ${attempt}/${maxAttempts}`, { errors });
+        messages.push(
+          { role: 'assistant', content: lastResult.content || '' },
+          { role: 'user', content: buildCandidateRepairMessage(errors, count - accepted.length) }
+        );
+      }
+    }
+
+    if (accepted.length === 0) {
+      throw new GenerationError(
+        `Model output failed validation after ${maxAttempts} attempts`,
+        'INVALID_MODEL_OUTPUT',
+        502,
+        { errors, attempts: attempt }
+      );
+    }
+
+    return {
+      candidates: accepted,
+      provider: lastResult.provider,
+      model: lastResult.model,
+      attempts: attempt,
+      durationMs: Date.now() - start,
+      usedVision: lastResult.usedVision,
+      language,
+      promptTemplate: { id: template.id, version: template.version }
+    };
+  }
+}
+
+// Create singleton instance
+const tokenGenerator = new TokenGenerator();
+
+module.exports = { tokenGenerator, TokenGenerator, EDITABLE_FIELDS, TARGET_LANGUAGES };
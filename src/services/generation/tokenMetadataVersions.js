@@ -0,0 +1,147 @@
+// TokenMetadataVersionService: Regenerates token metadata from user feedback and keeps every version per source post and wallet
+const { supabase } = require('../../config/database');
+const { tokenGenerator } = require('./tokenGenerator');
+const { sourceCacheService } = require('../sources/sourceCache');
+const { moderationService } = require('../moderation/moderationService');
+const { chooseParent, toOriginalFields, nextVersion } = require('./versionLineage');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('TokenMeta');
+
+function toVersion(row) {
+  return {
+    id: row.id,
+    version: row.version,
+    parentId: row.parent_id,
+    origin: row.origin,
+    name: row.name,
+    ticker: row.ticker,
+    description: row.description,
+    image: row.image,
+    feedback: row.feedback,
+    lockedFields: row.locked_fields || [],
+    provider: row.provider,
+    model: row.model,
+    promptTemplateId: row.prompt_template_id || null,
+    publicKey: row.public_key || null,
+    launchJobId: row.launch_job_id,
+    usedAt: row.used_at,
+    createdAt: row.created_at
+  };
+}
+
+class TokenMetadataVersionService {
+  /**
+   * A wallet's versions for a source post, oldest first. Requests without a wallet session
+   * share the versions stored without one.
+   */
+  async listBySource(sourceUrl, publicKey = null) {
+    let query = supabase
+      .from('token_metadata_versions')
+      .select('*')
+      .eq('source_url', sourceUrl);
+    query = publicKey ? query.eq('public_key', publicKey) : query.is('public_key', null);
+    const { data, error } = await query.order('version', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async get(id) {
+    const { data, error } = await supabase
+      .from('token_metadata_versions')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Insert the next version of a wallet's source; retries once if another request took the number
+   */
+  async insertVersion(sourceUrl, publicKey, fields, history) {
+    let version = nextVersion(history);
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { data, error } = await supabase
+        .from('token_metadata_versions')
+        .insert({ ...fields, source_url: sourceUrl, public_key: publicKey, version })
+        .select()
+        .single();
+      if (!error) return data;
+      if (error.code !== '23505' || attempt === 2) throw error;
+      version = nextVersion(await this.listBySource(sourceUrl, publicKey));
+    }
+    return null;
+  }
+
+  /**
+   * Produce a new version for `publicKey` (null without a wallet session) from the one being
+   * revised, chosen by chooseParent. Also resolves to the moderation decision for the new
+   * version; blocked versions throw.
+   */
+  async regenerate({ source, sourceUrl, publicKey = null, text, authorName, details, image, visionImage, previous, previousVersionId, lockedFields = [], feedback }) {
+    const history = await this.listBySource(sourceUrl, publicKey);
+    const cached = !previousVersionId && !previous && history.length === 0
+      ? await sourceCacheService.get(source, sourceUrl)
+      : null;
+    let { parent, original } = chooseParent({ history, previousVersionId, previous, cached });
+
+    if (!parent) {
+      parent = await this.insertVersion(sourceUrl, publicKey, {
+        source,
+        origin: 'original',
+        ...toOriginalFields(original, image)
+      }, history);
+      history.push(parent);
+    }
+
+    const generation = await tokenGenerator.regenerate({
+      source,
+      text,
+      authorName,
+      details,
+      image: visionImage,
+      previous: { name: parent.name, ticker: parent.ticker, description: parent.description },
+      lockedFields,
+      feedback,
+      salt: `${parent.version}:${feedback || ''}`
+    });
+    log.info(`Regenerated ${source} token metadata`, {
+      sourceUrl,
+      parentVersion: parent.version,
+      lockedFields,
+      provider: generation.provider,
+      model: generation.model
+    });
+
+    // A blocked version is never stored, so it cannot be picked for a launch
+    const moderation = moderationService.assertAllowed(await moderationService.review({
+      stage: 'regeneration',
+      ...generation.tokenData,
+      image: image || parent.image || null,
+      source,
+      sourceUrl
+    }));
+
+    const row = await this.insertVersion(sourceUrl, publicKey, {
+      source,
+      parent_id: parent.id,
+      origin: 'regenerate',
+      ...generation.tokenData,
+      image: image || parent.image || null,
+      feedback: feedback || null,
+      locked_fields: lockedFields,
+      provider: generation.provider,
+      model: generation.model,
+      prompt_template_id: generation.promptTemplate.id
+    }, history);
+    history.push(row);
+
+    return { version: toVersion(row), history: history.map(toVersion), moderation };
+  }
+}
+
+// Create singleton instance
+const tokenMetadataVersionService = new TokenMetadataVersionService();
+
+module.exports = { tokenMetadataVersionService, toVersion };
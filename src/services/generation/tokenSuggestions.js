@@ -0,0 +1,144 @@
+// TokenSuggestionService: Generates, ranks and persists batches of candidate tokens per source post
+const crypto = require('crypto');
+const { supabase } = require('../../config/database');
+const { tokenGenerator } = require('./tokenGenerator');
+const { scoreCandidate, rankCandidates } = require('./candidateScoring');
+const { tickerAvailabilityService } = require('../tickers/tickerAvailability');
+const { moderationService } = require('../moderation/moderationService');
+
+const MAX_CANDIDATES = 5;
+
+function toSuggestion(row) {
+  return {
+    id: row.id,
+    batchId: row.batch_id,
+    name: row.name,
+    ticker: row.ticker,
+    description: row.description,
+    image: row.image,
+    score: Number(row.score),
+    scores: row.scores,
+    rank: row.rank,
+    seed: row.seed,
+    promptTemplateId: row.prompt_template_id || null,
+    selectedAt: row.selected_at,
+    createdAt: row.created_at
+  };
+}
+
+class TokenSuggestionService {
+  async listBySource(sourceUrl) {
+    const { data, error } = await supabase
+      .from('token_suggestions')
+      .select('*')
+      .eq('source_url', sourceUrl)
+      .order('created_at', { ascending: true })
+      .order('rank', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Split tickers into taken and similar ones. Unknown availability (lookup failed) counts as
+   * free, so ranking still works without it.
+   */
+  async getTickerAvailability(tickers) {
+    const checks = await tickerAvailabilityService.checkMany(tickers);
+    const byStatus = status => new Set(checks.filter(check => check.status === status).map(check => check.ticker));
+    return { takenTickers: byStatus('taken'), similarTickers: byStatus('similar') };
+  }
+
+  /**
+   * Generate `count` new candidates for a source post, avoiding everything suggested for it
+   * before, then score, rank (deterministically for a given seed) and store them. `publicKey` is the
+   * wallet session that asked, if any; batches generated without one cannot be selected from.
+   */
+  async generateBatch({ source, sourceUrl, text, authorName, details, image, visionImage, count, seed, targetLanguage, publicKey = null }) {
+    const batchSeed = seed !== undefined && seed !== null && seed !== ''
+      ? String(seed)
+      : crypto.randomBytes(4).toString('hex');
+
+    const previous = await this.listBySource(sourceUrl);
+    const generation = await tokenGenerator.generateCandidates({
+      source,
+      text,
+      authorName,
+      details,
+      image: visionImage,
+      count,
+      exclude: previous.map(row => ({ name: row.name, ticker: row.ticker })),
+      targetLanguage
+    });
+
+    // Blocked candidates are dropped; the batch only fails when every one of them is blocked
+    const reviews = await Promise.all(generation.candidates.map(({ name, ticker, description }) => moderationService.review({
+      stage: 'suggestion', name, ticker, description, image, source, sourceUrl
+    })));
+    const allowed = generation.candidates.filter((candidate, i) => reviews[i].outcome !== 'block');
+    if (allowed.length === 0) moderationService.assertAllowed(reviews[0]);
+    const warnings = new Map(generation.candidates.map((candidate, i) => [candidate.ticker, moderationService.toWarning(reviews[i])]));
+
+    const availability = await this.getTickerAvailability(allowed.map(c => c.ticker));
+    const ranked = rankCandidates(
+      allowed.map(candidate => ({ ...candidate, ...scoreCandidate(candidate, availability) })),
+      batchSeed
+    );
+
+    const batchId = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('token_suggestions')
+      .insert(ranked.map(candidate => ({
+        batch_id: batchId,
+        source,
+        source_url: sourceUrl,
+        seed: batchSeed,
+        name: candidate.name,
+        ticker: candidate.ticker,
+        description: candidate.description,
+        image: image || null,
+        score: candidate.score,
+        scores: candidate.scores,
+        rank: candidate.rank,
+        provider: generation.provider,
+        model: generation.model,
+        prompt_template_id: generation.promptTemplate.id,
+        public_key: publicKey,
+        created_at: createdAt
+      })))
+      .select();
+    if (error) throw error;
+
+    return {
+      batchId,
+      seed: batchSeed,
+      candidates: data
+        .sort((a, b) => a.rank - b.rank)
+        .map(row => ({ ...toSuggestion(row), moderationWarning: warnings.get(row.ticker) || null })),
+      blockedCount: generation.candidates.length - allowed.length,
+      previousCount: previous.length,
+      language: generation.language,
+      provider: generation.provider,
+      model: generation.model
+    };
+  }
+
+  /**
+   * Mark a candidate as chosen; null unless it belongs to a batch `publicKey` generated
+   */
+  async select(id, publicKey) {
+    const { data, error } = await supabase
+      .from('token_suggestions')
+      .update({ selected_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .select();
+    if (error) throw error;
+    return data && data.length > 0 ? toSuggestion(data[0]) : null;
+  }
+}
+
+// Create singleton instance
+const tokenSuggestionService = new TokenSuggestionService();
+
+module.exports = { tokenSuggestionService, toSuggestion, MAX_CANDIDATES };
@@ -0,0 +1,234 @@
+// Validation for model output: pulls JSON out of prose/code fences and checks it against the token schema
+const { isUnspaced } = require('./languageDetection');
+
+const NAME_MAX_WORDS = 3;
+const DESCRIPTION_MAX_WORDS = 15;
+// On-chain metadata names are capped at 32 bytes, which is 10 characters of Japanese or Chinese
+const NAME_MAX_BYTES = 32;
+// Stands in for the word limit in scripts written without spaces
+const DESCRIPTION_MAX_CHARS_UNSPACED = 60;
+const TICKER_PATTERN = /^[A-Z0-9]{3,6}$/;
+// Control, zero-width and bidi override characters, which pump.fun shows as garbage or hides.
+// The zero-width joiner stays: emoji sequences need it.
+const INVISIBLE_CHARS = /[\p{Cc}\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/gu;
+
+class GenerationError extends Error {
+  constructor(message, errorCode, status = 502, details = null) {
+    super(message);
+    this.name = 'GenerationError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function countWords(value) {
+  return value.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(INVISIBLE_CHARS, ' ').trim().replace(/\s+/g, ' ') : value;
+}
+
+function checkName(name, field, errors) {
+  if (typeof name !== 'string' || !name) {
+    errors.push(`"${field}" is required and must be a string`);
+  } else if (countWords(name) > NAME_MAX_WORDS) {
+    errors.push(`"${field}" must be at most ${NAME_MAX_WORDS} words (got ${countWords(name)}: "${name}")`);
+  } else if (Buffer.byteLength(name, 'utf8') > NAME_MAX_BYTES) {
+    errors.push(`"${field}" must be at most ${NAME_MAX_BYTES} bytes of UTF-8 (got ${Buffer.byteLength(name, 'utf8')}: "${name}")`);
+  }
+}
+
+function checkDescription(description, field, errors) {
+  if (typeof description !== 'string' || !description) {
+    errors.push(`"${field}" is required and must be a string`);
+  } else if (isUnspaced(description)) {
+    const length = [...description.replace(/\s/g, '')].length;
+    if (length > DESCRIPTION_MAX_CHARS_UNSPACED) {
+      errors.push(`"${field}" must be at most ${DESCRIPTION_MAX_CHARS_UNSPACED} characters (got ${length})`);
+    }
+  } else if (countWords(description) > DESCRIPTION_MAX_WORDS) {
+    errors.push(`"${field}" must be at most ${DESCRIPTION_MAX_WORDS} words (got ${countWords(description)})`);
+  }
+}
+
+/**
+ * First balanced {...} in the text, skipping braces inside JSON strings
+ */
+function findJsonObject(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') inString = true;
+      else if (char === '{') depth++;
+      else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (e) {
+          break; // try the next opening brace
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a JSON object out of raw model output. Handles bare JSON, ```json fences and
+ * JSON surrounded by prose; returns null when nothing parseable is found.
+ */
+function extractJson(content) {
+  if (typeof content !== 'string') return null;
+  const trimmed = content.trim();
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+  } catch (e) {}
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    const fromFence = findJsonObject(fenced[1]);
+    if (fromFence) return fromFence;
+  }
+
+  return findJsonObject(trimmed);
+}
+
+/**
+ * Check token data against the schema. Cosmetic issues (whitespace, invisible characters, a
+ * leading $, lowercase or full-width letters on the ticker) are fixed rather than reported.
+ * With `localized`, the data must also carry { localized: { name, description } }, a second
+ * name and description in the source language held to the same limits.
+ */
+function validateTokenData(data, { localized = false } = {}) {
+  const errors = [];
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['Output must be a JSON object with name, ticker and description'], value: null };
+  }
+
+  const value = {
+    name: cleanText(data.name),
+    ticker: typeof data.ticker === 'string' ? data.ticker.normalize('NFKC').trim().replace(/^\$/, '').toUpperCase() : data.ticker,
+    description: cleanText(data.description)
+  };
+
+  checkName(value.name, 'name', errors);
+
+  if (typeof value.ticker !== 'string' || !value.ticker) {
+    errors.push('"ticker" is required and must be a string');
+  } else if (!TICKER_PATTERN.test(value.ticker)) {
+    errors.push(`"ticker" must be 3-6 uppercase ASCII letters or digits, romanized if need be (got "${value.ticker}")`);
+  }
+
+  checkDescription(value.description, 'description', errors);
+
+  if (localized) {
+    const translation = data.localized && typeof data.localized === 'object' ? data.localized : {};
+    value.localized = { name: cleanText(translation.name), description: cleanText(translation.description) };
+    checkName(value.localized.name, 'localized.name', errors);
+    checkDescription(value.localized.description, 'localized.description', errors);
+  }
+
+  return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Parse and validate raw model output in one step
+ */
+function parseTokenOutput(content, options) {
+  const data = extractJson(content);
+  if (!data) {
+    return { valid: false, errors: ['Response did not contain a JSON object'], value: null };
+  }
+  return validateTokenData(data, options);
+}
+
+/**
+ * The name and ticker from model output that is still streaming in. A field only appears once
+ * its string is complete; nothing is validated yet.
+ */
+function extractPartialFields(content) {
+  const fields = {};
+  for (const field of ['name', 'ticker']) {
+    const match = typeof content === 'string' && content.match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+    if (!match) continue;
+    try {
+      fields[field] = JSON.parse(`"${match[1]}"`).trim();
+    } catch (e) {
+      continue;
+    }
+  }
+  if (fields.ticker) fields.ticker = fields.ticker.replace(/^\$/, '').toUpperCase();
+  return fields;
+}
+
+/**
+ * Follow-up message asking the model to fix its previous answer
+ */
+function buildRepairMessage(errors, { localized = false } = {}) {
+  const shape = localized
+    ? '{"name": "...", "ticker": "...", "description": "...", "localized": {"name": "...", "description": "..."}}'
+    : '{"name": "...", "ticker": "...", "description": "..."}';
+  return `Your previous response was invalid:\n${errors.map(e => `- ${e}`).join('\n')}\nRespond again with only a JSON object of the form ${shape} and no other text.`;
+}
+
+/**
+ * Parse { "candidates": [...] } output, keeping every valid entry and reporting the rest
+ */
+function parseCandidateOutput(content) {
+  const data = extractJson(content);
+  const list = data && Array.isArray(data.candidates) ? data.candidates : null;
+  if (!list) {
+    return { candidates: [], errors: ['Response did not contain a JSON object with a "candidates" array'] };
+  }
+
+  const candidates = [];
+  const errors = [];
+  list.forEach((item, index) => {
+    const result = validateTokenData(item);
+    if (result.valid) {
+      candidates.push(result.value);
+    } else {
+      errors.push(...result.errors.map(e => `candidates[${index}]: ${e}`));
+    }
+  });
+  return { candidates, errors };
+}
+
+/**
+ * Validation-style error for a ticker that is already in use, for the repair prompt
+ */
+function tickerCollisionError(check) {
+  const [collision] = check.collisions;
+  const where = collision.source === 'created_tokens' ? 'a token launched on Blazr' : 'an existing Solana token';
+  const how = collision.match === 'exact' ? 'is already used by' : 'is a lookalike of';
+  return `"ticker" $${check.ticker} ${how} $${collision.ticker} (${where}); choose a clearly different ticker`;
+}
+
+function buildCandidateRepairMessage(errors, needed) {
+  const problems = errors.length > 0 ? `Some candidates were invalid:\n${errors.map(e => `- ${e}`).join('\n')}\n` : '';
+  return `${problems}Respond again with ${needed} more distinct candidates, different from every name and ticker so far, as only a JSON object of the form {"candidates": [{"name": "...", "ticker": "...", "description": "..."}]} and no other text.`;
+}
+
+module.exports = {
+  GenerationError,
+  extractJson,
+  validateTokenData,
+  parseTokenOutput,
+  parseCandidateOutput,
+  extractPartialFields,
+  buildRepairMessage,
+  buildCandidateRepairMessage,
+  tickerCollisionError
+};
@@ -0,0 +1,72 @@
+// Which stored version a regeneration revises. Pure, so the order can be tested without a database.
+const { GenerationError } = require('./validation');
+
+function normalizeTicker(ticker) {
+  return String(ticker).replace(/^\$/, '').toUpperCase();
+}
+
+/**
+ * Fields for a version 'original' row built from a suggestion the client or the source cache holds
+ */
+function toOriginalFields(original, image) {
+  return {
+    name: original.name,
+    ticker: normalizeTicker(original.ticker),
+    description: original.description,
+    image: original.image || image || null
+  };
+}
+
+function isComplete(suggestion) {
+  return Boolean(suggestion && suggestion.name && suggestion.ticker && suggestion.description);
+}
+
+/**
+ * The parent of a regeneration within one wallet's `history` (oldest first), in order of preference:
+ *   1. the version named by `previousVersionId`
+ *   2. the suggestion the client sent as `previous`, reusing a stored version with the same text
+ *   3. the latest stored version
+ *   4. the cached original for the source post
+ * Resolves to { parent } for a stored row, or { original } for fields still to be stored.
+ */
+function chooseParent({ history, previousVersionId, previous, cached }) {
+  if (previousVersionId) {
+    const parent = history.find(row => row.id === previousVersionId);
+    if (!parent) {
+      throw new GenerationError('Previous version not found for this source', 'VERSION_NOT_FOUND', 404);
+    }
+    return { parent };
+  }
+
+  if (previous) {
+    if (!isComplete(previous)) {
+      throw new GenerationError(
+        'A previous suggestion (name, ticker, description) is required to regenerate',
+        'MISSING_PREVIOUS',
+        400
+      );
+    }
+    const fields = toOriginalFields(previous);
+    const same = [...history].reverse().find(row =>
+      row.name === fields.name && row.ticker === fields.ticker && row.description === fields.description
+    );
+    return same ? { parent: same } : { original: previous };
+  }
+
+  if (history.length > 0) return { parent: history[history.length - 1] };
+
+  if (!isComplete(cached)) {
+    throw new GenerationError(
+      'A previous suggestion (name, ticker, description) is required to regenerate',
+      'MISSING_PREVIOUS',
+      400
+    );
+  }
+  return { original: cached };
+}
+
+function nextVersion(history) {
+  return history.length > 0 ? history[history.length - 1].version + 1 : 1;
+}
+
+module.exports = { chooseParent, toOriginalFields, nextVersion };
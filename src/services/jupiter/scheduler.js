@@ -1,5 +1,8 @@
 const cron = require('node-cron');
 const { JupiterTokenService } = require('./tokenService');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('JUPITER');
 
 class JupiterSyncScheduler {
   constructor() {
@@ -16,7 +19,7 @@ class JupiterSyncScheduler {
     // cron.schedule('*/5 8-22 * * *', async () => {
     //   await this.syncPrices();
     // });
-    console.log('[JUPITER] Scheduler started');
+    log.info('Scheduler started');
   }
 
   async syncTokenList() {
@@ -25,7 +28,7 @@ class JupiterSyncScheduler {
     try {
       await this.jupiterService.syncTokenList();
     } catch (error) {
-      console.error('[JUPITER] Scheduled sync failed:', error);
+      log.error('Scheduled sync failed', error);
     } finally {
       this.isRunning = false;
     }
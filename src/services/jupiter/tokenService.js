@@ -1,6 +1,9 @@
 // JupiterTokenService: Syncs Jupiter token list and prices into supported_tickers
 const fetch = require('node-fetch');
 const { supabase } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('JUPITER');
 
 class JupiterTokenService {
   constructor() {
@@ -28,10 +31,10 @@ class JupiterTokenService {
       }));
       await this.batchUpsertTokens(transformedTokens);
       this.lastSync = new Date();
-      console.log(`[JUPITER] Synced ${transformedTokens.length} tokens from Jupiter`);
+      log.info(`Synced ${transformedTokens.length} tokens from Jupiter`);
       return transformedTokens;
     } catch (error) {
-      console.error('[JUPITER] Token list sync failed:', error);
+      log.error('Token list sync failed', error);
       throw error;
     }
   }
@@ -46,7 +49,7 @@ class JupiterTokenService {
       const priceData = await response.json();
       return priceData.data;
     } catch (error) {
-      console.error('[JUPITER] Price fetch failed:', error);
+      log.error('Price fetch failed', error);
       return {};
     }
   }
@@ -0,0 +1,123 @@
+// Launch draft fields: validation of what clients send and the trade-local request a draft launches with. No I/O.
+const { buildCreateRequest } = require('./tradeLocalRequest');
+
+// Launchpads pumpportal can create a token on
+const DRAFT_POOLS = ['pump', 'bonk'];
+const SOCIAL_FIELDS = ['twitter', 'telegram', 'website'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const LIMITS = {
+  name: 32,
+  symbol: 10,
+  description: 500,
+  url: 300,
+  // SOL
+  maxAmount: 100
+};
+
+const DEFAULTS = { description: '', amount: 0, slippage: 10, pool: 'pump' };
+
+const has = (input, field) => input[field] !== undefined;
+
+function readText(errors, input, field, max, { required = false } = {}) {
+  const value = input[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) errors.push(`${field} is required`);
+    return value === undefined ? undefined : null;
+  }
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be a string`);
+    return undefined;
+  }
+  const text = value.trim();
+  if (required && !text) errors.push(`${field} is required`);
+  if (text.length > max) errors.push(`${field} must be at most ${max} characters`);
+  return text;
+}
+
+// Multipart uploads send every field as a string, so numbers may arrive as "0.5"
+function readNumber(errors, input, field, { min, max }) {
+  if (!has(input, field) || input[field] === '' || input[field] === null) return undefined;
+  const value = Number(input[field]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    errors.push(`${field} must be a number between ${min} and ${max}`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Check draft fields from a request body. With `partial` (updates) only the fields present
+ * are checked and returned; otherwise name and symbol are required and defaults fill the rest.
+ * Resolves to { errors, value } with value in column-ready camelCase form.
+ */
+function validateDraftFields(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const body = input || {};
+
+  const name = readText(errors, body, 'name', LIMITS.name, { required: !partial || has(body, 'name') });
+  if (name !== undefined) value.name = name;
+
+  // Length is checked once a leading $ is dropped
+  let symbol = readText(errors, body, 'symbol', Infinity, { required: !partial || has(body, 'symbol') });
+  if (typeof symbol === 'string') {
+    symbol = symbol.replace(/^\$/, '').toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(symbol) || symbol.length > LIMITS.symbol) {
+      errors.push(`symbol must be 1-${LIMITS.symbol} letters or digits`);
+    }
+    value.symbol = symbol;
+  }
+
+  const description = readText(errors, body, 'description', LIMITS.description);
+  if (description !== undefined) value.description = description || '';
+
+  for (const field of SOCIAL_FIELDS) {
+    const url = readText(errors, body, field, LIMITS.url);
+    if (url && !/^https?:\/\/\S+$/i.test(url)) errors.push(`${field} must be an http(s) URL`);
+    if (url !== undefined) value[field] = url || null;
+  }
+
+  const amount = readNumber(errors, body, 'amount', { min: 0, max: LIMITS.maxAmount });
+  if (amount !== undefined) value.amount = amount;
+  const slippage = readNumber(errors, body, 'slippage', { min: 0, max: 100 });
+  if (slippage !== undefined) value.slippage = slippage;
+
+  if (has(body, 'pool')) {
+    if (DRAFT_POOLS.includes(body.pool)) value.pool = body.pool;
+    else errors.push(`pool must be one of: ${DRAFT_POOLS.join(', ')}`);
+  }
+
+  for (const field of ['metadataVersionId', 'promptTemplateId']) {
+    if (!has(body, field) || body[field] === null || body[field] === '') continue;
+    if (UUID_PATTERN.test(body[field])) value[field] = body[field];
+    else errors.push(`${field} must be a UUID`);
+  }
+
+  if (!partial) {
+    for (const [field, fallback] of Object.entries(DEFAULTS)) {
+      if (value[field] === undefined) value[field] = fallback;
+    }
+  }
+  return { errors, value };
+}
+
+/**
+ * The /api/trade-local request launching a draft, plus its logo as a data URL for the imageFile upload
+ */
+function buildDraftLaunchRequest(draft) {
+  const request = buildCreateRequest({
+    publicKey: draft.publicKey,
+    name: draft.name,
+    symbol: draft.symbol,
+    description: draft.description,
+    links: { twitter: draft.twitter, telegram: draft.telegram, website: draft.website },
+    amount: draft.amount,
+    slippage: draft.slippage,
+    pool: draft.pool,
+    ids: { draftId: draft.id, metadataVersionId: draft.metadataVersionId, promptTemplateId: draft.promptTemplateId }
+  });
+  return { ...request, image: draft.image || null };
+}
+
+module.exports = { validateDraftFields, buildDraftLaunchRequest, DRAFT_POOLS, SOCIAL_FIELDS, UUID_PATTERN };
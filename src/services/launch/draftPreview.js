@@ -0,0 +1,72 @@
+// Public preview page for a shared launch draft: Open Graph and Twitter card tags plus a plain read-only view. No I/O.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Link preview description: the draft's own, else a generic line
+ */
+function describe(draft) {
+  const text = (draft.description || '').replace(/\s+/g, ' ').trim();
+  if (!text) return `$${draft.symbol} on ${draft.pool}`;
+  return text.length > 200 ? `${text.slice(0, 197).trimEnd()}...` : text;
+}
+
+/**
+ * HTML for /drafts/:shareId. `pageUrl` and `cardUrl` must be absolute: crawlers do not resolve relative og:image URLs.
+ */
+function renderPreviewPage(draft, { pageUrl, cardUrl }) {
+  const title = `${draft.name} ($${draft.symbol})`;
+  const description = describe(draft);
+  const links = ['website', 'twitter', 'telegram']
+    .filter(field => draft[field])
+    .map(field => `<li><a href="${escapeHtml(draft[field])}" rel="nofollow noopener">${escapeHtml(field)}</a></li>`)
+    .join('');
+  const status = draft.status === 'launched'
+    ? `<p class="status">Launched${draft.mint ? ` &middot; <code>${escapeHtml(draft.mint)}</code>` : ''}</p>`
+    : '<p class="status">Draft &middot; not launched yet</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}">
+<meta property="og:type" content="website">
+<meta property="og:title" content="${escapeHtml(title)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(pageUrl)}">
+<meta property="og:image" content="${escapeHtml(cardUrl)}">
+<meta property="og:image:width" content="1200">
+<meta property="og:image:height" content="630">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${escapeHtml(title)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+<meta name="twitter:image" content="${escapeHtml(cardUrl)}">
+<style>
+body { margin: 0; padding: 32px 16px; background: #111827; color: #f9fafb; font-family: system-ui, sans-serif; }
+main { max-width: 720px; margin: 0 auto; }
+img { width: 100%; border-radius: 12px; }
+.status { color: #9ca3af; }
+a { color: #60a5fa; }
+</style>
+</head>
+<body>
+<main>
+<img src="${escapeHtml(cardUrl)}" alt="${escapeHtml(title)}" width="1200" height="630">
+<h1>${escapeHtml(title)}</h1>
+${status}
+<p>${escapeHtml(draft.description)}</p>
+${links ? `<ul>${links}</ul>` : ''}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderPreviewPage, escapeHtml };
@@ -0,0 +1,119 @@
+// DurableNonceService: Nonce accounts that keep a pre-signed launch transaction valid until its scheduled time
+const bs58 = require('bs58');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+  NONCE_ACCOUNT_LENGTH,
+  sendAndConfirmTransaction
+} = require('@solana/web3.js');
+const { getScheduledLaunchConfig } = require('../../config/scheduledLaunches');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('DurableNonce');
+
+/**
+ * Keypair from a base58 secret key or a JSON byte array, the two forms Solana tooling exports
+ */
+function parseSecretKey(value) {
+  const text = String(value).trim();
+  try {
+    return Keypair.fromSecretKey(text.startsWith('[') ? Uint8Array.from(JSON.parse(text)) : bs58.decode(text));
+  } catch (error) {
+    throw new Error(`SCHEDULED_LAUNCH_NONCE_AUTHORITY_KEY is not a valid secret key: ${error.message}`);
+  }
+}
+
+/**
+ * Rewrite a transaction to run on a durable nonce instead of a recent blockhash: AdvanceNonceAccount
+ * goes first and the nonce takes the blockhash's place, so it stays valid until the nonce moves on.
+ * Lookup tables the message uses must be passed in. The result is unsigned.
+ */
+function withDurableNonce(tx, { nonceAccount, nonce, authority, lookupTables = [] }) {
+  const message = TransactionMessage.decompile(tx.message, { addressLookupTableAccounts: lookupTables });
+  message.instructions = [
+    SystemProgram.nonceAdvance({ noncePubkey: new PublicKey(nonceAccount), authorizedPubkey: new PublicKey(authority) }),
+    ...message.instructions
+  ];
+  message.recentBlockhash = nonce;
+  return new VersionedTransaction(message.compileToV0Message(lookupTables));
+}
+
+class DurableNonceService {
+  constructor(config = getScheduledLaunchConfig()) {
+    this.authority = config.nonceAuthoritySecret ? parseSecretKey(config.nonceAuthoritySecret) : null;
+  }
+
+  isConfigured() {
+    return Boolean(this.authority);
+  }
+
+  async loadLookupTables(connection, message) {
+    const lookups = message.addressTableLookups || [];
+    const tables = await Promise.all(lookups.map(lookup => connection.getAddressLookupTable(lookup.accountKey)));
+    return tables.map((table, idx) => {
+      if (!table.value) throw new Error(`Address lookup table ${lookups[idx].accountKey.toBase58()} not found`);
+      return table.value;
+    });
+  }
+
+  /**
+   * Open a nonce account owned by the authority wallet. Resolves once it is confirmed, to
+   * { nonceAccount, nonce } with the nonce value to use in place of a blockhash.
+   */
+  async open(connection) {
+    const nonceKeypair = Keypair.generate();
+    const lamports = await connection.getMinimumBalanceForRentExemption(NONCE_ACCOUNT_LENGTH);
+    const tx = new Transaction().add(SystemProgram.createNonceAccount({
+      fromPubkey: this.authority.publicKey,
+      noncePubkey: nonceKeypair.publicKey,
+      authorizedPubkey: this.authority.publicKey,
+      lamports
+    }));
+    await sendAndConfirmTransaction(connection, tx, [this.authority, nonceKeypair], { commitment: 'confirmed' });
+    const account = await connection.getNonce(nonceKeypair.publicKey, 'confirmed');
+    const nonceAccount = nonceKeypair.publicKey.toBase58();
+    log.info(`Opened nonce account ${nonceAccount}`);
+    return { nonceAccount, nonce: account.nonce };
+  }
+
+  /**
+   * Move a transaction onto a fresh nonce account and sign it as the nonce authority and with
+   * `signers` (the mint keypair). Only the wallet's signature is then missing.
+   * Resolves to { tx, nonceAccount }.
+   */
+  async attach(connection, tx, { signers = [] } = {}) {
+    const lookupTables = await this.loadLookupTables(connection, tx.message);
+    const { nonceAccount, nonce } = await this.open(connection);
+    const durable = withDurableNonce(tx, { nonceAccount, nonce, authority: this.authority.publicKey, lookupTables });
+    durable.sign([...signers, this.authority]);
+    return { tx: durable, nonceAccount };
+  }
+
+  /**
+   * Withdraw everything from a nonce account, which closes it and voids any transaction
+   * still waiting on its nonce. Resolves to false if the account was already gone.
+   */
+  async close(connection, nonceAccount) {
+    const noncePubkey = new PublicKey(nonceAccount);
+    const lamports = await connection.getBalance(noncePubkey, 'confirmed');
+    if (lamports === 0) return false;
+    const tx = new Transaction().add(SystemProgram.nonceWithdraw({
+      noncePubkey,
+      authorizedPubkey: this.authority.publicKey,
+      toPubkey: this.authority.publicKey,
+      lamports
+    }));
+    await sendAndConfirmTransaction(connection, tx, [this.authority], { commitment: 'confirmed' });
+    log.info(`Closed nonce account ${nonceAccount}`);
+    return true;
+  }
+}
+
+// Create singleton instance
+const durableNonceService = new DurableNonceService();
+
+module.exports = { durableNonceService, DurableNonceService, withDurableNonce, parseSecretKey };
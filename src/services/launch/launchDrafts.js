@@ -0,0 +1,270 @@
+// LaunchDraftService: Per-wallet token launch drafts in launch_drafts, each shareable through a public read-only link
+const crypto = require('crypto');
+const { supabase } = require('../../config/database');
+const { getDraftConfig } = require('../../config/drafts');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('LaunchDrafts');
+
+const DRAFT_STATUSES = ['draft', 'launched'];
+
+class DraftError extends Error {
+  constructor(message, errorCode, status = 400, details = null) {
+    super(message);
+    this.name = 'DraftError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// camelCase draft fields to launch_drafts columns
+const COLUMNS = {
+  name: 'name',
+  symbol: 'symbol',
+  description: 'description',
+  twitter: 'twitter',
+  telegram: 'telegram',
+  website: 'website',
+  image: 'image',
+  amount: 'dev_buy_amount',
+  slippage: 'slippage',
+  pool: 'pool',
+  metadataVersionId: 'metadata_version_id',
+  promptTemplateId: 'prompt_template_id'
+};
+
+// Everything but the image, which can be hundreds of kilobytes of base64
+const LIST_COLUMNS = ['id', 'public_key', 'share_id', 'status', 'mint_address', 'launched_at', 'created_at', 'updated_at']
+  .concat(Object.values(COLUMNS).filter(column => column !== 'image'))
+  .join(', ');
+
+function toColumns(fields) {
+  const row = {};
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    if (fields[field] !== undefined) row[column] = fields[field];
+  }
+  return row;
+}
+
+/**
+ * Unguessable token for the public preview URL, kept apart from the draft ID the owner uses
+ */
+function newShareId() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+/**
+ * API shape of a launch_drafts row. `image` is only present when the row was read with it.
+ */
+function toDraft(row) {
+  const draft = {
+    id: row.id,
+    publicKey: row.public_key,
+    shareId: row.share_id,
+    status: row.status,
+    name: row.name,
+    symbol: row.symbol,
+    description: row.description || '',
+    twitter: row.twitter || null,
+    telegram: row.telegram || null,
+    website: row.website || null,
+    amount: Number(row.dev_buy_amount),
+    slippage: Number(row.slippage),
+    pool: row.pool,
+    metadataVersionId: row.metadata_version_id || null,
+    promptTemplateId: row.prompt_template_id || null,
+    mint: row.mint_address || null,
+    launchedAt: row.launched_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (row.image !== undefined) draft.image = row.image || null;
+  return draft;
+}
+
+/**
+ * What the public preview shows: the draft without its owner, IDs or launch settings
+ */
+function toSharedDraft(draft) {
+  return {
+    shareId: draft.shareId,
+    status: draft.status,
+    name: draft.name,
+    symbol: draft.symbol,
+    description: draft.description,
+    twitter: draft.twitter,
+    telegram: draft.telegram,
+    website: draft.website,
+    pool: draft.pool,
+    mint: draft.mint,
+    launchedAt: draft.launchedAt,
+    hasImage: Boolean(draft.image),
+    updatedAt: draft.updatedAt
+  };
+}
+
+class LaunchDraftService {
+  constructor(config = getDraftConfig()) {
+    this.config = config;
+  }
+
+  async countOpen(publicKey) {
+    const { count, error } = await supabase
+      .from('launch_drafts')
+      .select('id', { count: 'exact', head: true })
+      .eq('public_key', publicKey)
+      .eq('status', 'draft');
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Store a new draft for a wallet. `fields` comes from validateDraftFields, image as a data URL.
+   * Throws DRAFT_LIMIT_REACHED (409) once the wallet has maxPerWallet unlaunched drafts.
+   */
+  async create(publicKey, fields) {
+    const { maxPerWallet } = this.config;
+    if (await this.countOpen(publicKey) >= maxPerWallet) {
+      throw new DraftError(
+        `A wallet can keep at most ${maxPerWallet} unlaunched drafts; delete or launch one first`,
+        'DRAFT_LIMIT_REACHED',
+        409,
+        { maxPerWallet }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('launch_drafts')
+      .insert({
+        ...toColumns(fields),
+        public_key: publicKey,
+        share_id: newShareId(),
+        status: 'draft',
+        created_at: now,
+        updated_at: now
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    log.info(`Created draft ${data.id} for ${publicKey}`);
+    return toDraft(data);
+  }
+
+  /**
+   * A wallet's drafts, most recently edited first, without images
+   */
+  async list(publicKey, { status } = {}) {
+    let query = supabase
+      .from('launch_drafts')
+      .select(LIST_COLUMNS)
+      .eq('public_key', publicKey)
+      .order('updated_at', { ascending: false });
+    if (status) query = query.eq('status', status);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(toDraft);
+  }
+
+  /**
+   * One of a wallet's drafts, or null if it does not exist or belongs to another wallet
+   */
+  async get(publicKey, id) {
+    const { data, error } = await supabase
+      .from('launch_drafts')
+      .select('*')
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? toDraft(data) : null;
+  }
+
+  /**
+   * A draft by its share ID, for the public preview; null if there is none
+   */
+  async getShared(shareId) {
+    const { data, error } = await supabase
+      .from('launch_drafts')
+      .select('*')
+      .eq('share_id', shareId)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data ? toDraft(data) : null;
+  }
+
+  /**
+   * Change some fields of a draft. Launched drafts are a record of what went out and stay
+   * as they are (DRAFT_LAUNCHED, 409). Resolves to the updated draft, or null if not found.
+   */
+  async update(publicKey, id, fields) {
+    const existing = await this.get(publicKey, id);
+    if (!existing) return null;
+    if (existing.status !== 'draft') {
+      throw new DraftError('Launched drafts cannot be edited', 'DRAFT_LAUNCHED', 409, { mint: existing.mint });
+    }
+
+    const { data, error } = await supabase
+      .from('launch_drafts')
+      .update({ ...toColumns(fields), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .eq('status', 'draft')
+      .select();
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new DraftError('Launched drafts cannot be edited', 'DRAFT_LAUNCHED', 409);
+    }
+    return toDraft(data[0]);
+  }
+
+  /**
+   * Delete a draft. Launched drafts are kept because created_tokens rows point at them
+   * (DRAFT_LAUNCHED, 409). Resolves to false if the wallet has no such draft.
+   */
+  async remove(publicKey, id) {
+    const existing = await this.get(publicKey, id);
+    if (!existing) return false;
+    if (existing.status !== 'draft') {
+      throw new DraftError('Launched drafts cannot be deleted', 'DRAFT_LAUNCHED', 409, { mint: existing.mint });
+    }
+
+    const { error } = await supabase
+      .from('launch_drafts')
+      .delete()
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .eq('status', 'draft');
+    if (error && error.code === '23503') {
+      throw new DraftError('This draft is still referenced by a launch and cannot be deleted', 'DRAFT_IN_USE', 409);
+    }
+    if (error) throw error;
+    log.info(`Deleted draft ${id} for ${publicKey}`);
+    return true;
+  }
+
+  /**
+   * Record that a draft was launched as `mint`. Only an unlaunched draft of `publicKey`
+   * changes, so a draft links to one token. Resolves to the updated draft or null.
+   */
+  async markLaunched(id, { publicKey, mint }) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('launch_drafts')
+      .update({ status: 'launched', mint_address: mint, launched_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('public_key', publicKey)
+      .eq('status', 'draft')
+      .select(LIST_COLUMNS);
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+    log.info(`Draft ${id} launched as ${mint}`);
+    return toDraft(data[0]);
+  }
+}
+
+// Create singleton instance
+const launchDraftService = new LaunchDraftService();
+
+module.exports = { launchDraftService, LaunchDraftService, DraftError, DRAFT_STATUSES, toSharedDraft };
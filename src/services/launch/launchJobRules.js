@@ -0,0 +1,109 @@
+// Launch job state rules and the worker's settle decisions. Pure, so they can be tested without a database or RPC.
+
+const LAUNCH_JOB_STATES = ['draft', 'metadata_uploaded', 'tx_built', 'sent', 'confirmed', 'failed', 'expired', 'cancelled'];
+const TERMINAL_STATES = ['confirmed', 'failed', 'expired', 'cancelled'];
+// Once a job gets here its metadata version has gone into a launch
+const USED_STATES = ['sent', 'confirmed'];
+
+// Forward-only transitions; any unfinished state may also fail or expire, and
+// scheduled launches may be cancelled until their transaction is sent
+const ALLOWED_TRANSITIONS = {
+  draft: ['metadata_uploaded', 'failed', 'expired', 'cancelled'],
+  metadata_uploaded: ['tx_built', 'failed', 'expired', 'cancelled'],
+  tx_built: ['sent', 'failed', 'expired', 'cancelled'],
+  sent: ['confirmed', 'failed', 'expired'],
+  confirmed: [],
+  failed: [],
+  expired: [],
+  cancelled: []
+};
+
+const STALE_PRESEND_MS = 2 * 60 * 1000; // matches the client signing session TTL
+const SENT_EXPIRY_MS = 5 * 60 * 1000; // fallback when the blockhash expiry height is unknown
+
+function canTransition(fromState, toState) {
+  return (ALLOWED_TRANSITIONS[fromState] || []).includes(toState);
+}
+
+/**
+ * Reduce an error to the details worth keeping on the job timeline
+ */
+function serializeError(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return { message: error };
+  const details = {
+    message: error.message || String(error),
+    code: error.errorCode || error.code || null,
+    status: error.response?.status || error.status || null
+  };
+  if (error.details !== undefined) details.details = error.details;
+  return details;
+}
+
+/**
+ * The row update that moves `job` to `toState` at `at`, with the step appended to its timeline
+ */
+function buildTransitionUpdate(job, toState, { fields = {}, timing, error, at }) {
+  const errorDetails = serializeError(error);
+  const transition = { from: job.state, to: toState, at };
+  if (errorDetails) transition.error = errorDetails;
+
+  const update = {
+    ...fields,
+    state: toState,
+    transitions: [...(job.transitions || []), transition],
+    updated_at: at
+  };
+  if (timing) update.timing = { ...(job.timing || {}), ...timing };
+  if (errorDetails) update.error = errorDetails;
+  return update;
+}
+
+/**
+ * A job the worker expires: it stopped before its transaction was sent and has not moved for a
+ * while. Such a job cannot be resumed after a restart: wallet keys are never persisted, the
+ * client signing session lives in memory and a built transaction's blockhash is long gone.
+ * Scheduled launches wait for their time on purpose; the launch scheduler owns them until sent.
+ */
+function isStalePresend(job, now = Date.now()) {
+  return !TERMINAL_STATES.includes(job.state)
+    && job.state !== 'sent'
+    && !job.scheduled_for
+    && now - new Date(job.updated_at).getTime() > STALE_PRESEND_MS;
+}
+
+/**
+ * What the worker does with a sent job given its signature status (null if never seen):
+ *   'failed' / 'confirmed'  settle it
+ *   'wait'                  still landing, or its blockhash may still be valid
+ *   'nonce_closed'          expire: its durable nonce is closed so it can never land
+ *   'close_nonce'           close the durable nonce first, then look again
+ *   'blockhash_expired'     expire: it can no longer land
+ */
+function settleDecision(job, status, { blockHeight, now = Date.now() }) {
+  if (status && status.err) return 'failed';
+  if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) return 'confirmed';
+  if (status) return 'wait';
+
+  // A scheduled launch runs on a durable nonce rather than a blockhash: it can land until its
+  // nonce account is closed, and never after
+  if (job.nonce_account && job.nonce_closed_at) return 'nonce_closed';
+
+  const blockhashExpired = job.last_valid_block_height
+    ? blockHeight > job.last_valid_block_height
+    : now - new Date(job.updated_at).getTime() > SENT_EXPIRY_MS;
+  if (!blockhashExpired) return 'wait';
+  return job.nonce_account ? 'close_nonce' : 'blockhash_expired';
+}
+
+module.exports = {
+  LAUNCH_JOB_STATES,
+  TERMINAL_STATES,
+  USED_STATES,
+  ALLOWED_TRANSITIONS,
+  canTransition,
+  serializeError,
+  buildTransitionUpdate,
+  isStalePresend,
+  settleDecision
+};
@@ -0,0 +1,187 @@
+// LaunchJobWorker: Resumes unfinished launch jobs on startup and settles stale ones periodically
+const { Connection } = require('@solana/web3.js');
+const { launchJobService } = require('./launchJobs');
+const { getSendRpcUrls, updateCreatedTokenStatus } = require('./transactionSender');
+const { durableNonceService } = require('./durableNonce');
+const { isStalePresend, settleDecision } = require('./launchJobRules');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('LaunchJobs');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SIGNATURE_STATUS_BATCH_SIZE = 256; // getSignatureStatuses limit
+
+class LaunchJobWorker {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  start(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.interval) {
+      log.info('Worker is already running');
+      return;
+    }
+    // Resume immediately so jobs interrupted by a restart settle without waiting a full interval
+    this.resumeUnfinished();
+    this.interval = setInterval(() => this.resumeUnfinished(), intervalMs);
+    log.info('Worker started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    log.info('Worker stopped');
+  }
+
+  getConnection() {
+    const rpcUrl = getSendRpcUrls()[0]
+      || process.env.SOLANA_RPC_URL
+      || 'https://api.mainnet-beta.solana.com';
+    return new Connection(rpcUrl, 'confirmed');
+  }
+
+  /**
+   * Walk every unfinished job and move it forward where that is possible without the user.
+   * Jobs that already have a signature are settled against the chain. Jobs that never got
+   * that far cannot be resumed (wallet keys are never persisted, and a built transaction's
+   * blockhash is long gone after a restart), so they expire once stale.
+   */
+  async resumeUnfinished() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      const jobs = await launchJobService.listUnfinished();
+      const sentJobs = jobs.filter(job => job.state === 'sent' && job.tx_signature);
+      const staleJobs = jobs.filter(job => isStalePresend(job));
+
+      for (const job of staleJobs) {
+        await launchJobService.transition(job, 'expired', {
+          error: {
+            message: `Launch was interrupted in state ${job.state} before the transaction was sent`,
+            code: 'LAUNCH_INTERRUPTED'
+          }
+        });
+      }
+
+      if (sentJobs.length > 0) {
+        await this.settleSentJobs(sentJobs);
+      }
+
+      this.lastRun = {
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        jobsChecked: jobs.length,
+        jobsExpired: staleJobs.length,
+        sentJobsChecked: sentJobs.length
+      };
+      if (jobs.length > 0) {
+        log.info(`Resume pass: ${jobs.length} unfinished, ${staleJobs.length} expired, ${sentJobs.length} awaiting confirmation`);
+      }
+    } catch (error) {
+      log.error('Resume pass failed', error);
+      this.lastRun = {
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        error: error.message
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async settleSentJobs(jobs) {
+    const connection = this.getConnection();
+    const blockHeight = await connection.getBlockHeight('confirmed');
+
+    for (let i = 0; i < jobs.length; i += SIGNATURE_STATUS_BATCH_SIZE) {
+      const batch = jobs.slice(i, i + SIGNATURE_STATUS_BATCH_SIZE);
+      const { value: statuses } = await connection.getSignatureStatuses(
+        batch.map(job => job.tx_signature),
+        { searchTransactionHistory: true }
+      );
+
+      for (let j = 0; j < batch.length; j++) {
+        await this.settleSentJob(connection, batch[j], statuses[j], blockHeight);
+      }
+    }
+  }
+
+  async settleSentJob(connection, job, status, blockHeight) {
+    const recordTokenStatus = async (tokenStatus) => {
+      try {
+        await updateCreatedTokenStatus({ mint: job.mint_address, signature: job.tx_signature, status: tokenStatus });
+      } catch (dbError) {
+        log.error(`Failed to update created token for job ${job.id}`, dbError);
+      }
+    };
+
+    const decision = settleDecision(job, status, { blockHeight });
+    if (decision === 'wait') return;
+
+    if (decision === 'failed') {
+      await launchJobService.transition(job, 'failed', {
+        error: { message: 'Transaction failed on-chain', code: 'TRANSACTION_FAILED', details: status.err }
+      });
+      await recordTokenStatus('failed');
+      return;
+    }
+
+    if (decision === 'confirmed') {
+      await launchJobService.transition(job, 'confirmed');
+      await recordTokenStatus('confirmed');
+      return;
+    }
+
+    if (decision === 'close_nonce') {
+      // Close the nonce first, then look once more: it may have landed in the meantime
+      const closed = await this.closeNonce(connection, job);
+      if (!closed) return;
+      const { value: [recheck] } = await connection.getSignatureStatuses([job.tx_signature], { searchTransactionHistory: true });
+      await this.settleSentJob(connection, closed, recheck, blockHeight);
+      return;
+    }
+
+    await launchJobService.transition(job, 'expired', {
+      error: decision === 'nonce_closed'
+        ? { message: 'Transaction was never observed on-chain before its nonce account was closed', code: 'NONCE_CLOSED' }
+        : { message: 'Transaction was never observed on-chain before its blockhash expired', code: 'BLOCKHASH_EXPIRED' }
+    });
+    await recordTokenStatus('expired');
+  }
+
+  /**
+   * Close a sent job's nonce account and record it. Resolves to the updated job, or null if the
+   * account could not be closed yet (the job stays sent and is retried on the next pass).
+   */
+  async closeNonce(connection, job) {
+    if (!durableNonceService.isConfigured()) {
+      log.warn(`Cannot close nonce account of job ${job.id}: SCHEDULED_LAUNCH_NONCE_AUTHORITY_KEY is not set`);
+      return null;
+    }
+    try {
+      await durableNonceService.close(connection, job.nonce_account);
+      return await launchJobService.amend(job, { nonce_closed_at: new Date().toISOString() });
+    } catch (error) {
+      log.warn(`Failed to close nonce account ${job.nonce_account} of job ${job.id}`, { error: error.message });
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      isRunning: !!this.interval,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const launchJobWorker = new LaunchJobWorker();
+
+module.exports = { launchJobWorker };
@@ -0,0 +1,214 @@
+// LaunchJobService: Persists each token launch as an explicit state machine in launch_jobs
+const { supabase } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+const {
+  LAUNCH_JOB_STATES,
+  TERMINAL_STATES,
+  USED_STATES,
+  canTransition,
+  serializeError,
+  buildTransitionUpdate
+} = require('./launchJobRules');
+
+const log = logger.child('LaunchJobs');
+
+/**
+ * Add conditions to an update query: null values must be NULL, others equal
+ */
+function applyWhere(query, where) {
+  for (const [column, value] of Object.entries(where)) {
+    query = value === null ? query.is(column, null) : query.eq(column, value);
+  }
+  return query;
+}
+
+class LaunchJobService {
+  /**
+   * Create a job in the draft state. Returns null if it could not be persisted;
+   * a bookkeeping failure must never block the launch itself. Unique violations (a draft
+   * booked twice) are conflicts rather than bookkeeping failures and are thrown.
+   * Scheduled launches pass `scheduledFor` and the trade settings to build with later as `launchOptions`.
+   */
+  async create({ action, signingMode, publicKey, tokenMetadata, metadataVersionId, promptTemplateId, draftId, scheduledFor, launchOptions }) {
+    const now = new Date().toISOString();
+    try {
+      const { data, error } = await supabase
+        .from('launch_jobs')
+        .insert({
+          state: 'draft',
+          action,
+          signing_mode: signingMode,
+          user_public_key: publicKey,
+          token_metadata: tokenMetadata || null,
+          metadata_version_id: metadataVersionId || null,
+          prompt_template_id: promptTemplateId || null,
+          draft_id: draftId || null,
+          scheduled_for: scheduledFor || null,
+          launch_options: launchOptions || null,
+          transitions: [{ from: null, to: 'draft', at: now }],
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      if (error.code === '23505') throw error;
+      log.error('Failed to create launch job', { error: error.message });
+      return null;
+    }
+  }
+
+  async get(id) {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async listUnfinished() {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('*')
+      .not('state', 'in', `(${TERMINAL_STATES.join(',')})`)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Move a job to a new state, appending the transition to its timeline.
+   * The update is conditional on the state we read, so a concurrent writer
+   * (request handler vs. resume worker) cannot apply the same step twice.
+   * `where` adds conditions the row must also meet, e.g. { send_started_at: null }.
+   * Returns the updated job, or the unchanged job if the transition was not applied.
+   */
+  async transition(job, toState, { fields = {}, timing, error, where = {} } = {}) {
+    if (!job) return null;
+    if (!canTransition(job.state, toState)) {
+      log.warn(`Ignoring invalid transition ${job.state} -> ${toState} for job ${job.id}`);
+      return job;
+    }
+
+    const update = buildTransitionUpdate(job, toState, { fields, timing, error, at: new Date().toISOString() });
+
+    try {
+      const { data, error: dbError } = await applyWhere(
+        supabase
+          .from('launch_jobs')
+          .update(update)
+          .eq('id', job.id)
+          .eq('state', job.state),
+        where
+      ).select();
+      if (dbError) throw dbError;
+      if (!data || data.length === 0) {
+        log.warn(`Job ${job.id} is no longer in state ${job.state}, skipping -> ${toState}`);
+        return job;
+      }
+      log.info(`Job ${job.id}: ${job.state} -> ${toState}`);
+      if (USED_STATES.includes(toState)) await this.markVersionUsed(data[0]);
+      return data[0];
+    } catch (dbError) {
+      log.error(`Failed to record ${job.state} -> ${toState} for job ${job.id}`, { error: dbError.message });
+      return job;
+    }
+  }
+
+  /**
+   * Record on the job's metadata version that it was launched. The first sent job claims it; a
+   * confirmed job takes over from one that was sent but never landed. Best-effort: a failure
+   * here must not fail the launch.
+   */
+  async markVersionUsed(job) {
+    if (!job.metadata_version_id) return;
+    try {
+      let query = supabase
+        .from('token_metadata_versions')
+        .update({ used_at: new Date().toISOString(), launch_job_id: job.id })
+        .eq('id', job.metadata_version_id);
+      if (job.state !== 'confirmed') query = query.is('used_at', null);
+      const { error } = await query;
+      if (error) throw error;
+    } catch (error) {
+      log.warn('Failed to mark token metadata version as used', { id: job.metadata_version_id, error: error.message });
+    }
+  }
+
+  /**
+   * Change fields of a job without moving it to another state, noting why on its timeline.
+   * Conditional on the state read and on `where`, like transition(). Resolves to the updated
+   * job, or null if the row no longer matched.
+   */
+  async amend(job, fields, { note, where = {} } = {}) {
+    const at = new Date().toISOString();
+    const update = { ...fields, updated_at: at };
+    if (note) update.transitions = [...(job.transitions || []), { from: job.state, to: job.state, at, note }];
+
+    const { data, error } = await applyWhere(
+      supabase
+        .from('launch_jobs')
+        .update(update)
+        .eq('id', job.id)
+        .eq('state', job.state),
+      where
+    ).select();
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Transition by id, for callers that only hold a reference (background confirmation, worker)
+   */
+  async transitionById(id, toState, options) {
+    if (!id) return null;
+    try {
+      const job = await this.get(id);
+      if (!job) return null;
+      return await this.transition(job, toState, options);
+    } catch (error) {
+      log.error(`Failed to load job ${id}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Shape a job row for API responses
+   */
+  toTimeline(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      action: job.action,
+      signingMode: job.signing_mode,
+      publicKey: job.user_public_key,
+      mint: job.mint_address,
+      metadataUri: job.metadata_uri,
+      metadataVersionId: job.metadata_version_id || null,
+      promptTemplateId: job.prompt_template_id || null,
+      draftId: job.draft_id || null,
+      scheduledFor: job.scheduled_for || null,
+      signature: job.tx_signature,
+      usedBackupRpc: job.used_backup_rpc,
+      timing: job.timing || {},
+      timeline: job.transitions || [],
+      error: job.error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
+    };
+  }
+}
+
+// Create singleton instance
+const launchJobService = new LaunchJobService();
+
+module.exports = {
+  launchJobService,
+  LAUNCH_JOB_STATES,
+  TERMINAL_STATES,
+  serializeError
+};
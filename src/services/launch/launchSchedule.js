@@ -0,0 +1,121 @@
+// Scheduled launch rules: which launch times are accepted, when a booked launch fires, and the
+// API shape of a scheduled launch job. No I/O.
+const { DEFAULT_PRIORITY_FEE } = require('./tradeLocalRequest');
+
+// "18:00" alone would be read in the server's time zone, so an explicit offset is required
+const ZONED_TIME_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Parse a requested launch time and check it is far enough ahead to prepare and sign, and not
+ * too far. Resolves to { launchAt } (a Date) or { error }.
+ */
+function checkLaunchAt(value, { minLeadMs, maxHorizonMs }, now = Date.now()) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'launchAt is required, as an ISO 8601 time such as 2024-05-01T18:00:00Z' };
+  }
+  const launchAt = new Date(value.trim());
+  if (!ZONED_TIME_PATTERN.test(value.trim()) || Number.isNaN(launchAt.getTime())) {
+    return { error: 'launchAt must be an ISO 8601 time with a time zone, such as 2024-05-01T18:00:00Z' };
+  }
+  if (launchAt.getTime() < now + minLeadMs) {
+    return { error: `launchAt must be at least ${Math.ceil(minLeadMs / 1000)} seconds from now` };
+  }
+  if (launchAt.getTime() > now + maxHorizonMs) {
+    return { error: `launchAt must be within ${Math.round(maxHorizonMs / 86400000)} days from now` };
+  }
+  return { launchAt };
+}
+
+/**
+ * What to do with a signed launch at `now`: 'wait' until it is due, 'fire', or 'missed' once it
+ * is more than maxLateMs overdue (the server was down at the time).
+ */
+function scheduleDecision(scheduledFor, { maxLateMs }, now = Date.now()) {
+  const due = new Date(scheduledFor).getTime();
+  if (now < due) return 'wait';
+  return now - due > maxLateMs ? 'missed' : 'fire';
+}
+
+/**
+ * When an unsigned launch expires: shortly after its transaction was built, so an abandoned
+ * booking does not hold its nonce account's rent until the launch time. ISO time.
+ */
+function signingDeadline(job, { signingWindowMs }) {
+  const built = (job.transitions || []).find(transition => transition.to === 'tx_built' && transition.from !== 'tx_built');
+  const builtAt = new Date(built ? built.at : job.updated_at).getTime();
+  return new Date(Math.min(builtAt + signingWindowMs, new Date(job.scheduled_for).getTime())).toISOString();
+}
+
+/**
+ * Where a scheduled launch job stands, in the words the API uses
+ */
+function scheduledStatus(job) {
+  if (job.state === 'draft' || job.state === 'metadata_uploaded') return 'preparing';
+  if (job.state === 'tx_built') {
+    if (!job.signed_transaction) return 'awaiting_signature';
+    return job.send_started_at ? 'sending' : 'scheduled';
+  }
+  return job.state;
+}
+
+/**
+ * Body for PumpPortal's trade-local API creating the token: the same defaults as
+ * /api/trade-local requests built from drafts
+ */
+function buildScheduledTradeBody(job, { mint }) {
+  const options = job.launch_options || {};
+  return {
+    publicKey: job.user_public_key,
+    action: 'create',
+    mint,
+    denominatedInSol: 'true',
+    amount: Number(options.amount || 0),
+    slippage: options.slippage !== undefined ? Number(options.slippage) : 10,
+    priorityFee: DEFAULT_PRIORITY_FEE,
+    pool: options.pool || 'pump',
+    tokenMetadata: {
+      name: job.token_metadata.name,
+      symbol: job.token_metadata.symbol,
+      uri: job.metadata_uri
+    }
+  };
+}
+
+/**
+ * API shape of a scheduled launch job. The transaction to sign, and the time to sign it by, are
+ * only included while a signature is awaited.
+ */
+function toScheduledLaunch(job, config) {
+  const status = scheduledStatus(job);
+  const options = job.launch_options || {};
+  return {
+    id: job.id,
+    status,
+    launchAt: job.scheduled_for,
+    draftId: job.draft_id || null,
+    publicKey: job.user_public_key,
+    tokenMetadata: job.token_metadata,
+    amount: Number(options.amount || 0),
+    slippage: options.slippage !== undefined ? Number(options.slippage) : 10,
+    pool: options.pool || 'pump',
+    mint: job.mint_address || null,
+    metadataUri: job.metadata_uri || null,
+    nonceAccount: job.nonce_account || null,
+    transaction: status === 'awaiting_signature' ? job.issued_transaction || null : null,
+    signBy: status === 'awaiting_signature' && job.issued_transaction ? signingDeadline(job, config) : null,
+    signature: job.tx_signature || null,
+    timeline: job.transitions || [],
+    error: job.error || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+module.exports = {
+  checkLaunchAt,
+  scheduleDecision,
+  signingDeadline,
+  scheduledStatus,
+  buildScheduledTradeBody,
+  toScheduledLaunch
+};
@@ -0,0 +1,584 @@
+// LaunchScheduler: Launch jobs booked for a target time. Metadata is pinned and the transaction built when a
+// launch is booked; the wallet signs it once, a durable nonce keeps it valid, and it goes out through the
+// multi-RPC send loop when the time comes. Bookings live in launch_jobs, so they survive a restart.
+const bs58 = require('bs58');
+const { Connection, Keypair, VersionedTransaction } = require('@solana/web3.js');
+const { supabase } = require('../../config/database');
+const { getScheduledLaunchConfig } = require('../../config/scheduledLaunches');
+const { launchJobService, TERMINAL_STATES } = require('./launchJobs');
+const { launchDraftService } = require('./launchDrafts');
+const { durableNonceService } = require('./durableNonce');
+const { uploadMetadata, requestTradeTransaction } = require('./pumpPortalClient');
+const { getSendRpcUrls, sendWithRetry, confirmInBackground } = require('./transactionSender');
+const { launchSessionStore, serializeForClient, describeIssued } = require('./launchSessions');
+const {
+  buildScheduledTradeBody,
+  scheduleDecision,
+  signingDeadline,
+  scheduledStatus,
+  toScheduledLaunch
+} = require('./launchSchedule');
+const { tickerAvailabilityService } = require('../tickers/tickerAvailability');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('LaunchScheduler');
+
+const PRE_SEND_STATES = ['draft', 'metadata_uploaded', 'tx_built'];
+// Bookings still preparing after this long were interrupted by a restart mid-request
+const STALE_PREPARING_MS = 5 * 60 * 1000;
+// Spent nonce accounts closed per pass
+const NONCE_CLOSE_BATCH_SIZE = 20;
+
+class ScheduleError extends Error {
+  constructor(message, errorCode, status = 400, details = null) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Token metadata as pinned to IPFS, from a launch draft
+ */
+function toTokenMetadata(draft) {
+  const metadata = { name: draft.name, symbol: draft.symbol, description: draft.description || '' };
+  for (const field of ['twitter', 'telegram', 'website']) {
+    if (draft[field]) metadata[field] = draft[field];
+  }
+  return metadata;
+}
+
+class LaunchScheduler {
+  constructor(config = getScheduledLaunchConfig(), nonce = durableNonceService) {
+    this.config = config;
+    this.nonce = nonce;
+    this.interval = null;
+    this.timers = new Map();
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Scheduling needs the nonce authority wallet
+   */
+  isAvailable() {
+    return this.nonce.isConfigured();
+  }
+
+  assertAvailable() {
+    if (!this.isAvailable()) {
+      throw new ScheduleError('Scheduled launches are not configured on this server', 'SCHEDULING_UNAVAILABLE', 503);
+    }
+  }
+
+  getConnection() {
+    const rpcUrl = getSendRpcUrls()[0]
+      || process.env.SOLANA_RPC_URL
+      || 'https://api.mainnet-beta.solana.com';
+    return new Connection(rpcUrl, 'confirmed');
+  }
+
+  start() {
+    if (this.interval) {
+      log.info('Scheduler is already running');
+      return;
+    }
+    if (!this.isAvailable()) {
+      log.info('Scheduled launches are disabled: SCHEDULED_LAUNCH_NONCE_AUTHORITY_KEY is not set');
+      return;
+    }
+    // Pick up bookings made before a restart straight away
+    this.tick();
+    this.interval = setInterval(() => this.tick(), this.config.pollIntervalMs);
+    log.info(`Scheduler started, polling every ${this.config.pollIntervalMs / 1000}s`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    log.info('Scheduler stopped');
+  }
+
+  async listOpen(publicKey) {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('id, draft_id')
+      .eq('user_public_key', publicKey)
+      .not('scheduled_for', 'is', null)
+      .not('state', 'in', `(${TERMINAL_STATES.join(',')})`);
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * The unfinished scheduled launch booked from a draft, or null
+   */
+  async findOpenForDraft(publicKey, draftId) {
+    const open = await this.listOpen(publicKey);
+    return open.find(job => job.draft_id === draftId) || null;
+  }
+
+  /**
+   * A wallet's scheduled launches, latest launch time first
+   */
+  async list(publicKey) {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('*')
+      .eq('user_public_key', publicKey)
+      .not('scheduled_for', 'is', null)
+      .order('scheduled_for', { ascending: false })
+      .limit(100);
+    if (error) throw error;
+    return (data || []).map(job => toScheduledLaunch(job, this.config));
+  }
+
+  /**
+   * One of a wallet's scheduled launch jobs (the raw row), or null
+   */
+  async get(publicKey, id) {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('*')
+      .eq('id', id)
+      .eq('user_public_key', publicKey)
+      .not('scheduled_for', 'is', null)
+      .single();
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Book a launch of `draft` at `launchAt`. `image` is the draft's logo through the image pipeline.
+   * Resolves to the job once its transaction awaits the wallet's signature.
+   */
+  async schedule({ publicKey, draft, image, launchAt }) {
+    this.assertAvailable();
+    const open = await this.listOpen(publicKey);
+    const alreadyScheduled = booked => new ScheduleError(
+      'This draft already has a scheduled launch',
+      'DRAFT_ALREADY_SCHEDULED',
+      409,
+      { scheduledLaunchId: booked ? booked.id : null }
+    );
+    const booked = open.find(job => job.draft_id === draft.id);
+    if (booked) throw alreadyScheduled(booked);
+    if (open.length >= this.config.maxPerWallet) {
+      throw new ScheduleError(
+        `A wallet can have at most ${this.config.maxPerWallet} scheduled launches pending`,
+        'SCHEDULE_LIMIT_REACHED',
+        409,
+        { maxPerWallet: this.config.maxPerWallet }
+      );
+    }
+
+    // The check above can race another booking of the same draft; the unique index on open
+    // bookings settles it
+    let job;
+    try {
+      job = await launchJobService.create({
+        action: 'create',
+        signingMode: 'client',
+        publicKey,
+        tokenMetadata: toTokenMetadata(draft),
+        metadataVersionId: draft.metadataVersionId,
+        promptTemplateId: draft.promptTemplateId,
+        draftId: draft.id,
+        scheduledFor: launchAt.toISOString(),
+        launchOptions: { amount: draft.amount, slippage: draft.slippage, pool: draft.pool }
+      });
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      throw alreadyScheduled(await this.findOpenForDraft(publicKey, draft.id));
+    }
+    if (!job) throw new Error('Failed to create the launch job');
+    log.info(`Booked launch ${job.id} of $${draft.symbol} for ${job.scheduled_for}`);
+
+    try {
+      return await this.prepare(job, image);
+    } catch (error) {
+      log.error(`Failed to prepare scheduled launch ${job.id}`, { error: error.message });
+      await launchJobService.transitionById(job.id, 'failed', { error });
+      throw new ScheduleError(`Failed to prepare the launch: ${error.message}`, 'LAUNCH_PREPARATION_FAILED', 502);
+    }
+  }
+
+  /**
+   * Pin the metadata, then build and pre-sign the transaction. A scheduled job is the only
+   * record of the launch, so unlike /api/trade-local a failed write here is an error.
+   */
+  async prepare(job, image) {
+    const ipfsStart = Date.now();
+    const { metadataUri, imageUri } = await uploadMetadata(job.token_metadata, image);
+    const uploaded = await launchJobService.transition(job, 'metadata_uploaded', {
+      fields: { metadata_uri: metadataUri, token_metadata: { ...job.token_metadata, image: imageUri } },
+      timing: { ipfsUpload: Date.now() - ipfsStart }
+    });
+    if (uploaded.state !== 'metadata_uploaded') throw new Error('Failed to record the metadata upload');
+
+    const buildStart = Date.now();
+    const built = await launchJobService.transition(uploaded, 'tx_built', {
+      fields: await this.build(uploaded),
+      timing: { build: Date.now() - buildStart }
+    });
+    if (built.state !== 'tx_built') throw new Error('Failed to record the built transaction');
+    return built;
+  }
+
+  /**
+   * Create transaction for a job with pinned metadata, moved onto a fresh nonce account and
+   * signed by the new mint and the nonce authority. Resolves to the job fields to store.
+   */
+  async build(job) {
+    const mintKeypair = Keypair.generate();
+    const mint = mintKeypair.publicKey.toBase58();
+    const bytes = await requestTradeTransaction(buildScheduledTradeBody(job, { mint }));
+    const { tx, nonceAccount } = await this.nonce.attach(
+      this.getConnection(),
+      VersionedTransaction.deserialize(new Uint8Array(bytes)),
+      { signers: [mintKeypair] }
+    );
+    if (!describeIssued(tx).expectedSigners.includes(job.user_public_key)) {
+      throw new Error('Transaction does not require a signature from the requesting wallet');
+    }
+    return {
+      mint_address: mint,
+      nonce_account: nonceAccount,
+      issued_transaction: serializeForClient(tx),
+      signed_transaction: null,
+      last_valid_block_height: null
+    };
+  }
+
+  /**
+   * Store the wallet's signature on the issued transaction, which arms the launch. Throws a
+   * LaunchSessionError if the signed transaction is not exactly the one issued.
+   */
+  async sign(job, signedTransaction) {
+    if (scheduledStatus(job) !== 'awaiting_signature' || !job.issued_transaction) {
+      throw new ScheduleError('This launch is not waiting for a signature', 'NOT_AWAITING_SIGNATURE', 409, { status: scheduledStatus(job) });
+    }
+    const signBy = signingDeadline(job, this.config);
+    if (Date.now() >= new Date(signBy).getTime()) {
+      throw new ScheduleError('The time to sign this launch has passed; book it again', 'SIGNING_WINDOW_CLOSED', 409, { signBy });
+    }
+    const issued = VersionedTransaction.deserialize(Buffer.from(job.issued_transaction, 'base64'));
+    const tx = launchSessionStore.verifySignedTransaction(describeIssued(issued), signedTransaction);
+
+    const signed = await launchJobService.amend(
+      job,
+      { signed_transaction: Buffer.from(tx.serialize()).toString('base64') },
+      { note: 'signed', where: { issued_transaction: job.issued_transaction, send_started_at: null } }
+    );
+    if (!signed) {
+      throw new ScheduleError('The launch changed while it was being signed; fetch it and sign again', 'SCHEDULE_CHANGED', 409);
+    }
+    log.info(`Scheduled launch ${job.id} signed, going out at ${job.scheduled_for}`);
+    this.arm(signed);
+    return signed;
+  }
+
+  assertEditable(job) {
+    if (!PRE_SEND_STATES.includes(job.state) || job.send_started_at) {
+      throw new ScheduleError('This launch has already been sent or has ended', 'LAUNCH_NOT_EDITABLE', 409, { status: scheduledStatus(job) });
+    }
+  }
+
+  /**
+   * Move a launch to another time. The signed transaction stays valid, so nothing is re-signed.
+   */
+  async reschedule(job, launchAt) {
+    this.assertEditable(job);
+    const updated = await launchJobService.amend(
+      job,
+      { scheduled_for: launchAt.toISOString() },
+      { note: `rescheduled from ${job.scheduled_for}`, where: { send_started_at: null } }
+    );
+    if (!updated) throw new ScheduleError('The launch changed or started sending; fetch it and try again', 'SCHEDULE_CHANGED', 409);
+    this.disarm(job.id);
+    this.arm(updated);
+    log.info(`Scheduled launch ${job.id} moved to ${updated.scheduled_for}`);
+    return updated;
+  }
+
+  /**
+   * Cancel a launch that has not started sending. Its nonce account is closed right away when
+   * possible, voiding the signed transaction; otherwise the next pass closes it.
+   */
+  async cancel(job) {
+    this.assertEditable(job);
+    const cancelled = await launchJobService.transition(job, 'cancelled', { where: { send_started_at: null } });
+    if (cancelled.state !== 'cancelled') {
+      throw new ScheduleError('The launch could not be cancelled; it may have started sending', 'LAUNCH_NOT_EDITABLE', 409);
+    }
+    this.disarm(job.id);
+    log.info(`Scheduled launch ${job.id} cancelled`);
+    if (cancelled.nonce_account) {
+      try {
+        await this.closeNonce(cancelled);
+      } catch (error) {
+        log.warn(`Failed to close nonce account of cancelled launch ${job.id}, will retry`, { error: error.message });
+      }
+    }
+    return cancelled;
+  }
+
+  async closeNonce(job) {
+    await this.nonce.close(this.getConnection(), job.nonce_account);
+    await launchJobService.amend(job, { nonce_closed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Set a timer for a signed launch due before the next poll; later ones are armed by a later pass
+   */
+  arm(job) {
+    if (!this.interval || !job.signed_transaction || this.timers.has(job.id)) return;
+    const delay = new Date(job.scheduled_for).getTime() - Date.now();
+    if (delay > this.config.pollIntervalMs) return;
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      this.fire(job.id).catch(error => log.error(`Scheduled launch ${job.id} failed unexpectedly`, error));
+    }, Math.max(0, delay));
+    this.timers.set(job.id, timer);
+  }
+
+  disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Send a due launch. The job is claimed first so a cancel or edit cannot race the send. A job
+   * claimed before a restart is sent again: the signed transaction is the same, so it can land once at most.
+   */
+  async fire(id) {
+    const job = await launchJobService.get(id);
+    if (!job || job.state !== 'tx_built' || !job.signed_transaction) return;
+
+    const tx = VersionedTransaction.deserialize(Buffer.from(job.signed_transaction, 'base64'));
+    const signature = bs58.encode(tx.signatures[0]);
+    let claimed = job;
+    if (!job.send_started_at) {
+      const decision = scheduleDecision(job.scheduled_for, this.config);
+      if (decision === 'wait') return this.arm(job);
+      if (decision === 'missed') {
+        await launchJobService.transition(job, 'expired', {
+          error: { message: `The launch time ${job.scheduled_for} passed while the server was unavailable`, code: 'LAUNCH_WINDOW_MISSED' },
+          where: { send_started_at: null }
+        });
+        return;
+      }
+      // The draft may have been launched some other way since; sending would mint it twice
+      const draft = job.draft_id ? await launchDraftService.get(job.user_public_key, job.draft_id) : null;
+      if (job.draft_id && (!draft || draft.status !== 'draft')) {
+        await launchJobService.transition(job, 'expired', {
+          error: { message: 'The draft was launched or removed before the launch time', code: 'DRAFT_LAUNCHED' },
+          where: { send_started_at: null }
+        });
+        return;
+      }
+      claimed = await launchJobService.amend(job, { send_started_at: new Date().toISOString() }, { where: { send_started_at: null } });
+      if (!claimed) return;
+    } else {
+      const { value } = await this.getConnection().getSignatureStatus(signature, { searchTransactionHistory: true });
+      if (value) {
+        log.info(`Scheduled launch ${id} had already been sent before a restart`, { signature });
+        return this.recordSent(claimed, { signature, rpcUrl: this.getConnection().rpcEndpoint, usedBackupRpc: false });
+      }
+    }
+
+    try {
+      const result = await sendWithRetry({ prepareTransaction: async () => tx });
+      await this.recordSent(claimed, result);
+    } catch (error) {
+      log.error(`Failed to send scheduled launch ${id}`, { error: error.message });
+      await launchJobService.transition(claimed, 'failed', {
+        error: { message: `Failed to send the scheduled launch: ${error.message}`, code: 'SEND_FAILED' }
+      });
+    }
+  }
+
+  /**
+   * Mark a launch sent, save its created_tokens row (nobody is at the client to do it) and
+   * confirm it in the background
+   */
+  async recordSent(job, { signature, rpcUrl, usedBackupRpc, sendTiming }) {
+    const lateMs = Date.now() - new Date(job.scheduled_for).getTime();
+    const sent = await launchJobService.transition(job, 'sent', {
+      fields: { tx_signature: signature, used_backup_rpc: usedBackupRpc, last_valid_block_height: null },
+      timing: { sendTransaction: sendTiming, lateMs }
+    });
+    log.info(`Scheduled launch ${job.id} sent ${lateMs}ms after its launch time`, { signature, mint: job.mint_address });
+
+    await this.recordCreatedToken(sent, signature);
+    confirmInBackground({ signature, rpcUrl, action: 'create', mint: job.mint_address, launchJobId: job.id });
+  }
+
+  async recordCreatedToken(job, signature) {
+    const metadata = job.token_metadata;
+    try {
+      const { error } = await supabase
+        .from('created_tokens')
+        .insert({
+          mint_address: job.mint_address,
+          token_name: metadata.name,
+          token_symbol: metadata.symbol,
+          token_description: metadata.description || '',
+          metadata: {
+            name: metadata.name,
+            symbol: metadata.symbol,
+            description: metadata.description || '',
+            imageFile: metadata.image || '',
+            website: metadata.website || '',
+            twitter: metadata.twitter || '',
+            telegram: metadata.telegram || ''
+          },
+          user_public_key: job.user_public_key,
+          created_at: new Date().toISOString(),
+          tx_signature: signature,
+          is_test: false,
+          status: 'pending',
+          ...(job.draft_id ? { draft_id: job.draft_id } : {})
+        });
+      if (error) throw error;
+      tickerAvailabilityService.remember({ ticker: metadata.symbol, name: metadata.name, mintAddress: job.mint_address });
+    } catch (error) {
+      log.error(`Failed to save created token for scheduled launch ${job.id}`, { mint: job.mint_address, error: error.message });
+    }
+
+    if (job.draft_id) {
+      try {
+        await launchDraftService.markLaunched(job.draft_id, { publicKey: job.user_public_key, mint: job.mint_address });
+      } catch (error) {
+        log.warn(`Failed to mark draft ${job.draft_id} launched`, { mint: job.mint_address, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * One pass: arm signed launches due before the next pass, expire launches not signed in time
+   * or that never finished preparing, and close the nonce accounts of finished launches
+   */
+  async tick() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      const now = Date.now();
+      const { data: due, error } = await supabase
+        .from('launch_jobs')
+        .select('*')
+        .not('scheduled_for', 'is', null)
+        .in('state', PRE_SEND_STATES)
+        .lte('scheduled_for', new Date(now + this.config.pollIntervalMs).toISOString());
+      if (error) throw error;
+
+      const { data: stalled, error: stalledError } = await supabase
+        .from('launch_jobs')
+        .select('*')
+        .not('scheduled_for', 'is', null)
+        .in('state', ['draft', 'metadata_uploaded'])
+        .lt('updated_at', new Date(now - STALE_PREPARING_MS).toISOString());
+      if (stalledError) throw stalledError;
+
+      // Candidates only: reschedules also touch updated_at, so the deadline is checked below
+      const { data: unsigned, error: unsignedError } = await supabase
+        .from('launch_jobs')
+        .select('*')
+        .not('scheduled_for', 'is', null)
+        .eq('state', 'tx_built')
+        .is('signed_transaction', null)
+        .lt('updated_at', new Date(now - this.config.signingWindowMs).toISOString());
+      if (unsignedError) throw unsignedError;
+
+      let armed = 0;
+      const expiring = new Map((stalled || []).map(job => [job.id, job]));
+      for (const job of unsigned || []) {
+        if (now >= new Date(signingDeadline(job, this.config)).getTime()) expiring.set(job.id, job);
+      }
+      for (const job of due || []) {
+        if (job.signed_transaction) {
+          this.arm(job);
+          armed++;
+        } else if (now >= new Date(job.scheduled_for).getTime()) {
+          expiring.set(job.id, job);
+        }
+      }
+      for (const job of expiring.values()) {
+        await launchJobService.transition(job, 'expired', {
+          error: job.state === 'tx_built'
+            ? { message: 'The wallet did not sign the launch transaction in time', code: 'NOT_SIGNED' }
+            : { message: 'Preparing the launch was interrupted', code: 'LAUNCH_INTERRUPTED' },
+          where: { send_started_at: null }
+        });
+      }
+
+      const noncesClosed = await this.closeSpentNonces();
+      this.lastRun = {
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        armed,
+        expired: expiring.size,
+        noncesClosed
+      };
+      if (armed > 0 || expiring.size > 0 || noncesClosed > 0) {
+        log.info(`Scheduler pass: ${armed} armed, ${expiring.size} expired, ${noncesClosed} nonce accounts closed`);
+      }
+    } catch (error) {
+      log.error('Scheduler pass failed', error);
+      this.lastRun = {
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        error: error.message
+      };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Return the rent of nonce accounts whose launch has finished
+   */
+  async closeSpentNonces() {
+    const { data, error } = await supabase
+      .from('launch_jobs')
+      .select('*')
+      .not('nonce_account', 'is', null)
+      .is('nonce_closed_at', null)
+      .in('state', TERMINAL_STATES)
+      .limit(NONCE_CLOSE_BATCH_SIZE);
+    if (error) throw error;
+
+    let closed = 0;
+    for (const job of data || []) {
+      try {
+        await this.closeNonce(job);
+        closed++;
+      } catch (closeError) {
+        log.warn(`Failed to close nonce account ${job.nonce_account} of launch ${job.id}`, { error: closeError.message });
+      }
+    }
+    return closed;
+  }
+
+  getStatus() {
+    return {
+      isRunning: !!this.interval,
+      available: this.isAvailable(),
+      armed: this.timers.size,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const launchScheduler = new LaunchScheduler();
+
+module.exports = { launchScheduler, LaunchScheduler, ScheduleError, toTokenMetadata };
@@ -0,0 +1,176 @@
+// LaunchSessionStore: Tracks transactions handed to the extension for client-side signing
+const crypto = require('crypto');
+const bs58 = require('bs58');
+const nacl = require('tweetnacl');
+const { Transaction, VersionedTransaction } = require('@solana/web3.js');
+
+// Blockhashes are only valid for ~60-90 seconds, so an unsigned session is useless after that
+const SESSION_TTL_MS = 2 * 60 * 1000;
+
+class LaunchSessionError extends Error {
+  constructor(message, errorCode, status = 400) {
+    super(message);
+    this.name = 'LaunchSessionError';
+    this.errorCode = errorCode;
+    this.status = status;
+  }
+}
+
+/**
+ * Message bytes and required signers for either a versioned or a legacy transaction
+ */
+function describeTransaction(tx) {
+  if (tx instanceof VersionedTransaction) {
+    const { message } = tx;
+    return {
+      messageBytes: Buffer.from(message.serialize()),
+      signers: message.staticAccountKeys
+        .slice(0, message.header.numRequiredSignatures)
+        .map(key => key.toBase58()),
+      signatures: tx.signatures.map(sig => Buffer.from(sig))
+    };
+  }
+
+  const message = tx.compileMessage();
+  const signers = message.accountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .map(key => key.toBase58());
+  const signatureMap = new Map(tx.signatures.map(({ publicKey, signature }) => [publicKey.toBase58(), signature]));
+  return {
+    messageBytes: Buffer.from(message.serialize()),
+    signers,
+    signatures: signers.map(signer => signatureMap.get(signer) || null)
+  };
+}
+
+function hashMessage(messageBytes) {
+  return crypto.createHash('sha256').update(messageBytes).digest('hex');
+}
+
+/**
+ * What verifySignedTransaction checks a signed transaction against: the issued message and its signers
+ */
+function describeIssued(tx) {
+  const { messageBytes, signers } = describeTransaction(tx);
+  return {
+    versioned: tx instanceof VersionedTransaction,
+    messageHash: hashMessage(messageBytes),
+    expectedSigners: signers
+  };
+}
+
+/**
+ * Serialize a (partially signed) transaction for the client to finish signing
+ */
+function serializeForClient(tx) {
+  if (tx instanceof VersionedTransaction) {
+    return Buffer.from(tx.serialize()).toString('base64');
+  }
+  return tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+class LaunchSessionStore {
+  constructor(ttlMs = SESSION_TTL_MS) {
+    this.sessions = new Map();
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Record an issued transaction. Only the message hash and signer set are kept;
+   * the client sends the signed transaction back on submit.
+   */
+  create({ kind, action, publicKey, mint, tx, lastValidBlockHeight, launchJobId }) {
+    this.pruneExpired();
+
+    const issued = describeIssued(tx);
+    if (!issued.expectedSigners.includes(publicKey)) {
+      throw new LaunchSessionError('Transaction does not require a signature from the requesting wallet', 'SIGNER_MISMATCH');
+    }
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      kind,
+      action,
+      publicKey,
+      mint: mint || null,
+      ...issued,
+      lastValidBlockHeight: lastValidBlockHeight || null,
+      launchJobId: launchJobId || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  get(id) {
+    this.pruneExpired();
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * Remove a session once its transaction has been submitted so it cannot be replayed
+   */
+  consume(id) {
+    this.sessions.delete(id);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (new Date(session.expiresAt).getTime() <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Deserialize a signed transaction and check it is exactly what was issued for the session
+   * (or anything else shaped like describeIssued): same message bytes, same signer set and a
+   * valid signature from every signer.
+   */
+  verifySignedTransaction(session, signedTransactionBase64) {
+    let tx;
+    try {
+      const raw = Buffer.from(signedTransactionBase64, 'base64');
+      tx = session.versioned ? VersionedTransaction.deserialize(new Uint8Array(raw)) : Transaction.from(raw);
+    } catch (e) {
+      throw new LaunchSessionError('Signed transaction could not be deserialized', 'INVALID_TRANSACTION');
+    }
+
+    const { messageBytes, signers, signatures } = describeTransaction(tx);
+
+    if (hashMessage(messageBytes) !== session.messageHash) {
+      throw new LaunchSessionError('Signed transaction does not match the transaction that was issued', 'MESSAGE_MISMATCH');
+    }
+
+    const sameSigners = signers.length === session.expectedSigners.length &&
+      signers.every((signer, idx) => signer === session.expectedSigners[idx]);
+    if (!sameSigners) {
+      throw new LaunchSessionError('Signed transaction signer set does not match the issued transaction', 'SIGNER_MISMATCH');
+    }
+
+    signers.forEach((signer, idx) => {
+      const signature = signatures[idx];
+      const valid = signature && signature.length === 64 &&
+        nacl.sign.detached.verify(messageBytes, signature, bs58.decode(signer));
+      if (!valid) {
+        throw new LaunchSessionError(`Missing or invalid signature for ${signer}`, 'INVALID_SIGNATURE');
+      }
+    });
+
+    return tx;
+  }
+}
+
+// Create singleton instance
+const launchSessionStore = new LaunchSessionStore();
+
+module.exports = {
+  launchSessionStore,
+  LaunchSessionStore,
+  LaunchSessionError,
+  serializeForClient,
+  describeIssued
+};
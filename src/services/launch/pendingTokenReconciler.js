@@ -0,0 +1,176 @@
+// PendingTokenReconciler: Settles created_tokens rows left pending by interrupted background confirmations
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { supabase } = require('../../config/database');
+const { recordStatusAudit } = require('./tokenStatus');
+const { decideBySignature, decideByMintAccount, toStatusUpdate, toAuditEntry } = require('./reconcileRules');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('Reconciler');
+
+const SIGNATURE_STATUS_BATCH_SIZE = 256; // getSignatureStatuses limit
+const ACCOUNT_INFO_BATCH_SIZE = 100; // getMultipleAccountsInfo limit
+// 'error' is written when background confirmation times out, which says nothing about the outcome
+const UNRESOLVED_STATUSES = ['pending', 'error'];
+
+class PendingTokenReconciler {
+  constructor() {
+    this.interval = null;
+    this.isRunning = false;
+    this.lastRunStatus = null;
+  }
+
+  start(intervalMinutes = Number(process.env.PENDING_TOKEN_RECONCILE_INTERVAL_MINUTES) || 5) {
+    if (this.interval) {
+      log.info('Already running');
+      return;
+    }
+    // Run once on boot, then on the schedule
+    this.reconcile();
+    this.interval = setInterval(() => this.reconcile(), intervalMinutes * 60 * 1000);
+    log.info(`Started with ${intervalMinutes} minute intervals`);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    log.info('Stopped');
+  }
+
+  getConnection() {
+    const rpcUrl = process.env.SWAP_SOLANA_RPC_URL
+      || process.env.SOLANA_RPC_URL
+      || 'https://api.mainnet-beta.solana.com';
+    return new Connection(rpcUrl, 'confirmed');
+  }
+
+  async getUnresolvedTokens() {
+    const { data, error } = await supabase
+      .from('created_tokens')
+      .select('mint_address, tx_signature, status, created_at')
+      .in('status', UNRESOLVED_STATUSES)
+      .eq('is_test', false);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async reconcile() {
+    if (this.isRunning) return this.lastRunStatus;
+    this.isRunning = true;
+    const startTime = new Date();
+    const changes = [];
+
+    try {
+      const tokens = await this.getUnresolvedTokens();
+      const connection = this.getConnection();
+
+      const withSignature = tokens.filter(token => token.tx_signature);
+      const withoutSignature = tokens.filter(token => !token.tx_signature);
+
+      changes.push(...await this.reconcileBySignature(connection, withSignature));
+      changes.push(...await this.reconcileByMintAccount(connection, withoutSignature));
+
+      let applied = 0;
+      for (const change of changes) {
+        if (await this.applyChange(change)) applied++;
+      }
+
+      this.lastRunStatus = {
+        status: 'completed',
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        tokensChecked: tokens.length,
+        tokensUpdated: applied
+      };
+      if (applied > 0) {
+        log.info(`${applied}/${tokens.length} unresolved tokens settled`);
+      }
+    } catch (error) {
+      log.error('Reconciliation failed', error);
+      this.lastRunStatus = {
+        status: 'failed',
+        startTime: startTime.toISOString(),
+        endTime: new Date().toISOString(),
+        error: error.message
+      };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastRunStatus;
+  }
+
+  async reconcileBySignature(connection, tokens) {
+    const changes = [];
+    for (let i = 0; i < tokens.length; i += SIGNATURE_STATUS_BATCH_SIZE) {
+      const batch = tokens.slice(i, i + SIGNATURE_STATUS_BATCH_SIZE);
+      const { value: statuses } = await connection.getSignatureStatuses(
+        batch.map(token => token.tx_signature),
+        { searchTransactionHistory: true }
+      );
+
+      batch.forEach((token, idx) => {
+        const change = decideBySignature(token, statuses[idx]);
+        if (change) changes.push(change);
+      });
+    }
+    return changes;
+  }
+
+  async reconcileByMintAccount(connection, tokens) {
+    const changes = [];
+    const checkable = [];
+
+    for (const token of tokens) {
+      try {
+        checkable.push({ token, pubkey: new PublicKey(token.mint_address) });
+      } catch (e) {
+        changes.push({ token, newStatus: 'failed', reason: 'Invalid mint address' });
+      }
+    }
+
+    for (let i = 0; i < checkable.length; i += ACCOUNT_INFO_BATCH_SIZE) {
+      const batch = checkable.slice(i, i + ACCOUNT_INFO_BATCH_SIZE);
+      const accounts = await connection.getMultipleAccountsInfo(batch.map(item => item.pubkey));
+
+      batch.forEach(({ token }, idx) => {
+        const change = decideByMintAccount(token, accounts[idx]);
+        if (change) changes.push(change);
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * Apply a status change only if the row still has the status we read, then audit it
+   */
+  async applyChange(change) {
+    const { token, newStatus, reason } = change;
+    const { data, error } = await supabase
+      .from('created_tokens')
+      .update(toStatusUpdate(change))
+      .eq('mint_address', token.mint_address)
+      .eq('status', token.status)
+      .select('mint_address');
+
+    if (error) {
+      log.error(`Failed to update ${token.mint_address}`, { error: error.message });
+      return false;
+    }
+    if (!data || data.length === 0) return false; // changed underneath us
+
+    await recordStatusAudit(toAuditEntry(change));
+    log.info(`${token.mint_address}: ${token.status} -> ${newStatus} (${reason})`);
+    return true;
+  }
+
+  getLastRunStatus() {
+    return this.lastRunStatus;
+  }
+}
+
+// Create singleton instance
+const pendingTokenReconciler = new PendingTokenReconciler();
+
+module.exports = { pendingTokenReconciler };
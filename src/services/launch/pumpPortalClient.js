@@ -0,0 +1,66 @@
+// pump.fun IPFS and PumpPortal trade-local calls shared by /api/trade-local and scheduled launches
+const axios = require('axios');
+const FormData = require('form-data');
+
+const IPFS_URL = 'https://pump.fun/api/ipfs';
+const TRADE_LOCAL_URL = 'https://pumpportal.fun/api/trade-local';
+
+/**
+ * The description as pinned: the user's text with 'powered by Blazr' on a new line, unless already present
+ */
+function withAttribution(description) {
+  const text = description || '';
+  return text.toLowerCase().includes('powered by blazr') ? text : text.trim() + '\n\npowered by Blazr';
+}
+
+/**
+ * Pin a token's metadata and logo to pump.fun's IPFS. `image` is an imagePipeline result.
+ * Resolves to { metadataUri, imageUri }: the URI the create transaction points at and the pinned logo.
+ */
+async function uploadMetadata(tokenMetadata, image) {
+  const formData = new FormData();
+  formData.append('name', tokenMetadata.name);
+  formData.append('symbol', tokenMetadata.symbol);
+  formData.append('description', withAttribution(tokenMetadata.description));
+  formData.append('twitter', tokenMetadata.twitter || '');
+  // Links from the source adapter, e.g. a Telegram channel or a news article
+  if (tokenMetadata.telegram) formData.append('telegram', tokenMetadata.telegram);
+  if (tokenMetadata.website) formData.append('website', tokenMetadata.website);
+  formData.append('showName', 'true');
+  formData.append('file', image.buffer, { filename: image.filename, contentType: image.mime });
+
+  const response = await axios.post(IPFS_URL, formData, { headers: formData.getHeaders() });
+  return { metadataUri: response.data.metadataUri, imageUri: response.data.metadata?.image || null };
+}
+
+/**
+ * Unsigned transaction bytes from PumpPortal for a trade-local request body. PumpPortal reports
+ * errors as JSON instead of a transaction; those are thrown with the original error as `details`.
+ */
+async function requestTradeTransaction(body) {
+  const response = await axios.post(TRADE_LOCAL_URL, body, {
+    timeout: 60000,
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    },
+    responseType: 'arraybuffer'
+  });
+  const data = Buffer.from(response.data);
+
+  let parsed = null;
+  try {
+    parsed = JSON.parse(data.toString());
+  } catch (e) {
+    // Not JSON: the serialized transaction
+  }
+  if (parsed && parsed.error) {
+    const error = new Error(`PumpPortal refused the transaction: ${parsed.error}`);
+    error.details = parsed;
+    throw error;
+  }
+  return data;
+}
+
+module.exports = { uploadMetadata, requestTradeTransaction, withAttribution, TRADE_LOCAL_URL };
@@ -0,0 +1,66 @@
+// How the pending token reconciler settles a created_tokens row. Pure, so it can be tested without a database or RPC.
+
+// Rows still unseen on-chain after this long are treated as never having landed
+const PENDING_EXPIRY_MS = 10 * 60 * 1000;
+
+function isStale(token, now = Date.now()) {
+  return now - new Date(token.created_at).getTime() > PENDING_EXPIRY_MS;
+}
+
+/**
+ * The change for a row with a transaction signature, given its signature status (null if never
+ * seen), or null to leave it for a later pass
+ */
+function decideBySignature(token, status, now = Date.now()) {
+  if (status && status.err) {
+    return { token, newStatus: 'failed', reason: 'Transaction failed on-chain', details: { err: status.err } };
+  }
+  if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+    return { token, newStatus: 'confirmed', reason: `Signature ${status.confirmationStatus}`, details: { slot: status.slot } };
+  }
+  if (!status && isStale(token, now)) {
+    return { token, newStatus: 'expired', reason: 'Signature not found on-chain' };
+  }
+  return null;
+}
+
+/**
+ * The change for a row without a signature, given its mint account (null if it does not exist),
+ * or null to leave it for a later pass
+ */
+function decideByMintAccount(token, account, now = Date.now()) {
+  if (account) {
+    return { token, newStatus: 'confirmed', reason: 'Mint account exists on-chain', details: { owner: account.owner.toBase58() } };
+  }
+  if (isStale(token, now)) {
+    return { token, newStatus: 'expired', reason: 'Mint account not found and no transaction signature recorded' };
+  }
+  return null;
+}
+
+/**
+ * The created_tokens update for a change, and the audit entry recorded once it is applied
+ */
+function toStatusUpdate({ newStatus }, at = new Date().toISOString()) {
+  return { status: newStatus, confirmed_at: newStatus === 'confirmed' ? at : null };
+}
+
+function toAuditEntry({ token, newStatus, reason, details }) {
+  return {
+    mint: token.mint_address,
+    signature: token.tx_signature,
+    previousStatus: token.status,
+    newStatus,
+    source: 'reconciler',
+    reason,
+    details
+  };
+}
+
+module.exports = {
+  PENDING_EXPIRY_MS,
+  decideBySignature,
+  decideByMintAccount,
+  toStatusUpdate,
+  toAuditEntry
+};
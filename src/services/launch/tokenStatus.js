@@ -0,0 +1,36 @@
+// Status vocabulary and audit trail for created_tokens rows
+const { supabase } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('TokenStatus');
+
+// Values accepted by PATCH /api/created-tokens/:mint/status and written by the reconciler
+const CREATED_TOKEN_STATUSES = ['pending', 'confirmed', 'failed', 'expired'];
+
+/**
+ * Record a status change made to a created_tokens row. Audit failures are logged, not thrown.
+ */
+async function recordStatusAudit({ mint, signature, previousStatus, newStatus, source, reason, details }) {
+  try {
+    const { error } = await supabase
+      .from('created_token_status_audit')
+      .insert({
+        mint_address: mint,
+        tx_signature: signature || null,
+        previous_status: previousStatus || null,
+        new_status: newStatus,
+        source,
+        reason: reason || null,
+        details: details || null,
+        created_at: new Date().toISOString()
+      });
+    if (error) throw error;
+  } catch (error) {
+    log.error(`Failed to write audit entry for ${mint}`, { error: error.message });
+  }
+}
+
+module.exports = {
+  CREATED_TOKEN_STATUSES,
+  recordStatusAudit
+};
@@ -0,0 +1,35 @@
+// The /api/trade-local create request for a token, for clients that launch from stored metadata
+// (generation history, drafts). No I/O.
+
+// Same fee the server pays when it launches through pumpportal itself
+const DEFAULT_PRIORITY_FEE = 0.0001;
+
+/**
+ * Form fields for POST /api/trade-local with action 'create'. `links` are the socials
+ * ({ twitter, telegram, website }); `ids` are optional references recorded on the launch job
+ * (metadataVersionId, promptTemplateId, draftId). The logo is not a field: clients upload it as imageFile.
+ */
+function buildCreateRequest({ publicKey, name, symbol, description, links = {}, amount = 0, slippage = 10, pool = 'pump', ids = {} }) {
+  const fields = {
+    action: 'create',
+    publicKey,
+    tokenMetadata: JSON.stringify({
+      name,
+      symbol,
+      description,
+      ...Object.fromEntries(Object.entries(links).filter(([, url]) => url))
+    }),
+    amount,
+    denominatedInSol: 'true',
+    slippage,
+    priorityFee: DEFAULT_PRIORITY_FEE,
+    pool,
+    signingMode: 'client'
+  };
+  for (const [key, value] of Object.entries(ids)) {
+    if (value) fields[key] = value;
+  }
+  return { method: 'POST', url: '/api/trade-local', fields };
+}
+
+module.exports = { buildCreateRequest, DEFAULT_PRIORITY_FEE };
@@ -0,0 +1,181 @@
+// Multi-RPC send loop and background confirmation shared by the launch/trade endpoints
+const { Connection } = require('@solana/web3.js');
+const { supabase } = require('../../config/database');
+const { launchJobService } = require('./launchJobs');
+const { logger } = require('../../utils/logger');
+
+const sendLog = logger.child('TxSender');
+const backgroundLog = logger.child('Background');
+
+const MAX_SEND_ATTEMPTS = 2;
+const QUICK_CHECK_TIMEOUT_MS = 3000; // 3 seconds max for quick check
+const CONFIRMATION_TIMEOUT_MS = 45000;
+
+/**
+ * RPC endpoints used for sending, in priority order (primary, backup)
+ */
+function getSendRpcUrls() {
+  return [process.env.SWAP_SOLANA_RPC_URL, process.env.SWAP2_SOLANA_RPC_URL].filter(Boolean);
+}
+
+/**
+ * Send a transaction through each RPC in turn, retrying on blockhash expiry.
+ *
+ * `prepareTransaction(connection, context)` is called before every attempt and must
+ * return a fully signed transaction. Server-signed flows use it to refresh the
+ * blockhash and re-sign; client-signed flows return the same transaction untouched.
+ */
+async function sendWithRetry({ prepareTransaction, rpcUrls = getSendRpcUrls() }) {
+  let signature = null;
+  let lastError = null;
+  let sendTiming = 0;
+  let usedBackupRpc = false;
+
+  for (let attempt = 0; attempt < MAX_SEND_ATTEMPTS; attempt++) {
+    for (let rpcIdx = 0; rpcIdx < rpcUrls.length; rpcIdx++) {
+      try {
+        const sendStart = Date.now();
+        const connection = new Connection(rpcUrls[rpcIdx], 'confirmed');
+        const tx = await prepareTransaction(connection, { attempt, rpcIdx, rpcUrl: rpcUrls[rpcIdx] });
+
+        sendLog.info(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Signed transaction, sending...`);
+        signature = await connection.sendTransaction(tx, {
+          maxRetries: 3,
+          preflightCommitment: 'processed',
+          skipPreflight: false
+        });
+        sendTiming = Date.now() - sendStart;
+        sendLog.info(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction sent`, { signature });
+
+        // Quick check that transaction was accepted (with timeout)
+        const quickStatus = await Promise.race([
+          connection.getSignatureStatus(signature),
+          new Promise((_, reject) => setTimeout(() => reject(new Error('Quick status check timeout')), QUICK_CHECK_TIMEOUT_MS))
+        ]);
+
+        if (!quickStatus || !quickStatus.value) {
+          throw new Error(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction not accepted by network`);
+        }
+
+        sendLog.info(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Transaction accepted by network`, { signature });
+        usedBackupRpc = rpcIdx === 1;
+        break; // Success
+      } catch (err) {
+        lastError = err;
+        sendLog.error(`[Attempt ${attempt + 1}, RPC ${rpcIdx + 1}] Error sending transaction`, err);
+        // If not last RPC, try next one
+        if (rpcIdx < rpcUrls.length - 1) {
+          continue;
+        }
+        // If blockhash error, try next attempt (new blockhash)
+        if (err.message && err.message.includes('block height exceeded')) {
+          continue;
+        }
+        break; // Other errors, do not retry
+      }
+    }
+    if (signature) break;
+  }
+
+  if (!signature) {
+    throw lastError || new Error('Failed to send transaction');
+  }
+
+  // Confirm through the same RPC that successfully sent the transaction
+  return { signature, sendTiming, usedBackupRpc, rpcUrl: rpcUrls[usedBackupRpc ? 1 : 0] };
+}
+
+/**
+ * Update the created_tokens row for a launch, matching by mint first and by signature second
+ */
+async function updateCreatedTokenStatus({ mint, signature, status }) {
+  const updateData = {
+    status,
+    confirmed_at: status === 'confirmed' ? new Date().toISOString() : null,
+    tx_signature: signature
+  };
+
+  // Try to find by mint address first
+  let updateResult = await supabase
+    .from('created_tokens')
+    .update(updateData)
+    .eq('mint_address', mint)
+    .select();
+
+  // If no rows updated, try to find by signature
+  if (!updateResult.data || updateResult.data.length === 0) {
+    backgroundLog.info(`No token found by mint, trying signature: ${signature}`);
+    updateResult = await supabase
+      .from('created_tokens')
+      .update(updateData)
+      .eq('tx_signature', signature)
+      .select();
+  }
+
+  if (updateResult.data && updateResult.data.length > 0) {
+    backgroundLog.info(`Database updated with ${status} status for signature: ${signature}`);
+  } else {
+    backgroundLog.info(`No token record found to update ${status} status for signature: ${signature}`);
+  }
+}
+
+/**
+ * Wait for confirmation and record the outcome on the created_tokens row (create actions only)
+ * and on the launch job, if there is one. A timeout leaves the job in `sent` for the
+ * resume worker to settle later.
+ */
+async function confirmTransaction({ signature, rpcUrl, action, mint, launchJobId }) {
+  const recordStatus = async (status) => {
+    if (action !== 'create') return;
+    try {
+      await updateCreatedTokenStatus({ mint, signature, status });
+    } catch (dbError) {
+      backgroundLog.error('Database update failed', dbError);
+    }
+  };
+
+  try {
+    backgroundLog.info(`Starting confirmation for signature: ${signature}`);
+
+    // Use the same connection that successfully sent the transaction
+    const confirmConnection = new Connection(rpcUrl, 'confirmed');
+
+    // Wait for confirmation with reasonable timeout
+    const confirmation = await Promise.race([
+      confirmConnection.confirmTransaction(signature, 'confirmed'),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Confirmation timeout')), CONFIRMATION_TIMEOUT_MS))
+    ]);
+
+    if (confirmation.value && !confirmation.value.err) {
+      backgroundLog.info(`Transaction confirmed: ${signature}`);
+      await recordStatus('confirmed');
+      await launchJobService.transitionById(launchJobId, 'confirmed');
+    } else {
+      backgroundLog.error(`Transaction failed: ${signature}`, confirmation.value?.err);
+      await recordStatus('failed');
+      await launchJobService.transitionById(launchJobId, 'failed', {
+        error: { message: 'Transaction failed on-chain', code: 'TRANSACTION_FAILED', details: confirmation.value?.err }
+      });
+    }
+  } catch (error) {
+    backgroundLog.error(`Confirmation error for ${signature}`, { error: error.message });
+    await recordStatus('error');
+  }
+}
+
+/**
+ * Start background confirmation without blocking the response
+ */
+function confirmInBackground(params) {
+  confirmTransaction(params).catch(err => {
+    backgroundLog.error('Unhandled confirmation error', err);
+  });
+}
+
+module.exports = {
+  getSendRpcUrls,
+  sendWithRetry,
+  confirmTransaction,
+  confirmInBackground,
+  updateCreatedTokenStatus
+};
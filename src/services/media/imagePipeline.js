@@ -0,0 +1,300 @@
+// ImagePipeline: Turns whatever a client uploads into a launch-ready token logo (square, metadata-free, small)
+const fs = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { getImageConfig } = require('../../config/images');
+
+class ImageError extends Error {
+  constructor(message, errorCode, status = 400, details = null) {
+    super(message);
+    this.name = 'ImageError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff'
+};
+
+// Formats recognized only so the error can name them
+const UNSUPPORTED_FORMATS = ['svg', 'heic', 'avif'];
+
+// Lower WebP qualities tried, in order, when an encoded logo is over the byte budget
+const WEBP_FALLBACK_QUALITIES = [70, 50, 35];
+
+/**
+ * Image format from the file's magic bytes, never from its name or declared content type.
+ * Returns null when the bytes are not a known image.
+ */
+function sniffFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) return 'heic';
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+  }
+  const head = ascii(0, 256).trimStart().toLowerCase();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'svg';
+  return null;
+}
+
+/**
+ * { width, height } from the header alone, so oversized bitmaps are refused before decoding.
+ * Null when the header does not say (TIFF) or cannot be read.
+ */
+function readDimensions(buffer, format) {
+  try {
+    switch (format) {
+      case 'png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'bmp':
+        return { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+      case 'webp': {
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        return null;
+      }
+      case 'jpeg': {
+        // Walk the segments up to the first start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+          if (buffer[offset] !== 0xff) return null;
+          const marker = buffer[offset + 1];
+          if (marker === 0xff) {
+            offset += 1;
+            continue;
+          }
+          if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+          }
+          offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Bytes from a data: URL or a bare base64 string. The declared type is ignored; sniffFormat decides.
+ */
+function decodeDataUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ImageError('Image must be a base64 string or data URL', 'INVALID_IMAGE');
+  }
+  const match = value.trim().match(/^data:[^,]*;base64,(.*)$/s);
+  const base64 = (match ? match[1] : value).replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new ImageError('Image is not valid base64', 'INVALID_IMAGE');
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+function toDataUrl({ buffer, mime }) {
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+}
+
+let webpCodecs = null;
+
+/**
+ * jsquash's WebP codecs are ES modules that fetch their wasm over file:// under Node, which fails.
+ * Load them once and hand them compiled modules instead. The encoder uses its SIMD build whenever
+ * the runtime supports SIMD, so compile the binary it will pick.
+ */
+function loadWebpCodecs() {
+  if (!webpCodecs) {
+    webpCodecs = (async () => {
+      const dir = path.join(path.dirname(require.resolve('@jsquash/webp/package.json')), 'codec');
+      const wasm = file => fs.readFileSync(path.join(dir, file));
+      const [decoder, encoder] = await Promise.all([
+        import('@jsquash/webp/decode.js'),
+        import('@jsquash/webp/encode.js')
+      ]);
+      const simdEncoder = wasm('enc/webp_enc_simd.wasm');
+      await decoder.init(await WebAssembly.compile(wasm('dec/webp_dec.wasm')));
+      await encoder.init(await WebAssembly.compile(WebAssembly.validate(simdEncoder) ? simdEncoder : wasm('enc/webp_enc.wasm')));
+      return { decode: decoder.default, encode: encoder.default };
+    })();
+    webpCodecs.catch(() => {
+      webpCodecs = null;
+    });
+  }
+  return webpCodecs;
+}
+
+class ImagePipeline {
+  constructor(config = getImageConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Pixels only. Jimp applies the EXIF orientation while decoding, and nothing read from the
+   * file besides pixels survives re-encoding, so EXIF/GPS and other metadata are dropped.
+   * Animated GIFs keep their first frame.
+   */
+  async decode(buffer, format) {
+    if (format === 'webp') {
+      const { decode } = await loadWebpCodecs();
+      const { data, width, height } = await decode(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+      return Jimp.fromBitmap({ data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), width, height });
+    }
+    return Jimp.fromBuffer(buffer);
+  }
+
+  async encodeWebp(image, quality) {
+    const { encode } = await loadWebpCodecs();
+    const { data, width, height } = image.bitmap;
+    const encoded = await encode({ data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.byteLength), width, height }, { quality });
+    return Buffer.from(encoded);
+  }
+
+  /**
+   * Encode in the configured format, trading quality for size until the logo fits maxBytes:
+   * a 256-colour PNG, then lossy WebP at falling quality
+   */
+  async encode(image) {
+    const { format, maxBytes, webpQuality } = this.config;
+    const attempts = format === 'png'
+      ? [
+        { format: 'png', run: () => image.getBuffer('image/png') },
+        { format: 'png', run: () => image.clone().quantize({ colors: 256 }).getBuffer('image/png') }
+      ]
+      : [];
+    for (const quality of [webpQuality, ...WEBP_FALLBACK_QUALITIES.filter(q => q < webpQuality)]) {
+      attempts.push({ format: 'webp', run: () => this.encodeWebp(image, quality) });
+    }
+
+    let smallest = null;
+    for (const attempt of attempts) {
+      const buffer = await attempt.run();
+      if (buffer.length <= maxBytes) return { buffer, format: attempt.format };
+      if (!smallest || buffer.length < smallest) smallest = buffer.length;
+    }
+    throw new ImageError(
+      `Image could not be compressed under ${maxBytes} bytes`,
+      'IMAGE_TOO_LARGE',
+      413,
+      { maxBytes, smallestBytes: smallest }
+    );
+  }
+
+  /**
+   * Validate and decode an uploaded image: sniff the real format, refuse non-images and oversized
+   * input. Returns { image, source: { format, width, height } } with image a metadata-free Jimp bitmap.
+   */
+  async load(input) {
+    const { maxInputBytes, maxInputPixels } = this.config;
+    const buffer = Buffer.isBuffer(input) ? input : null;
+    if (!buffer || buffer.length === 0) {
+      throw new ImageError('Image is empty', 'INVALID_IMAGE');
+    }
+    if (buffer.length > maxInputBytes) {
+      throw new ImageError(`Image is larger than ${maxInputBytes} bytes`, 'IMAGE_TOO_LARGE', 413, { maxBytes: maxInputBytes });
+    }
+
+    const sourceFormat = sniffFormat(buffer);
+    if (!sourceFormat) {
+      throw new ImageError('File is not a supported image', 'INVALID_IMAGE');
+    }
+    if (UNSUPPORTED_FORMATS.includes(sourceFormat)) {
+      throw new ImageError(
+        `${sourceFormat.toUpperCase()} images are not supported; use PNG, JPEG, GIF or WebP`,
+        'UNSUPPORTED_IMAGE_FORMAT',
+        415,
+        { format: sourceFormat }
+      );
+    }
+
+    const dimensions = readDimensions(buffer, sourceFormat);
+    if (dimensions && dimensions.width * dimensions.height > maxInputPixels) {
+      throw new ImageError(
+        `Image is ${dimensions.width}x${dimensions.height}, over the ${maxInputPixels} pixel limit`,
+        'IMAGE_TOO_LARGE',
+        413,
+        { ...dimensions, maxPixels: maxInputPixels }
+      );
+    }
+
+    let image;
+    try {
+      image = await this.decode(buffer, sourceFormat);
+    } catch (error) {
+      throw new ImageError(`Could not decode the ${sourceFormat} image: ${error.message}`, 'INVALID_IMAGE');
+    }
+    return { image, source: { format: sourceFormat, width: image.bitmap.width, height: image.bitmap.height } };
+  }
+
+  /**
+   * Center-crop to a square: cover() scales the short side to config.size and trims the long side
+   */
+  square(image) {
+    const { size } = this.config;
+    return image.cover({ w: size, h: size });
+  }
+
+  /**
+   * Encoded logo for a finished bitmap, in the shape process() returns
+   */
+  async output(image, source) {
+    const { buffer, format } = await this.encode(image);
+    return {
+      buffer,
+      mime: MIME_TYPES[format],
+      format,
+      filename: `token.${format}`,
+      width: image.bitmap.width,
+      height: image.bitmap.height,
+      bytes: buffer.length,
+      source
+    };
+  }
+
+  /**
+   * Validate, clean and normalize an uploaded logo: load it, center-crop to a square of config.size
+   * and re-encode. Returns { buffer, mime, format, filename, width, height, bytes, source: { format, width, height } }.
+   */
+  async process(input) {
+    const { image, source } = await this.load(input);
+    return this.output(this.square(image), source);
+  }
+}
+
+// Create singleton instance
+const imagePipeline = new ImagePipeline();
+
+module.exports = {
+  imagePipeline,
+  ImagePipeline,
+  ImageError,
+  sniffFormat,
+  readDimensions,
+  decodeDataUrl,
+  toDataUrl
+};
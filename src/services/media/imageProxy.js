@@ -0,0 +1,54 @@
+// ImageProxyService: Fetches remote images for /api/proxy-image and for vision prompts
+const fetch = require('node-fetch');
+const { publicHttpAgent, publicHttpsAgent, requestPublicUrl } = require('../../utils/publicUrl');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class ImageProxyService {
+  /**
+   * Open a remote image; the caller streams or reads the body. URLs come from clients, so only
+   * public addresses are contacted, on every redirect hop.
+   */
+  async open(url, { timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = 0 } = {}) {
+    const response = await requestPublicUrl(url, async (hopUrl) => {
+      const hop = await fetch(hopUrl, {
+        headers: { 'User-Agent': 'Mozilla/5.0' },
+        timeout: timeoutMs,
+        size: maxBytes,
+        redirect: 'manual',
+        agent: parsed => (parsed.protocol === 'http:' ? publicHttpAgent : publicHttpsAgent)
+      });
+      const isRedirect = hop.status >= 300 && hop.status < 400 && hop.headers.has('location');
+      return { response: hop, location: isRedirect ? hop.headers.get('location') : null };
+    });
+    if (!response.ok) {
+      throw new Error(`Image request failed with status ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Whole image in memory, refusing anything that is not an image or is over maxBytes
+   */
+  async fetchImage(url, { maxBytes, timeoutMs } = {}) {
+    const response = await this.open(url, { maxBytes, timeoutMs });
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!contentType.startsWith('image/')) {
+      throw new Error(`Expected an image but got ${contentType || 'no content type'}`);
+    }
+    return { buffer: await response.buffer(), contentType };
+  }
+
+  /**
+   * data: URL, the form vision models accept for images they cannot fetch themselves
+   */
+  async toDataUrl(url, options) {
+    const { buffer, contentType } = await this.fetchImage(url, options);
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  }
+}
+
+// Create singleton instance
+const imageProxyService = new ImageProxyService();
+
+module.exports = { imageProxyService, ImageProxyService };
@@ -0,0 +1,279 @@
+// LogoComposer: Stamps the ticker (and name) onto a source image to make a coin logo, following presets in logoPresets.json
+const { Jimp, loadFont, measureText } = require('jimp');
+const fonts = require('jimp/fonts');
+const { imagePipeline, ImageError } = require('./imagePipeline');
+const PRESETS = require('./logoPresets.json');
+
+const SHAPES = ['square', 'circle'];
+const TEXT_POSITIONS = ['top', 'center', 'bottom'];
+const BADGE_POSITIONS = ['top-left', 'top', 'top-right', 'center', 'bottom-left', 'bottom', 'bottom-right'];
+const COLOR_PATTERN = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Bitmap fonts bundled with Jimp, largest first. Only their alpha is used; colour comes from the preset.
+const FONT_FILES = {
+  128: fonts.SANS_128_WHITE,
+  64: fonts.SANS_64_WHITE,
+  32: fonts.SANS_32_WHITE,
+  16: fonts.SANS_16_WHITE
+};
+const FONT_SIZES = Object.keys(FONT_FILES).map(Number).sort((a, b) => b - a);
+
+const MAX_TICKER_LENGTH = 10;
+const MAX_NAME_LENGTH = 32;
+
+/**
+ * Throws on the first malformed preset, so a bad edit to logoPresets.json fails at startup
+ */
+function validatePresets(presets) {
+  const fail = (id, problem) => {
+    throw new Error(`Logo preset "${id}" ${problem}`);
+  };
+  for (const [id, preset] of Object.entries(presets)) {
+    if (!preset.label) fail(id, 'needs a label');
+    if (!SHAPES.includes(preset.shape)) fail(id, `shape must be one of: ${SHAPES.join(', ')}`);
+    if (!Array.isArray(preset.layers)) fail(id, 'needs a layers array');
+    preset.layers.forEach((layer, index) => {
+      const where = `layer ${index}`;
+      const colors = [];
+      if (layer.type === 'text') {
+        if (!TEXT_POSITIONS.includes(layer.position)) fail(id, `${where}: position must be one of: ${TEXT_POSITIONS.join(', ')}`);
+        colors.push(layer.fill, ...(layer.outline ? [layer.outline] : []));
+      } else if (layer.type === 'badge') {
+        if (!BADGE_POSITIONS.includes(layer.position)) fail(id, `${where}: position must be one of: ${BADGE_POSITIONS.join(', ')}`);
+        colors.push(layer.fill, layer.background);
+      } else if (layer.type === 'border') {
+        if (!(layer.width > 0)) fail(id, `${where}: border width must be positive`);
+        colors.push(layer.color);
+      } else {
+        fail(id, `${where}: unknown type "${layer.type}"`);
+      }
+      if (['text', 'badge'].includes(layer.type) && typeof layer.text !== 'string') fail(id, `${where}: needs text`);
+      if (colors.some(color => !COLOR_PATTERN.test(color || ''))) fail(id, `${where}: colours must be #rrggbb or #rrggbbaa`);
+    });
+  }
+  return presets;
+}
+
+function parseColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return hex.length === 9
+    ? { r: (value >>> 24) & 255, g: (value >>> 16) & 255, b: (value >>> 8) & 255, a: value & 255 }
+    : { r: (value >>> 16) & 255, g: (value >>> 8) & 255, b: value & 255, a: 255 };
+}
+
+/**
+ * Bundled fonts only carry printable ASCII
+ */
+function printable(text) {
+  return String(text || '').replace(/[^\x20-\x7e]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+const fontCache = new Map();
+
+function getFont(size) {
+  if (!fontCache.has(size)) {
+    const loading = loadFont(FONT_FILES[size]);
+    loading.catch(() => fontCache.delete(size));
+    fontCache.set(size, loading);
+  }
+  return fontCache.get(size);
+}
+
+/**
+ * Largest bundled font, no bigger than maxSize, that fits the text in maxWidth
+ */
+async function fitFont(text, maxWidth, maxSize = FONT_SIZES[0]) {
+  const sizes = FONT_SIZES.filter(size => size <= maxSize);
+  for (const size of sizes) {
+    const font = await getFont(size);
+    if (measureText(font, text) <= maxWidth) return { font, size };
+  }
+  const size = sizes[sizes.length - 1] || FONT_SIZES[FONT_SIZES.length - 1];
+  return { font: await getFont(size), size };
+}
+
+/**
+ * Alpha-blend a colour over one pixel of a bitmap
+ */
+function blendPixel(data, idx, { r, g, b }, alpha) {
+  if (alpha <= 0) return;
+  const dstAlpha = data[idx + 3] / 255;
+  const outAlpha = alpha + dstAlpha * (1 - alpha);
+  data[idx] = Math.round((r * alpha + data[idx] * dstAlpha * (1 - alpha)) / outAlpha);
+  data[idx + 1] = Math.round((g * alpha + data[idx + 1] * dstAlpha * (1 - alpha)) / outAlpha);
+  data[idx + 2] = Math.round((b * alpha + data[idx + 2] * dstAlpha * (1 - alpha)) / outAlpha);
+  data[idx + 3] = Math.round(outAlpha * 255);
+}
+
+/**
+ * Text as a transparent layer: glyphs in `fill`, optionally ringed by `outline` outlineWidth pixels wide
+ */
+async function renderText(text, { font, fill, outline = null, outlineWidth = 0 }) {
+  const pad = outline ? outlineWidth : 0;
+  const width = measureText(font, text) + pad * 2;
+  const height = font.common.lineHeight + pad * 2;
+  const glyphs = new Jimp({ width, height, color: 0x00000000 });
+  glyphs.print({ font, x: pad, y: pad, text });
+
+  const alpha = new Uint8Array(width * height);
+  for (let i = 0; i < alpha.length; i++) alpha[i] = glyphs.bitmap.data[i * 4 + 3];
+
+  const layer = new Jimp({ width, height, color: 0x00000000 });
+  const { data } = layer.bitmap;
+
+  if (outline) {
+    // Dilate the glyph alpha with a round kernel: each pixel takes the strongest glyph pixel within outlineWidth
+    const outlineColor = parseColor(outline);
+    const offsets = [];
+    for (let dy = -pad; dy <= pad; dy++) {
+      for (let dx = -pad; dx <= pad; dx++) {
+        if (dx * dx + dy * dy <= pad * pad) offsets.push([dx, dy]);
+      }
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let strongest = 0;
+        for (const [dx, dy] of offsets) {
+          const sx = x + dx;
+          const sy = y + dy;
+          if (sx >= 0 && sy >= 0 && sx < width && sy < height && alpha[sy * width + sx] > strongest) {
+            strongest = alpha[sy * width + sx];
+            if (strongest === 255) break;
+          }
+        }
+        blendPixel(data, (y * width + x) * 4, outlineColor, (strongest / 255) * (outlineColor.a / 255));
+      }
+    }
+  }
+
+  const fillColor = parseColor(fill);
+  for (let i = 0; i < alpha.length; i++) {
+    blendPixel(data, i * 4, fillColor, (alpha[i] / 255) * (fillColor.a / 255));
+  }
+  return layer;
+}
+
+class LogoComposer {
+  constructor(pipeline = imagePipeline, presets = PRESETS) {
+    this.pipeline = pipeline;
+    this.presets = validatePresets(presets);
+  }
+
+  listPresets() {
+    return Object.entries(this.presets).map(([id, preset]) => ({
+      id,
+      label: preset.label,
+      description: preset.description || null,
+      shape: preset.shape
+    }));
+  }
+
+  /**
+   * Preset text with {ticker} and {name} filled in
+   */
+  fillTemplate(template, { ticker, name }) {
+    return printable(template.replace(/\{ticker\}/g, ticker).replace(/\{name\}/g, name || ''));
+  }
+
+  async drawText(image, layer, values) {
+    const text = this.fillTemplate(layer.text, values);
+    if (!text) return;
+    const size = image.bitmap.width;
+    const margin = Math.round(size * 0.04);
+    const { font, size: fontSize } = await fitFont(text, size - margin * 2, layer.maxSize);
+    const outlineWidth = layer.outline ? Math.max(1, Math.round((layer.outlineWidth || 4) * fontSize / FONT_SIZES[0])) : 0;
+    const rendered = await renderText(text, { font, fill: layer.fill, outline: layer.outline, outlineWidth });
+
+    const x = Math.round((size - rendered.bitmap.width) / 2);
+    const y = layer.position === 'top'
+      ? margin
+      : layer.position === 'bottom'
+        ? size - rendered.bitmap.height - margin
+        : Math.round((size - rendered.bitmap.height) / 2);
+    image.composite(rendered, x, y);
+  }
+
+  async drawBadge(image, layer, values) {
+    const text = this.fillTemplate(layer.text, values);
+    if (!text) return;
+    const size = image.bitmap.width;
+    const margin = Math.round(size * 0.05);
+    const { font, size: fontSize } = await fitFont(text, size * 0.6, layer.maxSize);
+    const rendered = await renderText(text, { font, fill: layer.fill });
+
+    // Pill-shaped background sized to the text
+    const padX = Math.round(fontSize * 0.35);
+    const padY = Math.round(fontSize * 0.05);
+    const width = rendered.bitmap.width + padX * 2;
+    const height = rendered.bitmap.height + padY * 2;
+    const radius = height / 2;
+    const badge = new Jimp({ width, height, color: 0x00000000 });
+    const background = parseColor(layer.background);
+    badge.scan(0, 0, width, height, (x, y, idx) => {
+      const cx = Math.min(Math.max(x + 0.5, radius), width - radius);
+      const distance = Math.hypot(x + 0.5 - cx, y + 0.5 - radius);
+      const coverage = Math.min(Math.max(radius - distance + 0.5, 0), 1);
+      blendPixel(badge.bitmap.data, idx, background, coverage * (background.a / 255));
+    });
+    badge.composite(rendered, padX, padY);
+
+    const [vertical, horizontal = vertical] = layer.position.split('-');
+    const left = horizontal === 'left' ? margin : horizontal === 'right' ? size - width - margin : Math.round((size - width) / 2);
+    const top = vertical === 'top' ? margin : vertical === 'bottom' ? size - height - margin : Math.round((size - height) / 2);
+    image.composite(badge, left, top);
+  }
+
+  /**
+   * Frame around the edge; a ring when the preset is cut to a circle
+   */
+  drawBorder(image, layer, shape) {
+    const size = image.bitmap.width;
+    const color = parseColor(layer.color);
+    const radius = size / 2;
+    image.scan(0, 0, size, size, (x, y, idx) => {
+      let coverage;
+      if (shape === 'circle') {
+        const distance = Math.hypot(x + 0.5 - radius, y + 0.5 - radius);
+        coverage = Math.min(Math.max(radius - distance + 0.5, 0), 1) - Math.min(Math.max(radius - layer.width - distance + 0.5, 0), 1);
+      } else {
+        coverage = Math.min(x, y, size - 1 - x, size - 1 - y) < layer.width ? 1 : 0;
+      }
+      blendPixel(image.bitmap.data, idx, color, coverage * (color.a / 255));
+    });
+  }
+
+  /**
+   * 512x512 (config.size) logo from a source image, ready for /api/trade-local.
+   * Returns the pipeline's output plus the preset and ticker used.
+   */
+  async compose({ image: input, ticker, name, preset: presetId = 'caption' }) {
+    const preset = this.presets[presetId];
+    if (!preset) {
+      throw new ImageError(`Unknown logo preset "${presetId}"`, 'UNKNOWN_PRESET', 400, { presets: Object.keys(this.presets) });
+    }
+    const values = {
+      ticker: String(ticker || '').trim().replace(/^\$/, '').toUpperCase(),
+      name: printable(name).slice(0, MAX_NAME_LENGTH)
+    };
+    if (!new RegExp(`^[A-Z0-9]{1,${MAX_TICKER_LENGTH}}$`).test(values.ticker)) {
+      throw new ImageError(`ticker must be 1-${MAX_TICKER_LENGTH} letters or digits`, 'INVALID_TICKER');
+    }
+
+    const { image, source } = await this.pipeline.load(input);
+    this.pipeline.square(image);
+    for (const layer of preset.layers) {
+      if (layer.type === 'text') await this.drawText(image, layer, values);
+      else if (layer.type === 'badge') await this.drawBadge(image, layer, values);
+      else if (layer.type === 'border') this.drawBorder(image, layer, preset.shape);
+    }
+    if (preset.shape === 'circle') image.circle();
+
+    const result = await this.pipeline.output(image, source);
+    return { ...result, preset: presetId, ticker: values.ticker };
+  }
+}
+
+// Create singleton instance
+const logoComposer = new LogoComposer();
+
+module.exports = { logoComposer, LogoComposer, validatePresets, getFont, fitFont, printable };
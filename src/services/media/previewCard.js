@@ -0,0 +1,99 @@
+// PreviewCard: Renders the 1200x630 Open Graph image shown when a launch draft's preview link is shared
+const { Jimp } = require('jimp');
+const { imagePipeline, decodeDataUrl } = require('./imagePipeline');
+const { getFont, fitFont, printable } = require('./logoComposer');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('PreviewCard');
+
+// The size Twitter, Telegram and Discord expect for large link previews
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 60;
+const LOGO_SIZE = 420;
+const TEXT_X = PADDING * 2 + LOGO_SIZE;
+const TEXT_WIDTH = WIDTH - TEXT_X - PADDING;
+
+const BACKGROUND = 0x111827ff;
+const PLACEHOLDER = 0x1f2937ff;
+
+// Longer descriptions would run off the card
+const MAX_DESCRIPTION_LENGTH = 180;
+// Rendered cards kept in memory, keyed by share ID and last edit
+const CACHE_SIZE = 50;
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3).trimEnd()}...` : text;
+}
+
+class PreviewCard {
+  constructor(pipeline = imagePipeline) {
+    this.pipeline = pipeline;
+    this.cache = new Map();
+  }
+
+  /**
+   * The draft's logo cut to a square, or a plain tile when it has none or it will not decode
+   */
+  async loadLogo(draft) {
+    if (draft.image) {
+      try {
+        const { image } = await this.pipeline.load(decodeDataUrl(draft.image));
+        return image.cover({ w: LOGO_SIZE, h: LOGO_SIZE });
+      } catch (error) {
+        log.warn(`Draft ${draft.shareId} has an unreadable image, using a placeholder`, { error: error.message });
+      }
+    }
+    return new Jimp({ width: LOGO_SIZE, height: LOGO_SIZE, color: PLACEHOLDER });
+  }
+
+  /**
+   * PNG card with the logo on the left and name, $SYMBOL and description on the right
+   */
+  async draw(draft) {
+    const card = new Jimp({ width: WIDTH, height: HEIGHT, color: BACKGROUND });
+    card.composite(await this.loadLogo(draft), PADDING, Math.round((HEIGHT - LOGO_SIZE) / 2));
+
+    let y = Math.round((HEIGHT - LOGO_SIZE) / 2);
+    const name = printable(draft.name);
+    if (name) {
+      const { font } = await fitFont(name, TEXT_WIDTH, 64);
+      card.print({ font, x: TEXT_X, y, text: name });
+      y += font.common.lineHeight + 8;
+    }
+
+    const symbol = `$${printable(draft.symbol)}`;
+    const { font: symbolFont } = await fitFont(symbol, TEXT_WIDTH, 64);
+    card.print({ font: symbolFont, x: TEXT_X, y, text: symbol });
+    y += symbolFont.common.lineHeight + 24;
+
+    const description = truncate(printable(draft.description), MAX_DESCRIPTION_LENGTH);
+    if (description) {
+      card.print({ font: await getFont(32), x: TEXT_X, y, text: description, maxWidth: TEXT_WIDTH });
+    }
+
+    const footer = draft.status === 'launched' ? 'Launched' : 'Draft preview';
+    card.print({ font: await getFont(16), x: TEXT_X, y: HEIGHT - PADDING - 16, text: footer });
+
+    return card.getBuffer('image/png');
+  }
+
+  /**
+   * Cached PNG for a draft; an edit changes updatedAt and so renders a fresh card
+   */
+  async render(draft) {
+    const key = `${draft.shareId}:${draft.updatedAt}`;
+    if (!this.cache.has(key)) {
+      const rendering = this.draw(draft);
+      rendering.catch(() => this.cache.delete(key));
+      this.cache.set(key, rendering);
+      if (this.cache.size > CACHE_SIZE) this.cache.delete(this.cache.keys().next().value);
+    }
+    return this.cache.get(key);
+  }
+}
+
+// Create singleton instance
+const previewCard = new PreviewCard();
+
+module.exports = { previewCard, PreviewCard, WIDTH, HEIGHT };
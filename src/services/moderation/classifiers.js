@@ -0,0 +1,54 @@
+// Moderation classifiers. Each implements classify({ text, image }) and resolves to findings shaped like
+// the local rules' ({ ruleId, category, action, field, score }); image is an http(s) or data: URL, or null.
+const OpenAI = require('openai');
+
+class OpenAIModerationClassifier {
+  constructor({ apiKey, classifierModel, classifierTimeoutMs, warnThreshold }) {
+    this.name = 'openai';
+    this.model = classifierModel;
+    this.timeoutMs = classifierTimeoutMs;
+    this.warnThreshold = warnThreshold;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  /**
+   * Flagged categories block; unflagged ones scoring at least warnThreshold warn
+   */
+  async classify({ text, image }) {
+    const input = [{ type: 'text', text }];
+    if (image) input.push({ type: 'image_url', image_url: { url: image } });
+    const response = await this.client.moderations.create(
+      { model: this.model, input },
+      { timeout: this.timeoutMs, maxRetries: 0 }
+    );
+
+    const [result] = response.results;
+    const findings = [];
+    for (const [category, score] of Object.entries(result.category_scores || {})) {
+      const flagged = Boolean(result.categories[category]);
+      if (!flagged && score < this.warnThreshold) continue;
+      const inputTypes = (result.category_applied_input_types || {})[category] || [];
+      findings.push({
+        ruleId: `${this.name}:${category}`,
+        category,
+        action: flagged ? 'block' : 'warn',
+        field: inputTypes.includes('image') && !inputTypes.includes('text') ? 'image' : 'text',
+        score: Math.round(score * 1000) / 1000
+      });
+    }
+    return findings;
+  }
+}
+
+function createClassifier(config) {
+  switch (config.classifier) {
+    case 'openai':
+      return new OpenAIModerationClassifier(config);
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown moderation classifier: ${config.classifier}`);
+  }
+}
+
+module.exports = { OpenAIModerationClassifier, createClassifier };
@@ -0,0 +1,130 @@
+// Local moderation rules: blocklisted terms and regex patterns from moderationRules.json, matched against token text
+const { tickerSkeleton } = require('../tickers/tickerMatching');
+const RULES = require('./moderationRules.json');
+
+const ACTIONS = ['allow', 'warn', 'block'];
+const TEXT_FIELDS = ['name', 'ticker', 'description'];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Words in their lookalike-proof form, so "sh1t", "ѕhit" (Cyrillic ѕ) and "s.h.i.t" all read SHIT
+ */
+function skeletonWords(text) {
+  return String(text || '').split(/[\s\-_/]+/).map(tickerSkeleton).filter(Boolean);
+}
+
+/**
+ * Compile the JSON rules: list references ("@brands" in words, "{brands}" in patterns) are expanded
+ * and every term is reduced to skeleton words. Throws on a malformed rule, so a bad edit fails at startup.
+ */
+function compileRules(data = RULES) {
+  const lists = data.lists || {};
+  const expand = words => words.flatMap(word => {
+    if (!word.startsWith('@')) return [word];
+    if (!lists[word.slice(1)]) throw new Error(`Moderation rules reference unknown list "${word}"`);
+    return lists[word.slice(1)];
+  });
+  const check = rule => {
+    if (!rule.id || !rule.category) throw new Error('Every moderation rule needs an id and a category');
+    if (!ACTIONS.includes(rule.action) || rule.action === 'allow') {
+      throw new Error(`Moderation rule "${rule.id}" action must be warn or block`);
+    }
+    const unknown = (rule.fields || []).filter(field => !TEXT_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Moderation rule "${rule.id}" has unknown fields: ${unknown.join(', ')}`);
+  };
+
+  const terms = (data.terms || []).map(rule => {
+    check(rule);
+    return {
+      id: rule.id,
+      category: rule.category,
+      action: rule.action,
+      fields: rule.fields || TEXT_FIELDS,
+      words: expand(rule.words || []).map(word => ({ word, skeleton: skeletonWords(word) })).filter(term => term.skeleton.length > 0)
+    };
+  });
+
+  const patterns = (data.patterns || []).map(rule => {
+    check(rule);
+    const source = rule.pattern.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!lists[name]) throw new Error(`Moderation rule "${rule.id}" references unknown list "${name}"`);
+      return lists[name].map(item => escapeRegExp(item).replace(/\s+/g, '[\\s._-]*')).join('|');
+    });
+    return {
+      id: rule.id,
+      category: rule.category,
+      action: rule.action,
+      // Tickers are too short for phrase patterns
+      fields: rule.fields || ['name', 'description'],
+      regex: new RegExp(source, 'i')
+    };
+  });
+
+  return { terms, patterns };
+}
+
+/**
+ * Term as whole words (a trailing plural s/es allowed), or glued into one word ("ElonMusk").
+ * Tickers are one word; block terms of five letters or more also match inside them.
+ */
+function matchTerm(term, words, { field, action }) {
+  const target = term.skeleton;
+  const joined = target.join('');
+  const isWord = (word, expected) => word === expected || word === `${expected}S` || word === `${expected}ES`;
+
+  for (let i = 0; i < words.length; i++) {
+    if (isWord(words[i], joined)) return true;
+    if (target.length > 1 && i + target.length <= words.length
+      && target.every((part, j) => (j === target.length - 1 ? isWord(words[i + j], part) : words[i + j] === part))) {
+      return true;
+    }
+  }
+  return field === 'ticker' && action === 'block' && joined.length >= 5 && words.some(word => word.includes(joined));
+}
+
+/**
+ * Every rule hit for { name, ticker, description }: [{ ruleId, category, action, field, match }]
+ */
+function evaluateText(fields, rules = defaultRules) {
+  const findings = [];
+  for (const field of TEXT_FIELDS) {
+    const value = fields[field];
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const words = skeletonWords(value);
+
+    for (const rule of rules.terms) {
+      if (!rule.fields.includes(field)) continue;
+      const term = rule.words.find(candidate => matchTerm(candidate, words, { field, action: rule.action }));
+      if (term) {
+        findings.push({ ruleId: rule.id, category: rule.category, action: rule.action, field, match: term.word });
+      }
+    }
+
+    const text = value.normalize('NFKC');
+    for (const rule of rules.patterns) {
+      if (!rule.fields.includes(field)) continue;
+      const match = text.match(rule.regex);
+      if (match) {
+        findings.push({ ruleId: rule.id, category: rule.category, action: rule.action, field, match: match[0] });
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Most severe action among the findings: block beats warn beats allow
+ */
+function decideOutcome(findings) {
+  return findings.reduce(
+    (outcome, finding) => (ACTIONS.indexOf(finding.action) > ACTIONS.indexOf(outcome) ? finding.action : outcome),
+    'allow'
+  );
+}
+
+const defaultRules = compileRules();
+
+module.exports = { compileRules, evaluateText, decideOutcome, defaultRules, ACTIONS };
@@ -0,0 +1,257 @@
+// ModerationService: Screens token names, tickers, descriptions and images before they are generated or launched
+const crypto = require('crypto');
+const { supabase } = require('../../config/database');
+const { getModerationConfig } = require('../../config/moderation');
+const { evaluateText, decideOutcome, defaultRules } = require('./moderationRules');
+const { createClassifier } = require('./classifiers');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('Moderation');
+
+class ModerationError extends Error {
+  constructor(message, errorCode, status = 422, details = null) {
+    super(message);
+    this.name = 'ModerationError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function toDecision(row) {
+  return {
+    id: row.id,
+    stage: row.stage,
+    source: row.source,
+    sourceUrl: row.source_url,
+    publicKey: row.public_key,
+    name: row.name,
+    ticker: row.ticker,
+    description: row.description,
+    image: row.image,
+    outcome: row.outcome,
+    ruleOutcome: row.rule_outcome,
+    findings: row.findings || [],
+    classifier: row.classifier,
+    classifierError: row.classifier_error,
+    appliedOverrideId: row.applied_override_id,
+    override: row.override_outcome
+      ? { outcome: row.override_outcome, reason: row.override_reason, by: row.overridden_by, at: row.overridden_at }
+      : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * An image as the classifier takes it (URL or data: URL) plus a stable hash for the fingerprint.
+ * Uploads arrive as { buffer, mime } from the image pipeline; remote images as their URL.
+ */
+function describeImage(image) {
+  if (!image) return { url: null, dataUrl: null, hash: null };
+  if (Buffer.isBuffer(image.buffer)) {
+    return {
+      url: null,
+      dataUrl: `data:${image.mime};base64,${image.buffer.toString('base64')}`,
+      hash: crypto.createHash('sha256').update(image.buffer).digest('hex')
+    };
+  }
+  const value = String(image);
+  return {
+    url: value.startsWith('data:') ? null : value,
+    dataUrl: value,
+    hash: crypto.createHash('sha256').update(value).digest('hex')
+  };
+}
+
+class ModerationService {
+  constructor(config = getModerationConfig(), rules = defaultRules) {
+    this.config = config;
+    this.rules = rules;
+    this.classifier = createClassifier(config);
+  }
+
+  /**
+   * Swap the classifier hook. Anything with classify({ text, image }) works; null turns it off.
+   */
+  useClassifier(classifier) {
+    this.classifier = classifier;
+  }
+
+  /**
+   * Identical content gets the same fingerprint, so an override also covers later attempts
+   */
+  fingerprint({ name, ticker, description, imageHash }) {
+    const normalized = [
+      String(name || '').trim().toLowerCase(),
+      String(ticker || '').trim().replace(/^\$/, '').toUpperCase(),
+      String(description || '').trim().toLowerCase(),
+      imageHash || ''
+    ];
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  async classify({ name, ticker, description }, image) {
+    if (!this.classifier) return { findings: [], error: null };
+    try {
+      const text = [`Name: ${name || ''}`, `Ticker: ${ticker || ''}`, `Description: ${description || ''}`].join('\n');
+      return { findings: await this.classifier.classify({ text, image: image.dataUrl }), error: null };
+    } catch (error) {
+      // A classifier outage must not stop launches; the local rules still apply
+      log.warn(`Moderation classifier ${this.classifier.name} failed`, { error: error.message });
+      return { findings: [], error: error.message };
+    }
+  }
+
+  async findOverride(fingerprint) {
+    const { data, error } = await supabase
+      .from('moderation_decisions')
+      .select('*')
+      .eq('fingerprint', fingerprint)
+      .not('override_outcome', 'is', null)
+      .order('overridden_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Review token metadata at one stage ('generation', 'regeneration', 'suggestion', 'draft' or 'launch').
+   * Resolves to { id, outcome: 'allow' | 'warn' | 'block', findings, overridden }. Every decision is
+   * stored in moderation_decisions; MODERATION_MODE=warn turns blocks into warnings and
+   * MODERATION_MODE=off skips review altogether.
+   */
+  async review({ stage, name, ticker, description, image = null, source = null, sourceUrl = null, publicKey = null }) {
+    if (this.config.mode === 'off') {
+      return { id: null, outcome: 'allow', findings: [], overridden: false };
+    }
+
+    const fields = { name, ticker, description };
+    const imageInfo = describeImage(image);
+    const classified = await this.classify(fields, imageInfo);
+    const findings = [...evaluateText(fields, this.rules), ...classified.findings];
+    const ruleOutcome = decideOutcome(findings);
+    let outcome = ruleOutcome === 'block' && this.config.mode === 'warn' ? 'warn' : ruleOutcome;
+
+    const fingerprint = this.fingerprint({ ...fields, imageHash: imageInfo.hash });
+    let override = null;
+    try {
+      override = await this.findOverride(fingerprint);
+    } catch (error) {
+      log.warn('Failed to look up moderation overrides', { error: error.message });
+    }
+    if (override) outcome = override.override_outcome;
+
+    // Stored best-effort: the decision is enforced and logged even while Supabase is unreachable
+    let decisionId = null;
+    try {
+      const { data, error } = await supabase
+        .from('moderation_decisions')
+        .insert({
+          stage,
+          fingerprint,
+          source,
+          source_url: sourceUrl,
+          public_key: publicKey,
+          name,
+          ticker,
+          description,
+          image: imageInfo.url,
+          image_hash: imageInfo.hash,
+          outcome,
+          rule_outcome: ruleOutcome,
+          findings,
+          classifier: this.classifier ? this.classifier.name : null,
+          classifier_error: classified.error,
+          applied_override_id: override ? override.id : null
+        })
+        .select()
+        .single();
+      if (error) throw error;
+      decisionId = data.id;
+    } catch (error) {
+      log.error('Failed to store moderation decision', { fingerprint, outcome, error: error.message });
+    }
+
+    const message = `${stage} of ${ticker ? `$${ticker}` : 'token'}: ${outcome}${override ? ' (override)' : ''}`;
+    const details = { decisionId, source, sourceUrl, findings: findings.map(f => `${f.ruleId}:${f.field}`) };
+    if (outcome === 'allow') log.info(message, details);
+    else log.warn(message, details);
+
+    return { id: decisionId, outcome, findings, overridden: Boolean(override) };
+  }
+
+  /**
+   * Whether text may be shown before it has been reviewed, such as a name still streaming in:
+   * false when the local rules alone would block it. Nothing is stored.
+   */
+  isPresentable({ name, ticker, description }) {
+    if (this.config.mode !== 'enforce') return true;
+    return decideOutcome(evaluateText({ name, ticker, description }, this.rules)) !== 'block';
+  }
+
+  /**
+   * What clients see of a decision: null when allowed, otherwise the outcome and findings
+   */
+  toWarning(decision) {
+    if (!decision || decision.outcome === 'allow') return null;
+    return {
+      decisionId: decision.id,
+      outcome: decision.outcome,
+      findings: decision.findings.map(({ ruleId, category, action, field, match }) => ({ ruleId, category, action, field, match }))
+    };
+  }
+
+  /**
+   * Throw CONTENT_BLOCKED for a blocked decision
+   */
+  assertAllowed(decision) {
+    if (decision.outcome === 'block') {
+      throw new ModerationError(
+        'Token metadata was blocked by moderation',
+        'CONTENT_BLOCKED',
+        422,
+        { moderation: this.toWarning(decision) }
+      );
+    }
+    return decision;
+  }
+
+  async listDecisions({ outcome, stage, limit = 100 } = {}) {
+    let query = supabase
+      .from('moderation_decisions')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (outcome) query = query.eq('outcome', outcome);
+    if (stage) query = query.eq('stage', stage);
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).map(toDecision);
+  }
+
+  /**
+   * Set an admin override on a decision; later reviews of the same content take its outcome.
+   * Null when the decision does not exist.
+   */
+  async override(id, { outcome, reason, overriddenBy }) {
+    const { data, error } = await supabase
+      .from('moderation_decisions')
+      .update({
+        override_outcome: outcome,
+        override_reason: reason,
+        overridden_by: overriddenBy,
+        overridden_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select();
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+    log.info(`Decision ${id} overridden to ${outcome} by ${overriddenBy}`, { reason });
+    return toDecision(data[0]);
+  }
+}
+
+// Create singleton instance
+const moderationService = new ModerationService();
+
+module.exports = { moderationService, ModerationService, ModerationError, toDecision };
@@ -0,0 +1,345 @@
+// Built-in source adapters: where a token can be launched from and how each source maps onto a prompt
+const net = require('net');
+const axios = require('axios');
+const { SourceAdapter, SourceError } = require('./sourceAdapter');
+const { isPrivateAddress, publicHttpAgent, publicHttpsAgent, requestPublicUrl } = require('../../utils/publicUrl');
+
+function firstString(...values) {
+  const value = values.find(v => typeof v === 'string' && v.trim());
+  return value ? value.trim() : '';
+}
+
+class TwitterAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'twitter',
+      urlField: 'tweetUrl',
+      responseUrlField: 'twitterUrl',
+      requiredFields: ['text', 'authorName'],
+      hosts: ['twitter.com', 'x.com'],
+      launchLink: 'twitter',
+      label: { noun: 'tweet', plural: 'tweets', intro: 'Given this tweet' }
+    });
+  }
+
+  /**
+   * Quote tweets are often meaningless without the tweet they quote
+   */
+  async normalize(body) {
+    const content = await super.normalize(body);
+    const quoted = body.quotedTweet;
+    if (quoted && typeof quoted.text === 'string' && quoted.text.trim()) {
+      const author = firstString(quoted.authorName) || 'unknown';
+      content.details.push(`Quoted tweet by ${author}: "${quoted.text.trim().slice(0, 500)}"`);
+    }
+    return content;
+  }
+}
+
+class RedditAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'reddit',
+      urlField: 'postUrl',
+      responseUrlField: 'redditUrl',
+      requiredFields: ['text', 'authorName'],
+      hosts: ['reddit.com', 'redd.it'],
+      label: { noun: 'post', plural: 'Reddit posts', intro: 'Given this Reddit post' }
+    });
+  }
+
+  /**
+   * Post ID from www/old/new/np/m.reddit.com permalinks (comment links included) and redd.it short links
+   */
+  static postId(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    const parts = parsed.pathname.split('/').filter(Boolean);
+    if (parsed.hostname.toLowerCase() === 'redd.it') {
+      return parts[0] ? parts[0].toLowerCase() : null;
+    }
+    const index = parts.indexOf('comments');
+    return index !== -1 && parts[index + 1] ? parts[index + 1].toLowerCase() : null;
+  }
+
+  /**
+   * Share links (/r/<sub>/s/<token>) only reveal the post through their redirect
+   */
+  static isShareLink(url) {
+    try {
+      return /^\/r\/[^/]+\/s\/[^/]+\/?$/.test(new URL(url).pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async resolveShareLink(url) {
+    const response = await axios.get(url, {
+      maxRedirects: 0,
+      timeout: 5000,
+      validateStatus: status => status >= 300 && status < 400,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BlazrBot/1.0)' }
+    });
+    return new URL(response.headers.location, url).toString();
+  }
+
+  /**
+   * https://www.reddit.com/comments/<id>/ for any link to a post; other links lose only their query
+   */
+  async canonicalizeUrl(url) {
+    let postId = RedditAdapter.postId(url);
+    if (!postId && RedditAdapter.isShareLink(url)) {
+      try {
+        postId = RedditAdapter.postId(await this.resolveShareLink(url));
+      } catch (error) {
+        throw new SourceError(`Could not resolve Reddit share link: ${error.message}`, 'INVALID_SOURCE_URL', 400);
+      }
+    }
+    if (postId) return `https://www.reddit.com/comments/${postId}/`;
+
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  }
+
+  async normalize(body) {
+    const content = await super.normalize(body);
+    if (body.subreddit) {
+      content.details.push(`Subreddit: r/${String(body.subreddit).replace(/^\/?r\//, '')}`);
+    }
+    return content;
+  }
+}
+
+class TelegramAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'telegram',
+      responseUrlField: 'telegramUrl',
+      requiredFields: ['text', 'channelName|authorName'],
+      hosts: ['t.me', 'telegram.me'],
+      launchLink: 'telegram',
+      label: { noun: 'post', plural: 'Telegram channel posts', intro: 'Given this Telegram channel post', authorLabel: 'Channel' }
+    });
+  }
+
+  async normalize(body) {
+    const content = await super.normalize(body);
+    content.authorName = firstString(body.channelName, body.authorName);
+    return content;
+  }
+
+  /**
+   * Link the channel rather than the single post
+   */
+  getLinks(content) {
+    const match = content.sourceUrl.match(/^https?:\/\/(?:t|telegram)\.me\/(?:s\/)?([A-Za-z0-9_]+)/i);
+    return { telegram: match ? `https://t.me/${match[1]}` : content.sourceUrl };
+  }
+}
+
+class YouTubeAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'youtube',
+      responseUrlField: 'youtubeUrl',
+      requiredFields: ['title', 'channelName|authorName'],
+      hosts: ['youtube.com', 'youtu.be'],
+      label: { noun: 'video', plural: 'YouTube videos', intro: 'Given this YouTube video', authorLabel: 'Channel' }
+    });
+  }
+
+  static videoId(url) {
+    const match = url.match(/(?:youtu\.be\/|[?&]v=|\/shorts\/|\/embed\/)([A-Za-z0-9_-]{11})/);
+    return match ? match[1] : null;
+  }
+
+  async normalize(body) {
+    const content = await super.normalize(body);
+    content.text = firstString(body.title);
+    content.authorName = firstString(body.channelName, body.authorName);
+    if (body.text) {
+      // The description is often long and full of links; the title carries the meme
+      content.details.push(`Description: "${String(body.text).trim().slice(0, 300)}"`);
+    }
+    const videoId = YouTubeAdapter.videoId(content.sourceUrl);
+    const thumbnail = firstString(body.thumbnailUrl) || (videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : '');
+    if (thumbnail) content.videoThumbnails.unshift(thumbnail);
+    return content;
+  }
+
+  /**
+   * The video thumbnail beats anything else the client sent
+   */
+  pickImage(content) {
+    return content.videoThumbnails[0] || super.pickImage(content);
+  }
+}
+
+class TikTokAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'tiktok',
+      responseUrlField: 'tiktokUrl',
+      requiredFields: ['caption|text', 'authorName'],
+      hosts: ['tiktok.com'],
+      label: { noun: 'TikTok', plural: 'TikTok videos', intro: 'Given this TikTok video caption' }
+    });
+  }
+
+  async normalize(body) {
+    const content = await super.normalize(body);
+    content.text = firstString(body.caption, body.text);
+    if (firstString(body.coverUrl)) content.videoThumbnails.unshift(body.coverUrl.trim());
+    return content;
+  }
+
+  pickImage(content) {
+    return content.videoThumbnails[0] || super.pickImage(content);
+  }
+}
+
+class FarcasterAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'farcaster',
+      responseUrlField: 'farcasterUrl',
+      requiredFields: ['text', 'authorName'],
+      hosts: ['warpcast.com', 'farcaster.xyz'],
+      label: { noun: 'cast', plural: 'Farcaster casts', intro: 'Given this Farcaster cast' }
+    });
+  }
+
+  async normalize(body) {
+    const content = await super.normalize(body);
+    if (body.channel) {
+      content.details.push(`Channel: /${String(body.channel).replace(/^\//, '')}`);
+    }
+    return content;
+  }
+}
+
+/**
+ * <meta property="og:title" content="..."> and friends, in either attribute order
+ */
+function readMetaTag(html, names) {
+  for (const name of names) {
+    const pattern = new RegExp(
+      `<meta[^>]+(?:property|name)=["']${name}["'][^>]+content=["']([^"']*)["']|<meta[^>]+content=["']([^"']*)["'][^>]+(?:property|name)=["']${name}["']`,
+      'i'
+    );
+    const match = html.match(pattern);
+    if (match) return (match[1] || match[2] || '').trim();
+  }
+  return '';
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&#x27;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+class NewsAdapter extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'news',
+      responseUrlField: 'newsUrl',
+      requiredFields: [],
+      label: { noun: 'article', plural: 'news headlines', intro: 'Given this news article', authorLabel: 'Publisher' }
+    });
+  }
+
+  /**
+   * Title, summary, image and publisher from the article's Open Graph tags
+   */
+  async fetchArticle(url) {
+    // Redirects are followed by hand so each hop is checked for a public address too
+    const response = await requestPublicUrl(url, async (hopUrl) => {
+      const hop = await axios.get(hopUrl, {
+        timeout: 8000,
+        maxContentLength: 2 * 1024 * 1024,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        httpAgent: publicHttpAgent,
+        httpsAgent: publicHttpsAgent,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BlazrBot/1.0)' }
+      });
+      return { response: hop, location: hop.status >= 300 ? hop.headers.location : null };
+    });
+    const html = String(response.data);
+    const title = readMetaTag(html, ['og:title', 'twitter:title']) || ((html.match(/<title[^>]*>([^<]*)<\/title>/i) || [])[1] || '').trim();
+    return {
+      title: decodeEntities(title),
+      summary: decodeEntities(readMetaTag(html, ['og:description', 'description', 'twitter:description'])),
+      imageUrl: readMetaTag(html, ['og:image', 'twitter:image']),
+      publisher: decodeEntities(readMetaTag(html, ['og:site_name']))
+    };
+  }
+
+  /**
+   * The page is fetched server-side, so refuse loopback and private hosts up front. Names that
+   * only resolve to a private address are refused when the page is fetched.
+   */
+  isValidUrl(url) {
+    if (!super.isValidUrl(url)) return false;
+    const hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) return false;
+    return !net.isIP(hostname) || !isPrivateAddress(hostname);
+  }
+
+  /**
+   * Clients can send the headline themselves; otherwise it is read from the page
+   */
+  async normalize(body) {
+    const content = await super.normalize(body);
+    const provided = {
+      title: firstString(body.title),
+      summary: firstString(body.text, body.summary),
+      imageUrl: firstString(body.imageUrl),
+      publisher: firstString(body.publisher)
+    };
+    let fetched = {};
+    if (!provided.title) {
+      try {
+        fetched = await this.fetchArticle(content.sourceUrl);
+      } catch (error) {
+        throw new SourceError(`Could not fetch the article: ${error.message}`, 'SOURCE_CONTENT_UNAVAILABLE', 422);
+      }
+    }
+
+    const title = provided.title || fetched.title;
+    if (!title) {
+      throw new SourceError('Could not read a headline from the article', 'SOURCE_CONTENT_UNAVAILABLE', 422);
+    }
+    const summary = provided.summary || fetched.summary;
+
+    content.text = title;
+    content.authorName = provided.publisher || fetched.publisher || firstString(body.authorName)
+      || new URL(content.sourceUrl).hostname.replace(/^www\./, '');
+    if (summary) content.details.push(`Summary: "${summary.slice(0, 300)}"`);
+    content.imageUrl = provided.imageUrl || fetched.imageUrl || '';
+    return content;
+  }
+
+  pickImage(content) {
+    return content.imageUrl || super.pickImage(content);
+  }
+}
+
+module.exports = {
+  TwitterAdapter,
+  RedditAdapter,
+  TelegramAdapter,
+  YouTubeAdapter,
+  TikTokAdapter,
+  FarcasterAdapter,
+  NewsAdapter
+};
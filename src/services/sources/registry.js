@@ -0,0 +1,98 @@
+// SourceRegistry: Looks up the adapter for a generation request and turns the request into normalized content
+const { SourceError } = require('./sourceAdapter');
+const {
+  TwitterAdapter,
+  RedditAdapter,
+  TelegramAdapter,
+  YouTubeAdapter,
+  TikTokAdapter,
+  FarcasterAdapter,
+  NewsAdapter
+} = require('./adapters');
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  list() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Adapter named by `source`, else the one whose legacy URL field is set (tweetUrl, postUrl)
+   */
+  resolve(body) {
+    if (body.source) {
+      return this.get(String(body.source).trim().toLowerCase());
+    }
+    for (const adapter of this.adapters.values()) {
+      if (adapter.urlField && body[adapter.urlField]) return adapter;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve, check and normalize a request body. Content carries the chosen image and the
+   * image to show vision models.
+   * Throws SourceError for unknown sources, missing fields and URLs from the wrong site.
+   */
+  async prepare(body) {
+    const adapter = this.resolve(body || {});
+    if (!adapter) {
+      throw new SourceError(
+        body && body.source ? `Unknown source "${body.source}"` : 'Missing tweetUrl, postUrl or source',
+        'UNKNOWN_SOURCE',
+        400,
+        { supportedSources: this.list() }
+      );
+    }
+
+    const missing = adapter.missingFields(body);
+    if (missing.length > 0) {
+      throw new SourceError('Missing required fields', 'MISSING_FIELDS', 400, { required: adapter.getRequiredFields(), missing });
+    }
+    if (!adapter.isValidUrl(adapter.getUrl(body))) {
+      throw new SourceError(`URL is not a valid ${adapter.id} link`, 'INVALID_SOURCE_URL', 400);
+    }
+
+    const content = await adapter.normalize(body);
+    content.originalUrl = content.sourceUrl;
+    content.sourceUrl = await adapter.canonicalizeUrl(content.sourceUrl);
+    content.image = adapter.pickImage(content);
+    content.visionImage = adapter.pickVisionImage(content);
+    return { adapter, content };
+  }
+
+  /**
+   * Canonical form of a URL from any registered source, for lookups by URL; unknown URLs are
+   * returned unchanged
+   */
+  async canonicalizeUrl(url) {
+    const adapter = [...this.adapters.values()].find(candidate => candidate.hosts && candidate.isValidUrl(url));
+    return adapter ? adapter.canonicalizeUrl(url) : url;
+  }
+}
+
+// Create singleton instance with the built-in sources
+const sourceRegistry = new SourceRegistry();
+[
+  new TwitterAdapter(),
+  new RedditAdapter(),
+  new TelegramAdapter(),
+  new YouTubeAdapter(),
+  new TikTokAdapter(),
+  new FarcasterAdapter(),
+  new NewsAdapter()
+].forEach(adapter => sourceRegistry.register(adapter));
+
+module.exports = { sourceRegistry, SourceRegistry };
@@ -0,0 +1,150 @@
+// SourceAdapter: Base class describing one place a token can be launched from (tweets, Reddit posts, ...)
+
+class SourceError extends Error {
+  constructor(message, errorCode, status = 400, details = null) {
+    super(message);
+    this.name = 'SourceError';
+    this.errorCode = errorCode;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class SourceAdapter {
+  /**
+   * @param {object} definition
+   * @param {string} definition.id - source name stored with generated metadata, e.g. 'twitter'
+   * @param {string} [definition.urlField] - legacy request field holding the URL (tweetUrl, postUrl); `sourceUrl` always works
+   * @param {string} definition.responseUrlField - response field echoing the URL (twitterUrl, redditUrl, ...)
+   * @param {string[]} definition.requiredFields - request fields besides the URL that must be present
+   * @param {string[]} [definition.hosts] - hostnames the URL must belong to (subdomains included)
+   * @param {string} definition.launchLink - pump.fun metadata field the URL goes into: twitter, telegram or website
+   * @param {{ noun: string, plural: string, intro: string, authorLabel?: string }} definition.label - prompt wording
+   */
+  constructor({ id, urlField = null, responseUrlField, requiredFields, hosts = null, launchLink = 'website', label }) {
+    this.id = id;
+    this.urlField = urlField;
+    this.responseUrlField = responseUrlField;
+    this.requiredFields = requiredFields;
+    this.hosts = hosts;
+    this.launchLink = launchLink;
+    this.label = { authorLabel: 'Author', ...label };
+  }
+
+  getUrl(body) {
+    return (this.urlField && body[this.urlField]) || body.sourceUrl || null;
+  }
+
+  /**
+   * Field names as the client should send them, URL field first
+   */
+  getRequiredFields() {
+    return [this.urlField || 'sourceUrl', ...this.requiredFields];
+  }
+
+  /**
+   * Required fields that are missing or blank. A list like ['caption', 'text'] means either will do.
+   */
+  missingFields(body) {
+    const missing = [];
+    if (!this.getUrl(body)) missing.push(this.urlField || 'sourceUrl');
+    for (const field of this.requiredFields) {
+      const options = field.split('|');
+      if (!options.some(option => typeof body[option] === 'string' ? body[option].trim() : body[option])) {
+        missing.push(field);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * False when the URL is not http(s) or not on one of the adapter's hosts
+   */
+  isValidUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+    if (!this.hosts) return true;
+    const hostname = parsed.hostname.toLowerCase();
+    return this.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  }
+
+  /**
+   * One URL per post, so the same post reached through different links shares its cache,
+   * suggestions and history. The default keeps the URL as sent.
+   */
+  async canonicalizeUrl(url) {
+    return url;
+  }
+
+  /**
+   * Common shape every adapter produces: the text the model sees, who wrote it, extra prompt
+   * lines and the media the image is picked from. Adapters override to map their own fields.
+   */
+  async normalize(body) {
+    return {
+      source: this.id,
+      sourceUrl: this.getUrl(body),
+      text: String(body.text || '').trim(),
+      authorName: String(body.authorName || '').trim() || 'unknown',
+      authorAvatar: body.authorAvatar || null,
+      mediaUrls: Array.isArray(body.mediaUrls) ? body.mediaUrls.filter(Boolean) : [],
+      videoThumbnails: Array.isArray(body.videoThumbnailUrls) ? body.videoThumbnailUrls.filter(Boolean) : [],
+      details: Array.isArray(body.videoThumbnailUrls) && body.videoThumbnailUrls.length > 0
+        ? [`Attached: ${body.videoThumbnailUrls.length === 1 ? 'a video' : `${body.videoThumbnailUrls.length} videos`}`]
+        : []
+    };
+  }
+
+  /**
+   * Token image: first media item, else a video thumbnail, else the author's avatar
+   */
+  pickImage(content) {
+    return content.mediaUrls[0] || content.videoThumbnails[0] || content.authorAvatar || null;
+  }
+
+  /**
+   * The image shown to vision-capable models ({ url, kind }), or null. Same picture as the
+   * token image, labelled so the model knows what it is looking at.
+   */
+  pickVisionImage(content) {
+    const url = this.pickImage(content);
+    if (!url) return null;
+    let kind = `image attached to the ${this.label.noun}`;
+    if (content.videoThumbnails.includes(url)) kind = `thumbnail of the video in the ${this.label.noun}`;
+    else if (url === content.authorAvatar) kind = "author's profile picture";
+    return { url, kind };
+  }
+
+  /**
+   * Links to pass along with the token metadata at launch, keyed by pump.fun field
+   */
+  getLinks(content) {
+    return { [this.launchLink]: content.sourceUrl };
+  }
+
+  /**
+   * Response body for generated or cached token metadata
+   */
+  toResponse(tokenData, content) {
+    return {
+      name: tokenData.name,
+      ticker: tokenData.ticker,
+      description: tokenData.description,
+      image: tokenData.image,
+      localized: tokenData.localized || null,
+      [this.responseUrlField]: content.sourceUrl,
+      source: this.id,
+      sourceUrl: content.sourceUrl,
+      language: tokenData.language || null,
+      promptTemplateId: tokenData.promptTemplateId || null,
+      links: this.getLinks(content)
+    };
+  }
+}
+
+module.exports = { SourceAdapter, SourceError };
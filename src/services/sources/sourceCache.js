@@ -0,0 +1,91 @@
+// SourceCacheService: Cached token metadata per source URL, so repeat requests skip the LLM
+const { supabase } = require('../../config/database');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('TokenMeta');
+
+// Tweets predate the generic table; their cache stays in processed_tweets
+const TWEET_SOURCE = 'twitter';
+
+function toTokenData(row) {
+  return {
+    name: row.token_name,
+    ticker: row.token_ticker,
+    description: row.token_description,
+    image: row.token_image,
+    language: row.language || null,
+    promptTemplateId: row.prompt_template_id || null,
+    pumpPortalTx: row.pump_portal_tx || null
+  };
+}
+
+class SourceCacheService {
+  /**
+   * Cached { name, ticker, description, image, language, promptTemplateId, pumpPortalTx } for a source URL, or null. A failed lookup
+   * also gives null, so generation still works while Supabase is unreachable.
+   */
+  async get(source, sourceUrl) {
+    try {
+      const query = source === TWEET_SOURCE
+        ? supabase.from('processed_tweets').select('*').eq('tweet_url', sourceUrl)
+        : supabase.from('processed_sources').select('*').eq('source', source).eq('source_url', sourceUrl);
+      const { data, error } = await query.single();
+      if (error && error.code !== 'PGRST116') throw error;
+      return data ? toTokenData(data) : null;
+    } catch (error) {
+      log.warn(`Failed to read cached ${source} token metadata`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Best-effort: a failed write only means the next request regenerates. `pumpPortalTx` links
+   * the cached metadata to the launch made from it; `language` is the source text's detected language
+   * and `promptTemplateId` the stored template it was generated with (null for the built-in one).
+   */
+  async put(content, tokenData, { pumpPortalTx = null, language = null, promptTemplateId = null } = {}) {
+    try {
+      const { error } = content.source === TWEET_SOURCE
+        ? await supabase.from('processed_tweets').insert({
+          tweet_url: content.sourceUrl,
+          tweet_text: content.text,
+          author_name: content.authorName,
+          author_avatar: content.authorAvatar,
+          media_urls: content.mediaUrls,
+          token_name: tokenData.name,
+          token_ticker: tokenData.ticker,
+          token_description: tokenData.description,
+          token_image: tokenData.image,
+          token_twitter: content.sourceUrl,
+          language,
+          prompt_template_id: promptTemplateId,
+          pump_portal_tx: pumpPortalTx
+        })
+        : await supabase.from('processed_sources').insert({
+          source: content.source,
+          source_url: content.sourceUrl,
+          original_url: content.originalUrl || content.sourceUrl,
+          content_text: content.text,
+          author_name: content.authorName,
+          author_avatar: content.authorAvatar,
+          media_urls: content.mediaUrls,
+          details: content.details,
+          token_name: tokenData.name,
+          token_ticker: tokenData.ticker,
+          token_description: tokenData.description,
+          token_image: tokenData.image,
+          language,
+          prompt_template_id: promptTemplateId,
+          pump_portal_tx: pumpPortalTx
+        });
+      if (error) throw error;
+    } catch (error) {
+      log.warn(`Failed to cache ${content.source} token metadata in Supabase`, { error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const sourceCacheService = new SourceCacheService();
+
+module.exports = { sourceCacheService };
@@ -0,0 +1,113 @@
+// TickerAvailabilityService: Checks proposed tickers against supported_tickers and launched tokens
+const { supabase } = require('../../config/database');
+const { getTickerConfig } = require('../../config/tickers');
+const { normalizeTicker, findCollisions, availabilityStatus } = require('./tickerMatching');
+const { logger } = require('../../utils/logger');
+
+const log = logger.child('Tickers');
+
+const PAGE_SIZE = 1000;
+
+class TickerAvailabilityService {
+  constructor(config = getTickerConfig()) {
+    this.config = config;
+    this.entries = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Supabase caps each select, so read the table a page at a time
+   */
+  async fetchAll(table, columns, filter = query => query) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await filter(supabase.from(table).select(columns)).range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async loadEntries() {
+    const [supported, created] = await Promise.all([
+      this.fetchAll('supported_tickers', 'ticker, name, mint_address'),
+      this.fetchAll('created_tokens', 'token_symbol, token_name, mint_address', query => query.eq('is_test', false))
+    ]);
+
+    return [
+      ...supported
+        .filter(row => row.ticker)
+        .map(row => ({ ticker: normalizeTicker(row.ticker), name: row.name, mintAddress: row.mint_address, source: 'supported_tickers' })),
+      ...created
+        .filter(row => row.token_symbol)
+        .map(row => ({ ticker: normalizeTicker(row.token_symbol), name: row.token_name, mintAddress: row.mint_address, source: 'created_tokens' }))
+    ];
+  }
+
+  /**
+   * Taken tickers, cached for cacheTtlMs. Concurrent callers share one load.
+   */
+  async getEntries() {
+    if (this.entries && Date.now() - this.loadedAt < this.config.cacheTtlMs) {
+      return this.entries;
+    }
+    if (!this.loading) {
+      this.loading = this.loadEntries()
+        .then(entries => {
+          this.entries = entries;
+          this.loadedAt = Date.now();
+          log.debug(`Loaded ${entries.length} taken tickers`);
+          return entries;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Add a freshly launched ticker without waiting for the cache to expire
+   */
+  remember({ ticker, name, mintAddress }) {
+    if (this.entries && ticker) {
+      this.entries.push({ ticker: normalizeTicker(ticker), name, mintAddress, source: 'created_tokens' });
+    }
+  }
+
+  /**
+   * { ticker, status: 'available' | 'similar' | 'taken' | 'unknown', available, collisions }.
+   * 'unknown' means the taken tickers could not be loaded; callers treat it as available.
+   */
+  async check(ticker) {
+    const [result] = await this.checkMany([ticker]);
+    return result;
+  }
+
+  async checkMany(tickers) {
+    let entries;
+    try {
+      entries = await this.getEntries();
+    } catch (error) {
+      log.warn('Failed to load taken tickers', { error: error.message });
+      return tickers.map(ticker => ({ ticker: normalizeTicker(ticker), status: 'unknown', available: true, collisions: [] }));
+    }
+
+    return tickers.map(ticker => {
+      const collisions = findCollisions(ticker, entries, { fuzzyMinLength: this.config.fuzzyMinLength });
+      const status = availabilityStatus(collisions);
+      return {
+        ticker: normalizeTicker(ticker),
+        status,
+        available: status !== 'taken',
+        collisions: collisions.slice(0, 10)
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const tickerAvailabilityService = new TickerAvailabilityService();
+
+module.exports = { tickerAvailabilityService, TickerAvailabilityService };
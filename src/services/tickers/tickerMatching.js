@@ -0,0 +1,104 @@
+// Ticker matching: exact, homoglyph and fuzzy comparison of a proposed ticker against taken ones
+
+// Cyrillic and Greek capitals that render like Latin ones
+const LOOKALIKE_LETTERS = {
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T',
+  'У': 'Y', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+  'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O',
+  'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+};
+
+// Digits commonly swapped for letters ($B0NK, $S0L)
+const LOOKALIKE_DIGITS = {
+  '0': 'O', '1': 'I', '2': 'Z', '3': 'E', '4': 'A', '5': 'S', '6': 'G', '7': 'T', '8': 'B'
+};
+
+const MATCH_SEVERITY = { exact: 0, homoglyph: 1, fuzzy: 2 };
+
+/**
+ * Uppercased ticker without a leading $ or surrounding whitespace
+ */
+function normalizeTicker(ticker) {
+  return String(ticker || '').trim().replace(/^\$/, '').toUpperCase();
+}
+
+/**
+ * Canonical form used for homoglyph matching: accents stripped, lookalike letters and digits
+ * mapped to Latin capitals, separators dropped. "$B0NK", "BОNK" (Cyrillic О) and "B.O.N.K" all give "BONK".
+ */
+function tickerSkeleton(ticker) {
+  return normalizeTicker(ticker)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .split('')
+    .map(char => LOOKALIKE_LETTERS[char] || LOOKALIKE_DIGITS[char] || char)
+    .join('')
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return Math.abs(a.length - b.length);
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How `ticker` collides with one taken ticker: 'exact', 'homoglyph', 'fuzzy' (one edit apart,
+ * only for tickers of at least `fuzzyMinLength` characters) or null
+ */
+function matchTicker(ticker, taken, { fuzzyMinLength = 4 } = {}) {
+  const normalized = normalizeTicker(ticker);
+  const takenNormalized = normalizeTicker(taken);
+  if (!normalized || !takenNormalized) return null;
+  if (normalized === takenNormalized) return 'exact';
+
+  const skeleton = tickerSkeleton(normalized);
+  const takenSkeleton = tickerSkeleton(takenNormalized);
+  if (skeleton === takenSkeleton) return 'homoglyph';
+
+  if (Math.min(skeleton.length, takenSkeleton.length) >= fuzzyMinLength && editDistance(skeleton, takenSkeleton) === 1) {
+    return 'fuzzy';
+  }
+  return null;
+}
+
+/**
+ * Every entry whose ticker collides with `ticker`, most severe first. Entries are
+ * { ticker, source, ... }; the match type is added to each result.
+ */
+function findCollisions(ticker, entries, options) {
+  return entries
+    .map(entry => ({ ...entry, match: matchTicker(ticker, entry.ticker, options) }))
+    .filter(entry => entry.match)
+    .sort((a, b) => MATCH_SEVERITY[a.match] - MATCH_SEVERITY[b.match]);
+}
+
+/**
+ * 'taken' for exact or homoglyph matches, 'similar' for fuzzy ones, otherwise 'available'
+ */
+function availabilityStatus(collisions) {
+  if (collisions.some(c => c.match === 'exact' || c.match === 'homoglyph')) return 'taken';
+  if (collisions.length > 0) return 'similar';
+  return 'available';
+}
+
+module.exports = {
+  normalizeTicker,
+  tickerSkeleton,
+  editDistance,
+  matchTicker,
+  findCollisions,
+  availabilityStatus
+};
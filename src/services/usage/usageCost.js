@@ -0,0 +1,99 @@
+// Token counts and cost estimates for LLM calls, and the sums behind the usage report. No I/O.
+
+// What OpenAI charges for a low-detail image; high detail costs more, so estimates are a floor
+const IMAGE_TOKENS = 85;
+// Rough size of a token in English text, for providers that report no usage
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Price per million tokens for a model: an exact match, else the longest matching prefix, else null
+ */
+function findPrice(model, prices) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated USD cost of a call, or null when the model has no known price
+ */
+function estimateCost(model, { promptTokens, completionTokens }, prices) {
+  const price = findPrice(model, prices);
+  if (!price) return null;
+  const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Token counts for a call. Uses the provider's usage when it reports one; otherwise (stub,
+ * some compatible servers) estimates from the prompt and answer and sets `estimated`.
+ */
+function countUsage({ usage, messages = [], content }) {
+  if (usage && Number.isFinite(usage.prompt_tokens)) {
+    const promptTokens = usage.prompt_tokens;
+    const completionTokens = usage.completion_tokens || 0;
+    return { promptTokens, completionTokens, totalTokens: usage.total_tokens || promptTokens + completionTokens, estimated: false };
+  }
+  let promptTokens = 0;
+  for (const message of messages) {
+    const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+    for (const part of parts) {
+      promptTokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text);
+    }
+  }
+  const completionTokens = estimateTokens(content);
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+function addRow(totals, row) {
+  totals.calls += Number(row.calls);
+  totals.promptTokens += Number(row.prompt_tokens);
+  totals.completionTokens += Number(row.completion_tokens);
+  totals.totalTokens += Number(row.total_tokens);
+  totals.costUsd = Math.round((totals.costUsd + Number(row.cost_usd || 0)) * 1e6) / 1e6;
+  totals.unpricedCalls += Number(row.unpriced_calls || 0);
+}
+
+function groupBy(rows, keyOf, describe) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { ...describe(row), ...emptyTotals() });
+    addRow(groups.get(key), row);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Totals plus spend by day, by source and by account from llm_usage_daily rows.
+ * Days are in date order; sources and accounts are sorted by cost, then tokens.
+ */
+function summarizeUsage(rows) {
+  const totals = emptyTotals();
+  for (const row of rows) addRow(totals, row);
+  const bySpend = (a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens;
+  return {
+    totals,
+    byDay: groupBy(rows, row => row.usage_date, row => ({ day: row.usage_date }))
+      .sort((a, b) => a.day.localeCompare(b.day)),
+    bySource: groupBy(rows, row => row.source, row => ({ source: row.source })).sort(bySpend),
+    byAccount: groupBy(
+      rows,
+      row => `${row.account_type}:${row.account_id}`,
+      row => ({ accountType: row.account_type, accountId: row.account_id })
+    ).sort(bySpend)
+  };
+}
+
+module.exports = { findPrice, estimateCost, countUsage, summarizeUsage, IMAGE_TOKENS };
@@ -0,0 +1,134 @@
+// UsageMeterService: Records the tokens and estimated cost of every LLM call in llm_usage and enforces daily quotas
+const { supabase } = require('../../config/database');
+const { getUsageConfig } = require('../../config/usage');
+const { GenerationError } = require('../generation/validation');
+const { countUsage, estimateCost, summarizeUsage } = require('./usageCost');
+const { logger, requestContext, getRequestId } = require('../../utils/logger');
+
+const log = logger.child('Usage');
+
+// Calls made outside a metered request (background work) are recorded but never limited
+const SYSTEM_ACCOUNT = { type: 'system', id: 'system' };
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).toISOString();
+}
+
+class UsageMeterService {
+  constructor(config = getUsageConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * The account the current request is metered against, as set by the meterUsage middleware
+   */
+  getAccount() {
+    const store = requestContext.getStore();
+    return (store && store.usageAccount) || SYSTEM_ACCOUNT;
+  }
+
+  /**
+   * Daily token limit for an account; 0 means none
+   */
+  getLimit(account) {
+    return this.config.dailyTokens[account.type] || 0;
+  }
+
+  async getUsedToday(account) {
+    const { data, error } = await supabase
+      .from('llm_usage_daily')
+      .select('total_tokens')
+      .eq('account_type', account.type)
+      .eq('account_id', account.id)
+      .eq('usage_date', utcDay());
+    if (error) throw error;
+    return (data || []).reduce((sum, row) => sum + Number(row.total_tokens), 0);
+  }
+
+  /**
+   * Throw QUOTA_EXCEEDED (429) once an account has used its tokens for the UTC day. Concurrent
+   * calls can each pass just before the limit, so it may be overrun by a few calls. A failed
+   * lookup lets the call through: generation should not stop because the usage table is down.
+   */
+  async assertWithinQuota(account = this.getAccount()) {
+    const limit = this.getLimit(account);
+    if (!limit) return;
+
+    let used;
+    try {
+      used = await this.getUsedToday(account);
+    } catch (error) {
+      log.warn(`Failed to check the LLM quota for ${account.type} ${account.id}`, { error: error.message });
+      return;
+    }
+    if (used < limit) return;
+
+    const resetsAt = nextUtcMidnight();
+    log.warn(`${account.type} ${account.id} is over its daily LLM quota`, { used, limit });
+    throw new GenerationError(
+      `Daily LLM quota of ${limit} tokens used up; it resets at ${resetsAt}`,
+      'QUOTA_EXCEEDED',
+      429,
+      { quota: { accountType: account.type, limit, used, resetsAt } }
+    );
+  }
+
+  /**
+   * Store one LLM call against the current account. Best-effort: a failed write is logged and
+   * the generation carries on. Resolves to the counts and cost that were recorded.
+   */
+  async record({ source, operation, provider, model, usage, messages, content }) {
+    const account = this.getAccount();
+    const counts = countUsage({ usage, messages, content });
+    const costUsd = estimateCost(model, counts, this.config.prices);
+    try {
+      const { error } = await supabase
+        .from('llm_usage')
+        .insert({
+          usage_date: utcDay(),
+          account_type: account.type,
+          account_id: account.id,
+          source,
+          operation,
+          provider,
+          model,
+          prompt_tokens: counts.promptTokens,
+          completion_tokens: counts.completionTokens,
+          total_tokens: counts.totalTokens,
+          estimated: counts.estimated,
+          cost_usd: costUsd,
+          request_id: getRequestId() || null
+        });
+      if (error) throw error;
+    } catch (error) {
+      log.error('Failed to record LLM usage', { account: `${account.type}:${account.id}`, ...counts, error: error.message });
+    }
+    return { ...counts, costUsd };
+  }
+
+  /**
+   * Spend between two UTC days (inclusive), summed overall and by day, source and account
+   */
+  async report({ from, to, source, accountType, accountId }) {
+    let query = supabase
+      .from('llm_usage_daily')
+      .select('*')
+      .gte('usage_date', from)
+      .lte('usage_date', to);
+    if (source) query = query.eq('source', source);
+    if (accountType) query = query.eq('account_type', accountType);
+    if (accountId) query = query.eq('account_id', accountId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return { from, to, ...summarizeUsage(data || []) };
+  }
+}
+
+// Create singleton instance
+const usageMeterService = new UsageMeterService();
+
+module.exports = { usageMeterService, UsageMeterService, SYSTEM_ACCOUNT, utcDay };
@@ -0,0 +1,100 @@
+// Logger: JSON lines with level, module and request ID, passed through redaction before writing
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+const requestContext = new AsyncLocalStorage();
+
+function getRequestId() {
+  const store = requestContext.getStore();
+  return store ? store.requestId : undefined;
+}
+
+function resolveLevel(level) {
+  const name = String(level || '').toLowerCase();
+  return LEVELS[name] !== undefined ? name : DEFAULT_LEVEL;
+}
+
+function defaultWrite(line, level) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+class Logger {
+  constructor({ module, level, bindings, write } = {}) {
+    this.module = module;
+    this.bindings = bindings || {};
+    this.write = write || defaultWrite;
+    // Children inherit the root's level unless given their own, so LOG_LEVEL applies everywhere
+    this.level = level ? resolveLevel(level) : null;
+    this.parent = null;
+  }
+
+  getLevel() {
+    if (this.level) return this.level;
+    if (this.parent) return this.parent.getLevel();
+    return resolveLevel(process.env.LOG_LEVEL);
+  }
+
+  setLevel(level) {
+    this.level = resolveLevel(level);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.getLevel()];
+  }
+
+  /**
+   * Logger for a module (string) or with extra fields bound to every line (object)
+   */
+  child(moduleOrBindings) {
+    const isModule = typeof moduleOrBindings === 'string';
+    const child = new Logger({
+      module: isModule ? moduleOrBindings : this.module,
+      bindings: isModule ? this.bindings : { ...this.bindings, ...moduleOrBindings },
+      write: this.write
+    });
+    child.parent = this;
+    return child;
+  }
+
+  /**
+   * Errors land under `err`, anything else under `data`
+   */
+  log(level, msg, data) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      module: this.module,
+      requestId: getRequestId(),
+      msg,
+      ...this.bindings
+    };
+    if (data instanceof Error) {
+      entry.err = data;
+    } else if (data !== undefined) {
+      entry.data = data;
+    }
+
+    let line;
+    try {
+      line = JSON.stringify(redact(entry));
+    } catch (e) {
+      line = JSON.stringify({ time: entry.time, level, module: this.module, msg: '[unserializable log entry]' });
+    }
+    this.write(line, level);
+  }
+
+  debug(msg, data) { this.log('debug', msg, data); }
+  info(msg, data) { this.log('info', msg, data); }
+  warn(msg, data) { this.log('warn', msg, data); }
+  error(msg, data) { this.log('error', msg, data); }
+}
+
+const logger = new Logger();
+
+module.exports = { logger, Logger, requestContext, getRequestId, LEVELS };
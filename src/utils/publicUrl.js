@@ -0,0 +1,148 @@
+// Guards for server-side fetches of client-supplied URLs: only public addresses are contacted,
+// whether the host is an IP literal, a DNS name or the target of a redirect
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, shared (CGNAT), benchmarking, multicast and reserved IPv4 ranges
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+];
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function isBlockedIpv4(address) {
+  const value = ipv4ToNumber(address);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+  });
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part folded in
+ */
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+  const toGroups = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  if (tail === undefined) return toGroups(head);
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+function isBlockedIpv6(address) {
+  const groups = ipv6Groups(address);
+  const embeddedIpv4 = () => [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+  const leadingZeros = count => groups.slice(0, count).every(group => group === 0);
+
+  // ::ffff:a.b.c.d (mapped), ::a.b.c.d (compatible) and 64:ff9b::a.b.c.d (NAT64) reach IPv4 hosts
+  if (leadingZeros(5) && groups[5] === 0xffff) return isBlockedIpv4(embeddedIpv4());
+  if (leadingZeros(6)) return groups[7] <= 1 || isBlockedIpv4(embeddedIpv4());
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isBlockedIpv4(embeddedIpv4());
+  }
+  return (groups[0] & 0xfe00) === 0xfc00 // unique local
+    || (groups[0] & 0xffc0) === 0xfe80 // link-local
+    || (groups[0] & 0xffc0) === 0xfec0 // site-local
+    || (groups[0] & 0xff00) === 0xff00; // multicast
+}
+
+/**
+ * True for any address a server-side fetch must not reach. Anything that is not an IP is refused too.
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) return isBlockedIpv4(address);
+  if (version === 6) return isBlockedIpv6(address);
+  return true;
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a private address. Used by the agents below, so
+ * the address checked is the address connected to, even if the DNS answer changes between requests.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      const lookupError = new Error(`${hostname} resolves to a non-public address`);
+      lookupError.code = 'EPRIVATEADDRESS';
+      return callback(lookupError);
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Throw unless `url` is http(s) on a public address. IP literals skip DNS (and so publicLookup),
+ * which is why each URL is checked before it is requested.
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    throw new Error('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Only http(s) URLs can be fetched');
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`${parsed.hostname} is not a public address`);
+  }
+  return parsed;
+}
+
+/**
+ * Request a URL following redirects by hand, checking every hop. `send(url)` makes one request
+ * without following redirects and resolves to { response, location }, location being set for a redirect.
+ */
+async function requestPublicUrl(url, send, { maxRedirects = MAX_REDIRECTS } = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(current);
+    const { response, location } = await send(current);
+    if (!location) return response;
+    if (hop >= maxRedirects) throw new Error('Too many redirects');
+    current = new URL(location, current).href;
+  }
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  publicHttpAgent,
+  publicHttpsAgent,
+  assertPublicUrl,
+  requestPublicUrl
+};
@@ -0,0 +1,149 @@
+// Redaction: strips wallet keys, API keys and credentials from anything headed for the logs
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+const MAX_STRING_LENGTH = 4000;
+
+// Compared after lowercasing and dropping '-' and '_', so x-api-key, apiKey and API_KEY all match
+const SENSITIVE_KEYS = new Set([
+  'secretkey',
+  'mintsecretkey',
+  'privatekey',
+  'secret',
+  'password',
+  'authorization',
+  'cookie',
+  'setcookie',
+  'xapikey',
+  'apikey',
+  'keyhash',
+  'sessiontoken',
+  'accesstoken',
+  'refreshtoken',
+  'supabasekey'
+]);
+
+const STRING_PATTERNS = [
+  // Query-string credentials, e.g. Helius RPC URLs
+  [/([?&](?:api[-_]?key|key|token|secret)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/g, `$1${REDACTED}`],
+  // Admin API keys (blzr_<prefix>_<secret>)
+  [/blzr_[0-9a-f]{8}_[0-9a-f]{16,}/g, REDACTED],
+  // Key fields inside already-serialized JSON
+  [/("(?:mint)?[sS]ecret[kK]ey"\s*:\s*)(\[[^\]]*\]|"[^"]*")/g, `$1"${REDACTED}"`]
+];
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+function isSensitiveKey(key) {
+  const normalized = normalizeKey(key);
+  return SENSITIVE_KEYS.has(normalized)
+    || normalized.endsWith('apikey')
+    || normalized.endsWith('secretkey')
+    || normalized.endsWith('secret');
+}
+
+let envSecrets = null;
+
+/**
+ * Values of secret-looking environment variables, so they are scrubbed wherever they turn up
+ * (error messages, URLs) even when the surrounding key gives no hint
+ */
+function getEnvSecrets() {
+  if (envSecrets === null) {
+    envSecrets = Object.entries(process.env)
+      .filter(([key, value]) => value && value.length >= 8 && (isSensitiveKey(key) || /(_KEY|_TOKEN|_SECRET|_PASSWORD)$/i.test(key)))
+      .map(([, value]) => value)
+      .sort((a, b) => b.length - a.length);
+  }
+  return envSecrets;
+}
+
+function redactString(value) {
+  let result = value;
+  for (const secret of getEnvSecrets()) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  for (const [pattern, replacement] of STRING_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  if (result.length > MAX_STRING_LENGTH) {
+    result = `${result.slice(0, MAX_STRING_LENGTH)}...[truncated ${result.length - MAX_STRING_LENGTH} chars]`;
+  }
+  return result;
+}
+
+// A bare 64-byte array is what a Solana secret key looks like once JSON-parsed
+function looksLikeSecretKeyBytes(value) {
+  return value.length === 64 && value.every(n => Number.isInteger(n) && n >= 0 && n <= 255);
+}
+
+/**
+ * Only the parts of an error worth logging. Axios errors carry the request config (headers,
+ * body) and socket objects, none of which should be written out.
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message
+  };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.errorCode !== undefined) serialized.errorCode = error.errorCode;
+  if (error.response) {
+    serialized.status = error.response.status;
+    let data = error.response.data;
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      data = Buffer.from(data).toString('utf8');
+    }
+    serialized.responseData = data;
+  }
+  if (error.stack) serialized.stack = error.stack;
+  return serialized;
+}
+
+function redactValue(value, depth, seen) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value !== 'object') return value;
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    return `[Binary ${value.byteLength} bytes]`;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  // PublicKey and similar wrappers
+  if (typeof value.toBase58 === 'function') return value.toBase58();
+
+  seen.add(value);
+  try {
+    if (value instanceof Error) {
+      return redactValue(serializeError(value), depth + 1, seen);
+    }
+    if (Array.isArray(value)) {
+      if (looksLikeSecretKeyBytes(value)) return REDACTED;
+      return value.map(item => redactValue(item, depth + 1, seen));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = isSensitiveKey(key) ? REDACTED : redactValue(item, depth + 1, seen);
+    }
+    return result;
+  } finally {
+    seen.delete(value);
+  }
+}
+
+/**
+ * Deep copy of a value with every sensitive field and credential-looking string replaced
+ */
+function redact(value) {
+  return redactValue(value, 0, new Set());
+}
+
+module.exports = { redact, serializeError, isSensitiveKey, REDACTED };